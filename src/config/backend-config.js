@@ -9,6 +9,7 @@ const BACKEND_CONFIG = {
     // API endpoints
     ENDPOINTS: {
         HEALTH: '/api/health',
+        MODEL_INFO: '/api/model-info',
 
         // Single file processing
         DETECT_YOLO: '/api/detect-yolo',
@@ -24,7 +25,18 @@ const BACKEND_CONFIG = {
 
         // New: Prepare and download custom packages from frontend results
         PREPARE_DOWNLOAD_PACKAGE: '/api/prepare-download-package',
-        DOWNLOAD_PREPARED_PACKAGE: '/api/download-prepared-package'
+        DOWNLOAD_PREPARED_PACKAGE: '/api/download-prepared-package',
+
+        // Resumable chunked uploads for large ZIP datasets
+        UPLOAD_INIT: '/api/uploads',
+        UPLOAD_STATUS: '/api/uploads/:uploadId',
+        UPLOAD_CHUNK: '/api/uploads/:uploadId/chunks/:index',
+        UPLOAD_COMPLETE: '/api/uploads/:uploadId/complete',
+
+        // Server-side batch jobs
+        JOB_STATUS: '/api/jobs/:jobId',
+        JOB_RESULT: '/api/jobs/:jobId/result',
+        JOB_ACTION: '/api/jobs/:jobId/:action' // pause | resume | cancel
     },
 
     // Request settings
@@ -32,6 +44,37 @@ const BACKEND_CONFIG = {
     MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB for single images
     MAX_ZIP_SIZE: 200 * 1024 * 1024 * 1024, // 200GB for ZIP files
 
+    // Chunked ZIP uploads (see ChunkedUploader)
+    UPLOAD: {
+        CHUNK_SIZE: 32 * 1024 * 1024, // 32MB per chunk
+        CHUNK_TIMEOUT: 120000, // 2 minutes per chunk
+        MAX_RETRIES: 5
+    },
+
+    // Polling of server-side batch jobs
+    JOBS: {
+        POLL_INTERVAL: 1000, // 1 second
+        MAX_POLL_FAILURES: 30
+    },
+
+    // Folders are read straight from disk and sent to the engine this many images at a time
+    FOLDER: {
+        BATCH_SIZE: 200,
+        // Individual ID clusters the whole folder in a single batch, so it can't be split into batches;
+        // larger folders have to be narrowed with include/exclude patterns or processed in parts
+        MAX_INDIVIDUAL_IMAGES: 2000
+    },
+
+    // Watch-folder mode (see FolderWatcher)
+    WATCH: {
+        POLL_INTERVAL: 5000, // 5 seconds between scans
+        SETTLE_TIME: 10000, // a file must sit unchanged this long before it counts as fully copied
+        MAX_SESSION_RESULTS: 5000, // older per-image results roll off; totals keep counting
+        HISTORY_SAVE_INTERVAL: 60000, // the rolling session is copied into session history at most this often
+        RETRY_DELAY: 60000, // a failed file waits this long before its first retry, doubling after each failure
+        MAX_ATTEMPTS: 4 // after this many failures a file is reported as failed and left until it changes
+    },
+
     // Supported formats
     SUPPORTED_FORMATS: ['jpg', 'jpeg', 'png', 'bmp', 'tiff', 'tif'],
     SUPPORTED_ARCHIVES: ['zip'],
@@ -46,6 +89,9 @@ const BACKEND_CONFIG = {
         BATCH_COMBINED: 'batch-combined'
     },
 
+    // Processing engines in fallback order (see ProcessorRegistry)
+    PROCESSOR_ORDER: ['backend', 'offline'],
+
     // Default options
     DEFAULT_OPTIONS: {
         confidence_threshold: 0.5,
@@ -0,0 +1,159 @@
+const sharp = require('sharp');
+const path = require('path');
+const { identify } = require('./result-export');
+
+// Same palette as the detection viewer, so a box keeps its colour between the app and an exported copy
+const BOX_COLORS = ['#f6e05e', '#68d391', '#63b3ed', '#f687b3', '#fc8181', '#b794f4'];
+
+// Contact sheets: a grid of this many columns and rows per sheet, each tile a thumbnail with a caption
+const SHEET_COLUMNS = 6;
+const SHEET_ROWS = 8;
+const TILE_WIDTH = 240;
+const TILE_HEIGHT = 180;
+const CAPTION_HEIGHT = 36;
+const SHEET_TITLE_HEIGHT = 48;
+const SHEET_BACKGROUND = '#1a202c';
+
+// The image upright with the result's YOLO boxes and confidences drawn on and a caption strip underneath
+// naming the identified individual, its score, the file and when it was taken - readable on a phone without
+// the app. Detections a reviewer rejected are left off. Returns a JPEG buffer.
+async function renderAnnotatedImage(imagePath, result) {
+    const metadata = await sharp(imagePath).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn, and boxes are in upright pixels
+    const upright = (metadata.orientation || 1) >= 5;
+    const width = upright ? metadata.height : metadata.width;
+    const height = upright ? metadata.width : metadata.height;
+
+    const detections = ((result.yolo_result && result.yolo_result.detections) || [])
+        .filter(detection => Array.isArray(detection.bbox) && !(detection.review && detection.review.decision === 'rejected'));
+    const classes = Array.from(new Set(detections.map(detection => detection.class)));
+    const stroke = Math.max(2, Math.round(Math.min(width, height) / 250));
+    const fontSize = Math.max(14, Math.round(width / 60));
+
+    const boxes = detections.map(detection => {
+        const [x1, y1, x2, y2] = detection.bbox;
+        const color = BOX_COLORS[classes.indexOf(detection.class) % BOX_COLORS.length];
+        const label = typeof detection.confidence === 'number'
+            ? `${detection.class} ${(detection.confidence * 100).toFixed(1)}%`
+            : String(detection.class);
+        const labelHeight = Math.round(fontSize * 1.4);
+        // Above the box, or just inside it when the box touches the top edge
+        const labelTop = y1 >= labelHeight ? y1 - labelHeight : y1;
+
+        return `
+            <rect x="${x1}" y="${y1}" width="${Math.max(0, x2 - x1)}" height="${Math.max(0, y2 - y1)}" fill="none" stroke="${color}" stroke-width="${stroke}"/>
+            <rect x="${x1}" y="${labelTop}" width="${textWidth(label, fontSize) + fontSize}" height="${labelHeight}" fill="${color}"/>
+            <text x="${x1 + fontSize / 2}" y="${labelTop + fontSize * 1.05}" font-family="sans-serif" font-size="${fontSize}" font-weight="bold" fill="#1a202c">${escapeXml(label)}</text>`;
+    }).join('');
+
+    const lines = describeImage(result);
+    const lineHeight = Math.round(fontSize * 1.5);
+    const bannerHeight = lineHeight * lines.length + fontSize;
+    const banner = lines.map((line, index) => `
+        <text x="${fontSize}" y="${height + fontSize * 0.5 + lineHeight * (index + 0.8)}" font-family="sans-serif" font-size="${index === 0 ? fontSize * 1.15 : fontSize}" ${index === 0 ? 'font-weight="bold"' : ''} fill="${index === 0 ? '#ffffff' : '#cbd5e0'}">${escapeXml(line)}</text>`).join('');
+
+    const overlay = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height + bannerHeight}">${boxes}${banner}</svg>`;
+
+    // Flattened first so the caption strip is added below the upright image rather than beside it
+    const uprightImage = await sharp(imagePath).rotate().toBuffer();
+    return sharp(uprightImage)
+        .extend({ bottom: bannerHeight, background: SHEET_BACKGROUND })
+        .composite([{ input: Buffer.from(overlay), top: 0, left: 0 }])
+        .jpeg({ quality: 90 })
+        .toBuffer();
+}
+
+// Caption lines: who it is and how sure, then the file, capture time and camera
+function describeImage(result) {
+    const identification = identify(result);
+    const group = result.individual_elephant_info;
+    const detections = result.yolo_result ? result.yolo_result.total_detections || 0 : null;
+
+    let headline;
+    if (identification) {
+        const individual = identification.registry_individual;
+        const name = individual ? `${individual.name || individual.id} (${individual.id})` : identification.elephant_id;
+        const score = typeof identification.score === 'number' ? ` · ${(identification.score * 100).toFixed(1)}% similarity` : '';
+        const review = identification.review && identification.review.decision === 'accepted' ? ' · verified' : '';
+        headline = `${name}${score}${review}`;
+    } else if (group) {
+        headline = `Individual group ${group.group_id}${typeof group.similarity_score === 'number' ? ` · ${(group.similarity_score * 100).toFixed(1)}% similarity` : ''}`;
+    } else {
+        headline = detections ? `${detections} detection(s) · not identified` : 'Not identified';
+    }
+
+    const metadata = result.metadata || {};
+    const camera = metadata.camera ? [metadata.camera.make, metadata.camera.model].filter(Boolean).join(' ') : '';
+    const details = [
+        result.relative_path || result.filename,
+        metadata.captured_at ? metadata.captured_at.replace('T', ' ').slice(0, 19) : null,
+        camera || null
+    ].filter(Boolean).join(' · ');
+
+    return [headline, details];
+}
+
+// One JPEG grid of thumbnails with a title bar. entries: [{ path, caption }], at most SHEET_COLUMNS x SHEET_ROWS.
+// Images that can't be read are left as empty tiles.
+async function renderContactSheet(title, entries) {
+    const shown = entries.slice(0, SHEET_COLUMNS * SHEET_ROWS);
+    const columns = Math.min(SHEET_COLUMNS, Math.max(1, shown.length));
+    const rows = Math.max(1, Math.ceil(shown.length / columns));
+    const tileHeight = TILE_HEIGHT + CAPTION_HEIGHT;
+    const width = columns * TILE_WIDTH;
+    const height = SHEET_TITLE_HEIGHT + rows * tileHeight;
+
+    const composites = [];
+    const captions = [];
+    for (let i = 0; i < shown.length; i++) {
+        const left = (i % columns) * TILE_WIDTH;
+        const top = SHEET_TITLE_HEIGHT + Math.floor(i / columns) * tileHeight;
+
+        try {
+            const thumbnail = await sharp(shown[i].path)
+                .rotate()
+                .resize(TILE_WIDTH - 8, TILE_HEIGHT - 8, { fit: 'contain', background: SHEET_BACKGROUND })
+                .toBuffer();
+            composites.push({ input: thumbnail, left: left + 4, top: top + 4 });
+        } catch (error) {
+            console.warn(`⚠️ Could not add ${path.basename(shown[i].path)} to a contact sheet: ${error.message}`);
+        }
+
+        captions.push(`<text x="${left + TILE_WIDTH / 2}" y="${top + TILE_HEIGHT + 14}" text-anchor="middle" font-family="sans-serif" font-size="12" fill="#e2e8f0">${escapeXml(truncate(shown[i].caption || '', 34))}</text>`);
+    }
+
+    const overlay = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <text x="12" y="32" font-family="sans-serif" font-size="20" font-weight="bold" fill="#ffffff">${escapeXml(truncate(title, Math.floor(width / 11)))}</text>
+        ${captions.join('')}
+    </svg>`;
+    composites.push({ input: Buffer.from(overlay), left: 0, top: 0 });
+
+    return sharp({ create: { width, height, channels: 3, background: SHEET_BACKGROUND } })
+        .composite(composites)
+        .jpeg({ quality: 85 })
+        .toBuffer();
+}
+
+// Sans-serif glyphs average a little over half the font size across
+function textWidth(text, fontSize) {
+    return Math.round(text.length * fontSize * 0.6);
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    renderAnnotatedImage,
+    renderContactSheet,
+    CONTACT_SHEET_SIZE: SHEET_COLUMNS * SHEET_ROWS
+};
@@ -0,0 +1,164 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { round } = require('./processing-utils');
+
+const EXPORT_FORMATS = ['yolo', 'coco', 'voc'];
+
+// Writes corrected annotations as a training dataset in outputDir.
+// images: [{ key, filename, image_path, width, height, boxes: [{ class, bbox: [x1, y1, x2, y2] }] }]
+async function exportDataset(format, images, classes, outputDir) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    await fs.ensureDir(outputDir);
+    const existing = (await fs.readdir(outputDir)).filter(entry => !entry.startsWith('.'));
+    if (existing.length > 0) {
+        throw new Error('Choose an empty folder for the exported dataset');
+    }
+
+    // Photos from different cameras often share names like IMG_0001.JPG, so the content hash goes in too
+    const named = images.map(image => {
+        const extension = path.extname(image.image_path);
+        const stem = `${path.basename(image.filename, path.extname(image.filename)).replace(/[^\w.-]+/g, '_')}_${image.key.slice(0, 8)}`;
+        return { ...image, stem, file_name: `${stem}${extension}` };
+    });
+
+    const writers = { yolo: writeYolo, coco: writeCoco, voc: writeVoc };
+    await writers[format](named, classes, outputDir);
+
+    const boxes = named.reduce((total, image) => total + image.boxes.length, 0);
+    console.log(`📦 Exported ${named.length} image(s) with ${boxes} box(es) as ${format.toUpperCase()} to ${outputDir}`);
+    return { format, output_dir: outputDir, images: named.length, boxes };
+}
+
+// images/ + labels/ with "class cx cy w h" normalised to the image size, and a data.yaml for Ultralytics
+async function writeYolo(images, classes, outputDir) {
+    const imagesDir = path.join(outputDir, 'images');
+    const labelsDir = path.join(outputDir, 'labels');
+    await fs.ensureDir(imagesDir);
+    await fs.ensureDir(labelsDir);
+
+    for (const image of images) {
+        await fs.copy(image.image_path, path.join(imagesDir, image.file_name));
+
+        const lines = image.boxes.map(box => {
+            const [x1, y1, x2, y2] = box.bbox;
+            return [
+                classes.indexOf(box.class),
+                round((x1 + x2) / 2 / image.width, 6),
+                round((y1 + y2) / 2 / image.height, 6),
+                round((x2 - x1) / image.width, 6),
+                round((y2 - y1) / image.height, 6)
+            ].join(' ');
+        });
+        await fs.writeFile(path.join(labelsDir, `${image.stem}.txt`), lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    }
+
+    await fs.writeFile(path.join(outputDir, 'classes.txt'), `${classes.join('\n')}\n`);
+    await fs.writeFile(path.join(outputDir, 'data.yaml'), [
+        `path: ${JSON.stringify(outputDir)}`,
+        'train: images',
+        'val: images',
+        'names:',
+        ...classes.map((name, index) => `  ${index}: ${JSON.stringify(name)}`)
+    ].join('\n') + '\n');
+}
+
+async function writeCoco(images, classes, outputDir) {
+    const imagesDir = path.join(outputDir, 'images');
+    await fs.ensureDir(imagesDir);
+
+    const dataset = {
+        info: {
+            description: 'Airavat corrected annotations',
+            date_created: new Date().toISOString()
+        },
+        images: [],
+        annotations: [],
+        // COCO category ids start at 1
+        categories: classes.map((name, index) => ({ id: index + 1, name, supercategory: 'elephant' }))
+    };
+
+    for (const [index, image] of images.entries()) {
+        await fs.copy(image.image_path, path.join(imagesDir, image.file_name));
+        dataset.images.push({ id: index + 1, file_name: image.file_name, width: image.width, height: image.height });
+
+        for (const box of image.boxes) {
+            const [x1, y1, x2, y2] = box.bbox;
+            dataset.annotations.push({
+                id: dataset.annotations.length + 1,
+                image_id: index + 1,
+                category_id: classes.indexOf(box.class) + 1,
+                bbox: [x1, y1, round(x2 - x1, 1), round(y2 - y1, 1)],
+                area: round((x2 - x1) * (y2 - y1), 1),
+                iscrowd: 0
+            });
+        }
+    }
+
+    await fs.writeJson(path.join(outputDir, 'annotations.json'), dataset, { spaces: 2 });
+}
+
+// JPEGImages/ + Annotations/*.xml + ImageSets/Main/trainval.txt, as the VOC tools expect
+async function writeVoc(images, classes, outputDir) {
+    const imagesDir = path.join(outputDir, 'JPEGImages');
+    const annotationsDir = path.join(outputDir, 'Annotations');
+    const setsDir = path.join(outputDir, 'ImageSets', 'Main');
+    await fs.ensureDir(imagesDir);
+    await fs.ensureDir(annotationsDir);
+    await fs.ensureDir(setsDir);
+
+    for (const image of images) {
+        await fs.copy(image.image_path, path.join(imagesDir, image.file_name));
+
+        const objects = image.boxes.map(box => {
+            const [x1, y1, x2, y2] = box.bbox.map(Math.round);
+            return `    <object>
+        <name>${escapeXml(box.class)}</name>
+        <pose>Unspecified</pose>
+        <truncated>0</truncated>
+        <difficult>0</difficult>
+        <bndbox>
+            <xmin>${x1}</xmin>
+            <ymin>${y1}</ymin>
+            <xmax>${x2}</xmax>
+            <ymax>${y2}</ymax>
+        </bndbox>
+    </object>`;
+        });
+
+        const xml = `<annotation>
+    <folder>JPEGImages</folder>
+    <filename>${escapeXml(image.file_name)}</filename>
+    <source>
+        <database>Airavat</database>
+    </source>
+    <size>
+        <width>${image.width}</width>
+        <height>${image.height}</height>
+        <depth>3</depth>
+    </size>
+    <segmented>0</segmented>
+${objects.join('\n')}
+</annotation>
+`;
+        await fs.writeFile(path.join(annotationsDir, `${image.stem}.xml`), xml);
+    }
+
+    await fs.writeFile(path.join(setsDir, 'trainval.txt'), `${images.map(image => image.stem).join('\n')}\n`);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+    exportDataset,
+    EXPORT_FORMATS
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const JsonStore = require('./json-store');
+const { exportDataset, EXPORT_FORMATS } = require('./annotation-export');
+const { round } = require('./processing-utils');
+
+const DEFAULT_CLASSES = ['right_ear'];
+
+// Hand-corrected boxes, one entry per image, kept as training data for the ear detector. Images are keyed by
+// content hash so a correction follows the photo wherever it is opened from, and a copy of each image is kept
+// because the originals usually live on cards or in ZIPs that don't stay around.
+class AnnotationStore {
+    constructor(baseDir) {
+        this.imagesDir = path.join(baseDir, 'images');
+        this.store = new JsonStore(path.join(baseDir, 'annotations.json'), {
+            version: 1,
+            classes: DEFAULT_CLASSES,
+            images: {}
+        });
+        // path -> { size, mtime_ms, key }, so stepping through a viewer doesn't rehash unchanged files
+        this.hashes = new Map();
+    }
+
+    async initialize() {
+        try {
+            await fs.ensureDir(this.imagesDir);
+            await this.store.load();
+            console.log(`✅ Annotations loaded (${Object.keys(this.store.data.images).length} corrected images)`);
+        } catch (error) {
+            console.error('Failed to initialize annotations:', error);
+            throw error;
+        }
+    }
+
+    getClasses() {
+        return [...this.store.data.classes];
+    }
+
+    // The saved correction for an image, or null if it hasn't been corrected
+    async getAnnotation(imagePath) {
+        const key = await this.imageKey(imagePath);
+        const annotation = this.store.data.images[key];
+        return annotation ? { key, ...annotation } : null;
+    }
+
+    // boxes: [{ class, bbox: [x1, y1, x2, y2] }] in the pixels of the image as displayed (EXIF orientation applied).
+    // An empty list is kept too: it records that the image has been checked and has nothing in it.
+    async saveAnnotation(imagePath, { filename, boxes = [] } = {}) {
+        const key = await this.imageKey(imagePath);
+        const existing = this.store.data.images[key];
+        const stored = existing ? existing.image : await this.storeImage(imagePath, key);
+        const [width, height] = stored.size;
+
+        const cleaned = boxes
+            .map(box => ({
+                class: String(box.class || '').trim(),
+                bbox: normalizeBox(box.bbox, width, height),
+                source: box.source === 'model' ? 'model' : 'manual'
+            }))
+            .filter(box => box.class && box.bbox);
+
+        const now = new Date().toISOString();
+        await this.store.update(data => {
+            for (const box of cleaned) {
+                if (!data.classes.includes(box.class)) data.classes.push(box.class);
+            }
+
+            data.images[key] = {
+                filename: filename || path.basename(imagePath),
+                source_path: imagePath,
+                image: stored,
+                boxes: cleaned,
+                created_at: existing ? existing.created_at : now,
+                updated_at: now
+            };
+        });
+
+        console.log(`✏️ Saved ${cleaned.length} box(es) for ${filename || path.basename(imagePath)}`);
+        return { key, ...this.store.data.images[key] };
+    }
+
+    async deleteAnnotation(key) {
+        const annotation = this.store.data.images[key];
+        if (!annotation) {
+            throw new Error('Annotation not found');
+        }
+
+        await this.store.update(data => {
+            delete data.images[key];
+        });
+        await fs.remove(path.join(this.imagesDir, annotation.image.file));
+        return { key };
+    }
+
+    getSummary() {
+        const images = Object.values(this.store.data.images);
+        const counts = {};
+        for (const image of images) {
+            for (const box of image.boxes) {
+                counts[box.class] = (counts[box.class] || 0) + 1;
+            }
+        }
+
+        return {
+            images: images.length,
+            boxes: images.reduce((total, image) => total + image.boxes.length, 0),
+            classes: this.getClasses(),
+            class_counts: counts,
+            formats: EXPORT_FORMATS
+        };
+    }
+
+    async exportDataset(format, outputDir) {
+        const images = Object.entries(this.store.data.images).map(([key, annotation]) => ({
+            key,
+            filename: annotation.filename,
+            image_path: path.join(this.imagesDir, annotation.image.file),
+            width: annotation.image.size[0],
+            height: annotation.image.size[1],
+            boxes: annotation.boxes
+        }));
+
+        if (images.length === 0) {
+            throw new Error('No corrected images to export yet');
+        }
+
+        return exportDataset(format, images, this.getClasses(), outputDir);
+    }
+
+    // Keeps the image as displayed: rotated copies are written upright so box coordinates mean the same to
+    // every training tool, whatever it does with EXIF orientation
+    async storeImage(imagePath, key) {
+        const metadata = await sharp(imagePath).metadata();
+        const rotated = (metadata.orientation || 1) > 1;
+        const extension = rotated ? '.jpg' : path.extname(imagePath).toLowerCase();
+        const file = `${key}${extension}`;
+        const destination = path.join(this.imagesDir, file);
+
+        if (rotated) {
+            await sharp(imagePath).rotate().jpeg({ quality: 95 }).toFile(destination);
+        } else {
+            await fs.copy(imagePath, destination);
+        }
+
+        const swapped = (metadata.orientation || 1) >= 5;
+        return { file, size: swapped ? [metadata.height, metadata.width] : [metadata.width, metadata.height] };
+    }
+
+    async imageKey(imagePath) {
+        const stats = await fs.stat(imagePath);
+        const cached = this.hashes.get(imagePath);
+        if (cached && cached.size === stats.size && cached.mtime_ms === stats.mtimeMs) {
+            return cached.key;
+        }
+
+        const key = await new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha1');
+            fs.createReadStream(imagePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+
+        this.hashes.set(imagePath, { size: stats.size, mtime_ms: stats.mtimeMs, key });
+        return key;
+    }
+}
+
+// Orders the corners and clips to the image; boxes under two pixels across are dropped as stray clicks
+function normalizeBox(bbox, width, height) {
+    if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite)) return null;
+
+    const clampX = value => Math.min(width, Math.max(0, value));
+    const clampY = value => Math.min(height, Math.max(0, value));
+    const x1 = clampX(Math.min(bbox[0], bbox[2]));
+    const x2 = clampX(Math.max(bbox[0], bbox[2]));
+    const y1 = clampY(Math.min(bbox[1], bbox[3]));
+    const y2 = clampY(Math.max(bbox[1], bbox[3]));
+
+    if (x2 - x1 < 2 || y2 - y1 < 2) return null;
+    return [round(x1, 1), round(y1, 1), round(x2, 1), round(y2, 1)];
+}
+
+module.exports = AnnotationStore;
@@ -4,12 +4,19 @@ const FormData = require('form-data');
 const path = require('path');
 const os = require('os');
 const archiver = require('archiver');
+const ChunkedUploader = require('./chunked-uploader');
+const { estimateEta } = require('./processing-utils');
+const { BatchCancelledError, isCancellation } = require('./batch-control');
 const { BACKEND_CONFIG } = require('../config/backend-config');
 
 class BackendProcessor {
-    constructor() {
+    constructor(options = {}) {
         this.baseUrl = null;
         this.isInitialized = false;
+
+        // Resume tokens for chunked ZIP uploads; main.js points this at userData
+        this.uploadStateDir = options.uploadStateDir || path.join(os.tmpdir(), 'airavat-uploads');
+        this.uploader = null;
     }
 
     async initialize() {
@@ -28,6 +35,7 @@ class BackendProcessor {
                     // Check if the response indicates the backend is healthy
                     if (response.status === 200) {
                         this.baseUrl = url;
+                        this.uploader = new ChunkedUploader(url, this.uploadStateDir);
                         this.isInitialized = true;
                         console.log(`✅ Connected to backend at: ${url}`);
                         return;
@@ -168,34 +176,26 @@ class BackendProcessor {
                 throw new Error(`Unknown processing type: ${processingType}`);
             }
 
-            // Send request with progress tracking
-            const response = await axios.post(
-                `${this.baseUrl}${endpoint}`,
-                formData,
-                {
-                    headers: {
-                        ...formData.getHeaders()
-                    },
-                    timeout: BACKEND_CONFIG.TIMEOUT * 10, // Longer timeout for batch
-                    onUploadProgress: (progressEvent) => {
-                        const progress = Math.round(
-                            (progressEvent.loaded * 100) / progressEvent.total
-                        );
-                        if (progressCallback) {
-                            progressCallback({
-                                stage: 'Uploading files',
-                                progress: progress,
-                                loaded: progressEvent.loaded,
-                                total: progressEvent.total,
-                                current: 0,
-                                currentFile: 'Uploading...'
-                            });
-                        }
+            // Upload, then follow the server-side job through inference
+            await options.control?.checkpoint();
+            return await this.runJob(endpoint, formData, {
+                timeout: BACKEND_CONFIG.TIMEOUT * 10, // Longer timeout for batch
+                onUploadProgress: (progressEvent) => {
+                    const progress = Math.round(
+                        (progressEvent.loaded * 100) / progressEvent.total
+                    );
+                    if (progressCallback) {
+                        progressCallback({
+                            stage: 'Uploading files',
+                            progress: progress,
+                            loaded: progressEvent.loaded,
+                            total: progressEvent.total,
+                            current: 0,
+                            currentFile: 'Uploading...'
+                        });
                     }
                 }
-            );
-
-            return response.data;
+            }, progressCallback, options.control);
 
         } catch (error) {
             console.error('Batch processing error:', error);
@@ -218,7 +218,6 @@ class BackendProcessor {
 
             // Create form data
             const formData = new FormData();
-            formData.append('zip_file', fs.createReadStream(zipFilePath));
 
             // Determine endpoint and add options based on processing type
             let endpoint;
@@ -246,36 +245,39 @@ class BackendProcessor {
 
             formData.append('max_workers', String(options.max_workers || 4));
 
-            // Send request
-            const response = await axios.post(
-                `${this.baseUrl}${endpoint}`,
-                formData,
-                {
-                    headers: {
-                        ...formData.getHeaders()
-                    },
-                    timeout: BACKEND_CONFIG.TIMEOUT * 20, // Much longer for ZIP processing
-                    onUploadProgress: (progressEvent) => {
-                        const progress = Math.round(
-                            (progressEvent.loaded * 100) / progressEvent.total
-                        );
-                        if (progressCallback) {
-                            progressCallback({
-                                stage: 'Uploading ZIP file',
-                                progress: progress,
-                                loaded: progressEvent.loaded,
-                                total: progressEvent.total,
-                                current: 0,
-                                currentFile: 'Processing ZIP...'
-                            });
-                        }
+            // Upload only once the request is known to be valid
+            const chunked = await this.appendZipFile(formData, zipFilePath, progressCallback, options.control);
+
+            // Submit the job and follow it through inference
+            const data = await this.runJob(endpoint, formData, {
+                timeout: BACKEND_CONFIG.TIMEOUT * 20, // Much longer for ZIP processing
+                onUploadProgress: chunked ? undefined : (progressEvent) => {
+                    const progress = Math.round(
+                        (progressEvent.loaded * 100) / progressEvent.total
+                    );
+                    if (progressCallback) {
+                        progressCallback({
+                            stage: 'Uploading ZIP file',
+                            progress: progress,
+                            loaded: progressEvent.loaded,
+                            total: progressEvent.total,
+                            current: 0,
+                            currentFile: 'Processing ZIP...'
+                        });
                     }
                 }
-            );
+            }, progressCallback, options.control);
 
-            return response.data;
+            if (chunked) {
+                await this.uploader.forget(zipFilePath);
+            }
+
+            return data;
 
         } catch (error) {
+            if (isCancellation(error)) {
+                await this.discardUpload(zipFilePath);
+            }
             console.error('ZIP processing error:', error);
             throw error;
         }
@@ -292,12 +294,13 @@ class BackendProcessor {
 
             // Create form data
             const formData = new FormData();
+            let chunked = false;
 
             // Add files based on input type
             if (zipFilePath) {
                 // Process ZIP file
                 if (await fs.pathExists(zipFilePath)) {
-                    formData.append('zip_file', fs.createReadStream(zipFilePath));
+                    chunked = await this.appendZipFile(formData, zipFilePath, progressCallback, options.control);
                 }
             } else if (filePaths && filePaths.length > 0) {
                 // Process individual files
@@ -318,38 +321,38 @@ class BackendProcessor {
             // Use individual elephant endpoint
             const endpoint = '/api/batch-individual-elephants';
 
-            // Send request with progress tracking
-            const response = await axios.post(
-                `${this.baseUrl}${endpoint}`,
-                formData,
-                {
-                    headers: {
-                        ...formData.getHeaders()
-                    },
-                    timeout: BACKEND_CONFIG.TIMEOUT * 20, // Longer timeout for individual processing
-                    onUploadProgress: (progressEvent) => {
-                        const progress = Math.round(
-                            (progressEvent.loaded * 100) / progressEvent.total
-                        );
-                        if (progressCallback) {
-                            progressCallback({
-                                stage: 'Processing individual elephants',
-                                progress: progress,
-                                loaded: progressEvent.loaded,
-                                total: progressEvent.total,
-                                current: 0,
-                                currentFile: 'Identifying individuals...',
-                                individual_groups: 0,
-                                similarity_threshold: options.similarity_threshold || 0.85
-                            });
-                        }
+            // Submit the job and follow it through inference
+            const data = await this.runJob(endpoint, formData, {
+                timeout: BACKEND_CONFIG.TIMEOUT * 20, // Longer timeout for individual processing
+                onUploadProgress: chunked ? undefined : (progressEvent) => {
+                    const progress = Math.round(
+                        (progressEvent.loaded * 100) / progressEvent.total
+                    );
+                    if (progressCallback) {
+                        progressCallback({
+                            stage: 'Processing individual elephants',
+                            progress: progress,
+                            loaded: progressEvent.loaded,
+                            total: progressEvent.total,
+                            current: 0,
+                            currentFile: 'Identifying individuals...',
+                            individual_groups: 0,
+                            similarity_threshold: options.similarity_threshold || 0.85
+                        });
                     }
                 }
-            );
+            }, progressCallback, options.control);
 
-            return response.data;
+            if (chunked) {
+                await this.uploader.forget(zipFilePath);
+            }
+
+            return data;
 
         } catch (error) {
+            if (isCancellation(error) && zipFilePath) {
+                await this.discardUpload(zipFilePath);
+            }
             console.error('Individual elephant processing error:', error);
             throw error;
         }
@@ -372,6 +375,152 @@ class BackendProcessor {
         }
     }
 
+    // Batches run as server-side jobs: the upload returns a job id straight away and inference is
+    // followed by polling the job. Servers without job support still answer with the full results.
+    async runJob(endpoint, formData, requestConfig, progressCallback, control) {
+        formData.append('run_as_job', 'true');
+
+        const response = await axios.post(
+            `${this.baseUrl}${endpoint}`,
+            formData,
+            {
+                headers: {
+                    ...formData.getHeaders()
+                },
+                signal: control?.signal,
+                ...requestConfig
+            }
+        );
+
+        const jobId = response.data && response.data.job_id;
+        if (!jobId || response.data.detailed_results) {
+            return response.data;
+        }
+
+        console.log(`🧾 Submitted job ${jobId} to ${endpoint}`);
+        return await this.waitForJob(jobId, progressCallback, control);
+    }
+
+    async waitForJob(jobId, progressCallback, control) {
+        // Pause, resume and cancel in the app are forwarded to the server-side job
+        const onState = (state) => this.sendJobAction(jobId, JOB_ACTIONS[state]);
+        control?.on('state', onState);
+
+        // A pause requested while the files were still uploading applies to the job now
+        if (control?.isPaused) {
+            await this.sendJobAction(jobId, JOB_ACTIONS.paused);
+        }
+
+        try {
+            return await this.pollJob(jobId, progressCallback, control);
+        } finally {
+            control?.off('state', onState);
+        }
+    }
+
+    async pollJob(jobId, progressCallback, control) {
+        const statusUrl = `${this.baseUrl}${BACKEND_CONFIG.ENDPOINTS.JOB_STATUS.replace(':jobId', jobId)}`;
+        const tracker = { startTime: Date.now(), startCount: null };
+        let failures = 0;
+
+        while (true) {
+            if (control?.isCancelled) {
+                throw new BatchCancelledError();
+            }
+
+            let job;
+
+            try {
+                job = (await axios.get(statusUrl, { timeout: BACKEND_CONFIG.TIMEOUT })).data;
+                failures = 0;
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    throw new Error(`Job ${jobId} no longer exists on the server`);
+                }
+
+                // A blip shouldn't abandon an hours-long run, so keep trying for a while
+                failures++;
+                if (failures > BACKEND_CONFIG.JOBS.MAX_POLL_FAILURES) {
+                    // Not a fallback error: the job may still be running, so don't redo it elsewhere
+                    throw new Error(`Lost contact with job ${jobId}: ${error.message}`);
+                }
+
+                console.warn(`⚠️ Polling job ${jobId} failed (${error.message}), retry ${failures}/${BACKEND_CONFIG.JOBS.MAX_POLL_FAILURES}`);
+                await delay(BACKEND_CONFIG.JOBS.POLL_INTERVAL * failures);
+                continue;
+            }
+
+            if (progressCallback) {
+                progressCallback(describeJobProgress(job, tracker));
+            }
+
+            if (job.status === 'completed') {
+                if (job.result) return job.result;
+
+                const response = await axios.get(
+                    `${this.baseUrl}${BACKEND_CONFIG.ENDPOINTS.JOB_RESULT.replace(':jobId', jobId)}`,
+                    { timeout: BACKEND_CONFIG.TIMEOUT * 4 }
+                );
+                return response.data;
+            }
+            if (job.status === 'failed') {
+                throw new Error(job.error || `Job ${jobId} failed on the server`);
+            }
+            if (job.status === 'cancelled') {
+                throw control?.isCancelled ? new BatchCancelledError() : new Error(`Job ${jobId} was cancelled on the server`);
+            }
+
+            await delay(BACKEND_CONFIG.JOBS.POLL_INTERVAL);
+        }
+    }
+
+    async sendJobAction(jobId, action) {
+        if (!action) return;
+
+        try {
+            await axios.post(
+                `${this.baseUrl}${BACKEND_CONFIG.ENDPOINTS.JOB_ACTION.replace(':jobId', jobId).replace(':action', action)}`,
+                {},
+                { timeout: BACKEND_CONFIG.TIMEOUT }
+            );
+            console.log(`🧾 Sent ${action} to job ${jobId}`);
+        } catch (error) {
+            console.warn(`⚠️ Could not ${action} job ${jobId}: ${error.message}`);
+        }
+    }
+
+    // Large ZIPs go up in resumable chunks and the batch request refers to them by upload id.
+    // Servers without the upload endpoints get the whole file in the multipart body as before.
+    async appendZipFile(formData, zipFilePath, progressCallback, control) {
+        try {
+            const uploadId = await this.uploader.upload(zipFilePath, progressCallback, control);
+            formData.append('upload_id', uploadId);
+
+            if (progressCallback) {
+                progressCallback({
+                    stage: 'Processing ZIP on server',
+                    progress: 100,
+                    current: 0,
+                    currentFile: 'Processing ZIP...'
+                });
+            }
+            return true;
+        } catch (error) {
+            if (error.code !== 'UPLOADS_UNSUPPORTED') throw error;
+
+            console.warn('⚠️ Backend has no chunked upload support, sending ZIP in a single request');
+            formData.append('zip_file', fs.createReadStream(zipFilePath));
+            return false;
+        }
+    }
+
+    // A cancelled batch shouldn't leave a half-uploaded dataset behind on the server or on disk
+    async discardUpload(zipFilePath) {
+        if (this.uploader) {
+            await this.uploader.discard(zipFilePath);
+        }
+    }
+
     // Enhanced prepare download package method
     async prepareDownloadPackage(downloadRequest) {
         if (!this.isInitialized) {
@@ -740,7 +889,58 @@ class BackendProcessor {
         // Add any cleanup logic here if needed
         this.isInitialized = false;
         this.baseUrl = null;
+        this.uploader = null;
     }
 }
 
+const JOB_STAGES = {
+    queued: 'Waiting in server queue',
+    running: 'Running inference on server',
+    paused: 'Paused',
+    completed: 'Finalizing results'
+};
+
+// BatchControl states and the job action each one sends to the server
+const JOB_ACTIONS = {
+    paused: 'pause',
+    running: 'resume',
+    cancelled: 'cancel'
+};
+
+const JOB_FILE_TEXT = {
+    queued: (job) => `Position ${job.queue_position ?? '?'} in queue`,
+    completed: () => 'Done'
+};
+
+// Maps a job status onto the batch-progress shape; ETA falls back to the rate seen so far
+function describeJobProgress(job, tracker) {
+    const processed = job.processed || 0;
+    const total = job.total || 0;
+
+    // Measure the rate from the first running update so queue time doesn't skew it
+    if (tracker.startCount === null && job.status === 'running') {
+        tracker.startTime = Date.now();
+        tracker.startCount = processed;
+    }
+
+    const etaSeconds = job.eta_seconds ?? (tracker.startCount === null
+        ? null
+        : estimateEta(tracker.startTime, processed, total, tracker.startCount));
+
+    return {
+        job_id: job.job_id,
+        stage: job.stage || JOB_STAGES[job.status] || 'Processing on server',
+        progress: total > 0 ? Math.round((processed / total) * 100) : 0,
+        current: processed,
+        total,
+        currentFile: job.current_file || JOB_FILE_TEXT[job.status]?.(job) || 'Processing...',
+        eta_seconds: etaSeconds,
+        individual_groups: job.individual_groups
+    };
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 module.exports = BackendProcessor;
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const JsonStore = require('./json-store');
+
+const TILE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp'];
+const CONTENT_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+// GeoTIFFs are flattened to one overlay image no larger than this on either side
+const OVERLAY_MAX_SIZE = 4096;
+
+// sql.js loads an MBTiles file whole into WebAssembly memory (briefly twice, while it is copied in), so larger
+// ones are refused to keep field laptops responsive; a tile folder (extracted with e.g. mb-util) has no limit
+const MBTILES_MAX_SIZE = 256 * 1024 * 1024;
+
+const WEB_MERCATOR_CODES = [3857, 3785, 900913, 102100, 102113];
+const WGS84_CODE = 4326;
+const EARTH_RADIUS = 6378137;
+
+// The offline map's background: an MBTiles file, a GeoTIFF, or a folder of {z}/{x}/{y} tiles. Nothing here
+// touches the network; with no basemap chosen, tiles bundled under assets/map-tiles are used if present.
+class BasemapManager {
+    constructor(stateDir, bundledTilesDir) {
+        this.stateDir = stateDir;
+        this.bundledTilesDir = bundledTilesDir;
+        this.store = new JsonStore(path.join(stateDir, 'basemap.json'), {
+            version: 1,
+            basemap: null
+        });
+        this.database = null;
+        this.bundled = null;
+        // Bumped whenever the basemap changes so the renderer doesn't show cached tiles from the old one
+        this.revision = Date.now();
+    }
+
+    async initialize() {
+        try {
+            await fs.ensureDir(this.stateDir);
+            await this.store.load();
+
+            if (this.bundledTilesDir && await fs.pathExists(this.bundledTilesDir)) {
+                this.bundled = await describeTileFolder(this.bundledTilesDir, 'Bundled tiles');
+            }
+
+            const basemap = this.store.data.basemap;
+            if (basemap) {
+                // A basemap on a drive that isn't plugged in shouldn't stop the app from starting
+                await this.open(basemap).catch(error => {
+                    console.warn(`⚠️ Basemap ${basemap.source_path} not available: ${error.message}`);
+                });
+            }
+
+            console.log(`✅ Basemap ready (${this.getInfo().type})`);
+        } catch (error) {
+            console.error('Failed to initialize basemap:', error);
+            throw error;
+        }
+    }
+
+    // What the renderer needs to draw the basemap
+    getInfo() {
+        const basemap = this.store.data.basemap || this.bundled;
+        if (!basemap) {
+            return { type: 'none', revision: this.revision };
+        }
+
+        return {
+            type: basemap.type,
+            name: basemap.name,
+            source_path: basemap.source_path,
+            bounds: basemap.bounds,
+            minzoom: basemap.minzoom,
+            maxzoom: basemap.maxzoom,
+            image_path: basemap.image_path || null,
+            bundled: !this.store.data.basemap,
+            revision: this.revision
+        };
+    }
+
+    // Works out the kind of basemap from the path: a directory of tiles, .mbtiles or .tif/.tiff
+    async setBasemap(sourcePath) {
+        const stats = sourcePath ? await fs.stat(sourcePath).catch(() => null) : null;
+        if (!stats) {
+            throw new Error(`Basemap not found: ${sourcePath}`);
+        }
+
+        const extension = path.extname(sourcePath).toLowerCase();
+        let basemap;
+        // An MBTiles database is loaded once, described, and then kept open to serve tiles
+        let database = null;
+
+        try {
+            if (stats.isDirectory()) {
+                basemap = await describeTileFolder(sourcePath);
+            } else if (extension === '.mbtiles') {
+                database = await openMbtiles(sourcePath);
+                basemap = this.describeMbtiles(sourcePath, database);
+            } else if (extension === '.tif' || extension === '.tiff') {
+                basemap = await this.renderGeoTiff(sourcePath);
+            } else {
+                throw new Error('Choose an MBTiles file, a GeoTIFF or a folder of map tiles');
+            }
+
+            await this.removeOverlay();
+            await this.store.update(data => {
+                data.basemap = { ...basemap, added_at: new Date().toISOString() };
+            });
+        } catch (error) {
+            if (database) database.close();
+            throw error;
+        }
+        await this.open(this.store.data.basemap, database);
+
+        console.log(`🗺 Basemap set to ${basemap.name} (${basemap.type})`);
+        return this.getInfo();
+    }
+
+    async clear() {
+        await this.removeOverlay();
+        await this.store.update(data => {
+            data.basemap = null;
+        });
+        await this.open(null);
+        return this.getInfo();
+    }
+
+    // database: the basemap's MBTiles database when the caller already has it open
+    async open(basemap, database = null) {
+        this.close();
+        this.revision = Date.now();
+
+        if (basemap && basemap.type === 'mbtiles') {
+            this.database = database || await openMbtiles(basemap.source_path);
+        } else if (basemap && basemap.type === 'geotiff' && !await fs.pathExists(basemap.image_path)) {
+            // The rendered overlay lives in userData and may have been cleaned up; the GeoTIFF itself is the source
+            const rendered = await this.renderGeoTiff(basemap.source_path);
+            basemap.image_path = rendered.image_path;
+            await this.store.save();
+        }
+    }
+
+    close() {
+        if (this.database) {
+            this.database.close();
+            this.database = null;
+        }
+    }
+
+    // Raster tile bytes for the basemap:// protocol, or null where the basemap has no tile
+    async getTile(z, x, y) {
+        const basemap = this.store.data.basemap || this.bundled;
+        if (!basemap) return null;
+
+        if (basemap.type === 'mbtiles') {
+            if (!this.database) return null;
+
+            // MBTiles rows are numbered from the bottom (TMS), map tiles from the top
+            const statement = this.database.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+            try {
+                statement.bind([z, x, Math.pow(2, z) - 1 - y]);
+                if (!statement.step()) return null;
+                return { data: Buffer.from(statement.get()[0]), contentType: CONTENT_TYPES[basemap.format] || 'image/png' };
+            } finally {
+                statement.free();
+            }
+        }
+
+        if (basemap.type === 'tiles') {
+            const tilePath = path.join(basemap.source_path, String(z), String(x), `${y}.${basemap.format}`);
+            if (!await fs.pathExists(tilePath)) return null;
+            return { data: await fs.readFile(tilePath), contentType: CONTENT_TYPES[basemap.format] };
+        }
+
+        return null;
+    }
+
+    // Reads the metadata of an open MBTiles database; the caller keeps or closes it
+    describeMbtiles(sourcePath, database) {
+        const metadata = {};
+        const rows = database.exec('SELECT name, value FROM metadata');
+        for (const [name, value] of rows.length > 0 ? rows[0].values : []) {
+            metadata[name] = value;
+        }
+
+        const format = String(metadata.format || 'png').toLowerCase();
+        if (!CONTENT_TYPES[format]) {
+            throw new Error(`MBTiles with ${format} tiles aren't supported; use a raster (PNG/JPEG/WebP) MBTiles`);
+        }
+
+        // Older files leave the zoom range out of the metadata
+        const zooms = database.exec('SELECT MIN(zoom_level), MAX(zoom_level) FROM tiles')[0].values[0];
+        const bounds = metadata.bounds ? metadata.bounds.split(',').map(Number) : null;
+
+        return {
+            type: 'mbtiles',
+            name: metadata.name || path.basename(sourcePath),
+            source_path: sourcePath,
+            format,
+            bounds: bounds && bounds.length === 4 && bounds.every(Number.isFinite) ? bounds : null,
+            minzoom: metadata.minzoom !== undefined ? Number(metadata.minzoom) : zooms[0],
+            maxzoom: metadata.maxzoom !== undefined ? Number(metadata.maxzoom) : zooms[1]
+        };
+    }
+
+    // GeoTIFFs are drawn as a single image overlay; sharp flattens the raster, geotiff reads where it goes
+    async renderGeoTiff(sourcePath) {
+        const { fromFile } = require('geotiff');
+
+        const tiff = await fromFile(sourcePath);
+        let bounds;
+        try {
+            const image = await tiff.getImage();
+            bounds = toLatLngBounds(image.getBoundingBox(), image.getGeoKeys() || {});
+        } finally {
+            tiff.close();
+        }
+
+        const imagePath = path.join(this.stateDir, `overlay-${crypto.randomBytes(4).toString('hex')}.png`);
+        await sharp(sourcePath, { limitInputPixels: false })
+            .resize(OVERLAY_MAX_SIZE, OVERLAY_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .png()
+            .toFile(imagePath);
+
+        return {
+            type: 'geotiff',
+            name: path.basename(sourcePath),
+            source_path: sourcePath,
+            format: 'png',
+            bounds,
+            minzoom: null,
+            maxzoom: null,
+            image_path: imagePath
+        };
+    }
+
+    async removeOverlay() {
+        const basemap = this.store.data.basemap;
+        if (basemap && basemap.image_path) {
+            await fs.remove(basemap.image_path);
+        }
+    }
+}
+
+// sql.js keeps the whole database in memory, which suits the reserve-sized MBTiles used in the field
+async function openMbtiles(sourcePath) {
+    const { size } = await fs.stat(sourcePath);
+    if (size > MBTILES_MAX_SIZE) {
+        throw new Error(`${path.basename(sourcePath)} is ${formatSize(size)}; MBTiles files over ${formatSize(MBTILES_MAX_SIZE)} ` +
+            'are not supported - extract the tiles to a {z}/{x}/{y} folder and choose that instead');
+    }
+
+    const initSqlJs = require('sql.js');
+    const SQL = await initSqlJs();
+    const database = new SQL.Database(await fs.readFile(sourcePath));
+
+    const tables = database.exec("SELECT name FROM sqlite_master WHERE type IN ('table', 'view') AND name IN ('tiles', 'metadata')");
+    if (tables.length === 0 || tables[0].values.length < 2) {
+        database.close();
+        throw new Error(`${path.basename(sourcePath)} is not an MBTiles file`);
+    }
+    return database;
+}
+
+function formatSize(bytes) {
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+// A {z}/{x}/{y}.png tree as written by most tile downloaders; the zoom range comes from the folder names
+async function describeTileFolder(sourcePath, name) {
+    const zooms = (await fs.readdir(sourcePath))
+        .filter(entry => /^\d+$/.test(entry))
+        .map(Number)
+        .sort((a, b) => a - b);
+
+    if (zooms.length === 0) {
+        throw new Error('No {z}/{x}/{y} tile folders found in the selected folder');
+    }
+
+    const format = await findTileFormat(path.join(sourcePath, String(zooms[0])));
+    if (!format) {
+        throw new Error('No PNG, JPEG or WebP tiles found in the selected folder');
+    }
+
+    return {
+        type: 'tiles',
+        name: name || path.basename(sourcePath),
+        source_path: sourcePath,
+        format,
+        bounds: null,
+        minzoom: zooms[0],
+        maxzoom: zooms[zooms.length - 1]
+    };
+}
+
+async function findTileFormat(zoomDir) {
+    for (const column of await fs.readdir(zoomDir)) {
+        const tiles = await fs.readdir(path.join(zoomDir, column)).catch(() => []);
+        const extension = tiles.map(tile => path.extname(tile).slice(1).toLowerCase()).find(ext => TILE_EXTENSIONS.includes(ext));
+        if (extension) return extension;
+    }
+    return null;
+}
+
+// [west, south, east, north] in degrees, from a GeoTIFF bounding box in WGS84 or Web Mercator
+function toLatLngBounds([minX, minY, maxX, maxY], geoKeys) {
+    const projected = geoKeys.ProjectedCSTypeGeoKey;
+    const geographic = geoKeys.GeographicTypeGeoKey;
+
+    if (WEB_MERCATOR_CODES.includes(projected)) {
+        const [west, south] = mercatorToLatLng(minX, minY);
+        const [east, north] = mercatorToLatLng(maxX, maxY);
+        return [west, south, east, north];
+    }
+
+    // Model type 2 is geographic (lat/long); without a projected CRS that is assumed to be WGS84
+    if (!projected && (geographic === WGS84_CODE || geoKeys.GTModelTypeGeoKey === 2)) {
+        return [minX, minY, maxX, maxY];
+    }
+
+    throw new Error('Only GeoTIFFs in WGS84 (EPSG:4326) or Web Mercator (EPSG:3857) can be used; reproject it first');
+}
+
+function mercatorToLatLng(x, y) {
+    const longitude = (x / EARTH_RADIUS) * (180 / Math.PI);
+    const latitude = (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * (180 / Math.PI);
+    return [longitude, latitude];
+}
+
+module.exports = BasemapManager;
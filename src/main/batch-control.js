@@ -0,0 +1,85 @@
+const { EventEmitter } = require('events');
+
+class BatchCancelledError extends Error {
+    constructor(message = 'Processing cancelled') {
+        super(message);
+        this.name = 'BatchCancelledError';
+        this.code = 'BATCH_CANCELLED';
+    }
+}
+
+// Handed to processors as options.control so a running batch can be paused, resumed or cancelled.
+// Processors call checkpoint() between units of work and pass `signal` to their HTTP requests.
+class BatchControl extends EventEmitter {
+    constructor() {
+        super();
+        this.abortController = new AbortController();
+        this.state = 'running';
+        this.resumeWaiters = [];
+    }
+
+    get signal() {
+        return this.abortController.signal;
+    }
+
+    get isPaused() {
+        return this.state === 'paused';
+    }
+
+    get isCancelled() {
+        return this.state === 'cancelled';
+    }
+
+    pause() {
+        if (this.state !== 'running') return false;
+
+        this.setState('paused');
+        return true;
+    }
+
+    resume() {
+        if (this.state !== 'paused') return false;
+
+        this.setState('running');
+        this.releaseWaiters();
+        return true;
+    }
+
+    cancel() {
+        if (this.state === 'cancelled') return false;
+
+        this.setState('cancelled');
+        this.abortController.abort();
+        this.releaseWaiters();
+        return true;
+    }
+
+    // Waits out a pause and throws once the batch has been cancelled
+    async checkpoint() {
+        while (this.state === 'paused') {
+            await new Promise(resolve => this.resumeWaiters.push(resolve));
+        }
+
+        if (this.state === 'cancelled') {
+            throw new BatchCancelledError();
+        }
+    }
+
+    setState(state) {
+        this.state = state;
+        this.emit('state', state);
+    }
+
+    releaseWaiters() {
+        const waiters = this.resumeWaiters;
+        this.resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+}
+
+// Our own cancellation or an aborted axios request
+function isCancellation(error) {
+    return !!error && (error.code === 'BATCH_CANCELLED' || error.code === 'ERR_CANCELED');
+}
+
+module.exports = { BatchControl, BatchCancelledError, isCancellation };
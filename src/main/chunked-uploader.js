@@ -0,0 +1,264 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const JsonStore = require('./json-store');
+const { isCancellation } = require('./batch-control');
+const { BACKEND_CONFIG } = require('../config/backend-config');
+
+// Uploads a large file to the backend in fixed-size chunks. Each chunk carries a SHA-256 checksum
+// the server verifies, and a resume token on disk lets an interrupted upload pick up where it left
+// off - even after the app restarts - instead of sending 200 GB again.
+class ChunkedUploader {
+    constructor(baseUrl, stateDir, options = {}) {
+        this.baseUrl = baseUrl;
+        this.stateDir = stateDir;
+        this.chunkSize = options.chunkSize || BACKEND_CONFIG.UPLOAD.CHUNK_SIZE;
+        this.maxRetries = options.maxRetries ?? BACKEND_CONFIG.UPLOAD.MAX_RETRIES;
+    }
+
+    // Resolves with the server's upload id once every chunk has been accepted
+    async upload(filePath, progressCallback, control) {
+        const stats = await fs.stat(filePath);
+        const token = await this.loadToken(filePath, stats);
+        const session = await this.resolveSession(token, filePath, stats);
+
+        const { upload_id: uploadId, chunk_size: chunkSize } = token.data;
+        const totalChunks = Math.max(1, Math.ceil(stats.size / chunkSize));
+        const received = new Set(session.received_chunks || []);
+
+        if (token.data.completed && (session.completed || received.size === totalChunks)) {
+            console.log(`♻️ ${path.basename(filePath)} already uploaded as ${uploadId}`);
+            return uploadId;
+        }
+
+        if (received.size > 0) {
+            console.log(`⏯ Resuming upload ${uploadId}: ${received.size}/${totalChunks} chunks already on server`);
+        }
+
+        const report = (chunkIndex) => {
+            if (!progressCallback) return;
+
+            const loaded = Math.min(stats.size, received.size * chunkSize);
+            progressCallback({
+                stage: received.size > 0 && chunkIndex === null ? 'Resuming upload' : 'Uploading ZIP file',
+                progress: Math.round((loaded * 100) / (stats.size || 1)),
+                loaded,
+                total: stats.size,
+                current: 0,
+                chunk: received.size,
+                total_chunks: totalChunks,
+                currentFile: `Uploaded ${formatBytes(loaded)} of ${formatBytes(stats.size)}`
+            });
+        };
+
+        report(null);
+
+        const handle = await fs.open(filePath, 'r');
+        try {
+            for (let index = 0; index < totalChunks; index++) {
+                if (received.has(index)) continue;
+
+                // Pausing takes effect between chunks
+                await control?.checkpoint();
+
+                const length = Math.min(chunkSize, stats.size - index * chunkSize);
+                const buffer = Buffer.alloc(length);
+                await fs.read(handle, buffer, 0, length, index * chunkSize);
+
+                const checksum = sha256(buffer);
+                await this.sendChunk(uploadId, index, buffer, checksum, index * chunkSize, stats.size, control);
+
+                received.add(index);
+                await token.update(data => {
+                    data.chunk_checksums[index] = checksum;
+                    data.updated_at = new Date().toISOString();
+                });
+
+                report(index);
+            }
+        } finally {
+            await fs.close(handle);
+        }
+
+        await this.complete(token, totalChunks);
+        console.log(`✅ Upload ${uploadId} complete (${formatBytes(stats.size)})`);
+        return uploadId;
+    }
+
+    // Called once the backend has finished with the upload; the next run starts from scratch
+    async forget(filePath) {
+        await fs.remove(this.tokenPath(filePath));
+    }
+
+    // Like forget, but also asks the server to drop the chunks it holds
+    async discard(filePath) {
+        const tokenPath = this.tokenPath(filePath);
+        if (!await fs.pathExists(tokenPath)) return;
+
+        try {
+            const { upload_id: uploadId } = await fs.readJson(tokenPath);
+            if (uploadId) {
+                await axios.delete(
+                    `${this.baseUrl}${BACKEND_CONFIG.ENDPOINTS.UPLOAD_STATUS.replace(':uploadId', uploadId)}`,
+                    { timeout: BACKEND_CONFIG.TIMEOUT }
+                );
+                console.log(`🗑 Discarded upload ${uploadId}`);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not discard upload for ${path.basename(filePath)}: ${error.message}`);
+        }
+
+        await this.forget(filePath);
+    }
+
+    // Reuses the saved token if it was made for this exact file and server, otherwise starts over
+    async loadToken(filePath, stats) {
+        const token = new JsonStore(this.tokenPath(filePath), {});
+        await token.load();
+
+        const data = token.data;
+        const stale = !data.upload_id ||
+            data.file_size !== stats.size ||
+            data.file_mtime_ms !== stats.mtimeMs ||
+            data.base_url !== this.baseUrl;
+
+        if (stale) {
+            token.data = {};
+            await token.save();
+        }
+
+        return token;
+    }
+
+    // Asks the server which chunks it already holds; unknown or expired uploads are re-created
+    async resolveSession(token, filePath, stats) {
+        if (token.data.upload_id) {
+            try {
+                const response = await axios.get(
+                    `${this.baseUrl}${BACKEND_CONFIG.ENDPOINTS.UPLOAD_STATUS.replace(':uploadId', token.data.upload_id)}`,
+                    { timeout: BACKEND_CONFIG.TIMEOUT }
+                );
+                return response.data;
+            } catch (error) {
+                if (!error.response || error.response.status !== 404) throw error;
+                console.warn(`⚠️ Server no longer has upload ${token.data.upload_id}, starting again`);
+            }
+        }
+
+        let response;
+        try {
+            response = await axios.post(
+                `${this.baseUrl}${BACKEND_CONFIG.ENDPOINTS.UPLOAD_INIT}`,
+                {
+                    filename: path.basename(filePath),
+                    file_size: stats.size,
+                    chunk_size: this.chunkSize
+                },
+                { timeout: BACKEND_CONFIG.TIMEOUT }
+            );
+        } catch (error) {
+            if (error.response && [404, 405].includes(error.response.status)) {
+                const unsupported = new Error('Backend does not support chunked uploads');
+                unsupported.code = 'UPLOADS_UNSUPPORTED';
+                throw unsupported;
+            }
+            throw error;
+        }
+
+        const now = new Date().toISOString();
+        token.data = {
+            upload_id: response.data.upload_id,
+            // The server may cap the chunk size, so its answer wins
+            chunk_size: response.data.chunk_size || this.chunkSize,
+            file_path: filePath,
+            file_size: stats.size,
+            file_mtime_ms: stats.mtimeMs,
+            base_url: this.baseUrl,
+            chunk_checksums: {},
+            completed: false,
+            created_at: now,
+            updated_at: now
+        };
+        await token.save();
+
+        return { received_chunks: [] };
+    }
+
+    async sendChunk(uploadId, index, buffer, checksum, start, fileSize, control) {
+        const url = `${this.baseUrl}${BACKEND_CONFIG.ENDPOINTS.UPLOAD_CHUNK
+            .replace(':uploadId', uploadId)
+            .replace(':index', index)}`;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await axios.put(url, buffer, {
+                    headers: {
+                        'Content-Type': 'application/octet-stream',
+                        'Content-Range': `bytes ${start}-${start + buffer.length - 1}/${fileSize}`,
+                        'X-Chunk-Checksum': `sha256=${checksum}`
+                    },
+                    maxBodyLength: Infinity,
+                    timeout: BACKEND_CONFIG.UPLOAD.CHUNK_TIMEOUT,
+                    signal: control?.signal
+                });
+                return;
+            } catch (error) {
+                if (isCancellation(error)) throw error;
+
+                // 4xx other than a checksum mismatch (422) or conflict won't succeed on retry
+                const status = error.response && error.response.status;
+                const retryable = !status || status >= 500 || status === 409 || status === 422;
+
+                if (!retryable || attempt > this.maxRetries) {
+                    console.error(`❌ Chunk ${index} of upload ${uploadId} failed after ${attempt} attempt(s):`, error.message);
+                    throw error;
+                }
+
+                const delay = Math.min(30000, 1000 * 2 ** (attempt - 1));
+                console.warn(`⚠️ Chunk ${index} failed (${status || error.code || error.message}), retrying in ${delay / 1000}s`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async complete(token, totalChunks) {
+        const checksums = Array.from({ length: totalChunks }, (_, index) => token.data.chunk_checksums[index] || null);
+
+        await axios.post(
+            `${this.baseUrl}${BACKEND_CONFIG.ENDPOINTS.UPLOAD_COMPLETE.replace(':uploadId', token.data.upload_id)}`,
+            { total_chunks: totalChunks, chunk_checksums: checksums },
+            { timeout: BACKEND_CONFIG.TIMEOUT * 4 }
+        );
+
+        await token.update(data => {
+            data.completed = true;
+            data.updated_at = new Date().toISOString();
+        });
+    }
+
+    // One token per file, keyed by its absolute path
+    tokenPath(filePath) {
+        const key = crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex');
+        return path.join(this.stateDir, `${key}.json`);
+    }
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+module.exports = ChunkedUploader;
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const JsonStore = require('./json-store');
+
+const SEX_VALUES = ['male', 'female', 'unknown'];
+const PHOTO_TYPES = ['head', 'right_ear'];
+
+// Fields a caller may set on an individual; everything else is managed by the registry
+const EDITABLE_FIELDS = [
+    'name',
+    'aliases',
+    'sex',
+    'approximate_age_years',
+    'age_recorded_at',
+    'home_range_notes',
+    'notes',
+    'reference_ids'
+];
+
+// Known individuals persisted under the app's userData directory so identities survive restarts
+class ElephantRegistry {
+    constructor(baseDir) {
+        this.baseDir = baseDir;
+        this.photosDir = path.join(baseDir, 'photos');
+        this.store = new JsonStore(path.join(baseDir, 'registry.json'), {
+            version: 1,
+            next_number: 1,
+            individuals: []
+        });
+        this.isInitialized = false;
+    }
+
+    async initialize() {
+        try {
+            await fs.ensureDir(this.photosDir);
+            await this.store.load();
+
+            this.isInitialized = true;
+            console.log(`✅ Elephant registry loaded (${this.store.data.individuals.length} individuals)`);
+        } catch (error) {
+            console.error('Failed to initialize elephant registry:', error);
+            throw error;
+        }
+    }
+
+    listIndividuals(query = '') {
+        const needle = String(query || '').trim().toLowerCase();
+        const individuals = this.store.data.individuals;
+
+        const matches = needle
+            ? individuals.filter(individual => [individual.id, individual.name, ...individual.aliases, ...individual.reference_ids]
+                .some(value => String(value).toLowerCase().includes(needle)))
+            : individuals;
+
+        return matches
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(individual => this.withPhotoPaths(individual));
+    }
+
+    getIndividual(id) {
+        const individual = this.findIndividual(id);
+        return individual ? this.withPhotoPaths(individual) : null;
+    }
+
+    async createIndividual(fields = {}) {
+        const sanitized = sanitizeFields(fields);
+        if (!sanitized.name) {
+            throw new Error('An individual needs a name');
+        }
+
+        return await this.store.update(data => {
+            const now = new Date().toISOString();
+            const individual = {
+                id: `IND-${String(data.next_number).padStart(4, '0')}`,
+                name: '',
+                aliases: [],
+                sex: 'unknown',
+                approximate_age_years: null,
+                age_recorded_at: null,
+                home_range_notes: '',
+                notes: '',
+                reference_ids: [],
+                photos: [],
+                ...sanitized,
+                created_at: now,
+                updated_at: now
+            };
+
+            if (individual.approximate_age_years !== null && !individual.age_recorded_at) {
+                individual.age_recorded_at = now;
+            }
+
+            data.next_number += 1;
+            data.individuals.push(individual);
+
+            console.log(`🐘 Registered individual ${individual.id} (${individual.name})`);
+            return this.withPhotoPaths(individual);
+        });
+    }
+
+    async updateIndividual(id, changes = {}) {
+        const individual = this.requireIndividual(id);
+        const sanitized = sanitizeFields(changes);
+
+        if ('name' in sanitized && !sanitized.name) {
+            throw new Error('An individual needs a name');
+        }
+
+        return await this.store.update(() => {
+            // A new age estimate restarts the clock it is measured from
+            if ('approximate_age_years' in sanitized && !('age_recorded_at' in sanitized)) {
+                sanitized.age_recorded_at = new Date().toISOString();
+            }
+
+            Object.assign(individual, sanitized, { updated_at: new Date().toISOString() });
+            return this.withPhotoPaths(individual);
+        });
+    }
+
+    async deleteIndividual(id) {
+        this.requireIndividual(id);
+
+        await this.store.update(data => {
+            data.individuals = data.individuals.filter(individual => individual.id !== id);
+        });
+
+        await fs.remove(path.join(this.photosDir, id));
+        console.log(`🗑 Removed individual ${id}`);
+        return { id };
+    }
+
+    // Reference photos are copied into the registry so they survive the source card being wiped
+    async addPhoto(id, sourcePath, type) {
+        const individual = this.requireIndividual(id);
+
+        if (!PHOTO_TYPES.includes(type)) {
+            throw new Error(`Unknown photo type: ${type}`);
+        }
+        if (!await fs.pathExists(sourcePath)) {
+            throw new Error('Photo file not found');
+        }
+
+        const photoId = crypto.randomUUID();
+        const file = `${photoId}${path.extname(sourcePath).toLowerCase()}`;
+        await fs.copy(sourcePath, path.join(this.photosDir, id, file));
+
+        return await this.store.update(() => {
+            individual.photos.push({
+                id: photoId,
+                type,
+                file,
+                original_name: path.basename(sourcePath),
+                added_at: new Date().toISOString()
+            });
+            individual.updated_at = new Date().toISOString();
+            return this.withPhotoPaths(individual);
+        });
+    }
+
+    async removePhoto(id, photoId) {
+        const individual = this.requireIndividual(id);
+        const photo = individual.photos.find(candidate => candidate.id === photoId);
+
+        if (!photo) {
+            throw new Error('Photo not found');
+        }
+
+        await fs.remove(path.join(this.photosDir, id, photo.file));
+
+        return await this.store.update(() => {
+            individual.photos = individual.photos.filter(candidate => candidate.id !== photoId);
+            individual.updated_at = new Date().toISOString();
+            return this.withPhotoPaths(individual);
+        });
+    }
+
+    // Siamese matches name elephants by their dataset id; reference_ids maps those onto individuals
+    findByReferenceId(referenceId) {
+        if (referenceId === undefined || referenceId === null) return null;
+
+        const key = String(referenceId).toLowerCase();
+        return this.store.data.individuals.find(individual =>
+            individual.id.toLowerCase() === key ||
+            individual.reference_ids.some(reference => String(reference).toLowerCase() === key)) || null;
+    }
+
+    // Annotates a processing response in place so the renderer can link matches, fused candidates and encounters to registry entries
+    linkResults(results) {
+        if (!results) return results;
+
+        // Batch responses carry detailed_results; single-file responses are one result
+        const entries = Array.isArray(results.detailed_results) ? results.detailed_results : [results];
+
+        for (const entry of entries) {
+            const siamese = entry.siamese_result || entry;
+            const candidates = [
+                siamese.matches,
+                siamese.candidates,
+                entry.ear_result && entry.ear_result.matches,
+                entry.fused_result && entry.fused_result.candidates
+            ].filter(Array.isArray).flat();
+
+            for (const match of candidates) {
+                const individual = this.findByReferenceId(match.elephant_id);
+                match.registry_individual = individual ? summarize(individual) : null;
+            }
+        }
+
+        for (const encounter of results.encounters || []) {
+            if (!encounter.identification) continue;
+
+            const individual = this.findByReferenceId(encounter.identification.elephant_id);
+            encounter.identification.registry_individual = individual ? summarize(individual) : null;
+        }
+
+        return results;
+    }
+
+    findIndividual(id) {
+        return this.store.data.individuals.find(individual => individual.id === id) || null;
+    }
+
+    requireIndividual(id) {
+        const individual = this.findIndividual(id);
+        if (!individual) {
+            throw new Error(`Individual ${id} not found in registry`);
+        }
+        return individual;
+    }
+
+    withPhotoPaths(individual) {
+        return {
+            ...individual,
+            aliases: individual.aliases.slice(),
+            reference_ids: individual.reference_ids.slice(),
+            photos: individual.photos.map(photo => ({
+                ...photo,
+                path: path.join(this.photosDir, individual.id, photo.file)
+            }))
+        };
+    }
+}
+
+function summarize(individual) {
+    return {
+        id: individual.id,
+        name: individual.name,
+        sex: individual.sex
+    };
+}
+
+function toList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return Array.from(new Set(items.map(item => String(item).trim()).filter(Boolean)));
+}
+
+function sanitizeFields(fields) {
+    const sanitized = {};
+
+    for (const field of EDITABLE_FIELDS) {
+        if (!(field in fields)) continue;
+        const value = fields[field];
+
+        switch (field) {
+            case 'aliases':
+            case 'reference_ids':
+                sanitized[field] = toList(value);
+                break;
+            case 'sex':
+                if (!SEX_VALUES.includes(value)) {
+                    throw new Error(`Sex must be one of: ${SEX_VALUES.join(', ')}`);
+                }
+                sanitized.sex = value;
+                break;
+            case 'approximate_age_years': {
+                const years = value === '' || value === null ? null : Number(value);
+                if (years !== null && (!Number.isFinite(years) || years < 0 || years > 90)) {
+                    throw new Error('Approximate age must be between 0 and 90 years');
+                }
+                sanitized.approximate_age_years = years;
+                break;
+            }
+            default:
+                sanitized[field] = value === null || value === undefined ? '' : String(value).trim();
+        }
+    }
+
+    return sanitized;
+}
+
+module.exports = ElephantRegistry;
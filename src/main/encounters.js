@@ -0,0 +1,147 @@
+const path = require('path');
+const { round } = require('./processing-utils');
+const { identify } = require('./result-export');
+
+const DEFAULT_GAP_SECONDS = 60;
+const METHODS = ['vote', 'best_frame'];
+
+// Groups a result set's images into encounters - consecutive photos from the same camera with no more than
+// gapSeconds between them, i.e. one camera-trap burst - and settles on one identification per encounter,
+// in place as results.encounters with an encounter_id on each result. method is 'vote' (each frame's best
+// match is one vote) or 'best_frame' (the single strongest match wins). A gap of 0 turns grouping off.
+function groupEncounters(results, options = {}) {
+    if (!results || !Array.isArray(results.detailed_results)) return results;
+
+    const gapSeconds = Number.isFinite(Number(options.encounter_gap_seconds))
+        ? Math.max(0, Number(options.encounter_gap_seconds))
+        : DEFAULT_GAP_SECONDS;
+    const method = METHODS.includes(options.encounter_method) ? options.encounter_method : 'vote';
+
+    results.detailed_results.forEach(result => {
+        if (result) delete result.encounter_id;
+    });
+    delete results.encounters;
+    delete results.encounter_settings;
+    if (gapSeconds === 0) return results;
+
+    // Bursts are per camera, in capture order; photos without a capture time stand alone
+    const byCamera = new Map();
+    results.detailed_results.forEach((result, index) => {
+        if (!result || result.category === 'processing_error' || result.category === '99_processing_errors') return;
+
+        const camera = cameraOf(result);
+        if (!byCamera.has(camera.key)) byCamera.set(camera.key, { camera, frames: [] });
+        byCamera.get(camera.key).frames.push({ result, index, time: captureTime(result) });
+    });
+
+    const bursts = [];
+    for (const { camera, frames } of byCamera.values()) {
+        const timed = frames.filter(frame => frame.time !== null).sort((a, b) => a.time - b.time);
+        let current = null;
+
+        for (const frame of timed) {
+            if (!current || frame.time - current.frames[current.frames.length - 1].time > gapSeconds * 1000) {
+                current = { camera, frames: [] };
+                bursts.push(current);
+            }
+            current.frames.push(frame);
+        }
+
+        frames.filter(frame => frame.time === null).forEach(frame => bursts.push({ camera, frames: [frame] }));
+    }
+
+    bursts.sort((a, b) => (a.frames[0].time ?? Infinity) - (b.frames[0].time ?? Infinity) || a.frames[0].index - b.frames[0].index);
+
+    results.encounters = bursts.map((burst, position) => {
+        const id = `ENC-${String(position + 1).padStart(3, '0')}`;
+        burst.frames.forEach(frame => { frame.result.encounter_id = id; });
+        return describeEncounter(id, burst, method);
+    });
+    results.encounter_settings = { gap_seconds: gapSeconds, method };
+
+    console.log(`🎞️ Grouped ${results.detailed_results.length} images into ${results.encounters.length} encounters (${gapSeconds}s gap, ${method})`);
+    return results;
+}
+
+function describeEncounter(id, burst, method) {
+    const frames = burst.frames.map(frame => ({ ...frame, top: frameIdentification(frame.result) }));
+    const identified = frames.filter(frame => frame.top);
+
+    // Every elephant some frame picked, with its votes and strongest frame
+    const tally = new Map();
+    for (const frame of identified) {
+        const entry = tally.get(frame.top.elephant_id) || { elephant_id: frame.top.elephant_id, votes: 0, best_score: 0, best_frame: null };
+        entry.votes++;
+        if (entry.best_frame === null || frame.top.score > entry.best_score) {
+            entry.best_score = frame.top.score;
+            entry.best_frame = frame.index;
+        }
+        tally.set(frame.top.elephant_id, entry);
+    }
+
+    const candidates = Array.from(tally.values())
+        .map(entry => ({ ...entry, best_score: round(entry.best_score, 4) }))
+        .sort(method === 'best_frame'
+            ? (a, b) => b.best_score - a.best_score || b.votes - a.votes
+            : (a, b) => b.votes - a.votes || b.best_score - a.best_score);
+
+    const winner = candidates[0] || null;
+    const first = frames[0];
+    const last = frames[frames.length - 1];
+
+    return {
+        id,
+        camera: burst.camera.label,
+        start: first.result.metadata?.captured_at || null,
+        end: last.result.metadata?.captured_at || null,
+        duration_seconds: first.time !== null && last.time !== null ? Math.round((last.time - first.time) / 1000) : 0,
+        frames: frames.map(frame => frame.index),
+        size: frames.length,
+        // Without an identification the frame with the most confident detection represents the encounter
+        best_frame: winner ? winner.best_frame : mostConfidentFrame(frames),
+        identification: winner ? {
+            elephant_id: winner.elephant_id,
+            score: winner.best_score,
+            votes: winner.votes,
+            frames_identified: identified.length,
+            method
+        } : null,
+        candidates,
+        conflicting: candidates.length > 1
+    };
+}
+
+// A frame's pick is the same one exports and reports make, so a reviewer's accept or reject counts here too
+function frameIdentification(result) {
+    const identification = identify(result);
+    return identification
+        ? { elephant_id: identification.elephant_id, score: identification.score ?? 0 }
+        : null;
+}
+
+function mostConfidentFrame(frames) {
+    const confidence = frame => (frame.result.yolo_result && frame.result.yolo_result.highest_confidence) || 0;
+    return frames.reduce((best, frame) => confidence(frame) > confidence(best) ? frame : best).index;
+}
+
+// Serial number where the camera records one, else make and model, else the folder the photo came from
+function cameraOf(result) {
+    const camera = (result.metadata && result.metadata.camera) || {};
+    const name = [camera.make, camera.model].filter(Boolean).join(' ');
+    const folder = path.dirname(result.relative_path || result.filename || '');
+
+    if (camera.serial) return { key: `serial:${camera.serial}`, label: `${name || 'Camera'} · S/N ${camera.serial}` };
+    if (name) return { key: `model:${name}|${folder}`, label: name };
+    return { key: `folder:${folder}`, label: folder === '.' ? 'Unknown camera' : folder };
+}
+
+function captureTime(result) {
+    const capturedAt = result.metadata && result.metadata.captured_at;
+    const time = capturedAt ? Date.parse(capturedAt) : NaN;
+    return Number.isNaN(time) ? null : time;
+}
+
+module.exports = {
+    groupEncounters,
+    DEFAULT_GAP_SECONDS
+};
@@ -0,0 +1,453 @@
+const sharp = require('sharp');
+const path = require('path');
+const { identify } = require('./result-export');
+
+// Per individual page: this many of its highest-scoring images, and at most this many rows of its recorded sightings
+const BEST_PHOTOS = 4;
+const SIGHTING_ROWS = 25;
+const PHOTO_WIDTH = 640;
+const PHOTO_HEIGHT = 480;
+
+const CATEGORY_LABELS = {
+    'elephants_detected': 'Elephants Detected',
+    'matches_found': 'Matches Found',
+    'no_elephants': 'No Elephants',
+    'no_matches': 'No Matches',
+    'processing_error': 'Processing Error',
+    '00_no_elephants_detected': 'No Elephants',
+    '99_processing_errors': 'Errors'
+};
+
+const MODEL_LABELS = {
+    'yolo': 'YOLO detection',
+    'siamese': 'Siamese head',
+    'ear': 'Ear'
+};
+
+const PROCESSING_TYPE_LABELS = {
+    'yolo': 'YOLO Detection',
+    'compare-dataset': 'Dataset Comparison',
+    'combined': 'Combined Analysis',
+    'individual_elephants': 'Individual Elephant ID'
+};
+
+// A single self-contained HTML page for a result set: the totals the results view shows, category and
+// individual charts, one page per identified individual with its best photos and sightings, and the
+// thresholds and model versions it was produced with. Photos are embedded, so the file can be mailed on its
+// own, and the print styles break it into pages for printToPDF.
+// details: { title, session, engine, generated_at, app_version }
+// hooks: { resolveImage(result) -> local path or null, getIndividual(id), getTimeline(id) }
+async function buildFieldReport(results, details = {}, hooks = {}) {
+    const detailed = ((results && results.detailed_results) || []).filter(Boolean);
+    const session = details.session || null;
+    const title = details.title || (session ? session.name : 'Field Report');
+    const generatedAt = details.generated_at || new Date().toISOString();
+
+    const individuals = collectIndividuals(detailed, hooks);
+    let photos = 0;
+    for (const individual of individuals) {
+        individual.photos = await embedBestPhotos(individual.images, hooks);
+        photos += individual.photos.length;
+    }
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<header class="report-header">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(describeRun(results, session, detailed))}</p>
+    <p class="muted">Generated ${escapeHtml(formatDate(generatedAt))} by Airavat${details.app_version ? ` ${escapeHtml(details.app_version)}` : ''}</p>
+</header>
+${formatSummary(results)}
+${formatCharts(results, individuals)}
+${formatEncounters(results.encounters)}
+${individuals.map(individual => formatIndividual(individual, hooks)).join('\n')}
+${formatMethods(results, session, details.engine, detailed)}
+</body>
+</html>
+`;
+
+    console.log(`📝 Built field report with ${individuals.length} individual(s) and ${photos} photo(s)`);
+    return { html, individuals: individuals.length, photos };
+}
+
+// One entry per identified individual, or per unregistered individual-ID group, most images first
+function collectIndividuals(detailed, hooks) {
+    const byKey = new Map();
+
+    for (const result of detailed) {
+        const identification = identify(result);
+        const group = result.individual_elephant_info;
+        let key;
+        let entry;
+
+        if (identification) {
+            key = `id:${identification.elephant_id}`;
+            entry = byKey.get(key) || {
+                id: identification.elephant_id,
+                registry: identification.registry_individual && hooks.getIndividual
+                    ? hooks.getIndividual(identification.registry_individual.id) || identification.registry_individual
+                    : identification.registry_individual,
+                images: []
+            };
+            entry.images.push({ result, score: identification.score, review: identification.review });
+        } else if (group && !(group.review && group.review.decision === 'rejected')) {
+            key = `group:${group.group_id}`;
+            entry = byKey.get(key) || { id: `Individual group ${group.group_id}`, registry: null, images: [] };
+            entry.images.push({ result, score: group.similarity_score ?? null, review: group.review || null });
+        } else {
+            continue;
+        }
+
+        byKey.set(key, entry);
+    }
+
+    return Array.from(byKey.values())
+        .sort((a, b) => b.images.length - a.images.length || displayName(a).localeCompare(displayName(b)));
+}
+
+// The highest-scoring images that can still be found on disk, as JPEG data URLs
+async function embedBestPhotos(images, hooks) {
+    const ranked = images.slice().sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    const photos = [];
+
+    for (const image of ranked) {
+        if (photos.length >= BEST_PHOTOS) break;
+
+        const sourcePath = hooks.resolveImage ? await hooks.resolveImage(image.result) : null;
+        if (!sourcePath) continue;
+
+        try {
+            const thumbnail = await sharp(sourcePath)
+                .rotate()
+                .resize(PHOTO_WIDTH, PHOTO_HEIGHT, { fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+            photos.push({ ...image, src: `data:image/jpeg;base64,${thumbnail.toString('base64')}` });
+        } catch (error) {
+            console.warn(`⚠️ Could not add ${path.basename(sourcePath)} to the field report: ${error.message}`);
+        }
+    }
+
+    return photos;
+}
+
+function describeRun(results, session, detailed) {
+    const dates = detailed
+        .map(result => result.metadata && result.metadata.captured_at)
+        .filter(Boolean)
+        .sort();
+
+    return [
+        PROCESSING_TYPE_LABELS[results.processing_type] || results.processing_type,
+        session && session.inputs ? session.inputs.label : null,
+        session ? `processed ${formatDate(session.created_at)}` : null,
+        dates.length > 0 ? `images taken ${formatDay(dates[0])}${formatDay(dates[dates.length - 1]) !== formatDay(dates[0]) ? ` to ${formatDay(dates[dates.length - 1])}` : ''}` : null
+    ].filter(Boolean).join(' · ');
+}
+
+// The same totals as the results view's processing summary
+function formatSummary(results) {
+    const stats = [
+        ['Total Images', results.total_images || 0],
+        ['Successfully Processed', results.successfully_processed || 0],
+        ['Failed', results.failed_images || 0],
+        ['Processing Time', results.processing_time || 'N/A']
+    ];
+    if (results.individual_elephant_groups) stats.push(['Individual Elephants', results.individual_elephant_groups]);
+    if (results.encounters) stats.push(['Encounters', results.encounters.length]);
+    if (results.quality_excluded && results.quality_excluded.length > 0) stats.push(['Left Out by Quality Screening', results.quality_excluded.length]);
+
+    return `
+<section>
+    <h2>Processing Summary</h2>
+    <div class="stats">
+        ${stats.map(([label, value]) => `<div class="stat"><strong>${escapeHtml(value)}</strong><span>${escapeHtml(label)}</span></div>`).join('')}
+    </div>
+</section>`;
+}
+
+function formatCharts(results, individuals) {
+    const categories = Object.entries(results.results_summary || {})
+        .map(([category, count]) => ({ label: formatCategory(category), value: Number(count) || 0 }));
+    const identified = individuals
+        .slice(0, 15)
+        .map(individual => ({ label: displayName(individual), value: individual.images.length }));
+
+    return `
+<section>
+    <h2>Category Breakdown</h2>
+    ${categories.length > 0 ? barChart(categories) : '<p class="muted">No categories reported</p>'}
+    ${identified.length > 0 ? `
+    <h2>Images per Individual</h2>
+    ${barChart(identified)}
+    ${individuals.length > identified.length ? `<p class="muted">The ${identified.length} individuals with the most images of ${individuals.length}</p>` : ''}` : ''}
+</section>`;
+}
+
+// Horizontal bars with the label to the left and the count at the end of each bar
+function barChart(rows) {
+    const labelWidth = 220;
+    const barWidth = 420;
+    const rowHeight = 26;
+    const max = Math.max(1, ...rows.map(row => row.value));
+    const height = rows.length * rowHeight;
+
+    const bars = rows.map((row, index) => {
+        const y = index * rowHeight;
+        const width = Math.max(row.value > 0 ? 2 : 0, Math.round(row.value / max * barWidth));
+        return `
+        <text x="${labelWidth - 8}" y="${y + 17}" text-anchor="end" font-size="12">${escapeHtml(truncate(row.label, 32))}</text>
+        <rect x="${labelWidth}" y="${y + 4}" width="${width}" height="${rowHeight - 8}" rx="3" fill="#667eea"/>
+        <text x="${labelWidth + width + 6}" y="${y + 17}" font-size="12">${row.value}</text>`;
+    }).join('');
+
+    return `<svg class="chart" xmlns="http://www.w3.org/2000/svg" width="${labelWidth + barWidth + 60}" height="${height}" viewBox="0 0 ${labelWidth + barWidth + 60} ${height}" font-family="sans-serif" fill="#2d3748">${bars}</svg>`;
+}
+
+function formatEncounters(encounters) {
+    if (!encounters || encounters.length === 0) return '';
+
+    return `
+<section>
+    <h2>Encounters</h2>
+    <table>
+        <thead><tr><th>Start</th><th>End</th><th>Camera</th><th>Frames</th><th>Identification</th></tr></thead>
+        <tbody>${encounters.map(encounter => `
+            <tr>
+                <td>${escapeHtml(formatDate(encounter.start))}</td>
+                <td>${escapeHtml(formatDate(encounter.end))}</td>
+                <td>${escapeHtml(encounter.camera || '')}</td>
+                <td>${encounter.size}</td>
+                <td>${encounter.identification
+                    ? `${escapeHtml(encounter.identification.elephant_id)} (${formatScore(encounter.identification.score)}, ${encounter.identification.frames_identified} of ${encounter.size} frames)`
+                    : '<span class="muted">Not identified</span>'}${encounter.conflicting ? ' <span class="flag warning">conflicting</span>' : ''}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>
+</section>`;
+}
+
+function formatIndividual(individual, hooks) {
+    const registry = individual.registry;
+    const facts = registry ? [
+        registry.aliases && registry.aliases.length > 0 ? ['Also known as', registry.aliases.join(', ')] : null,
+        registry.sex && registry.sex !== 'unknown' ? ['Sex', registry.sex] : null,
+        registry.approximate_age_years ? ['Approximate age', `${registry.approximate_age_years} years`] : null,
+        registry.home_range_notes ? ['Home range', registry.home_range_notes] : null,
+        registry.notes ? ['Notes', registry.notes] : null
+    ].filter(Boolean) : [];
+
+    const timeline = registry && hooks.getTimeline ? hooks.getTimeline(registry.id) : null;
+    const images = individual.images.slice().sort((a, b) => compareCaptured(a.result, b.result));
+
+    return `
+<section class="individual">
+    <h2>${escapeHtml(displayName(individual))}</h2>
+    <p class="muted">${registry ? `Registry ${escapeHtml(registry.id)}` : 'Not in the registry'} · ${images.length} image(s) in this session</p>
+    ${facts.length > 0 ? `<dl>${facts.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>` : ''}
+    ${individual.photos.length > 0 ? `
+    <div class="photos">${individual.photos.map(photo => `
+        <figure>
+            <img src="${photo.src}" alt="${escapeHtml(photo.result.filename || '')}">
+            <figcaption>${escapeHtml(describePhoto(photo))}</figcaption>
+        </figure>`).join('')}
+    </div>` : '<p class="muted">No photos found on this computer</p>'}
+    <h3>Sightings in this Session</h3>
+    <table>
+        <thead><tr><th>Image</th><th>Taken</th><th>Camera</th><th>Location</th><th>Score</th></tr></thead>
+        <tbody>${images.map(image => `
+            <tr>
+                <td>${escapeHtml(image.result.relative_path || image.result.filename || '')}</td>
+                <td>${escapeHtml(formatDate(image.result.metadata && image.result.metadata.captured_at))}</td>
+                <td>${escapeHtml(formatCamera(image.result.metadata && image.result.metadata.camera))}</td>
+                <td>${escapeHtml(formatGps(image.result.metadata && image.result.metadata.gps))}</td>
+                <td>${formatScore(image.score)}${image.review && image.review.decision === 'accepted' ? ' <span class="flag">verified</span>' : ''}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>
+    ${timeline ? formatTimeline(timeline) : ''}
+</section>`;
+}
+
+// Everything the sighting log holds for a registered individual, across sessions, latest first
+function formatTimeline(timeline) {
+    const latest = timeline.sightings.slice(-SIGHTING_ROWS).reverse();
+
+    return `
+    <h3>All Recorded Sightings</h3>
+    <p>${timeline.total} sighting(s)${timeline.first_seen ? ` · first seen ${escapeHtml(formatDay(timeline.first_seen))}` : ''}${timeline.last_seen ? ` · last seen ${escapeHtml(formatDay(timeline.last_seen))}` : ''}${timeline.cameras.length > 0 ? ` · ${timeline.cameras.length} camera(s)` : ''}</p>
+    ${latest.length > 0 ? `
+    <table>
+        <thead><tr><th>Taken</th><th>Camera</th><th>Location</th><th>Image</th><th>Confidence</th></tr></thead>
+        <tbody>${latest.map(sighting => `
+            <tr>
+                <td>${escapeHtml(formatDate(sighting.captured_at))}</td>
+                <td>${escapeHtml(formatCamera(sighting.camera))}</td>
+                <td>${escapeHtml(formatGps(sighting.gps))}</td>
+                <td>${escapeHtml(sighting.image ? sighting.image.relative_path || sighting.image.filename || '' : '')}</td>
+                <td>${formatScore(sighting.confidence)}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>
+    ${timeline.total > latest.length ? `<p class="muted">The latest ${latest.length} of ${timeline.total} sightings</p>` : ''}` : ''}`;
+}
+
+// What the numbers in the report depend on: session settings first, then what the engine reported per result
+function formatMethods(results, session, engine, detailed) {
+    const options = (session && session.options) || {};
+    const yolo = detailed.find(result => result.yolo_result && result.yolo_result.confidence_threshold !== undefined);
+    const siamese = detailed.find(result => result.siamese_result && result.siamese_result.siamese_threshold !== undefined);
+    const runEngine = (session && session.engine && session.engine.processor ? session.engine : engine) || {};
+    const versions = Object.entries(runEngine.model_versions || {});
+    const reviews = countReviews(detailed);
+
+    const confidence = options.confidence_threshold ?? (yolo ? yolo.yolo_result.confidence_threshold : null);
+    const similarity = options.siamese_threshold ?? (siamese ? siamese.siamese_result.siamese_threshold : null);
+    const rows = [
+        ['Processing type', PROCESSING_TYPE_LABELS[results.processing_type] || results.processing_type || 'Unknown'],
+        ['Engine', [runEngine.processor, runEngine.processing_mode || results.processing_mode].filter(Boolean).join(' · ') || 'Unknown'],
+        ...versions.map(([model, version]) => [`${MODEL_LABELS[model] || model} model version`, version]),
+        ['Detection confidence threshold', confidence ?? 'Engine default'],
+        ['Similarity threshold', similarity ?? 'Engine default'],
+        results.fusion_weights ? ['Head / ear score weights', `${results.fusion_weights.head} / ${results.fusion_weights.ear}`] : null,
+        results.encounter_settings ? ['Encounter grouping', `${results.encounter_settings.method}, frames at most ${results.encounter_settings.gap_seconds} s apart`] : null,
+        ['Quality screening', options.quality_action && options.quality_action !== 'off' ? options.quality_action : 'Off'],
+        ['Reviewed matches', `${reviews.accepted} accepted · ${reviews.rejected} rejected`]
+    ].filter(Boolean);
+
+    return `
+<section class="methods">
+    <h2>Methods</h2>
+    <table class="settings">
+        <tbody>${rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</tbody>
+    </table>
+    <p>
+        Elephants were detected with YOLO and individuals identified by comparing head and ear crops against the
+        reference set. An image is counted as a sighting of an individual when a candidate reaches the similarity
+        threshold (the combined head and ear score where both were available), otherwise the best remaining match is
+        used. Matches rejected by a reviewer are left out; accepted ones are marked as verified.
+        Images taken by one camera in quick succession are grouped into encounters.
+    </p>
+</section>`;
+}
+
+function countReviews(detailed) {
+    const counts = { accepted: 0, rejected: 0 };
+
+    for (const result of detailed) {
+        const reviewed = [
+            ...((result.siamese_result && result.siamese_result.matches) || []),
+            result.individual_elephant_info
+        ].filter(item => item && item.review);
+        for (const item of reviewed) {
+            if (counts[item.review.decision] !== undefined) counts[item.review.decision]++;
+        }
+    }
+
+    return counts;
+}
+
+function displayName(individual) {
+    const registry = individual.registry;
+    if (!registry) return individual.id;
+    return registry.name ? `${registry.name} (${registry.id})` : registry.id;
+}
+
+function describePhoto(photo) {
+    const metadata = photo.result.metadata || {};
+    return [
+        photo.result.filename,
+        metadata.captured_at ? formatDate(metadata.captured_at) : null,
+        typeof photo.score === 'number' ? `${formatScore(photo.score)} similarity` : null
+    ].filter(Boolean).join(' · ');
+}
+
+function formatCategory(category) {
+    return CATEGORY_LABELS[category] || String(category).replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+function formatScore(score) {
+    return typeof score === 'number' ? `${(score * 100).toFixed(1)}%` : '–';
+}
+
+function formatCamera(camera) {
+    if (!camera) return '';
+    return [camera.make, camera.model].filter(Boolean).join(' ') + (camera.serial ? ` · S/N ${camera.serial}` : '');
+}
+
+function formatGps(gps) {
+    if (!gps || typeof gps.latitude !== 'number' || typeof gps.longitude !== 'number') return '';
+    return `${gps.latitude.toFixed(5)}, ${gps.longitude.toFixed(5)}`;
+}
+
+// Capture times are camera-local and kept as written, so they're shown without converting time zones
+function formatDate(value) {
+    if (!value) return '';
+    return String(value).replace('T', ' ').replace(/\.\d+/, '').replace(/Z$/, ' UTC').slice(0, 23);
+}
+
+function formatDay(value) {
+    return value ? String(value).slice(0, 10) : '';
+}
+
+function compareCaptured(a, b) {
+    const first = (a.metadata && a.metadata.captured_at) || '';
+    const second = (b.metadata && b.metadata.captured_at) || '';
+    if (first && second) return first.localeCompare(second);
+    return first ? -1 : second ? 1 : 0;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const REPORT_STYLES = `
+@page { size: A4; margin: 16mm 14mm; }
+* { box-sizing: border-box; }
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #2d3748; font-size: 12px; line-height: 1.45; max-width: 960px; margin: 0 auto; padding: 24px; }
+h1 { font-size: 24px; margin: 0 0 4px; color: #4c51bf; }
+h2 { font-size: 17px; margin: 24px 0 10px; border-bottom: 2px solid #e2e8f0; padding-bottom: 4px; }
+h3 { font-size: 14px; margin: 18px 0 8px; }
+.report-header { border-bottom: 3px solid #667eea; padding-bottom: 12px; }
+.report-header p { margin: 2px 0; }
+.muted { color: #718096; }
+.stats { display: flex; flex-wrap: wrap; gap: 10px; }
+.stat { flex: 1 1 130px; border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px; text-align: center; background: #f7fafc; }
+.stat strong { display: block; font-size: 20px; color: #4c51bf; }
+.chart { max-width: 100%; height: auto; }
+table { width: 100%; border-collapse: collapse; margin: 6px 0; }
+th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+thead th { background: #edf2f7; }
+tr { break-inside: avoid; }
+.settings th { width: 40%; font-weight: 600; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 8px 0; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+.photos { display: grid; grid-template-columns: repeat(2, 1fr); gap: 10px; margin: 10px 0; }
+figure { margin: 0; break-inside: avoid; }
+figure img { width: 100%; border-radius: 6px; display: block; }
+figcaption { font-size: 10px; color: #718096; margin-top: 2px; }
+.flag { font-size: 10px; padding: 1px 5px; border-radius: 8px; background: #c6f6d5; color: #22543d; }
+.flag.warning { background: #fefcbf; color: #744210; }
+.individual, .methods { break-before: page; }
+@media print { body { padding: 0; max-width: none; } }
+`;
+
+module.exports = {
+    buildFieldReport
+};
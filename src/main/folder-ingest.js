@@ -0,0 +1,152 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { glob } = require('glob');
+const { BACKEND_CONFIG } = require('../config/backend-config');
+const { isSupportedImage, estimateEta } = require('./processing-utils');
+
+// Finds every supported image under rootDir, sorted by relative path.
+// Patterns are globs relative to rootDir, e.g. include "CAM_0*/**" or exclude "**/thumbnails/**".
+async function scanImageFolder(rootDir, { include = [], exclude = [] } = {}) {
+    const stats = await fs.stat(rootDir).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+        throw new Error(`Folder not found: ${rootDir}`);
+    }
+
+    const matches = await glob(include.length > 0 ? include : '**/*', {
+        cwd: rootDir,
+        nodir: true,
+        nocase: true,
+        follow: false,
+        ignore: exclude
+    });
+
+    return matches
+        .filter(isSupportedImage)
+        .map(match => match.split(path.sep).join('/'))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(relativePath => ({
+            path: path.join(rootDir, relativePath),
+            relative_path: relativePath
+        }));
+}
+
+// Splits "a, b\nc" from the options panel into ['a', 'b', 'c']
+function parsePatterns(value) {
+    if (Array.isArray(value)) return value.map(String).map(pattern => pattern.trim()).filter(Boolean);
+    return String(value || '').split(/[,\n]/).map(pattern => pattern.trim()).filter(Boolean);
+}
+
+// Feeds the folder to processBatch(filePaths, options, progressCallback) a batch at a time, straight from
+// disk, and merges the responses. Individual ID clusters across the whole set, so it runs as one batch,
+// capped at FOLDER.MAX_INDIVIDUAL_IMAGES.
+async function processImageFolder(folderPath, options, processBatch, progressCallback) {
+    const include = parsePatterns(options.include_patterns);
+    const exclude = parsePatterns(options.exclude_patterns);
+
+    const files = await scanImageFolder(folderPath, { include, exclude });
+    if (files.length === 0) {
+        throw new Error('No supported images found in the selected folder');
+    }
+
+    const individual = ['individual_elephants', 'individual-elephants'].includes(options.processingType || options.type);
+    if (individual && files.length > BACKEND_CONFIG.FOLDER.MAX_INDIVIDUAL_IMAGES) {
+        throw new Error(`Individual Elephant ID can process at most ${BACKEND_CONFIG.FOLDER.MAX_INDIVIDUAL_IMAGES} images at once ` +
+            `and this folder has ${files.length}; narrow it with include/exclude patterns or process it in parts`);
+    }
+
+    const batchSize = individual ? files.length : BACKEND_CONFIG.FOLDER.BATCH_SIZE;
+    const batchCount = Math.ceil(files.length / batchSize);
+    console.log(`📁 Processing ${files.length} images from ${folderPath} in ${batchCount} batch(es)`);
+
+    const startTime = Date.now();
+    const responses = [];
+
+    for (let start = 0; start < files.length; start += batchSize) {
+        await options.control?.checkpoint();
+
+        const batch = files.slice(start, start + batchSize);
+        const batchNumber = responses.length + 1;
+
+        const response = await processBatch(batch.map(file => file.path), options, (progress) => {
+            if (!progressCallback) return;
+
+            // Batch progress is rescaled to the whole folder; upload byte counts aren't meaningful here
+            const current = start + Math.min(batch.length, progress.current || 0);
+            const fraction = Math.min(1, (progress.progress || 0) / 100);
+            progressCallback({
+                ...progress,
+                stage: batchCount > 1 ? `${progress.stage || 'Processing'} (batch ${batchNumber} of ${batchCount})` : progress.stage,
+                progress: Math.round(((start + fraction * batch.length) / files.length) * 100),
+                current,
+                total: files.length,
+                loaded: undefined,
+                eta_seconds: estimateEta(startTime, current, files.length)
+            });
+        });
+
+        attachRelativePaths(response, batch);
+        responses.push(response);
+    }
+
+    return { ...mergeBatchResponses(responses, startTime), source_folder: folderPath };
+}
+
+// Engines report bare file names, so results are matched back to files by name, in order
+function attachRelativePaths(response, batch) {
+    const pending = new Map();
+    for (const file of batch) {
+        const name = path.basename(file.path);
+        if (!pending.has(name)) pending.set(name, []);
+        pending.get(name).push(file);
+    }
+
+    for (const result of response.detailed_results || []) {
+        const candidates = pending.get(path.basename(result.filename || ''));
+        const file = candidates && candidates.shift();
+        if (file) {
+            result.relative_path = file.relative_path;
+            result.file_path = file.path;
+        }
+    }
+}
+
+function mergeBatchResponses(responses, startTime) {
+    const merged = {
+        ...responses[0],
+        total_images: 0,
+        successfully_processed: 0,
+        failed_images: 0,
+        results_summary: {},
+        detailed_results: [],
+        batch_count: responses.length
+    };
+
+    // Each backend batch packages its own download; none of them covers the whole folder
+    delete merged.zip_file_path;
+    delete merged.quality_excluded;
+
+    for (const response of responses) {
+        merged.total_images += response.total_images || 0;
+        merged.successfully_processed += response.successfully_processed || 0;
+        merged.failed_images += response.failed_images || 0;
+        merged.detailed_results.push(...(response.detailed_results || []));
+        if (response.quality_excluded) {
+            merged.quality_excluded = [...(merged.quality_excluded || []), ...response.quality_excluded];
+        }
+
+        for (const [category, count] of Object.entries(response.results_summary || {})) {
+            merged.results_summary[category] = (merged.results_summary[category] || 0) + count;
+        }
+    }
+
+    merged.processing_time = `${Math.round((Date.now() - startTime) / 100) / 10}s`;
+    return merged;
+}
+
+module.exports = {
+    scanImageFolder,
+    parsePatterns,
+    processImageFolder,
+    attachRelativePaths,
+    mergeBatchResponses
+};
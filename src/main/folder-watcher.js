@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const JsonStore = require('./json-store');
+const { BatchControl, isCancellation } = require('./batch-control');
+const { resolveProcessingType, pickRunOptions } = require('./processing-utils');
+const { scanImageFolder, parsePatterns, attachRelativePaths } = require('./folder-ingest');
+const { BACKEND_CONFIG } = require('../config/backend-config');
+
+// Watches a drop directory (e.g. where SD cards are copied at the station) and processes images as they
+// arrive. The folder is rescanned on an interval rather than relying on fs.watch, which is unreliable on
+// network shares and removable drives. Files only count once their size and mtime have stopped changing.
+// `processBatch(filePaths, options, progressCallback)` runs the engine; results roll into one session.
+class FolderWatcher extends EventEmitter {
+    constructor(stateDir, processBatch) {
+        super();
+        this.processBatch = processBatch;
+        this.store = new JsonStore(path.join(stateDir, 'watch-state.json'), {
+            version: 1,
+            watching: false,
+            config: null,
+            // Absolute path -> { size, mtime_ms, processed_at } so a file is never run twice
+            processed: {},
+            // Absolute path -> { size, mtime_ms, attempts, last_error, failed_at, retry_at } for files whose batch failed
+            failed: {}
+        });
+        this.session = new JsonStore(path.join(stateDir, 'watch-session.json'), emptySession());
+        this.candidates = new Map();
+        this.timer = null;
+        this.control = null;
+        this.scanning = false;
+        this.lastError = null;
+        this.lastScanAt = null;
+    }
+
+    async initialize() {
+        try {
+            await this.store.load();
+            await this.session.load();
+            console.log(`✅ Folder watcher loaded (${Object.keys(this.store.data.processed).length} files already processed)`);
+        } catch (error) {
+            console.error('Failed to initialize folder watcher:', error);
+            throw error;
+        }
+    }
+
+    // Whether watching was switched on last session and should pick up again
+    get wasWatching() {
+        return this.store.data.watching;
+    }
+
+    getStatus() {
+        const { config, watching } = this.store.data;
+        const session = this.session.data;
+
+        return {
+            watching,
+            busy: !!this.control,
+            config,
+            pending: this.candidates.size,
+            processed_count: Object.keys(this.store.data.processed).length,
+            failed_count: Object.keys(this.store.data.failed).length,
+            failed: this.getFailedFiles(),
+            last_scan_at: this.lastScanAt,
+            last_error: this.lastError,
+            session: {
+                id: session.id,
+                started_at: session.started_at,
+                updated_at: session.updated_at,
+                total_images: session.total_images,
+                successfully_processed: session.successfully_processed,
+                failed_images: session.failed_images
+            }
+        };
+    }
+
+    // Files waiting on a retry and files given up on, newest failure first
+    getFailedFiles() {
+        return Object.entries(this.store.data.failed)
+            .map(([filePath, failure]) => ({
+                path: filePath,
+                attempts: failure.attempts,
+                last_error: failure.last_error,
+                failed_at: failure.failed_at,
+                retry_at: failure.retry_at,
+                gave_up: !failure.retry_at
+            }))
+            .sort((a, b) => b.failed_at.localeCompare(a.failed_at));
+    }
+
+    // The rolling session in the same shape as a batch response, so it can be displayed like one
+    getSession() {
+        return { ...this.session.data };
+    }
+
+    async start(config = {}) {
+        const folderPath = config.folderPath;
+        const stats = folderPath ? await fs.stat(folderPath).catch(() => null) : null;
+        if (!stats || !stats.isDirectory()) {
+            throw new Error(`Folder not found: ${folderPath}`);
+        }
+
+        // Individual ID clusters across the whole import, which a trickle of new files can't give it
+        const processingType = config.processingType || 'yolo';
+        if (resolveProcessingType({ processingType }) === 'individual_elephants') {
+            throw new Error('Individual Elephant ID needs the complete set; process the folder once the import has finished');
+        }
+
+        const options = pickRunOptions(config.options);
+
+        await this.store.update(data => {
+            data.watching = true;
+            data.config = {
+                folder_path: folderPath,
+                processing_type: processingType,
+                options,
+                include_patterns: parsePatterns(config.includePatterns),
+                exclude_patterns: parsePatterns(config.excludePatterns)
+            };
+        });
+
+        this.candidates.clear();
+        this.lastError = null;
+        console.log(`👀 Watching ${folderPath} (${processingType})`);
+        this.resume();
+        return this.getStatus();
+    }
+
+    // Restarts polling with the saved configuration
+    resume() {
+        if (!this.store.data.watching || this.timer) return;
+
+        this.timer = setInterval(() => this.scan(), BACKEND_CONFIG.WATCH.POLL_INTERVAL);
+        this.scan();
+        this.emitChange();
+    }
+
+    // Stops watching; a batch in flight is cancelled and its files are picked up again next time
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.candidates.clear();
+
+        if (this.control) {
+            this.control.cancel();
+        }
+
+        await this.store.update(data => {
+            data.watching = false;
+        });
+
+        console.log('👀 Stopped watching');
+        this.emitChange();
+        return this.getStatus();
+    }
+
+    async newSession() {
+        this.session.data = emptySession();
+        await this.session.save();
+
+        this.emitChange();
+        return this.getSession();
+    }
+
+    // Forgets which files were processed or failed, so everything in the folder runs again
+    async resetProcessed() {
+        await this.store.update(data => {
+            data.processed = {};
+            data.failed = {};
+        });
+
+        this.emitChange();
+        return this.getStatus();
+    }
+
+    async scan() {
+        // A slow engine can outlast the poll interval; the next tick simply tries again
+        if (this.scanning || !this.store.data.watching) return;
+        this.scanning = true;
+
+        try {
+            const config = this.store.data.config;
+            const files = await scanImageFolder(config.folder_path, {
+                include: config.include_patterns,
+                exclude: config.exclude_patterns
+            });
+
+            const ready = await this.findSettledFiles(files);
+            this.lastScanAt = new Date().toISOString();
+
+            // Files that failed before are retried one at a time, so a single bad file can't sink a whole batch again
+            const batches = [];
+            const fresh = ready.filter(file => !file.retry);
+            for (let start = 0; start < fresh.length; start += BACKEND_CONFIG.FOLDER.BATCH_SIZE) {
+                batches.push(fresh.slice(start, start + BACKEND_CONFIG.FOLDER.BATCH_SIZE));
+            }
+            batches.push(...ready.filter(file => file.retry).map(file => [file]));
+
+            let batchError = null;
+            for (const batch of batches) {
+                if (!this.store.data.watching) break;
+
+                try {
+                    await this.runBatch(batch);
+                } catch (error) {
+                    if (isCancellation(error)) throw error;
+
+                    // Recorded against the files and the scan moves on, rather than rerunning this batch every poll
+                    console.error(`❌ Watch folder batch of ${batch.length} image(s) failed:`, error);
+                    batchError = error.message;
+                    await this.recordFailure(batch, error);
+                }
+            }
+
+            this.lastError = batchError;
+        } catch (error) {
+            if (!isCancellation(error)) {
+                console.error('❌ Watch folder scan failed:', error);
+                this.lastError = error.message;
+            }
+        } finally {
+            this.scanning = false;
+            this.emitChange();
+        }
+    }
+
+    // New or changed files are held back until they look the same on two scans and are old enough
+    async findSettledFiles(files) {
+        const { processed } = this.store.data;
+        const seen = new Set();
+        const ready = [];
+        const now = Date.now();
+
+        for (const file of files) {
+            const stats = await fs.stat(file.path).catch(() => null);
+            if (!stats || stats.size === 0) continue;
+
+            const done = processed[file.path];
+            if (done && sameFile(done, stats)) continue;
+
+            // An unchanged file that failed waits out its backoff, and is left alone once it has run out of attempts
+            const failure = this.store.data.failed[file.path];
+            if (failure && sameFile(failure, stats)) {
+                if (failure.retry_at && Date.parse(failure.retry_at) <= now) {
+                    ready.push({ ...file, size: stats.size, mtime_ms: stats.mtimeMs, retry: true });
+                }
+                continue;
+            }
+
+            seen.add(file.path);
+            const previous = this.candidates.get(file.path);
+            const unchanged = previous && previous.size === stats.size && previous.mtime_ms === stats.mtimeMs;
+
+            if (unchanged && now - stats.mtimeMs >= BACKEND_CONFIG.WATCH.SETTLE_TIME) {
+                ready.push({ ...file, size: stats.size, mtime_ms: stats.mtimeMs });
+            } else {
+                this.candidates.set(file.path, { size: stats.size, mtime_ms: stats.mtimeMs });
+            }
+        }
+
+        // Files that vanished mid-copy are dropped
+        for (const filePath of this.candidates.keys()) {
+            if (!seen.has(filePath)) this.candidates.delete(filePath);
+        }
+
+        return ready;
+    }
+
+    async runBatch(batch) {
+        const config = this.store.data.config;
+        this.control = new BatchControl();
+        this.emitChange();
+
+        try {
+            console.log(`👀 Processing ${batch.length} new image(s) from ${config.folder_path}`);
+
+            const response = await this.processBatch(batch.map(file => file.path), {
+                ...config.options,
+                processingType: config.processing_type,
+                control: this.control
+            }, (progress) => this.emit('progress', progress));
+
+            attachRelativePaths(response, batch);
+            await this.addToSession(response);
+
+            const processedAt = new Date().toISOString();
+            await this.store.update(data => {
+                for (const file of batch) {
+                    data.processed[file.path] = { size: file.size, mtime_ms: file.mtime_ms, processed_at: processedAt };
+                    delete data.failed[file.path];
+                    this.candidates.delete(file.path);
+                }
+            });
+
+            this.emit('results', {
+                session_id: this.session.data.id,
+                new_images: batch.length,
+                results_summary: response.results_summary || {}
+            });
+        } finally {
+            this.control = null;
+        }
+    }
+
+    // Counts a failure against each file with an exponential backoff; files out of attempts go into the session as errors
+    async recordFailure(batch, error) {
+        const failedAt = new Date();
+        const exhausted = [];
+
+        await this.store.update(data => {
+            for (const file of batch) {
+                const previous = data.failed[file.path];
+                const attempts = previous && sameFile(previous, { size: file.size, mtimeMs: file.mtime_ms })
+                    ? previous.attempts + 1
+                    : 1;
+                const retryAt = attempts < BACKEND_CONFIG.WATCH.MAX_ATTEMPTS
+                    ? new Date(failedAt.getTime() + BACKEND_CONFIG.WATCH.RETRY_DELAY * 2 ** (attempts - 1)).toISOString()
+                    : null;
+
+                data.failed[file.path] = {
+                    size: file.size,
+                    mtime_ms: file.mtime_ms,
+                    attempts,
+                    last_error: error.message,
+                    failed_at: failedAt.toISOString(),
+                    retry_at: retryAt
+                };
+                this.candidates.delete(file.path);
+                if (!retryAt) exhausted.push(file);
+            }
+        });
+
+        if (exhausted.length === 0) return;
+
+        console.warn(`⚠️ Giving up on ${exhausted.length} watched image(s) after ${BACKEND_CONFIG.WATCH.MAX_ATTEMPTS} attempts`);
+        const response = {
+            total_images: exhausted.length,
+            failed_images: exhausted.length,
+            results_summary: { processing_error: exhausted.length },
+            detailed_results: exhausted.map(file => ({
+                filename: path.basename(file.path),
+                relative_path: file.relative_path,
+                file_path: file.path,
+                category: 'processing_error',
+                error_message: error.message
+            }))
+        };
+        await this.addToSession(response);
+
+        this.emit('results', {
+            session_id: this.session.data.id,
+            new_images: exhausted.length,
+            results_summary: response.results_summary
+        });
+    }
+
+    async addToSession(response) {
+        await this.session.update(session => {
+            const now = new Date().toISOString();
+            session.started_at = session.started_at || now;
+            session.updated_at = now;
+            session.processing_mode = response.processing_mode || session.processing_mode;
+            session.processing_type = response.processing_type || session.processing_type;
+            session.source_folder = this.store.data.config.folder_path;
+            session.total_images += response.total_images || 0;
+            session.successfully_processed += response.successfully_processed || 0;
+            session.failed_images += response.failed_images || 0;
+
+            for (const [category, count] of Object.entries(response.results_summary || {})) {
+                session.results_summary[category] = (session.results_summary[category] || 0) + count;
+            }
+
+            // Rolling: the newest results are kept for display, the counts above cover everything
+            session.detailed_results.push(...(response.detailed_results || []));
+            const overflow = session.detailed_results.length - BACKEND_CONFIG.WATCH.MAX_SESSION_RESULTS;
+            if (overflow > 0) {
+                session.detailed_results.splice(0, overflow);
+            }
+        });
+    }
+
+    emitChange() {
+        this.emit('change', this.getStatus());
+    }
+}
+
+function sameFile(entry, stats) {
+    return entry.size === stats.size && entry.mtime_ms === stats.mtimeMs;
+}
+
+function emptySession() {
+    return {
+        id: `watch_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        success: true,
+        watch_session: true,
+        started_at: null,
+        updated_at: null,
+        processing_mode: null,
+        processing_type: null,
+        source_folder: null,
+        total_images: 0,
+        successfully_processed: 0,
+        failed_images: 0,
+        results_summary: {},
+        detailed_results: []
+    };
+}
+
+module.exports = FolderWatcher;
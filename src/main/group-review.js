@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const JsonStore = require('./json-store');
+
+const GROUP_CATEGORY_PATTERN = /^(\d+)_elephant_individual$/;
+
+// Review of the groups returned by individual-elephant clustering: each group can be merged into a
+// registered individual, registered as a new one, split, or have images moved between groups.
+// Every review is its own JSON file so large runs don't slow down the others.
+class GroupReviewManager {
+    constructor(baseDir, registry) {
+        this.baseDir = baseDir;
+        this.registry = registry;
+        this.stores = new Map();
+        // "review/group" keys with a registration in flight, so a double click can't register the group twice
+        this.registering = new Set();
+    }
+
+    async initialize() {
+        await fs.ensureDir(this.baseDir);
+    }
+
+    // filePaths lets the review show thumbnails when the backend only returned file names
+    async createReview(results, filePaths = [], name = '') {
+        if (!results || !Array.isArray(results.detailed_results)) {
+            throw new Error('No results to review');
+        }
+
+        const localPaths = new Map(filePaths.map(filePath => [path.basename(filePath), filePath]));
+        const groups = new Map();
+
+        results.detailed_results.forEach((result, index) => {
+            const match = GROUP_CATEGORY_PATTERN.exec(result.category || '');
+            if (!match) return;
+
+            const key = result.category;
+            if (!groups.has(key)) {
+                groups.set(key, { key, number: parseInt(match[1], 10), images: [], decision: null });
+            }
+
+            groups.get(key).images.push({
+                result_index: index,
+                filename: result.filename,
+                file_path: result.file_path || localPaths.get(path.basename(result.filename || '')) || null,
+                similarity_score: result.individual_elephant_info ? result.individual_elephant_info.similarity_score : null
+            });
+        });
+
+        if (groups.size === 0) {
+            throw new Error('These results contain no individual elephant groups');
+        }
+
+        const now = new Date().toISOString();
+        const id = `review_${now.replace(/[:.]/g, '-')}_${crypto.randomBytes(3).toString('hex')}`;
+
+        const store = new JsonStore(this.reviewPath(id), {
+            id,
+            name: name || `Review of ${results.detailed_results.length} images`,
+            created_at: now,
+            updated_at: now,
+            similarity_threshold: results.similarity_threshold || null,
+            total_images: results.detailed_results.length,
+            groups: Array.from(groups.values()).sort((a, b) => a.number - b.number),
+            history: []
+        });
+
+        await store.load();
+        this.stores.set(id, store);
+
+        console.log(`🐘 Created group review ${id} with ${groups.size} groups`);
+        return this.describe(store.data);
+    }
+
+    async listReviews() {
+        const files = (await fs.readdir(this.baseDir)).filter(file => file.endsWith('.json'));
+        const reviews = [];
+
+        for (const file of files) {
+            try {
+                const review = (await this.loadStore(path.basename(file, '.json'))).data;
+                reviews.push({
+                    id: review.id,
+                    name: review.name,
+                    created_at: review.created_at,
+                    updated_at: review.updated_at,
+                    total_groups: review.groups.length,
+                    decided_groups: review.groups.filter(group => group.decision).length
+                });
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable review ${file}: ${error.message}`);
+            }
+        }
+
+        return reviews.sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    async getReview(id) {
+        return this.describe((await this.loadStore(id)).data);
+    }
+
+    // "Group 03 is Ganesh"
+    async mergeIntoIndividual(id, groupKey, individualId) {
+        const individual = this.registry.getIndividual(individualId);
+        if (!individual) {
+            throw new Error(`Individual ${individualId} not found in registry`);
+        }
+
+        return await this.mutate(id, review => {
+            const group = requireGroup(review, groupKey);
+            const previous = group.decision;
+
+            group.decision = decision('merge', individual);
+            return { action: 'merge', group: groupKey, individual_id: individual.id, previous };
+        });
+    }
+
+    // "This group is a new animal"
+    async registerAsNewIndividual(id, groupKey, fields = {}) {
+        const store = await this.loadStore(id);
+        const group = requireGroup(store.data, groupKey);
+        const registeringKey = `${id}/${groupKey}`;
+
+        // A group already registered as an individual that is still in the registry would only be duplicated
+        const current = group.decision;
+        if (current && current.action === 'register' && this.registry.getIndividual(current.individual_id)) {
+            throw new Error(`${groupKey} is already registered as ${current.individual_name}`);
+        }
+        if (this.registering.has(registeringKey)) {
+            throw new Error(`${groupKey} is already being registered`);
+        }
+
+        this.registering.add(registeringKey);
+        let individual = null;
+        try {
+            individual = await this.registry.createIndividual(fields);
+
+            // The best-scoring image becomes the new individual's first head reference
+            const representative = group.images
+                .filter(image => image.file_path)
+                .sort((a, b) => (b.similarity_score || 0) - (a.similarity_score || 0))[0];
+            if (representative && await fs.pathExists(representative.file_path)) {
+                individual = await this.registry.addPhoto(individual.id, representative.file_path, 'head');
+            }
+
+            const registered = individual;
+            return await this.mutate(id, review => {
+                const target = requireGroup(review, groupKey);
+                const previous = target.decision;
+
+                target.decision = decision('register', registered);
+                return { action: 'register', group: groupKey, individual_id: registered.id, previous };
+            });
+        } catch (error) {
+            // An individual the review doesn't point to would be an orphan in the registry; the review is read
+            // back from disk in case the failed save left the decision in memory
+            this.stores.delete(id);
+            if (individual) {
+                await this.registry.deleteIndividual(individual.id).catch(rollbackError =>
+                    console.error(`Failed to roll back individual ${individual.id}:`, rollbackError));
+            }
+            throw error;
+        } finally {
+            this.registering.delete(registeringKey);
+        }
+    }
+
+    async clearDecision(id, groupKey) {
+        return await this.mutate(id, review => {
+            const group = requireGroup(review, groupKey);
+            const previous = group.decision;
+
+            group.decision = null;
+            return { action: 'clear', group: groupKey, previous };
+        });
+    }
+
+    // Moves the chosen images out into a brand new, undecided group
+    async splitGroup(id, groupKey, resultIndexes) {
+        return await this.mutate(id, review => {
+            const group = requireGroup(review, groupKey);
+            const selected = new Set(resultIndexes);
+            const moving = group.images.filter(image => selected.has(image.result_index));
+
+            if (moving.length === 0) {
+                throw new Error('Select at least one image to split off');
+            }
+            if (moving.length === group.images.length) {
+                throw new Error('A split must leave at least one image in the original group');
+            }
+
+            const number = Math.max(...review.groups.map(candidate => candidate.number)) + 1;
+            const newGroup = {
+                key: groupCategory(number),
+                number,
+                images: moving,
+                decision: null,
+                split_from: groupKey
+            };
+
+            group.images = group.images.filter(image => !selected.has(image.result_index));
+            review.groups.push(newGroup);
+
+            return { action: 'split', group: groupKey, new_group: newGroup.key, images: resultIndexes };
+        });
+    }
+
+    async moveImages(id, fromKey, toKey, resultIndexes) {
+        return await this.mutate(id, review => {
+            const from = requireGroup(review, fromKey);
+            const to = requireGroup(review, toKey);
+            const selected = new Set(resultIndexes);
+
+            if (from === to) {
+                throw new Error('Images are already in that group');
+            }
+
+            const moving = from.images.filter(image => selected.has(image.result_index));
+            if (moving.length === 0) {
+                throw new Error('Select at least one image to move');
+            }
+
+            from.images = from.images.filter(image => !selected.has(image.result_index));
+            to.images.push(...moving);
+
+            // Emptied groups disappear rather than lingering as zero-image individuals
+            if (from.images.length === 0) {
+                review.groups = review.groups.filter(group => group !== from);
+            }
+
+            return { action: 'move', group: fromKey, to_group: toKey, images: resultIndexes };
+        });
+    }
+
+    async deleteReview(id) {
+        await fs.remove(this.reviewPath(id));
+        this.stores.delete(id);
+        return { id };
+    }
+
+    // Rewrites categories and individual info on a results set to reflect the review's decisions
+    applyToResults(review, results) {
+        if (!results || !Array.isArray(results.detailed_results)) return results;
+
+        for (const group of review.groups) {
+            const individual = group.decision ? this.registry.getIndividual(group.decision.individual_id) : null;
+
+            for (const image of group.images) {
+                const result = results.detailed_results[image.result_index];
+                if (!result) continue;
+
+                result.category = group.key;
+                result.individual_elephant_info = {
+                    ...(result.individual_elephant_info || {}),
+                    group_id: group.number,
+                    group_size: group.images.length,
+                    registry_individual: individual
+                        ? { id: individual.id, name: individual.name, sex: individual.sex }
+                        : null
+                };
+            }
+        }
+
+        results.group_review_id = review.id;
+        results.individual_elephant_groups = review.groups.length;
+        return results;
+    }
+
+    async mutate(id, mutator) {
+        const store = await this.loadStore(id);
+
+        await store.update(review => {
+            const entry = mutator(review);
+            review.history.push({ ...entry, at: new Date().toISOString() });
+            review.updated_at = new Date().toISOString();
+        });
+
+        return this.describe(store.data);
+    }
+
+    async loadStore(id) {
+        if (!/^[\w-]+$/.test(id)) {
+            throw new Error(`Invalid review id: ${id}`);
+        }
+
+        if (!this.stores.has(id)) {
+            if (!await fs.pathExists(this.reviewPath(id))) {
+                throw new Error(`Review ${id} not found`);
+            }
+
+            const store = new JsonStore(this.reviewPath(id));
+            await store.load();
+            this.stores.set(id, store);
+        }
+
+        return this.stores.get(id);
+    }
+
+    reviewPath(id) {
+        return path.join(this.baseDir, `${id}.json`);
+    }
+
+    // Adds current registry names so the renderer doesn't need a second lookup
+    describe(review) {
+        return {
+            ...review,
+            groups: review.groups.map(group => {
+                const individual = group.decision ? this.registry.getIndividual(group.decision.individual_id) : null;
+                return {
+                    ...group,
+                    individual: individual ? { id: individual.id, name: individual.name } : null
+                };
+            })
+        };
+    }
+}
+
+function groupCategory(number) {
+    return `${String(number).padStart(2, '0')}_elephant_individual`;
+}
+
+function requireGroup(review, groupKey) {
+    const group = review.groups.find(candidate => candidate.key === groupKey);
+    if (!group) {
+        throw new Error(`Group ${groupKey} not found in review`);
+    }
+    return group;
+}
+
+function decision(action, individual) {
+    return {
+        action,
+        individual_id: individual.id,
+        individual_name: individual.name,
+        decided_at: new Date().toISOString()
+    };
+}
+
+module.exports = GroupReviewManager;
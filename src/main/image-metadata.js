@@ -0,0 +1,228 @@
+const exifr = require('exifr');
+const fs = require('fs-extra');
+const path = require('path');
+const { forEachZipImage, round } = require('./processing-utils');
+
+// EXIF and XMP both fit in the first APP segments of a JPEG, so ZIP entries are only read this far
+const HEADER_BYTES = 256 * 1024;
+
+const PARSE_OPTIONS = {
+    tiff: true,
+    exif: true,
+    gps: true,
+    xmp: true,
+    iptc: false,
+    icc: false,
+    userComment: true,
+    mergeOutput: false,
+    reviveValues: true
+};
+
+const SERIAL_KEYS = ['BodySerialNumber', 'SerialNumber', 'CameraSerialNumber', 'InternalSerialNumber'];
+
+// Camera traps put trigger details in vendor XMP namespaces or extra EXIF tags under names like these
+const TRIGGER_KEY_PATTERN = /trigger|event|sequence|burst|temperature|moon|motion|pir|timelapse/i;
+
+// Capture time, place, camera and trap trigger info for one image (a path or a Buffer).
+// Returns null when the image carries no readable metadata.
+async function readImageMetadata(source) {
+    const segments = await exifr.parse(source, PARSE_OPTIONS);
+    if (!segments) return null;
+
+    const ifd0 = segments.ifd0 || {};
+    const exif = segments.exif || {};
+    const gps = segments.gps || {};
+
+    return {
+        captured_at: formatCaptureTime(
+            exif.DateTimeOriginal || exif.CreateDate || findXmpValue(segments, ['DateTimeOriginal', 'CreateDate']) || ifd0.ModifyDate,
+            exif.OffsetTimeOriginal || exif.OffsetTime
+        ),
+        gps: Number.isFinite(gps.latitude) && Number.isFinite(gps.longitude)
+            ? {
+                latitude: round(gps.latitude, 7),
+                longitude: round(gps.longitude, 7),
+                altitude: Number.isFinite(gps.GPSAltitude) ? round(gps.GPSAltitude * (gps.GPSAltitudeRef === 1 ? -1 : 1), 1) : null
+            }
+            : null,
+        camera: {
+            make: cleanText(ifd0.Make),
+            model: cleanText(ifd0.Model),
+            serial: cleanText(SERIAL_KEYS.map(key => exif[key] || ifd0[key]).find(Boolean) || findXmpValue(segments, SERIAL_KEYS))
+        },
+        trigger: readTriggerInfo(segments)
+    };
+}
+
+// Adds `metadata` to every detailed result that doesn't have it yet. Images are read from their local
+// file_path, from the input paths the batch was started with (matched by name, since the backend only
+// returns file names), or straight out of the ZIP they came from when the engine only saw an archive.
+async function attachMetadata(results, { filePaths = [], zipFilePath = null } = {}) {
+    const detailed = (results && results.detailed_results) || [];
+    const missing = detailed.filter(result => result.metadata === undefined);
+    if (missing.length === 0) return results;
+
+    const inputs = new Map();
+    for (const filePath of filePaths) {
+        const name = path.basename(filePath);
+        if (!inputs.has(name)) inputs.set(name, []);
+        inputs.get(name).push(filePath);
+    }
+
+    const fromZip = [];
+    for (const result of missing) {
+        const candidates = inputs.get(path.basename(result.filename || '')) || [];
+        const localPath = result.file_path && await fs.pathExists(result.file_path)
+            ? result.file_path
+            : candidates.shift();
+
+        if (localPath) {
+            result.metadata = await safeRead(localPath, result.filename);
+        } else {
+            fromZip.push(result);
+        }
+    }
+
+    if (zipFilePath && fromZip.length > 0) {
+        try {
+            await attachZipMetadata(fromZip, zipFilePath);
+        } catch (error) {
+            console.warn(`⚠️ Could not read metadata from ${path.basename(zipFilePath)}: ${error.message}`);
+        }
+    }
+
+    for (const result of missing) {
+        if (result.metadata === undefined) result.metadata = null;
+    }
+
+    const found = missing.filter(result => result.metadata).length;
+    console.log(`🗂 Metadata read for ${found} of ${missing.length} image(s)`);
+    return results;
+}
+
+// Engines name ZIP results after the entry path or just its file name, so both are tried
+async function attachZipMetadata(results, zipFilePath) {
+    const byName = new Map();
+    for (const result of results) {
+        for (const key of new Set([result.filename, path.basename(result.filename || '')])) {
+            if (!key) continue;
+            if (!byName.has(key)) byName.set(key, []);
+            byName.get(key).push(result);
+        }
+    }
+
+    await forEachZipImage(zipFilePath, async (entry, readStream) => {
+        const candidates = byName.get(entry.fileName) || byName.get(path.basename(entry.fileName)) || [];
+        const result = candidates.find(candidate => candidate.metadata === undefined);
+
+        if (!result) {
+            readStream.destroy();
+            return;
+        }
+
+        const header = await readHeader(readStream);
+        result.metadata = await safeRead(header, entry.fileName);
+    });
+}
+
+function readHeader(readStream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+
+        const finish = () => {
+            readStream.removeAllListeners('data');
+            readStream.destroy();
+            resolve(Buffer.concat(chunks, length));
+        };
+
+        readStream.on('data', (chunk) => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= HEADER_BYTES) finish();
+        });
+        readStream.on('end', finish);
+        readStream.on('error', reject);
+    });
+}
+
+async function safeRead(source, label) {
+    try {
+        return await readImageMetadata(source);
+    } catch (error) {
+        console.warn(`⚠️ Could not read metadata from ${label}: ${error.message}`);
+        return null;
+    }
+}
+
+function readTriggerInfo(segments) {
+    const trigger = {};
+
+    for (const [segment, values] of Object.entries(segments)) {
+        if (!values || typeof values !== 'object' || segment === 'gps' || Buffer.isBuffer(values)) continue;
+
+        for (const [key, value] of Object.entries(values)) {
+            if (TRIGGER_KEY_PATTERN.test(key) && isPlainValue(value)) {
+                trigger[key] = value;
+            }
+        }
+    }
+
+    // Many traps write "M 2/3 23C"-style summaries into the comment fields instead
+    const comment = decodeUserComment(segments.userComment) || cleanText((segments.ifd0 || {}).ImageDescription);
+    if (comment) trigger.comment = comment;
+
+    return Object.keys(trigger).length > 0 ? trigger : null;
+}
+
+function findXmpValue(segments, keys) {
+    for (const [segment, values] of Object.entries(segments)) {
+        if (['ifd0', 'ifd1', 'exif', 'gps', 'interop', 'userComment'].includes(segment) || !values) continue;
+
+        const key = keys.find(candidate => values[candidate] !== undefined);
+        if (key) return values[key];
+    }
+    return null;
+}
+
+// Trap clocks have no time zone, so the wall-clock time is kept as recorded plus any offset the camera wrote
+function formatCaptureTime(value, offset) {
+    if (!value) return null;
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return cleanText(value);
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const local = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+    return typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? `${local}${offset}` : local;
+}
+
+// UserComment starts with an 8-byte character code ("ASCII\0\0\0", "UNICODE\0", ...)
+function decodeUserComment(value) {
+    if (typeof value === 'string') return cleanText(value);
+    if (!value || typeof value.length !== 'number') return null;
+
+    const bytes = Buffer.from(Object.values(value));
+    const code = bytes.subarray(0, 8).toString('latin1').replace(/\0/g, '');
+    const body = bytes.subarray(8);
+    const text = code === 'UNICODE' ? body.toString('utf16le') : body.toString('utf8');
+
+    return cleanText(text);
+}
+
+function cleanText(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).replace(/\0/g, '').trim();
+    return text || null;
+}
+
+function isPlainValue(value) {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+module.exports = {
+    readImageMetadata,
+    attachMetadata
+};
@@ -0,0 +1,304 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const { round } = require('./processing-utils');
+
+// Images are measured at this size, so thresholds don't depend on the camera's resolution
+const ANALYSIS_SIZE = 512;
+
+const LIMITS = {
+    // Variance of the Laplacian; soft or motion-blurred frames have few sharp edges
+    min_sharpness: 60,
+    // Mean luminance (0-255) and the share of near-black / near-white pixels
+    max_dark_brightness: 45,
+    max_dark_fraction: 0.6,
+    min_bright_brightness: 210,
+    max_bright_fraction: 0.5,
+    // Mean channel difference; infrared night shots are effectively greyscale
+    max_ir_colourfulness: 6,
+    min_dimension: 320,
+    min_file_bytes: 10 * 1024,
+    // Bits that may differ between the difference hashes of two copies of a frame
+    max_duplicate_distance: 4
+};
+
+// Flags images that aren't worth sending to an engine - blurry, badly exposed, infrared night shots,
+// near-identical copies and thumbnails - so they can be left out or just tagged. Measurements are cached
+// per file until it changes; duplicates are judged against the run being screened.
+class ImageQualityScreener {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    // Returns [{ path, filename, flags, metrics, duplicate_of }] in input order. duplicates holds the frames
+    // already seen, for a run screened a batch at a time.
+    async screen(filePaths, onProgress, duplicates = this.duplicateIndex()) {
+        const screened = [];
+
+        for (let i = 0; i < filePaths.length; i++) {
+            const filePath = filePaths[i];
+            const { hash, ...quality } = await this.assess(filePath);
+            const image = { path: filePath, filename: path.basename(filePath), ...quality, flags: quality.flags.slice(), duplicate_of: null };
+
+            // A later frame that matches an earlier one is the duplicate
+            if (hash) {
+                const original = duplicates.find(hash);
+                if (original) {
+                    image.flags.push('duplicate');
+                    image.duplicate_of = original;
+                } else {
+                    duplicates.add(hash, filePath);
+                }
+            }
+
+            screened.push(image);
+            if (onProgress) onProgress({ current: i + 1, total: filePaths.length, currentFile: image.filename });
+        }
+
+        const flagged = screened.filter(image => image.flags.length > 0).length;
+        console.log(`🔎 Screened ${screened.length} image(s), ${flagged} flagged`);
+        return screened;
+    }
+
+    duplicateIndex() {
+        return new DuplicateIndex(LIMITS.max_duplicate_distance);
+    }
+
+    // Screens a batch before it reaches the engine. With options.quality_action 'exclude' the flagged images
+    // are held back; with 'tag' everything goes on and screened is kept for tagResults.
+    async filterBatch(filePaths, options = {}, { duplicates, onProgress } = {}) {
+        const action = options.quality_action || 'off';
+        if (action === 'off' || filePaths.length === 0) {
+            return { kept: filePaths, excluded: [], screened: [] };
+        }
+
+        const screened = await this.screen(filePaths, onProgress, duplicates);
+        if (action !== 'exclude') {
+            return { kept: filePaths, excluded: [], screened };
+        }
+
+        const passed = screened.filter(image => image.flags.length === 0);
+        return {
+            kept: passed.map(image => image.path),
+            excluded: screened.filter(image => image.flags.length > 0).map(describeExclusion),
+            screened: passed
+        };
+    }
+
+    // Puts the flags from filterBatch on the engine's results, matched back by path or file name
+    tagResults(results, screened = []) {
+        const byName = new Map();
+        for (const image of screened) {
+            if (!byName.has(image.filename)) byName.set(image.filename, []);
+            byName.get(image.filename).push(image);
+        }
+
+        for (const result of (results && results.detailed_results) || []) {
+            const candidates = byName.get(path.basename(result.filename || ''));
+            if (!candidates || candidates.length === 0 || result.quality) continue;
+
+            const exact = candidates.findIndex(image => image.path === result.file_path);
+            const [image] = candidates.splice(exact >= 0 ? exact : 0, 1);
+            result.quality = describeQuality(image);
+        }
+
+        return results;
+    }
+
+    // Tags results that weren't screened before processing (ZIPs, individual ID runs) whose image is on disk
+    // with result.quality = { flags, metrics, duplicate_of }. Images screened earlier come from the cache.
+    async attachToResults(results, filePaths = []) {
+        const detailed = ((results && results.detailed_results) || []).filter(result => !result.quality);
+
+        const inputs = new Map();
+        for (const filePath of filePaths) {
+            const name = path.basename(filePath);
+            if (!inputs.has(name)) inputs.set(name, []);
+            inputs.get(name).push(filePath);
+        }
+
+        const located = [];
+        for (const result of detailed) {
+            const candidates = inputs.get(path.basename(result.filename || '')) || [];
+            const localPath = result.file_path && await fs.pathExists(result.file_path)
+                ? result.file_path
+                : candidates.shift();
+            if (localPath) located.push({ result, localPath });
+        }
+        if (located.length === 0) return results;
+
+        const screened = await this.screen(located.map(entry => entry.localPath));
+        located.forEach(({ result }, index) => {
+            result.quality = describeQuality(screened[index]);
+        });
+
+        return results;
+    }
+
+    async assess(filePath) {
+        try {
+            const stats = await fs.stat(filePath);
+            const cached = this.cache.get(filePath);
+            if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+                return cached.quality;
+            }
+
+            const quality = await measure(filePath, stats.size);
+            this.cache.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, quality });
+            return quality;
+        } catch (error) {
+            console.warn(`⚠️ Could not screen ${path.basename(filePath)}: ${error.message}`);
+            return { flags: ['unreadable'], metrics: {}, hash: null };
+        }
+    }
+}
+
+async function measure(filePath, fileBytes) {
+    const metadata = await sharp(filePath).metadata();
+    const { data, info } = await sharp(filePath)
+        .rotate()
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const grey = new Float32Array(width * height);
+    let colourDifference = 0;
+    let dark = 0;
+    let bright = 0;
+    let total = 0;
+
+    for (let i = 0; i < grey.length; i++) {
+        const offset = i * channels;
+        const r = data[offset];
+        const g = channels >= 3 ? data[offset + 1] : r;
+        const b = channels >= 3 ? data[offset + 2] : r;
+
+        const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+        grey[i] = luminance;
+        total += luminance;
+        colourDifference += (Math.abs(r - g) + Math.abs(g - b)) / 2;
+        if (luminance < 25) dark++;
+        if (luminance > 240) bright++;
+    }
+
+    const pixels = grey.length;
+    const metrics = {
+        width: metadata.width || width,
+        height: metadata.height || height,
+        file_bytes: fileBytes,
+        brightness: round(total / pixels, 1),
+        dark_fraction: round(dark / pixels, 3),
+        bright_fraction: round(bright / pixels, 3),
+        colourfulness: round(colourDifference / pixels, 2),
+        sharpness: round(laplacianVariance(grey, width, height), 1)
+    };
+
+    const flags = [];
+    if (metrics.sharpness < LIMITS.min_sharpness) flags.push('blurry');
+    if (metrics.brightness < LIMITS.max_dark_brightness || metrics.dark_fraction > LIMITS.max_dark_fraction) flags.push('underexposed');
+    if (metrics.brightness > LIMITS.min_bright_brightness || metrics.bright_fraction > LIMITS.max_bright_fraction) flags.push('overexposed');
+    if (metrics.colourfulness < LIMITS.max_ir_colourfulness) flags.push('night_ir');
+    if (Math.min(metrics.width, metrics.height) < LIMITS.min_dimension || fileBytes < LIMITS.min_file_bytes) flags.push('tiny');
+
+    return { flags, metrics, hash: await differenceHash(data, info) };
+}
+
+function laplacianVariance(grey, width, height) {
+    if (width < 3 || height < 3) return 0;
+
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const value = 4 * grey[i] - grey[i - 1] - grey[i + 1] - grey[i - width] - grey[i + width];
+            sum += value;
+            sumSquares += value * value;
+            count++;
+        }
+    }
+
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+}
+
+// 64-bit difference hash: whether each pixel of a 9x8 thumbnail is brighter than its right-hand neighbour
+async function differenceHash(data, info) {
+    const pixels = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let bits = '';
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            bits += pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? '1' : '0';
+        }
+    }
+    return bits;
+}
+
+// Frames already seen, bucketed by hash segment. Two hashes at most maxDistance bits apart agree on at least
+// one of maxDistance + 1 segments, so a new frame is only compared with the few frames sharing a segment.
+class DuplicateIndex {
+    constructor(maxDistance) {
+        this.maxDistance = maxDistance;
+        this.segments = maxDistance + 1;
+        this.buckets = new Map();
+    }
+
+    // The path of an earlier frame within maxDistance bits, or null
+    find(hash) {
+        const words = toWords(hash);
+        for (const key of this.keys(hash)) {
+            const original = (this.buckets.get(key) || []).find(entry =>
+                bitCount(entry.words[0] ^ words[0]) + bitCount(entry.words[1] ^ words[1]) <= this.maxDistance);
+            if (original) return original.path;
+        }
+        return null;
+    }
+
+    add(hash, filePath) {
+        const entry = { words: toWords(hash), path: filePath };
+        for (const key of this.keys(hash)) {
+            if (!this.buckets.has(key)) this.buckets.set(key, []);
+            this.buckets.get(key).push(entry);
+        }
+    }
+
+    keys(hash) {
+        const length = Math.ceil(hash.length / this.segments);
+        return Array.from({ length: this.segments }, (_, i) => `${i}:${hash.slice(i * length, (i + 1) * length)}`);
+    }
+}
+
+// The 64-bit hash as two 32-bit words, so distances are counted a word at a time
+function toWords(hash) {
+    return [parseInt(hash.slice(0, 32), 2) | 0, parseInt(hash.slice(32), 2) | 0];
+}
+
+function bitCount(value) {
+    let v = value - ((value >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+function describeQuality(image) {
+    return { flags: image.flags, metrics: image.metrics, duplicate_of: image.duplicate_of ? path.basename(image.duplicate_of) : null };
+}
+
+function describeExclusion(image) {
+    return {
+        filename: image.filename,
+        path: image.path,
+        flags: image.flags,
+        metrics: image.metrics,
+        duplicate_of: image.duplicate_of ? path.basename(image.duplicate_of) : null
+    };
+}
+
+module.exports = ImageQualityScreener;
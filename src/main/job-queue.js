@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const JsonStore = require('./json-store');
+const { BatchControl, isCancellation } = require('./batch-control');
+const { resolveProcessingType, pickRunOptions } = require('./processing-utils');
+const { parsePatterns } = require('./folder-ingest');
+
+const JOB_STATUSES = ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'];
+
+// Datasets queued to run one after another, e.g. cards from several camera traps overnight.
+// The queue lives in userData so queued jobs survive a restart; results are kept per job on disk.
+// `execute(job, control, progressCallback)` does the actual processing and resolves with the results.
+class JobQueue extends EventEmitter {
+    constructor(baseDir, execute) {
+        super();
+        this.baseDir = baseDir;
+        this.resultsDir = path.join(baseDir, 'results');
+        this.execute = execute;
+        this.store = new JsonStore(path.join(baseDir, 'queue.json'), {
+            version: 1,
+            running: false,
+            jobs: []
+        });
+        this.activeJobId = null;
+        this.activeControl = null;
+        this.loop = null;
+    }
+
+    async initialize() {
+        try {
+            await fs.ensureDir(this.resultsDir);
+            await this.store.load();
+
+            // A job that was mid-run when the app closed starts again from the top
+            await this.store.update(data => {
+                for (const job of data.jobs) {
+                    if (job.status === 'running' || job.status === 'paused') {
+                        job.status = 'queued';
+                        job.progress = null;
+                        job.note = 'Restarted after the app was closed mid-run';
+                    }
+                }
+            });
+
+            const queued = this.store.data.jobs.filter(job => job.status === 'queued').length;
+            console.log(`✅ Job queue loaded (${queued} queued)`);
+        } catch (error) {
+            console.error('Failed to initialize job queue:', error);
+            throw error;
+        }
+    }
+
+    // Whether the queue was left running last session and should pick up again
+    get wasRunning() {
+        return this.store.data.running;
+    }
+
+    listJobs() {
+        return this.store.data.jobs.map(job => ({ ...job }));
+    }
+
+    getStatus() {
+        return {
+            running: this.store.data.running,
+            active_job_id: this.activeJobId,
+            jobs: this.listJobs()
+        };
+    }
+
+    async enqueue(spec = {}) {
+        const input = await validateInput(spec);
+        const processingType = spec.processingType || 'yolo';
+        resolveProcessingType({ processingType });
+
+        const options = pickRunOptions(spec.options);
+
+        const job = await this.store.update(data => {
+            const now = new Date().toISOString();
+            const created = {
+                id: `job_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+                name: String(spec.name || '').trim() || defaultJobName(input),
+                input,
+                processing_type: processingType,
+                options,
+                status: 'queued',
+                progress: null,
+                summary: null,
+                error: null,
+                note: null,
+                created_at: now,
+                started_at: null,
+                finished_at: null
+            };
+
+            data.jobs.push(created);
+            return { ...created };
+        });
+
+        console.log(`🗂 Queued ${job.id} (${job.name})`);
+        this.emitChange();
+        this.kick();
+        return job;
+    }
+
+    // Moves a job to `index` among all jobs; only waiting jobs can be reordered
+    async moveJob(id, index) {
+        const job = this.requireJob(id);
+        if (job.status !== 'queued') {
+            throw new Error('Only queued jobs can be reordered');
+        }
+
+        await this.store.update(data => {
+            data.jobs = data.jobs.filter(candidate => candidate !== job);
+            const target = Math.max(0, Math.min(data.jobs.length, Number(index) || 0));
+            data.jobs.splice(target, 0, job);
+        });
+
+        this.emitChange();
+        return this.listJobs();
+    }
+
+    async removeJob(id) {
+        const job = this.requireJob(id);
+        if (job.id === this.activeJobId) {
+            throw new Error('Cancel the running job before removing it');
+        }
+
+        await this.store.update(data => {
+            data.jobs = data.jobs.filter(candidate => candidate.id !== id);
+        });
+        await fs.remove(this.resultPath(id));
+
+        this.emitChange();
+        return { id };
+    }
+
+    // Failed or cancelled jobs go back to the end of the queue
+    async retryJob(id) {
+        const job = this.requireJob(id);
+        if (!['failed', 'cancelled'].includes(job.status)) {
+            throw new Error('Only failed or cancelled jobs can be retried');
+        }
+
+        await this.store.update(data => {
+            data.jobs = data.jobs.filter(candidate => candidate !== job);
+            Object.assign(job, { status: 'queued', progress: null, error: null, note: null, started_at: null, finished_at: null });
+            data.jobs.push(job);
+        });
+
+        this.emitChange();
+        this.kick();
+        return { ...job };
+    }
+
+    pauseJob(id) {
+        return this.controlActive(id, control => control.pause(), 'paused');
+    }
+
+    resumeJob(id) {
+        return this.controlActive(id, control => control.resume(), 'running');
+    }
+
+    async cancelJob(id) {
+        const job = this.requireJob(id);
+
+        if (job.id === this.activeJobId) {
+            this.activeControl.cancel();
+            return { ...job };
+        }
+        if (job.status !== 'queued') {
+            throw new Error(`Job is already ${job.status}`);
+        }
+
+        await this.setJob(job, { status: 'cancelled', finished_at: new Date().toISOString() });
+        return { ...job };
+    }
+
+    async start() {
+        await this.store.update(data => {
+            data.running = true;
+        });
+
+        this.emitChange();
+        this.kick();
+        return this.getStatus();
+    }
+
+    // Stops after the current job; use cancelJob to stop that one too
+    async stop() {
+        await this.store.update(data => {
+            data.running = false;
+        });
+
+        this.emitChange();
+        return this.getStatus();
+    }
+
+    async getResults(id) {
+        const job = this.requireJob(id);
+        if (job.status !== 'completed') {
+            throw new Error('Results are only available for completed jobs');
+        }
+        return await fs.readJson(this.resultPath(id));
+    }
+
+    // Starts the worker loop unless it is already going
+    kick() {
+        if (!this.loop && this.store.data.running) {
+            this.loop = this.runLoop().finally(() => {
+                this.loop = null;
+            });
+        }
+    }
+
+    async runLoop() {
+        while (this.store.data.running) {
+            const job = this.store.data.jobs.find(candidate => candidate.status === 'queued');
+            if (!job) break;
+
+            await this.runJob(job);
+        }
+
+        // An emptied queue stops itself so the next enqueue doesn't start unexpectedly
+        if (this.store.data.running && !this.store.data.jobs.some(job => job.status === 'queued')) {
+            await this.store.update(data => {
+                data.running = false;
+            });
+            console.log('🗂 Job queue finished');
+        }
+
+        this.emitChange();
+    }
+
+    async runJob(job) {
+        const control = new BatchControl();
+        control.on('state', state => {
+            if (state !== 'cancelled') this.setJob(job, { status: state });
+        });
+
+        this.activeJobId = job.id;
+        this.activeControl = control;
+        await this.setJob(job, { status: 'running', started_at: new Date().toISOString(), note: null });
+        console.log(`▶️ Running ${job.id} (${job.name})`);
+
+        try {
+            const results = await this.execute({ ...job }, control, (progress) => {
+                job.progress = progress;
+                this.emit('progress', { id: job.id, progress });
+            });
+
+            await fs.writeJson(this.resultPath(job.id), results);
+            await this.setJob(job, {
+                status: 'completed',
+                finished_at: new Date().toISOString(),
+                summary: {
+                    total_images: results.total_images || 0,
+                    successfully_processed: results.successfully_processed || 0,
+                    failed_images: results.failed_images || 0,
+                    processing_mode: results.processing_mode || null,
+                    processing_time: results.processing_time || null
+                }
+            });
+            console.log(`✅ Finished ${job.id}`);
+        } catch (error) {
+            if (isCancellation(error)) {
+                await this.setJob(job, { status: 'cancelled', finished_at: new Date().toISOString() });
+                console.log(`⏹ Cancelled ${job.id}`);
+            } else {
+                console.error(`❌ Job ${job.id} failed:`, error);
+                await this.setJob(job, { status: 'failed', error: error.message, finished_at: new Date().toISOString() });
+            }
+        } finally {
+            this.activeJobId = null;
+            this.activeControl = null;
+            this.emitChange();
+        }
+    }
+
+    controlActive(id, action, status) {
+        const job = this.requireJob(id);
+        if (job.id !== this.activeJobId) {
+            throw new Error('Only the running job can be paused or resumed');
+        }
+        if (!action(this.activeControl)) {
+            throw new Error(`Job cannot be ${status} right now`);
+        }
+        return { ...job, status };
+    }
+
+    async setJob(job, changes) {
+        await this.store.update(() => {
+            if (changes.status && !JOB_STATUSES.includes(changes.status)) {
+                throw new Error(`Unknown job status: ${changes.status}`);
+            }
+            Object.assign(job, changes);
+        });
+        this.emitChange();
+    }
+
+    requireJob(id) {
+        const job = this.store.data.jobs.find(candidate => candidate.id === id);
+        if (!job) {
+            throw new Error(`Job ${id} not found`);
+        }
+        return job;
+    }
+
+    resultPath(id) {
+        return path.join(this.resultsDir, `${id}.json`);
+    }
+
+    emitChange() {
+        this.emit('change', this.getStatus());
+    }
+}
+
+async function validateInput(spec) {
+    if (spec.zipFilePath) {
+        if (!await fs.pathExists(spec.zipFilePath)) {
+            throw new Error(`ZIP file not found: ${spec.zipFilePath}`);
+        }
+        return { type: 'zip', zip_path: spec.zipFilePath };
+    }
+
+    if (spec.folderPath) {
+        if (!await fs.pathExists(spec.folderPath)) {
+            throw new Error(`Folder not found: ${spec.folderPath}`);
+        }
+        return {
+            type: 'folder',
+            folder_path: spec.folderPath,
+            include_patterns: parsePatterns(spec.includePatterns),
+            exclude_patterns: parsePatterns(spec.excludePatterns)
+        };
+    }
+
+    const filePaths = Array.isArray(spec.filePaths) ? spec.filePaths.filter(Boolean) : [];
+    if (filePaths.length === 0) {
+        throw new Error('A job needs images, a folder or a ZIP file');
+    }
+    return { type: 'images', file_paths: filePaths };
+}
+
+function defaultJobName(input) {
+    if (input.type === 'zip') return path.basename(input.zip_path);
+    if (input.type === 'folder') return path.basename(input.folder_path);
+
+    const folder = path.basename(path.dirname(input.file_paths[0]));
+    return `${input.file_paths.length} images from ${folder}`;
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,62 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// A JSON document kept in memory and written back atomically, so a crash mid-write never corrupts it
+class JsonStore {
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        this.data = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    async load() {
+        await fs.ensureDir(path.dirname(this.filePath));
+
+        if (await fs.pathExists(this.filePath)) {
+            try {
+                this.data = { ...clone(this.defaults), ...await fs.readJson(this.filePath) };
+                return this.data;
+            } catch (error) {
+                // Keep the unreadable file for manual recovery instead of overwriting it
+                const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+                console.error(`❌ Could not read ${this.filePath}, moving it to ${backupPath}:`, error);
+                await fs.move(this.filePath, backupPath);
+            }
+        }
+
+        this.data = clone(this.defaults);
+        await this.save();
+        return this.data;
+    }
+
+    // Writes are serialised so overlapping saves land in call order
+    save() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(() => JsonStore.writeAtomic(this.filePath, snapshot));
+
+        return this.pendingWrite;
+    }
+
+    // Written next to the target and renamed over it, for files kept outside a store
+    static async writeAtomic(filePath, contents) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, contents);
+        await fs.move(tempPath, filePath, { overwrite: true });
+    }
+
+    async update(mutator) {
+        const result = await mutator(this.data);
+        await this.save();
+        return result;
+    }
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = JsonStore;
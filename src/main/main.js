@@ -1,11 +1,74 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, protocol, shell } = require('electron');
 const path = require('path');
 const fs = require('fs-extra');
 const { glob } = require('glob');
 const BackendProcessor = require('./backend-processor');
+const OfflineProcessor = require('./offline-processor');
+const MockProcessor = require('./mock-processor');
+const { ProcessorRegistry } = require('./processor-registry');
+const { BatchControl, isCancellation } = require('./batch-control');
+const { buildBatchResponse, resolveProcessingType } = require('./processing-utils');
+const ElephantRegistry = require('./elephant-registry');
+const GroupReviewManager = require('./group-review');
+const JobQueue = require('./job-queue');
+const FolderWatcher = require('./folder-watcher');
+const SightingLog = require('./sighting-log');
+const BasemapManager = require('./basemap');
+const ResultImageCache = require('./result-images');
+const AnnotationStore = require('./annotation-store');
+const VerificationLog = require('./verification-log');
+const ImageQualityScreener = require('./image-quality');
+const SessionStore = require('./session-store');
+const { findReferenceImages } = require('./reference-images');
+const { fuseResults } = require('./score-fusion');
+const { groupEncounters } = require('./encounters');
+const { exportResults, EXPORT_FORMATS } = require('./result-export');
+const { buildResultPackage } = require('./result-package');
+const { buildFieldReport } = require('./field-report');
+const { readImageMetadata, attachMetadata } = require('./image-metadata');
+const { scanImageFolder, parsePatterns, processImageFolder } = require('./folder-ingest');
+const { BACKEND_CONFIG } = require('../config/backend-config');
 
 let mainWindow;
-let backendProcessor;
+let elephantRegistry;
+let groupReviews;
+let sightingLog;
+let jobQueue;
+let folderWatcher;
+let basemap;
+let resultImages;
+let annotations;
+let verificationLog;
+let sessionStore;
+
+// The running batch, which the renderer can pause, resume or cancel
+let activeBatch = null;
+
+// A pending copy of the watch session into history, and the one being written
+let watchSessionTimer = null;
+let watchSessionSaving = Promise.resolve();
+
+// Quality screening keeps its measurements for the whole session
+const qualityScreener = new ImageQualityScreener();
+
+// Processing engines, picked at startup and swapped automatically when one fails
+const processors = new ProcessorRegistry()
+    .register('backend', () => new BackendProcessor({ uploadStateDir: path.join(app.getPath('userData'), 'uploads') }))
+    .register('offline', () => new OfflineProcessor())
+    .register('mock', () => new MockProcessor());
+
+processors.setOrder(resolveProcessorOrder());
+
+// Offline map tiles are served to the renderer from MBTiles or tile folders over basemap://
+protocol.registerSchemesAsPrivileged([
+    { scheme: 'basemap', privileges: { standard: true, secure: true, supportFetchAPI: true } }
+]);
+
+processors.on('change', ({ name, previous }) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('processor-changed', { processingMode: name, previous });
+    }
+});
 
 // Enable live reload for development
 if (process.argv.includes('--dev')) {
@@ -46,38 +109,59 @@ function createWindow() {
     }
 }
 
+// --mock or --processor=<name> (or AIRAVAT_PROCESSOR) puts an engine at the front of the fallback order
+function resolveProcessorOrder() {
+    const argument = process.argv.find(arg => arg.startsWith('--processor='));
+    const requested = process.argv.includes('--mock')
+        ? 'mock'
+        : (argument ? argument.split('=')[1] : process.env.AIRAVAT_PROCESSOR);
+
+    const order = BACKEND_CONFIG.PROCESSOR_ORDER;
+    return requested ? [requested, ...order.filter(name => name !== requested)] : order;
+}
+
 async function checkBackendStatus() {
     try {
-        backendProcessor = new BackendProcessor();
-        await backendProcessor.initialize();
+        await processors.initialize();
 
-        const modelInfo = await backendProcessor.getModelInfo();
-        console.log('Backend ready:', modelInfo);
+        const modelInfo = await processors.run('getModelInfo');
+        console.log(`Processor ready (${processors.activeName}):`, modelInfo);
 
-        // Notify renderer that backend is ready
+        // Notify renderer that a processing engine is ready
         mainWindow.webContents.send('app-ready', {
             modelsAvailable: true,
+            processingMode: processors.activeName,
             modelInfo: modelInfo
         });
 
+        // Pick the overnight queue back up if it was running when the app closed
+        if (jobQueue && jobQueue.wasRunning) {
+            jobQueue.kick();
+        }
+        if (folderWatcher && folderWatcher.wasWatching) {
+            folderWatcher.resume();
+        }
+
     } catch (error) {
-        console.error('Error connecting to backend:', error);
+        console.error('Error starting a processing engine:', error);
 
         // Show connection error dialog
         const result = await dialog.showMessageBox(mainWindow, {
             type: 'error',
-            buttons: ['Retry', 'Continue Offline', 'Exit'],
+            buttons: ['Retry', 'Continue Without Processing', 'Exit'],
             defaultId: 0,
-            title: 'Backend Connection Failed',
-            message: 'Could not connect to the AI backend server.',
-            detail: 'Make sure the backend server is running on http://localhost:8000\n\nYou can continue in offline mode with limited functionality.'
+            title: 'No Processing Engine Available',
+            message: 'Could not connect to the AI backend server or load the offline models.',
+            detail: 'Make sure the backend server is running on http://localhost:8000, ' +
+                'or run "npm run setup" while connected to download the offline models.\n\n' +
+                error.message
         });
 
         if (result.response === 0) {
             // Retry connection
             setTimeout(checkBackendStatus, 2000);
         } else if (result.response === 1) {
-            // Continue offline
+            // Continue without any engine
             mainWindow.webContents.send('app-ready', {
                 modelsAvailable: false,
                 offlineMode: true
@@ -89,6 +173,429 @@ async function checkBackendStatus() {
     }
 }
 
+async function initializeRegistry() {
+    try {
+        elephantRegistry = new ElephantRegistry(path.join(app.getPath('userData'), 'registry'));
+        await elephantRegistry.initialize();
+
+        groupReviews = new GroupReviewManager(path.join(app.getPath('userData'), 'group-reviews'), elephantRegistry);
+        await groupReviews.initialize();
+
+        sightingLog = new SightingLog(path.join(app.getPath('userData'), 'registry'));
+        await sightingLog.initialize();
+    } catch (error) {
+        console.error('Error loading elephant registry:', error);
+        showErrorDialog(`Could not load the elephant registry: ${error.message}`);
+    }
+}
+
+async function initializeJobQueue() {
+    try {
+        jobQueue = new JobQueue(path.join(app.getPath('userData'), 'job-queue'), executeQueuedJob);
+        await jobQueue.initialize();
+
+        jobQueue.on('change', (status) => sendToRenderer('job-queue-changed', status));
+        jobQueue.on('progress', (progress) => sendToRenderer('job-queue-progress', progress));
+    } catch (error) {
+        console.error('Error loading job queue:', error);
+        showErrorDialog(`Could not load the job queue: ${error.message}`);
+    }
+}
+
+async function initializeFolderWatcher() {
+    try {
+        folderWatcher = new FolderWatcher(path.join(app.getPath('userData'), 'watch-folder'), processWatchedBatch);
+        await folderWatcher.initialize();
+
+        folderWatcher.on('change', (status) => sendToRenderer('watch-folder-changed', status));
+        folderWatcher.on('progress', (progress) => sendToRenderer('watch-folder-progress', progress));
+        folderWatcher.on('results', (summary) => {
+            sendToRenderer('watch-folder-results', summary);
+            scheduleWatchSessionSave();
+        });
+    } catch (error) {
+        console.error('Error loading folder watcher:', error);
+        showErrorDialog(`Could not load watch-folder settings: ${error.message}`);
+    }
+}
+
+async function initializeBasemap() {
+    try {
+        basemap = new BasemapManager(path.join(app.getPath('userData'), 'map'), path.join(__dirname, '../../assets/map-tiles'));
+        await basemap.initialize();
+
+        // basemap://tiles/{z}/{x}/{y}
+        protocol.handle('basemap', async (request) => {
+            const [z, x, y] = new URL(request.url).pathname.split('/').filter(Boolean).map(Number);
+
+            try {
+                const tile = [z, x, y].every(Number.isInteger) ? await basemap.getTile(z, x, y) : null;
+                return tile
+                    ? new Response(tile.data, { headers: { 'content-type': tile.contentType } })
+                    : new Response(null, { status: 404 });
+            } catch (error) {
+                console.error('Basemap tile error:', error);
+                return new Response(null, { status: 500 });
+            }
+        });
+    } catch (error) {
+        console.error('Error loading basemap:', error);
+    }
+}
+
+async function initializeResultImages() {
+    try {
+        resultImages = new ResultImageCache(path.join(app.getPath('temp'), 'airavat-result-images'));
+        await resultImages.initialize();
+    } catch (error) {
+        console.error('Error preparing result image cache:', error);
+    }
+}
+
+async function initializeAnnotations() {
+    try {
+        annotations = new AnnotationStore(path.join(app.getPath('userData'), 'annotations'));
+        await annotations.initialize();
+    } catch (error) {
+        console.error('Error loading annotations:', error);
+        showErrorDialog(`Could not load annotation corrections: ${error.message}`);
+    }
+}
+
+async function initializeVerificationLog() {
+    try {
+        verificationLog = new VerificationLog(path.join(app.getPath('userData'), 'reviews'));
+        await verificationLog.initialize();
+    } catch (error) {
+        console.error('Error loading verification log:', error);
+        showErrorDialog(`Could not load verification decisions: ${error.message}`);
+    }
+}
+
+async function initializeSessionStore() {
+    try {
+        sessionStore = new SessionStore(path.join(app.getPath('userData'), 'sessions'));
+        await sessionStore.initialize();
+    } catch (error) {
+        console.error('Error loading session history:', error);
+        showErrorDialog(`Could not load the session history: ${error.message}`);
+    }
+}
+
+// Queued jobs and the folder watcher share the processing engine with interactive batches, so they take turns
+async function runWhenIdle(control, task) {
+    while (activeBatch) {
+        await control.checkpoint();
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    activeBatch = control;
+
+    try {
+        return await task();
+    } finally {
+        activeBatch = null;
+    }
+}
+
+function processWatchedBatch(filePaths, options, progressCallback) {
+    return runWhenIdle(options.control, async () =>
+        finalizeResults(await processScreenedBatch(filePaths, options, progressCallback), { filePaths, origin: 'watch' }, options));
+}
+
+function executeQueuedJob(job, control, progressCallback) {
+    return runWhenIdle(control, async () => {
+        const options = { ...job.options, processingType: job.processing_type, control };
+
+        let results;
+        if (job.input.type === 'zip') {
+            results = await processors.run('processBatchZip', job.input.zip_path, options, progressCallback);
+        } else if (job.input.type === 'folder') {
+            results = await processFolder(job.input.folder_path, {
+                ...options,
+                include_patterns: job.input.include_patterns,
+                exclude_patterns: job.input.exclude_patterns
+            }, progressCallback);
+        } else {
+            results = await processScreenedBatch(job.input.file_paths, options, progressCallback);
+        }
+
+        return finalizeResults(results, {
+            filePaths: job.input.file_paths,
+            zipFilePath: job.input.zip_path,
+            origin: 'queue',
+            sessionName: job.name
+        }, options);
+    });
+}
+
+function sendToRenderer(channel, data) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(channel, data);
+    }
+}
+
+// Runs a processing method with a BatchControl in its options; state changes go to the renderer
+async function runControlledBatch(event, method, args, options, progressCallback) {
+    return withBatchControl(event, (control) =>
+        processors.run(method, ...args, { ...options, control }, progressCallback));
+}
+
+async function withBatchControl(event, task) {
+    if (activeBatch) {
+        throw new Error('Another batch is already running');
+    }
+
+    const control = new BatchControl();
+    control.on('state', (state) => event.sender.send('batch-state', { state }));
+    activeBatch = control;
+
+    try {
+        return await task(control);
+    } finally {
+        activeBatch = null;
+    }
+}
+
+// The folder's batches share one duplicate index, so a repeated frame is found across batch boundaries
+function processFolder(folderPath, options, progressCallback) {
+    const duplicates = qualityScreener.duplicateIndex();
+    return processImageFolder(folderPath, options, (filePaths, batchOptions, batchProgress) =>
+        processScreenedBatch(filePaths, batchOptions, batchProgress, duplicates), progressCallback);
+}
+
+// Images are screened here, before they reach the engine, so one decode serves both: with quality_action
+// 'exclude' the flagged ones are left out and listed in quality_excluded, with 'tag' they are processed and
+// their results carry the flags
+async function processScreenedBatch(filePaths, options, progressCallback, duplicates) {
+    const { kept, excluded, screened } = await qualityScreener.filterBatch(filePaths, options, {
+        duplicates,
+        onProgress: progressCallback ? (progress) => progressCallback({
+            stage: 'Screening image quality',
+            progress: 0,
+            current: 0,
+            total: progress.total,
+            currentFile: progress.currentFile
+        }) : null
+    });
+
+    const results = kept.length > 0
+        ? await processors.run('processBatch', kept, options, progressCallback)
+        : buildBatchResponse([], { processingMode: 'batch', processingType: resolveProcessingType(options), options, startTime: Date.now() });
+
+    qualityScreener.tagResults(results, screened);
+
+    if (excluded.length > 0) {
+        results.quality_excluded = excluded;
+        console.log(`🔎 ${excluded.length} flagged image(s) left out of the batch`);
+    }
+    return results;
+}
+
+function cancelledResponse() {
+    console.log('⏹ Batch cancelled');
+    return { success: false, cancelled: true, error: 'Processing cancelled' };
+}
+
+// Every result set gets capture metadata, fused head/ear candidates, encounters and registry links before it
+// leaves the main process; matches to registered individuals are logged as sightings and the run is kept
+// in the session history (watched batches are kept as the watch session they roll into instead)
+async function finalizeResults(results, sources = {}, options = {}) {
+    // Viewers need the archive to show ZIP results; the engine's own zip_file_path is its output package
+    if (sources.zipFilePath) results.source_zip = sources.zipFilePath;
+
+    await attachMetadata(results, sources);
+    // Only results that weren't screened on the way in; the rest already carry their flags
+    if (options.quality_action && options.quality_action !== 'off') {
+        await qualityScreener.attachToResults(results, sources.filePaths);
+    }
+    fuseResults(results, options.fusion_head_weight);
+    // Encounters leave out matches a reviewer has rejected
+    if (verificationLog) verificationLog.applyToResults(results);
+    groupEncounters(results, options);
+    linkToRegistry(results);
+    await recordSightings(results);
+    if (sources.origin !== 'watch') await recordSession(results, sources, options);
+    return results;
+}
+
+// A failure to keep the session shouldn't cost the user their results either
+async function recordSession(results, sources, options) {
+    if (!sessionStore) return;
+
+    try {
+        const { control, processingType, type, ...settings } = options;
+        const session = await sessionStore.save(results, {
+            name: sources.sessionName,
+            origin: sources.origin || 'manual',
+            processing_type: processingType || type || results.processing_type,
+            options: settings,
+            inputs: { file_paths: sources.filePaths, zip_path: sources.zipFilePath, folder_path: results.source_folder },
+            engine: describeEngine(results)
+        });
+        results.session_id = session.id;
+    } catch (error) {
+        console.error('Error saving session:', error);
+    }
+}
+
+// Batches arrive every few seconds while a card is copied in, and each history save rewrites the session's
+// whole results file, so they are gathered into one save per WATCH.HISTORY_SAVE_INTERVAL
+function scheduleWatchSessionSave() {
+    if (watchSessionTimer) return;
+    watchSessionTimer = setTimeout(saveWatchSession, BACKEND_CONFIG.WATCH.HISTORY_SAVE_INTERVAL);
+}
+
+// Saves now if a save is pending; stopping, starting a new session and quitting don't wait for the timer
+function saveWatchSession() {
+    if (watchSessionTimer) {
+        clearTimeout(watchSessionTimer);
+        watchSessionTimer = null;
+        watchSessionSaving = watchSessionSaving.then(recordWatchSession);
+    }
+    return watchSessionSaving;
+}
+
+// The watch folder's rolling session is saved under its own id, so each save updates one history entry
+async function recordWatchSession() {
+    if (!sessionStore || !folderWatcher) return;
+
+    try {
+        const session = folderWatcher.getSession();
+        const { config } = folderWatcher.getStatus();
+        await sessionStore.save(session, {
+            id: session.id,
+            origin: 'watch',
+            processing_type: config.processing_type,
+            options: config.options || {},
+            inputs: { folder_path: session.source_folder },
+            engine: describeEngine(session)
+        });
+    } catch (error) {
+        console.error('Error saving watch session:', error);
+    }
+}
+
+// Which engine produced a result set, and the model versions its results report
+function describeEngine(results) {
+    const versions = {};
+    for (const result of results.detailed_results || []) {
+        for (const key of ['yolo_result', 'siamese_result', 'ear_result']) {
+            const version = result[key] && result[key].model_version;
+            if (version) versions[key.replace('_result', '')] = version;
+        }
+    }
+
+    return {
+        processor: processors.getStatus().active,
+        processing_mode: results.processing_mode || null,
+        model_versions: versions
+    };
+}
+
+// A failure to log sightings shouldn't cost the user their results
+async function recordSightings(results) {
+    if (!sightingLog) return;
+
+    try {
+        results.sightings_recorded = await sightingLog.recordResults(results);
+    } catch (error) {
+        console.error('Error recording sightings:', error);
+    }
+}
+
+// Sightings are recorded when a run finishes; a later decision on an identity adds or removes them
+async function syncSightings(result, processingMode) {
+    if (!sightingLog || !verificationLog) return;
+
+    try {
+        const results = { processing_mode: processingMode || null, detailed_results: [JSON.parse(JSON.stringify(result))] };
+        verificationLog.applyToResults(results);
+        linkToRegistry(results);
+        await sightingLog.syncResult(results.detailed_results[0], results);
+    } catch (error) {
+        console.error('Error updating sightings after review:', error);
+    }
+}
+
+// Attach registry identities to Siamese matches before results reach the renderer
+function linkToRegistry(results) {
+    if (elephantRegistry && elephantRegistry.isInitialized) {
+        elephantRegistry.linkResults(results);
+    }
+    return results;
+}
+
+function requireRegistry() {
+    if (!elephantRegistry || !elephantRegistry.isInitialized) {
+        throw new Error('Elephant registry not available');
+    }
+    return elephantRegistry;
+}
+
+function requireFolderWatcher() {
+    if (!folderWatcher) {
+        throw new Error('Folder watcher not available');
+    }
+    return folderWatcher;
+}
+
+function requireAnnotations() {
+    if (!annotations) {
+        throw new Error('Annotations not available');
+    }
+    return annotations;
+}
+
+function requireVerificationLog() {
+    if (!verificationLog) {
+        throw new Error('Verification log not available');
+    }
+    return verificationLog;
+}
+
+function requireSessionStore() {
+    if (!sessionStore) {
+        throw new Error('Session history not available');
+    }
+    return sessionStore;
+}
+
+function requireResultImages() {
+    if (!resultImages) {
+        throw new Error('Result images not available');
+    }
+    return resultImages;
+}
+
+function requireBasemap() {
+    if (!basemap) {
+        throw new Error('Map not available');
+    }
+    return basemap;
+}
+
+function requireSightingLog() {
+    if (!sightingLog) {
+        throw new Error('Sighting log not available');
+    }
+    return sightingLog;
+}
+
+function requireJobQueue() {
+    if (!jobQueue) {
+        throw new Error('Job queue not available');
+    }
+    return jobQueue;
+}
+
+function requireGroupReviews() {
+    if (!groupReviews) {
+        throw new Error('Group review not available');
+    }
+    return groupReviews;
+}
+
 function showErrorDialog(message) {
     dialog.showErrorBox('Error', message);
 }
@@ -96,280 +603,1209 @@ function showErrorDialog(message) {
 // IPC handlers for file processing
 ipcMain.handle('process-file', async (event, filePath, options = {}) => {
     try {
-        if (!backendProcessor || !backendProcessor.isInitialized) {
-            throw new Error('Backend not connected. Please restart the app.');
+        console.log('Processing file with options:', options);
+        const result = await processors.run('processFile', filePath, options);
+        if (result && result.metadata === undefined) {
+            result.metadata = await readImageMetadata(filePath).catch(() => null);
         }
+        return { success: true, data: linkToRegistry(fuseResults(result, options.fusion_head_weight)) };
+    } catch (error) {
+        console.error('Processing error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('process-batch', async (event, filePaths, options = {}) => {
+    try {
+        console.log('Processing batch with options:', options);
+
+        const results = await withBatchControl(event, (control) => processScreenedBatch(filePaths, { ...options, control }, (progress) => {
+            event.sender.send('batch-progress', {
+                progress: progress.progress || 0,
+                current: progress.current || 0,
+                total: progress.total || filePaths.length,
+                currentFile: progress.currentFile || 'Processing...',
+                stage: progress.stage || 'Processing files',
+                eta_seconds: progress.eta_seconds ?? null,
+                job_id: progress.job_id || null
+            });
+        }));
+
+        return { success: true, data: await finalizeResults(results, { filePaths }, options) };
+    } catch (error) {
+        if (isCancellation(error)) return cancelledResponse();
+        console.error('Batch processing error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// ZIP processing handler
+ipcMain.handle('process-zip', async (event, zipFilePath, options = {}) => {
+    try {
+        const results = await runControlledBatch(event, 'processBatchZip', [zipFilePath], options, (progress) => {
+            event.sender.send('batch-progress', progress);
+        });
+
+        return { success: true, data: await finalizeResults(results, { zipFilePath }, options) };
+    } catch (error) {
+        if (isCancellation(error)) return cancelledResponse();
+        console.error('ZIP processing error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Folder processing - images are discovered recursively and read in place, no ZIP needed
+ipcMain.handle('process-folder', async (event, folderPath, options = {}) => {
+    try {
+        console.log('📁 Processing folder with options:', options);
+
+        const results = await withBatchControl(event, (control) =>
+            processFolder(folderPath, { ...options, control }, (progress) => {
+                event.sender.send('batch-progress', progress);
+            }));
+
+        return { success: true, data: await finalizeResults(results, {}, options) };
+    } catch (error) {
+        if (isCancellation(error)) return cancelledResponse();
+        console.error('Folder processing error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Re-ranks fused candidates for a new head/ear weighting without reprocessing
+ipcMain.handle('fuse-results', async (event, results, headWeight) => {
+    try {
+        return { success: true, data: linkToRegistry(fuseResults(results, headWeight)) };
+    } catch (error) {
+        console.error('Score fusion error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Regroups results into encounters for a new time gap or aggregation method without reprocessing
+ipcMain.handle('group-encounters', async (event, results, options = {}) => {
+    try {
+        return { success: true, data: linkToRegistry(groupEncounters(results, options)) };
+    } catch (error) {
+        console.error('Encounter grouping error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Quality flags for images the user has selected, before anything is processed
+ipcMain.handle('screen-images', async (event, filePaths) => {
+    try {
+        return { success: true, data: await qualityScreener.screen(filePaths) };
+    } catch (error) {
+        console.error('Quality screening error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Counts what a folder (and its patterns) would feed into processing
+ipcMain.handle('scan-folder', async (event, folderPath, patterns = {}) => {
+    try {
+        const files = await scanImageFolder(folderPath, {
+            include: parsePatterns(patterns.include),
+            exclude: parsePatterns(patterns.exclude)
+        });
+
+        return {
+            success: true,
+            data: {
+                folder_path: folderPath,
+                image_count: files.length,
+                sample: files.slice(0, 5).map(file => file.relative_path)
+            }
+        };
+    } catch (error) {
+        console.error('Folder scan error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// NEW: Individual elephant identification handler
+ipcMain.handle('process-individual-elephants', async (event, data, options = {}) => {
+    try {
+        console.log('🐘 Processing individual elephant identification with options:', options);
+
+        // Extract file paths and ZIP file path from data
+        const { filePaths, zipFilePath } = data;
+
+        const results = await runControlledBatch(
+            event,
+            'processIndividualElephants',
+            [filePaths, zipFilePath],
+            options,
+            (progress) => {
+                event.sender.send('batch-progress', {
+                    progress: progress.progress || 0,
+                    current: progress.current || 0,
+                    total: progress.total || 0,
+                    currentFile: progress.currentFile || 'Processing individual elephants...',
+                    stage: progress.stage || 'Identifying individual elephants',
+                    individual_groups: progress.individual_groups || 0,
+                    similarity_threshold: progress.similarity_threshold || options.similarity_threshold || 0.85,
+                    eta_seconds: progress.eta_seconds ?? null,
+                    job_id: progress.job_id || null
+                });
+            }
+        );
+
+        return { success: true, data: await finalizeResults(results, { filePaths: filePaths || [], zipFilePath }, options) };
+    } catch (error) {
+        if (isCancellation(error)) return cancelledResponse();
+        console.error('Individual elephant processing error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Enhanced ZIP processing with individual elephant support
+ipcMain.handle('process-zip-individual-elephants', async (event, zipFilePath, options = {}) => {
+    try {
+        console.log('🐘📦 Processing ZIP for individual elephant identification...');
+
+        const results = await runControlledBatch(event, 'processIndividualElephants', [null, zipFilePath], options, (progress) => {
+            event.sender.send('batch-progress', {
+                ...progress,
+                stage: progress.stage || 'Identifying individual elephants in ZIP',
+                individual_groups: progress.individual_groups || 0,
+                similarity_threshold: progress.similarity_threshold || options.similarity_threshold || 0.85
+            });
+        });
+
+        return { success: true, data: await finalizeResults(results, { zipFilePath }, options) };
+    } catch (error) {
+        if (isCancellation(error)) return cancelledResponse();
+        console.error('ZIP individual elephant processing error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Batch control handlers (pause / resume / cancel the running batch)
+ipcMain.handle('pause-batch', async () => {
+    return { success: !!activeBatch && activeBatch.pause() };
+});
+
+ipcMain.handle('resume-batch', async () => {
+    return { success: !!activeBatch && activeBatch.resume() };
+});
+
+ipcMain.handle('cancel-batch', async () => {
+    if (!activeBatch) {
+        return { success: false };
+    }
+
+    const confirmation = await dialog.showMessageBox(mainWindow, {
+        type: 'warning',
+        buttons: ['Cancel Batch', 'Keep Running'],
+        defaultId: 1,
+        cancelId: 1,
+        title: 'Cancel Processing',
+        message: 'Cancel the running batch?',
+        detail: 'Uploads and inference stop now and partial results are discarded.'
+    });
+
+    if (confirmation.response !== 0 || !activeBatch) {
+        return { success: false, cancelled: true };
+    }
+
+    return { success: activeBatch.cancel() };
+});
+
+// Job queue handlers (datasets processed one after another, persisted across restarts)
+ipcMain.handle('job-queue-status', async () => {
+    try {
+        return { success: true, data: requireJobQueue().getStatus() };
+    } catch (error) {
+        console.error('Job queue status error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('job-queue-enqueue', async (event, spec) => {
+    try {
+        return { success: true, data: await requireJobQueue().enqueue(spec) };
+    } catch (error) {
+        console.error('Job queue enqueue error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('job-queue-move', async (event, id, index) => {
+    try {
+        return { success: true, data: await requireJobQueue().moveJob(id, index) };
+    } catch (error) {
+        console.error('Job queue move error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('job-queue-remove', async (event, id) => {
+    try {
+        return { success: true, data: await requireJobQueue().removeJob(id) };
+    } catch (error) {
+        console.error('Job queue remove error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('job-queue-retry', async (event, id) => {
+    try {
+        return { success: true, data: await requireJobQueue().retryJob(id) };
+    } catch (error) {
+        console.error('Job queue retry error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('job-queue-pause', async (event, id) => {
+    try {
+        return { success: true, data: requireJobQueue().pauseJob(id) };
+    } catch (error) {
+        console.error('Job queue pause error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('job-queue-resume', async (event, id) => {
+    try {
+        return { success: true, data: requireJobQueue().resumeJob(id) };
+    } catch (error) {
+        console.error('Job queue resume error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('job-queue-cancel', async (event, id) => {
+    try {
+        return { success: true, data: await requireJobQueue().cancelJob(id) };
+    } catch (error) {
+        console.error('Job queue cancel error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('job-queue-start', async () => {
+    try {
+        return { success: true, data: await requireJobQueue().start() };
+    } catch (error) {
+        console.error('Job queue start error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('job-queue-stop', async () => {
+    try {
+        return { success: true, data: await requireJobQueue().stop() };
+    } catch (error) {
+        console.error('Job queue stop error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('job-queue-results', async (event, id) => {
+    try {
+        return { success: true, data: await requireJobQueue().getResults(id) };
+    } catch (error) {
+        console.error('Job queue results error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Watch-folder handlers (drop directories processed automatically as images arrive)
+ipcMain.handle('watch-folder-status', async () => {
+    try {
+        return { success: true, data: requireFolderWatcher().getStatus() };
+    } catch (error) {
+        console.error('Watch folder status error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('watch-folder-start', async (event, config) => {
+    try {
+        return { success: true, data: await requireFolderWatcher().start(config) };
+    } catch (error) {
+        console.error('Watch folder start error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('watch-folder-stop', async () => {
+    try {
+        const status = await requireFolderWatcher().stop();
+        await saveWatchSession();
+        return { success: true, data: status };
+    } catch (error) {
+        console.error('Watch folder stop error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('watch-folder-session', async () => {
+    try {
+        return { success: true, data: requireFolderWatcher().getSession() };
+    } catch (error) {
+        console.error('Watch folder session error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('watch-folder-new-session', async () => {
+    try {
+        // The finished session goes into history with everything it processed
+        await saveWatchSession();
+        return { success: true, data: await requireFolderWatcher().newSession() };
+    } catch (error) {
+        console.error('Watch folder new session error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('watch-folder-reset', async () => {
+    try {
+        return { success: true, data: await requireFolderWatcher().resetProcessed() };
+    } catch (error) {
+        console.error('Watch folder reset error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// NEW: Prepare download package handler (enhanced for individual elephants)
+ipcMain.handle('prepare-download-package', async (event, downloadRequest) => {
+    try {
+        console.log('🔄 Preparing download package...');
+
+        // Send progress updates to frontend
+        event.sender.send('download-progress', {
+            stage: 'Preparing download package...',
+            progress: 10
+        });
+
+        const downloadResult = await processors.run('prepareDownloadPackage', downloadRequest);
+
+        event.sender.send('download-progress', {
+            stage: 'Package ready!',
+            progress: 100
+        });
+
+        return downloadResult;
+
+    } catch (error) {
+        console.error('Download preparation error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// NEW: Enhanced download with individual elephant support
+ipcMain.handle('prepare-individual-elephant-download', async (event, downloadRequest) => {
+    try {
+        console.log('🐘 Preparing individual elephant download package...');
+
+        // Send progress updates to frontend
+        event.sender.send('download-progress', {
+            stage: 'Organizing individual elephant groups...',
+            progress: 20
+        });
+
+        const downloadResult = await processors.run('prepareIndividualElephantDownloadPackage', downloadRequest);
+
+        event.sender.send('download-progress', {
+            stage: 'Individual elephant package ready!',
+            progress: 100
+        });
+
+        return downloadResult;
+
+    } catch (error) {
+        console.error('Individual elephant download preparation error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// NEW: Download file to user's Downloads folder
+ipcMain.handle('download-file-to-downloads', async (event, zipPath, filename) => {
+    try {
+        console.log(`📥 Downloading file: ${filename}`);
+
+        const result = await processors.run('downloadFileToDownloads', zipPath, filename);
+
+        if (result.success) {
+            // Show different messages based on processing type
+            let message = 'Your processed images have been downloaded!';
+            let detail = `File saved to: ${result.path}`;
+
+            // Check if it's individual elephant results
+            if (filename.includes('individual_elephants')) {
+                message = 'Individual elephant identification results downloaded!';
+                detail = `Each numbered folder contains images of the same individual elephant.\nFile saved to: ${result.path}`;
+            }
+
+            // Notify user of successful download
+            const downloadResult = await dialog.showMessageBox(mainWindow, {
+                type: 'info',
+                buttons: ['Open Downloads Folder', 'OK'],
+                defaultId: 0,
+                title: 'Download Complete',
+                message: message,
+                detail: detail
+            });
+
+            if (downloadResult.response === 0) {
+                // Open Downloads folder (this is OS-specific)
+                const { shell } = require('electron');
+                shell.showItemInFolder(result.path);
+            }
+        }
+
+        return result;
+
+    } catch (error) {
+        console.error('Download error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Local result export (CSV, JSON Lines, Excel, Darwin Core archive); no backend involved
+ipcMain.handle('export-results', async (event, results, format) => {
+    try {
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        if (!results || !Array.isArray(results.detailed_results)) {
+            throw new Error('No results to export');
+        }
+
+        const session = results.session_id && sessionStore ? sessionStore.findSession(results.session_id) : null;
+        const stem = format === 'dwca' ? 'airavat-dwca' : 'airavat-results';
+
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+            title: `Export Results as ${exportFormat.name}`,
+            defaultPath: path.join(app.getPath('documents'), `${stem}-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`),
+            filters: [{ name: exportFormat.name, extensions: [exportFormat.extension] }]
+        });
+
+        if (canceled || !filePath) {
+            return { success: false, cancelled: true };
+        }
+
+        return { success: true, data: await exportResults(format, results, filePath, { title: session ? session.name : null }) };
+    } catch (error) {
+        console.error('Result export error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Organized result package built locally from the source images; no upload to the backend and back.
+// options: { destination, layout, transfer, archive, annotated, contact_sheets }; sources: { filePaths, zipFilePath }
+ipcMain.handle('build-result-package', async (event, results, options = {}, sources = {}) => {
+    try {
+        if (!results || !Array.isArray(results.detailed_results)) {
+            throw new Error('No results to package');
+        }
+
+        if (options.transfer === 'move' && !options.archive) {
+            const confirmation = await dialog.showMessageBox(mainWindow, {
+                type: 'warning',
+                buttons: ['Move Images', 'Cancel'],
+                defaultId: 1,
+                cancelId: 1,
+                title: 'Move Images',
+                message: 'Move the original images into the package?',
+                detail: 'They are taken out of their current folders. Saved sessions and the viewers will no longer find them there.'
+            });
+
+            if (confirmation.response !== 0) {
+                return { success: false, cancelled: true };
+            }
+        }
+
+        const session = results.session_id && sessionStore ? sessionStore.findSession(results.session_id) : null;
+        const total = results.detailed_results.length;
+
+        // One pass over a ZIP source: it is indexed once and each image is extracted when its turn comes
+        const images = requireResultImages().openSession(sources);
+        let summary;
+        try {
+            summary = await withBatchControl(event, (control) => buildResultPackage(results, {
+                ...options,
+                name: session ? session.name : null
+            }, {
+                control,
+                resolveImage: (result) => images.resolve(result),
+                releaseImage: (imagePath) => images.release(imagePath),
+                onProgress: (progress) => event.sender.send('download-progress', {
+                    stage: 'Building package...',
+                    progress: total > 0 ? Math.round(progress.current / total * 100) : 100,
+                    currentFile: progress.currentFile,
+                    processedCount: progress.current,
+                    totalCount: progress.total
+                })
+            }));
+        } finally {
+            await images.close();
+        }
+
+        const packageResult = await dialog.showMessageBox(mainWindow, {
+            type: 'info',
+            buttons: ['Show Package', 'OK'],
+            defaultId: 0,
+            title: 'Package Ready',
+            message: `Packaged ${summary.images} image(s) into ${Object.keys(summary.folders).length} folder(s)`,
+            detail: [
+                `Saved to: ${summary.path}`,
+                summary.missing.length > 0 ? `${summary.missing.length} image(s) could not be found and were left out.` : null,
+                summary.copied_instead_of_linked > 0 ? `${summary.copied_instead_of_linked} image(s) were copied because they can't be hard-linked from their volume.` : null
+            ].filter(Boolean).join('\n')
+        });
+
+        if (packageResult.response === 0) {
+            shell.showItemInFolder(summary.path);
+        }
+
+        return { success: true, data: summary };
+    } catch (error) {
+        if (isCancellation(error)) return cancelledResponse();
+        console.error('Result package error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Field report for the results on screen: a standalone HTML page, or that page printed to PDF.
+// sources: { filePaths, zipFilePath } to find the photos in
+ipcMain.handle('generate-field-report', async (event, results, sources = {}) => {
+    try {
+        if (!results || !Array.isArray(results.detailed_results)) {
+            throw new Error('No results to report on');
+        }
+
+        const session = results.session_id && sessionStore ? sessionStore.findSession(results.session_id) : null;
+
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+            title: 'Save Field Report',
+            defaultPath: path.join(app.getPath('documents'), `airavat-report-${new Date().toISOString().slice(0, 10)}.pdf`),
+            filters: [
+                { name: 'PDF', extensions: ['pdf'] },
+                { name: 'Web Page', extensions: ['html'] }
+            ]
+        });
+
+        if (canceled || !filePath) {
+            return { success: false, cancelled: true };
+        }
+
+        // Photos from a ZIP are extracted for the report only
+        const images = requireResultImages().openSession(sources);
+        let report;
+        try {
+            report = await buildFieldReport(results, {
+                title: session ? session.name : null,
+                session,
+                engine: describeEngine(results),
+                app_version: app.getVersion()
+            }, {
+                resolveImage: (result) => images.resolve(result),
+                getIndividual: (id) => elephantRegistry && elephantRegistry.isInitialized ? elephantRegistry.getIndividual(id) : null,
+                getTimeline: (id) => sightingLog ? sightingLog.getTimeline(id) : null
+            });
+        } finally {
+            await images.close();
+        }
+
+        const format = path.extname(filePath).toLowerCase() === '.html' ? 'html' : 'pdf';
+        if (format === 'html') {
+            await fs.writeFile(filePath, report.html);
+        } else {
+            await fs.writeFile(filePath, await printReportToPdf(report.html));
+        }
+
+        const reportResult = await dialog.showMessageBox(mainWindow, {
+            type: 'info',
+            buttons: ['Open Report', 'OK'],
+            defaultId: 0,
+            title: 'Report Ready',
+            message: `Field report saved with ${report.individuals} individual(s)`,
+            detail: `Saved to: ${filePath}`
+        });
+
+        if (reportResult.response === 0) {
+            shell.openPath(filePath);
+        }
+
+        return { success: true, data: { path: filePath, format, individuals: report.individuals, photos: report.photos } };
+    } catch (error) {
+        console.error('Field report error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Laid out by a hidden window from a temporary file; the embedded photos make it too large for a data URL
+async function printReportToPdf(html) {
+    const htmlPath = path.join(app.getPath('temp'), `airavat-report-${Date.now()}.html`);
+    const reportWindow = new BrowserWindow({
+        show: false,
+        webPreferences: {
+            javascript: false,
+            sandbox: true
+        }
+    });
+
+    try {
+        await fs.writeFile(htmlPath, html);
+        await reportWindow.loadFile(htmlPath);
+        return await reportWindow.webContents.printToPDF({
+            printBackground: true,
+            pageSize: 'A4',
+            preferCSSPageSize: true
+        });
+    } finally {
+        reportWindow.destroy();
+        await fs.remove(htmlPath);
+    }
+}
+
+// Get model info handler
+ipcMain.handle('get-model-info', async () => {
+    try {
+        if (!processors.isReady()) {
+            return {
+                success: false,
+                error: 'No processing engine available',
+                offline: true
+            };
+        }
+
+        const modelInfo = await processors.run('getModelInfo');
+        return { success: true, data: modelInfo };
+    } catch (error) {
+        console.error('Model info error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Processing engine status and runtime selection
+ipcMain.handle('get-processor-status', async () => {
+    return processors.getStatus();
+});
+
+ipcMain.handle('select-processor', async (event, name) => {
+    try {
+        await processors.activate(name);
+
+        const modelInfo = await processors.run('getModelInfo');
+        return { success: true, data: { ...processors.getStatus(), modelInfo } };
+    } catch (error) {
+        console.error(`Error switching to ${name} processor:`, error);
+        return { success: false, error: error.message, data: processors.getStatus() };
+    }
+});
+
+// Enhanced model info handler with individual elephant capability check
+ipcMain.handle('get-enhanced-model-info', async () => {
+    try {
+        if (!processors.isReady()) {
+            return {
+                success: false,
+                error: 'No processing engine available',
+                offline: true
+            };
+        }
+
+        const modelInfo = await processors.run('getModelInfo');
+
+        // Check if both YOLO and Siamese models are available for individual identification
+        const individualElephantSupported =
+            modelInfo.models_loaded &&
+            modelInfo.models_loaded.yolo &&
+            modelInfo.models_loaded.siamese;
+
+        return {
+            success: true,
+            data: {
+                ...modelInfo,
+                individual_elephant_identification: individualElephantSupported,
+                features: {
+                    yolo_detection: modelInfo.models_loaded?.yolo || false,
+                    siamese_comparison: modelInfo.models_loaded?.siamese || false,
+                    individual_identification: individualElephantSupported,
+                    batch_processing: true,
+                    zip_support: true
+                }
+            }
+        };
+    } catch (error) {
+        console.error('Enhanced model info error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Elephant registry handlers
+ipcMain.handle('registry-list-individuals', async (event, query) => {
+    try {
+        // Sighting counts and last-seen dates ride along for the registry cards
+        const sightings = sightingLog ? sightingLog.summarize() : {};
+        const individuals = requireRegistry().listIndividuals(query).map(individual => ({
+            ...individual,
+            sightings: sightings[individual.id] || { total: 0, last_seen: null }
+        }));
+        return { success: true, data: individuals };
+    } catch (error) {
+        console.error('Registry list error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('registry-get-individual', async (event, id) => {
+    try {
+        const individual = requireRegistry().getIndividual(id);
+        if (!individual) {
+            throw new Error(`Individual ${id} not found in registry`);
+        }
+        return { success: true, data: individual };
+    } catch (error) {
+        console.error('Registry lookup error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('registry-create-individual', async (event, fields) => {
+    try {
+        return { success: true, data: await requireRegistry().createIndividual(fields) };
+    } catch (error) {
+        console.error('Registry create error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('registry-update-individual', async (event, id, changes) => {
+    try {
+        return { success: true, data: await requireRegistry().updateIndividual(id, changes) };
+    } catch (error) {
+        console.error('Registry update error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('registry-delete-individual', async (event, id) => {
+    try {
+        const individual = requireRegistry().getIndividual(id);
+
+        const confirmation = await dialog.showMessageBox(mainWindow, {
+            type: 'warning',
+            buttons: ['Delete', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1,
+            title: 'Delete Individual',
+            message: `Delete ${individual ? individual.name : id} from the registry?`,
+            detail: 'Their reference photos will be removed as well. This cannot be undone.'
+        });
+
+        if (confirmation.response !== 0) {
+            return { success: false, cancelled: true };
+        }
+
+        const deleted = await requireRegistry().deleteIndividual(id);
+        if (sightingLog) await sightingLog.removeIndividual(id);
+        return { success: true, data: deleted };
+    } catch (error) {
+        console.error('Registry delete error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('registry-add-photo', async (event, id, type) => {
+    try {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: type === 'right_ear' ? 'Select Right Ear Photo' : 'Select Head Photo',
+            properties: ['openFile'],
+            filters: [
+                { name: 'Images', extensions: BACKEND_CONFIG.SUPPORTED_FORMATS }
+            ]
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, cancelled: true };
+        }
+
+        return { success: true, data: await requireRegistry().addPhoto(id, result.filePaths[0], type) };
+    } catch (error) {
+        console.error('Registry photo error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('registry-remove-photo', async (event, id, photoId) => {
+    try {
+        return { success: true, data: await requireRegistry().removePhoto(id, photoId) };
+    } catch (error) {
+        console.error('Registry photo removal error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Group review handlers (promote clustered groups into registry individuals)
+ipcMain.handle('group-review-create', async (event, results, filePaths) => {
+    try {
+        return { success: true, data: await requireGroupReviews().createReview(results, filePaths) };
+    } catch (error) {
+        console.error('Group review creation error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('group-review-list', async () => {
+    try {
+        return { success: true, data: await requireGroupReviews().listReviews() };
+    } catch (error) {
+        console.error('Group review list error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('group-review-get', async (event, id) => {
+    try {
+        return { success: true, data: await requireGroupReviews().getReview(id) };
+    } catch (error) {
+        console.error('Group review lookup error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('group-review-merge', async (event, id, groupKey, individualId) => {
+    try {
+        return { success: true, data: await requireGroupReviews().mergeIntoIndividual(id, groupKey, individualId) };
+    } catch (error) {
+        console.error('Group merge error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('group-review-register', async (event, id, groupKey, fields) => {
+    try {
+        return { success: true, data: await requireGroupReviews().registerAsNewIndividual(id, groupKey, fields) };
+    } catch (error) {
+        console.error('Group registration error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        console.log('Processing file with options:', options);
-        const result = await backendProcessor.processFile(filePath, options);
-        return { success: true, data: result };
+ipcMain.handle('group-review-clear', async (event, id, groupKey) => {
+    try {
+        return { success: true, data: await requireGroupReviews().clearDecision(id, groupKey) };
     } catch (error) {
-        console.error('Processing error:', error);
+        console.error('Group decision reset error:', error);
         return { success: false, error: error.message };
     }
 });
 
-ipcMain.handle('process-batch', async (event, filePaths, options = {}) => {
+ipcMain.handle('group-review-split', async (event, id, groupKey, resultIndexes) => {
     try {
-        if (!backendProcessor || !backendProcessor.isInitialized) {
-            throw new Error('Backend not connected. Please restart the app.');
-        }
-
-        console.log('Processing batch with options:', options);
-
-        const results = await backendProcessor.processBatch(filePaths, options, (progress) => {
-            event.sender.send('batch-progress', {
-                progress: progress.progress || 0,
-                current: progress.current || 0,
-                total: progress.total || filePaths.length,
-                currentFile: progress.currentFile || 'Processing...',
-                stage: progress.stage || 'Processing files'
-            });
-        });
-
-        return { success: true, data: results };
+        return { success: true, data: await requireGroupReviews().splitGroup(id, groupKey, resultIndexes) };
     } catch (error) {
-        console.error('Batch processing error:', error);
+        console.error('Group split error:', error);
         return { success: false, error: error.message };
     }
 });
 
-// ZIP processing handler
-ipcMain.handle('process-zip', async (event, zipFilePath, options = {}) => {
+ipcMain.handle('group-review-move', async (event, id, fromKey, toKey, resultIndexes) => {
     try {
-        if (!backendProcessor || !backendProcessor.isInitialized) {
-            throw new Error('Backend not connected. Please restart the app.');
-        }
-
-        const results = await backendProcessor.processBatchZip(zipFilePath, options, (progress) => {
-            event.sender.send('batch-progress', progress);
-        });
-
-        return { success: true, data: results };
+        return { success: true, data: await requireGroupReviews().moveImages(id, fromKey, toKey, resultIndexes) };
     } catch (error) {
-        console.error('ZIP processing error:', error);
+        console.error('Group move error:', error);
         return { success: false, error: error.message };
     }
 });
 
-// NEW: Individual elephant identification handler
-ipcMain.handle('process-individual-elephants', async (event, data, options = {}) => {
+ipcMain.handle('group-review-apply', async (event, id, results) => {
     try {
-        if (!backendProcessor || !backendProcessor.isInitialized) {
-            throw new Error('Backend not connected. Please restart the app.');
-        }
+        const manager = requireGroupReviews();
+        const review = await manager.getReview(id);
+        const applied = manager.applyToResults(review, results);
+        await recordSightings(applied);
+        return { success: true, data: applied };
+    } catch (error) {
+        console.error('Group review apply error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        console.log('🐘 Processing individual elephant identification with options:', options);
+// Sighting history handlers
+ipcMain.handle('sightings-list', async (event, filters) => {
+    try {
+        return { success: true, data: requireSightingLog().listSightings(filters) };
+    } catch (error) {
+        console.error('Sightings list error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        // Extract file paths and ZIP file path from data
-        const { filePaths, zipFilePath } = data;
+ipcMain.handle('sightings-timeline', async (event, individualId) => {
+    try {
+        return { success: true, data: requireSightingLog().getTimeline(individualId) };
+    } catch (error) {
+        console.error('Sightings timeline error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        const results = await backendProcessor.processIndividualElephants(
-            filePaths,
-            zipFilePath,
-            options,
-            (progress) => {
-                event.sender.send('batch-progress', {
-                    progress: progress.progress || 0,
-                    current: progress.current || 0,
-                    total: progress.total || 0,
-                    currentFile: progress.currentFile || 'Processing individual elephants...',
-                    stage: progress.stage || 'Identifying individual elephants',
-                    individual_groups: progress.individual_groups || 0,
-                    similarity_threshold: progress.similarity_threshold || options.similarity_threshold || 0.85
-                });
-            }
-        );
+ipcMain.handle('sightings-delete', async (event, id) => {
+    try {
+        return { success: true, data: await requireSightingLog().deleteSighting(id) };
+    } catch (error) {
+        console.error('Sightings delete error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        return { success: true, data: results };
+// The image behind a result, for viewers: { filename, file_path }, { filePaths, zipFilePath }
+ipcMain.handle('resolve-result-image', async (event, result, sources) => {
+    try {
+        return { success: true, data: await requireResultImages().resolve(result || {}, sources || {}) };
     } catch (error) {
-        console.error('Individual elephant processing error:', error);
+        console.error('Resolve result image error:', error);
         return { success: false, error: error.message };
     }
 });
 
-// Enhanced ZIP processing with individual elephant support
-ipcMain.handle('process-zip-individual-elephants', async (event, zipFilePath, options = {}) => {
+// Match comparison handlers
+// Reference photos for one Siamese match: dataset images for its elephant_id, then the linked registry photos
+ipcMain.handle('match-reference-images', async (event, elephantId, referenceImage) => {
     try {
-        if (!backendProcessor || !backendProcessor.isInitialized) {
-            throw new Error('Backend not connected. Please restart the app.');
-        }
+        const referenceDir = path.join(__dirname, '../../models/datasets/reference');
+        const registry = elephantRegistry && elephantRegistry.isInitialized ? elephantRegistry : null;
+        return { success: true, data: await findReferenceImages(referenceDir, registry, elephantId, referenceImage) };
+    } catch (error) {
+        console.error('Match reference images error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        console.log('🐘📦 Processing ZIP for individual elephant identification...');
+// Verification queue handlers
+ipcMain.handle('verification-settings', async () => {
+    try {
+        return { success: true, data: requireVerificationLog().getSettings() };
+    } catch (error) {
+        console.error('Verification settings error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        const results = await backendProcessor.processBatchZipIndividualElephants(zipFilePath, options, (progress) => {
-            event.sender.send('batch-progress', {
-                ...progress,
-                stage: progress.stage || 'Identifying individual elephants in ZIP',
-                individual_groups: progress.individual_groups || 0,
-                similarity_threshold: progress.similarity_threshold || options.similarity_threshold || 0.85
-            });
-        });
+ipcMain.handle('verification-update-settings', async (event, changes) => {
+    try {
+        return { success: true, data: await requireVerificationLog().updateSettings(changes) };
+    } catch (error) {
+        console.error('Verification settings update error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        return { success: true, data: results };
+ipcMain.handle('verification-queue', async (event, results) => {
+    try {
+        return { success: true, data: requireVerificationLog().buildQueue(results) };
     } catch (error) {
-        console.error('ZIP individual elephant processing error:', error);
+        console.error('Verification queue error:', error);
         return { success: false, error: error.message };
     }
 });
 
-// NEW: Prepare download package handler (enhanced for individual elephants)
-ipcMain.handle('prepare-download-package', async (event, downloadRequest) => {
+// item: { kind, subject, image, score }; decision: 'accepted', 'rejected' or null to clear
+// source: { result, processing_mode } - the result the decision is about, so its sightings follow the decision
+ipcMain.handle('verification-decide', async (event, item, decision, note, source) => {
     try {
-        if (!backendProcessor || !backendProcessor.isInitialized) {
-            throw new Error('Backend not connected. Please restart the app.');
+        const entry = await requireVerificationLog().decide(item, decision || null, note);
+        if (source && source.result && ['siamese_match', 'singleton_group'].includes(item.kind)) {
+            await syncSightings(source.result, source.processing_mode);
         }
+        return { success: true, data: entry };
+    } catch (error) {
+        console.error('Verification decision error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        console.log('🔄 Preparing download package...');
-
-        // Send progress updates to frontend
-        event.sender.send('download-progress', {
-            stage: 'Preparing download package...',
-            progress: 10
+ipcMain.handle('verification-export-audit', async () => {
+    try {
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+            title: 'Export Verification Audit Trail',
+            defaultPath: path.join(app.getPath('documents'), `verification-audit-${new Date().toISOString().slice(0, 10)}.csv`),
+            filters: [{ name: 'CSV', extensions: ['csv'] }]
         });
 
-        const downloadResult = await backendProcessor.prepareDownloadPackage(downloadRequest);
-
-        event.sender.send('download-progress', {
-            stage: 'Package ready!',
-            progress: 100
-        });
+        if (canceled || !filePath) {
+            return { success: false, cancelled: true };
+        }
 
-        return downloadResult;
+        return { success: true, data: await requireVerificationLog().exportAudit(filePath) };
+    } catch (error) {
+        console.error('Verification audit export error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
+// Session history handlers (past runs, reopened without reprocessing)
+ipcMain.handle('sessions-list', async (event, filters) => {
+    try {
+        const store = requireSessionStore();
+        return { success: true, data: { sessions: store.list(filters), tags: store.getTags() } };
     } catch (error) {
-        console.error('Download preparation error:', error);
+        console.error('Session list error:', error);
         return { success: false, error: error.message };
     }
 });
 
-// NEW: Enhanced download with individual elephant support
-ipcMain.handle('prepare-individual-elephant-download', async (event, downloadRequest) => {
+// Links and review decisions are reapplied, so a reopened session reflects the registry and reviews as they are now
+ipcMain.handle('session-open', async (event, id) => {
     try {
-        if (!backendProcessor || !backendProcessor.isInitialized) {
-            throw new Error('Backend not connected. Please restart the app.');
-        }
+        const session = await requireSessionStore().get(id);
+        const results = session.results;
 
-        console.log('🐘 Preparing individual elephant download package...');
+        results.session_id = session.id;
+        if (verificationLog) verificationLog.applyToResults(results);
+        linkToRegistry(results);
 
-        // Send progress updates to frontend
-        event.sender.send('download-progress', {
-            stage: 'Organizing individual elephant groups...',
-            progress: 20
-        });
+        return { success: true, data: session };
+    } catch (error) {
+        console.error('Session open error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        const downloadResult = await backendProcessor.prepareIndividualElephantDownloadPackage(downloadRequest);
+// changes: { name, tags }
+ipcMain.handle('session-update', async (event, id, changes) => {
+    try {
+        return { success: true, data: await requireSessionStore().update(id, changes) };
+    } catch (error) {
+        console.error('Session update error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        event.sender.send('download-progress', {
-            stage: 'Individual elephant package ready!',
-            progress: 100
+ipcMain.handle('session-delete', async (event, id) => {
+    try {
+        const store = requireSessionStore();
+        const session = store.requireSession(id);
+
+        const confirmation = await dialog.showMessageBox(mainWindow, {
+            type: 'warning',
+            buttons: ['Delete', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1,
+            title: 'Delete Session',
+            message: `Delete the session "${session.name}"?`,
+            detail: 'Its saved results are removed from the history. Images, sightings and review decisions are kept.'
         });
 
-        return downloadResult;
+        if (confirmation.response !== 0) {
+            return { success: false, cancelled: true };
+        }
 
+        return { success: true, data: await store.delete(id) };
     } catch (error) {
-        console.error('Individual elephant download preparation error:', error);
+        console.error('Session delete error:', error);
         return { success: false, error: error.message };
     }
 });
 
-// NEW: Download file to user's Downloads folder
-ipcMain.handle('download-file-to-downloads', async (event, zipPath, filename) => {
+ipcMain.handle('session-compare', async (event, firstId, secondId) => {
     try {
-        console.log(`📥 Downloading file: ${filename}`);
-
-        const result = await backendProcessor.downloadFileToDownloads(zipPath, filename);
+        // Judged with today's reviews and registry links, as an opened session would be
+        return { success: true, data: await requireSessionStore().compare(firstId, secondId, (results) => {
+            if (verificationLog) verificationLog.applyToResults(results);
+            linkToRegistry(results);
+        }) };
+    } catch (error) {
+        console.error('Session compare error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        if (result.success) {
-            // Show different messages based on processing type
-            let message = 'Your processed images have been downloaded!';
-            let detail = `File saved to: ${result.path}`;
+// Annotation correction handlers
+ipcMain.handle('annotation-get', async (event, imagePath) => {
+    try {
+        const store = requireAnnotations();
+        return { success: true, data: { annotation: await store.getAnnotation(imagePath), classes: store.getClasses() } };
+    } catch (error) {
+        console.error('Annotation get error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-            // Check if it's individual elephant results
-            if (filename.includes('individual_elephants')) {
-                message = 'Individual elephant identification results downloaded!';
-                detail = `Each numbered folder contains images of the same individual elephant.\nFile saved to: ${result.path}`;
-            }
+ipcMain.handle('annotation-save', async (event, imagePath, annotation) => {
+    try {
+        return { success: true, data: await requireAnnotations().saveAnnotation(imagePath, annotation) };
+    } catch (error) {
+        console.error('Annotation save error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-            // Notify user of successful download
-            const downloadResult = await dialog.showMessageBox(mainWindow, {
-                type: 'info',
-                buttons: ['Open Downloads Folder', 'OK'],
-                defaultId: 0,
-                title: 'Download Complete',
-                message: message,
-                detail: detail
-            });
+ipcMain.handle('annotation-delete', async (event, key) => {
+    try {
+        const confirmation = await dialog.showMessageBox(mainWindow, {
+            type: 'warning',
+            buttons: ['Remove', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1,
+            title: 'Remove Correction',
+            message: 'Remove the saved correction for this image?',
+            detail: 'The model\'s boxes will be shown again and the image is left out of exported training data.'
+        });
 
-            if (downloadResult.response === 0) {
-                // Open Downloads folder (this is OS-specific)
-                const { shell } = require('electron');
-                shell.showItemInFolder(result.path);
-            }
+        if (confirmation.response !== 0) {
+            return { success: false, cancelled: true };
         }
 
-        return result;
-
+        return { success: true, data: await requireAnnotations().deleteAnnotation(key) };
     } catch (error) {
-        console.error('Download error:', error);
+        console.error('Annotation delete error:', error);
         return { success: false, error: error.message };
     }
 });
 
-// Get model info handler
-ipcMain.handle('get-model-info', async () => {
+ipcMain.handle('annotation-summary', async () => {
     try {
-        if (!backendProcessor || !backendProcessor.isInitialized) {
-            return {
-                success: false,
-                error: 'Backend not connected',
-                offline: true
-            };
-        }
-
-        const modelInfo = await backendProcessor.getModelInfo();
-        return { success: true, data: modelInfo };
+        return { success: true, data: requireAnnotations().getSummary() };
     } catch (error) {
-        console.error('Model info error:', error);
+        console.error('Annotation summary error:', error);
         return { success: false, error: error.message };
     }
 });
 
-// Enhanced model info handler with individual elephant capability check
-ipcMain.handle('get-enhanced-model-info', async () => {
+ipcMain.handle('annotation-export', async (event, format, outputDir) => {
     try {
-        if (!backendProcessor || !backendProcessor.isInitialized) {
-            return {
-                success: false,
-                error: 'Backend not connected',
-                offline: true
-            };
-        }
+        return { success: true, data: await requireAnnotations().exportDataset(format, outputDir) };
+    } catch (error) {
+        console.error('Annotation export error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        const modelInfo = await backendProcessor.getModelInfo();
+// Offline map handlers
+ipcMain.handle('map-basemap-status', async () => {
+    try {
+        return { success: true, data: requireBasemap().getInfo() };
+    } catch (error) {
+        console.error('Basemap status error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        // Check if both YOLO and Siamese models are available for individual identification
-        const individualElephantSupported =
-            modelInfo.models_loaded &&
-            modelInfo.models_loaded.yolo &&
-            modelInfo.models_loaded.siamese;
+ipcMain.handle('map-set-basemap', async (event, sourcePath) => {
+    try {
+        return { success: true, data: await requireBasemap().setBasemap(sourcePath) };
+    } catch (error) {
+        console.error('Set basemap error:', error);
+        return { success: false, error: error.message };
+    }
+});
 
-        return {
-            success: true,
-            data: {
-                ...modelInfo,
-                individual_elephant_identification: individualElephantSupported,
-                features: {
-                    yolo_detection: modelInfo.models_loaded?.yolo || false,
-                    siamese_comparison: modelInfo.models_loaded?.siamese || false,
-                    individual_identification: individualElephantSupported,
-                    batch_processing: true,
-                    zip_support: true
-                }
-            }
-        };
+ipcMain.handle('map-clear-basemap', async () => {
+    try {
+        return { success: true, data: await requireBasemap().clear() };
     } catch (error) {
-        console.error('Enhanced model info error:', error);
+        console.error('Clear basemap error:', error);
         return { success: false, error: error.message };
     }
 });
@@ -407,6 +1843,22 @@ ipcMain.handle('select-zip', async () => {
     return result.filePaths[0];
 });
 
+ipcMain.handle('select-basemap', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile'],
+        filters: [
+            { name: 'Offline Maps', extensions: ['mbtiles', 'tif', 'tiff'] },
+            { name: 'All Files', extensions: ['*'] }
+        ]
+    });
+
+    if (result.canceled) {
+        return null;
+    }
+
+    return result.filePaths[0];
+});
+
 ipcMain.handle('select-folder', async () => {
     const result = await dialog.showOpenDialog(mainWindow, {
         properties: ['openDirectory']
@@ -432,8 +1884,8 @@ ipcMain.handle('show-save-dialog', async (event, options) => {
 
 // Get supported formats
 ipcMain.handle('get-supported-formats', async () => {
-    if (backendProcessor && backendProcessor.isInitialized) {
-        const modelInfo = await backendProcessor.getModelInfo();
+    if (processors.isReady()) {
+        const modelInfo = await processors.run('getModelInfo');
         return modelInfo.supportedFormats;
     }
     return ['jpg', 'jpeg', 'png', 'bmp', 'gif', 'tiff', 'tif'];
@@ -442,7 +1894,7 @@ ipcMain.handle('get-supported-formats', async () => {
 // NEW: Get processing capabilities
 ipcMain.handle('get-processing-capabilities', async () => {
     try {
-        if (!backendProcessor || !backendProcessor.isInitialized) {
+        if (!processors.isReady()) {
             return {
                 yolo_detection: false,
                 siamese_comparison: false,
@@ -452,7 +1904,7 @@ ipcMain.handle('get-processing-capabilities', async () => {
             };
         }
 
-        const modelInfo = await backendProcessor.getModelInfo();
+        const modelInfo = await processors.run('getModelInfo');
 
         return {
             yolo_detection: modelInfo.models_loaded?.yolo || false,
@@ -553,7 +2005,15 @@ ipcMain.handle('show-similarity-threshold-dialog', async () => {
 });
 
 // App event handlers
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+    await initializeRegistry();
+    await initializeJobQueue();
+    await initializeFolderWatcher();
+    await initializeBasemap();
+    await initializeResultImages();
+    await initializeAnnotations();
+    await initializeVerificationLog();
+    await initializeSessionStore();
     createWindow();
 
     app.on('activate', () => {
@@ -569,8 +2029,14 @@ app.on('window-all-closed', () => {
     }
 });
 
-app.on('before-quit', () => {
-    if (backendProcessor) {
-        backendProcessor.cleanup();
+app.on('before-quit', (event) => {
+    // A watch session save still pending is written before quitting, so history has every batch
+    if (watchSessionTimer) {
+        event.preventDefault();
+        saveWatchSession().finally(() => app.quit());
+        return;
     }
+
+    processors.cleanup();
+    if (resultImages) resultImages.close().catch(error => console.error('Error removing result images:', error));
 });
@@ -13,10 +13,10 @@ class ModelManager {
         fs.ensureDirSync(this.tempDir);
     }
 
+    // YOLO is all offline detection needs; the Siamese model only adds matching, and not every backend publishes one
     async checkModelsExist() {
         try {
             const yoloDir = path.join(this.modelsDir, 'yolo');
-            const datasetDir = path.join(this.modelsDir, 'datasets');
 
             // Check if essential model files exist
             const yoloExists = await fs.pathExists(path.join(yoloDir, 'model.weights'));
@@ -43,6 +43,11 @@ class ModelManager {
             // Download YOLO model
             await this.downloadYoloModel(modelInfo.yolo, progressCallback);
 
+            // Download Siamese model used for head-based matching
+            if (modelInfo.siamese) {
+                await this.downloadSiameseModel(modelInfo.siamese, progressCallback);
+            }
+
             // Download any additional datasets
             if (modelInfo.datasets) {
                 await this.downloadDatasets(modelInfo.datasets, progressCallback);
@@ -89,6 +94,12 @@ class ModelManager {
         }
     }
 
+    async checkSiameseModelExists() {
+        const siameseDir = path.join(this.modelsDir, 'siamese');
+        return await fs.pathExists(path.join(siameseDir, 'model.weights')) &&
+            await fs.pathExists(path.join(siameseDir, 'config.json'));
+    }
+
     async downloadYoloModel(yoloInfo, progressCallback) {
         const yoloDir = path.join(this.modelsDir, 'yolo');
         await fs.ensureDir(yoloDir);
@@ -130,6 +141,35 @@ class ModelManager {
         }
     }
 
+    async downloadSiameseModel(siameseInfo, progressCallback) {
+        const siameseDir = path.join(this.modelsDir, 'siamese');
+        await fs.ensureDir(siameseDir);
+
+        // Download model weights (ONNX export of the embedding network)
+        if (siameseInfo.weightsUrl) {
+            await this.downloadFile(
+                siameseInfo.weightsUrl,
+                path.join(siameseDir, 'model.weights'),
+                (progress) => progressCallback({
+                    stage: 'Downloading Siamese weights',
+                    progress: progress * 0.9
+                })
+            );
+        }
+
+        // Download model configuration (input size and normalisation)
+        if (siameseInfo.configUrl) {
+            await this.downloadFile(
+                siameseInfo.configUrl,
+                path.join(siameseDir, 'config.json'),
+                (progress) => progressCallback({
+                    stage: 'Downloading Siamese config',
+                    progress: 90 + (progress * 0.05)
+                })
+            );
+        }
+    }
+
     async downloadDatasets(datasetsInfo, progressCallback) {
         const datasetDir = path.join(this.modelsDir, 'datasets');
         await fs.ensureDir(datasetDir);
@@ -194,6 +234,7 @@ class ModelManager {
             version: modelInfo.version || '1.0.0',
             downloadDate: new Date().toISOString(),
             yolo: modelInfo.yolo,
+            siamese: modelInfo.siamese || null,
             datasets: modelInfo.datasets || [],
             offline: true
         };
@@ -221,4 +262,13 @@ class ModelManager {
     }
 }
 
+// Allow `npm run setup` to fetch models ahead of going into the field
+if (require.main === module && process.argv.includes('--download')) {
+    new ModelManager()
+        .downloadModels((progress) => {
+            console.log(`${progress.stage}: ${Math.round(progress.progress || 0)}%`);
+        })
+        .catch(() => process.exit(1));
+}
+
 module.exports = ModelManager;
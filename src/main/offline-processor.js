@@ -1,250 +1,831 @@
-// const fs = require('fs-extra');
-// const path = require('path');
-// const { spawn } = require('child_process');
-
-// class OfflineProcessor {
-//     constructor() {
-//         this.modelsDir = path.join(__dirname, '../../models');
-//         this.tempDir = path.join(__dirname, '../../temp');
-//         this.isInitialized = false;
-
-//         this.initialize();
-//     }
-
-//     async initialize() {
-//         try {
-//             // Load model configuration
-//             this.modelConfig = await this.loadModelConfig();
-
-//             // Verify model files exist
-//             await this.verifyModelFiles();
-
-//             this.isInitialized = true;
-//             console.log('Offline processor initialized successfully');
-
-//         } catch (error) {
-//             console.error('Failed to initialize offline processor:', error);
-//             throw error;
-//         }
-//     }
-
-//     async loadModelConfig() {
-//         const configPath = path.join(this.modelsDir, 'model-config.json');
-
-//         if (!await fs.pathExists(configPath)) {
-//             throw new Error('Model configuration not found. Please re-download models.');
-//         }
-
-//         return await fs.readJson(configPath);
-//     }
-
-//     async verifyModelFiles() {
-//         const yoloDir = path.join(this.modelsDir, 'yolo');
-
-//         const requiredFiles = [
-//             path.join(yoloDir, 'model.weights'),
-//             path.join(yoloDir, 'config.json'),
-//             path.join(yoloDir, 'classes.txt')
-//         ];
-
-//         for (const file of requiredFiles) {
-//             if (!await fs.pathExists(file)) {
-//                 throw new Error(`Required model file missing: ${path.basename(file)}`);
-//             }
-//         }
-//     }
-
-//     async processFile(filePath, options = {}) {
-//         if (!this.isInitialized) {
-//             throw new Error('Processor not initialized');
-//         }
-
-//         try {
-//             console.log(`Processing file: ${filePath}`);
-
-//             // Verify input file exists
-//             if (!await fs.pathExists(filePath)) {
-//                 throw new Error('Input file not found');
-//             }
-
-//             // Determine processing type based on options
-//             const processingType = options.type || 'yolo-detect';
-
-//             switch (processingType) {
-//                 case 'yolo-detect':
-//                     return await this.runYoloDetection(filePath, options);
-//                 case 'compare-dataset':
-//                     return await this.runDatasetComparison(filePath, options);
-//                 default:
-//                     throw new Error(`Unknown processing type: ${processingType}`);
-//             }
-
-//         } catch (error) {
-//             console.error('File processing error:', error);
-//             throw error;
-//         }
-//     }
-
-//     async processBatch(filePaths, options = {}, progressCallback) {
-//         if (!this.isInitialized) {
-//             throw new Error('Processor not initialized');
-//         }
-
-//         const results = [];
-//         const total = filePaths.length;
-
-//         for (let i = 0; i < filePaths.length; i++) {
-//             const filePath = filePaths[i];
-
-//             try {
-//                 console.log(`Processing ${i + 1}/${total}: ${filePath}`);
-
-//                 const result = await this.processFile(filePath, options);
-//                 results.push({
-//                     filePath,
-//                     success: true,
-//                     result
-//                 });
-
-//                 // Update progress
-//                 if (progressCallback) {
-//                     progressCallback({
-//                         current: i + 1,
-//                         total,
-//                         progress: ((i + 1) / total) * 100,
-//                         currentFile: path.basename(filePath)
-//                     });
-//                 }
-
-//             } catch (error) {
-//                 console.error(`Error processing ${filePath}:`, error);
-//                 results.push({
-//                     filePath,
-//                     success: false,
-//                     error: error.message
-//                 });
-//             }
-//         }
-
-//         return results;
-//     }
-
-//     async runYoloDetection(imagePath, options = {}) {
-//         // This is a simplified YOLO detection implementation
-//         // In a real implementation, you would use a proper YOLO library
-//         // like OpenCV.js, TensorFlow.js, or call a Python script
-
-//         return new Promise((resolve, reject) => {
-//             // For demo purposes, simulate YOLO detection
-//             // Replace this with actual YOLO processing
-
-//             const mockDetection = {
-//                 detections: [
-//                     {
-//                         class: 'person',
-//                         confidence: 0.85,
-//                         bbox: [100, 150, 200, 400],
-//                         center: [150, 275]
-//                     },
-//                     {
-//                         class: 'car',
-//                         confidence: 0.92,
-//                         bbox: [300, 200, 500, 350],
-//                         center: [400, 275]
-//                     }
-//                 ],
-//                 processedImage: imagePath, // In real implementation, save processed image
-//                 processingTime: Date.now(),
-//                 modelVersion: this.modelConfig.version
-//             };
-
-//             // Simulate processing time
-//             setTimeout(() => {
-//                 resolve(mockDetection);
-//             }, 1000 + Math.random() * 2000);
-//         });
-//     }
-
-//     async runDatasetComparison(imagePath, options = {}) {
-//         // Simulate dataset comparison
-//         return new Promise((resolve, reject) => {
-//             const mockComparison = {
-//                 matches: [
-//                     {
-//                         datasetImage: 'dataset_001.jpg',
-//                         similarity: 0.78,
-//                         matchType: 'feature_similarity'
-//                     },
-//                     {
-//                         datasetImage: 'dataset_045.jpg',
-//                         similarity: 0.65,
-//                         matchType: 'color_histogram'
-//                     }
-//                 ],
-//                 processingTime: Date.now(),
-//                 algorithm: 'feature_matching'
-//             };
-
-//             setTimeout(() => {
-//                 resolve(mockComparison);
-//             }, 800 + Math.random() * 1200);
-//         });
-//     }
-
-//     async getModelInfo() {
-//         if (!this.isInitialized) {
-//             throw new Error('Processor not initialized');
-//         }
-
-//         return {
-//             ...this.modelConfig,
-//             status: 'ready',
-//             modelsPath: this.modelsDir,
-//             supportedFormats: ['jpg', 'jpeg', 'png', 'bmp', 'gif'],
-//             capabilities: ['yolo-detect', 'compare-dataset', 'batch-process']
-//         };
-//     }
-
-//     cleanup() {
-//         // Clean up temporary files
-//         try {
-//             fs.emptyDirSync(this.tempDir);
-//             console.log('Cleanup completed');
-//         } catch (error) {
-//             console.error('Cleanup error:', error);
-//         }
-//     }
-
-//     // Helper method to run Python scripts if needed
-//     async runPythonScript(scriptName, args = []) {
-//         return new Promise((resolve, reject) => {
-//             const scriptPath = path.join(__dirname, '../../scripts', scriptName);
-//             const python = spawn('python', [scriptPath, ...args]);
-
-//             let output = '';
-//             let error = '';
-
-//             python.stdout.on('data', (data) => {
-//                 output += data.toString();
-//             });
-
-//             python.stderr.on('data', (data) => {
-//                 error += data.toString();
-//             });
-
-//             python.on('close', (code) => {
-//                 if (code === 0) {
-//                     try {
-//                         resolve(JSON.parse(output));
-//                     } catch (e) {
-//                         resolve(output);
-//                     }
-//                 } else {
-//                     reject(new Error(`Python script failed: ${error}`));
-//                 }
-//             });
-//         });
-//     }
-// }
-
-// module.exports = OfflineProcessor;
+const fs = require('fs-extra');
+const path = require('path');
+const ort = require('onnxruntime-node');
+const sharp = require('sharp');
+const ModelManager = require('./model-manager');
+const { BACKEND_CONFIG } = require('../config/backend-config');
+const {
+    resolveProcessingType,
+    isSupportedImage,
+    categorizeResult,
+    matchQuality,
+    buildBatchResponse,
+    forEachZipImage,
+    streamToFile,
+    estimateEta,
+    round
+} = require('./processing-utils');
+
+// Padding colour used by Ultralytics when letterboxing images for YOLOv8
+const LETTERBOX_COLOR = { r: 114, g: 114, b: 114 };
+
+class OfflineProcessor {
+    constructor() {
+        this.modelManager = new ModelManager();
+        this.modelsDir = this.modelManager.getModelsDirectory();
+        this.tempDir = this.modelManager.getTempDirectory();
+        this.isInitialized = false;
+
+        this.modelConfig = null;
+        this.yolo = null;
+        this.siamese = null;
+        this.referenceGallery = [];
+        this.earGallery = [];
+    }
+
+    async initialize() {
+        try {
+            console.log('Initializing offline processor...');
+
+            // Load model configuration written by ModelManager
+            this.modelConfig = await this.loadModelConfig();
+
+            // Verify model files exist
+            await this.verifyModelFiles();
+
+            // Load the networks on the CPU; without a Siamese model only YOLO detection runs offline
+            this.yolo = await this.loadYoloModel();
+            this.siamese = await this.modelManager.checkSiameseModelExists() ? await this.loadSiameseModel() : null;
+
+            if (this.siamese) {
+                // Embed (or load cached embeddings of) the known elephants, whole photos and right-ear crops
+                this.referenceGallery = await this.loadReferenceGallery('reference', 'reference-embeddings.json');
+                this.earGallery = await this.loadReferenceGallery('reference_ears', 'reference-ear-embeddings.json');
+            }
+
+            this.isInitialized = true;
+            console.log(this.siamese
+                ? `✅ Offline processor ready (${this.referenceGallery.length} reference embeddings, ${this.earGallery.length} ear embeddings)`
+                : '✅ Offline processor ready (YOLO detection only - no Siamese model installed)');
+
+        } catch (error) {
+            console.error('Failed to initialize offline processor:', error);
+            throw error;
+        }
+    }
+
+    async loadModelConfig() {
+        const configPath = path.join(this.modelsDir, 'model-config.json');
+
+        if (!await fs.pathExists(configPath)) {
+            throw new Error('Model configuration not found. Please re-download models.');
+        }
+
+        return await fs.readJson(configPath);
+    }
+
+    async verifyModelFiles() {
+        const requiredFiles = [
+            path.join(this.modelsDir, 'yolo', 'model.weights'),
+            path.join(this.modelsDir, 'yolo', 'config.json'),
+            path.join(this.modelsDir, 'yolo', 'classes.txt')
+        ];
+
+        for (const file of requiredFiles) {
+            if (!await fs.pathExists(file)) {
+                throw new Error(`Required model file missing: ${path.relative(this.modelsDir, file)}`);
+            }
+        }
+    }
+
+    async createSession(weightsPath) {
+        // model.weights files are ONNX exports of the backend's PyTorch models
+        return await ort.InferenceSession.create(weightsPath, {
+            executionProviders: ['cpu'],
+            graphOptimizationLevel: 'all'
+        });
+    }
+
+    async loadYoloModel() {
+        const yoloDir = path.join(this.modelsDir, 'yolo');
+        const config = await fs.readJson(path.join(yoloDir, 'config.json'));
+        const classes = (await fs.readFile(path.join(yoloDir, 'classes.txt'), 'utf8'))
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean);
+
+        const session = await this.createSession(path.join(yoloDir, 'model.weights'));
+
+        return {
+            session,
+            classes,
+            inputSize: config.input_size || config.imgsz || 640,
+            iou: config.iou || 0.45,
+            version: config.version || this.modelConfig.version
+        };
+    }
+
+    async loadSiameseModel() {
+        const siameseDir = path.join(this.modelsDir, 'siamese');
+        const config = await fs.readJson(path.join(siameseDir, 'config.json'));
+
+        const session = await this.createSession(path.join(siameseDir, 'model.weights'));
+
+        return {
+            session,
+            inputSize: config.input_size || 224,
+            mean: config.mean || [0.485, 0.456, 0.406],
+            std: config.std || [0.229, 0.224, 0.225],
+            version: config.version || this.modelConfig.version
+        };
+    }
+
+    // Reference embeddings are cached next to the dataset with the size and modification time of each photo,
+    // so only photos added or replaced since are embedded again and removed ones drop out
+    async loadReferenceGallery(folder, cacheFile) {
+        const datasetDir = path.join(this.modelsDir, 'datasets');
+        const cachePath = path.join(datasetDir, cacheFile);
+
+        // Reference images are laid out as datasets/<folder>/<elephant_id>/<image>; reference_ears holds
+        // right-ear crops in the same layout
+        const referenceDir = path.join(datasetDir, folder);
+        if (!await fs.pathExists(referenceDir)) {
+            console.warn(`⚠️ No ${folder} dataset found - comparisons against it will return no matches`);
+            return [];
+        }
+
+        const cached = new Map();
+        if (await fs.pathExists(cachePath)) {
+            const cache = await fs.readJson(cachePath).catch(() => ({}));
+            if (cache.model_version === this.siamese.version) {
+                for (const entry of cache.embeddings || []) {
+                    cached.set(referenceKey(entry), entry);
+                }
+            } else {
+                console.log('Reference embeddings are from another model version, rebuilding...');
+            }
+        }
+
+        const embeddings = [];
+        let embedded = 0;
+        const elephantIds = await fs.readdir(referenceDir);
+
+        for (const elephantId of elephantIds) {
+            const elephantDir = path.join(referenceDir, elephantId);
+            if (!(await fs.stat(elephantDir)).isDirectory()) continue;
+
+            for (const image of await fs.readdir(elephantDir)) {
+                if (!isSupportedImage(image)) continue;
+
+                const imagePath = path.join(elephantDir, image);
+                const stats = await fs.stat(imagePath);
+                const reference = { elephant_id: elephantId, image, size: stats.size, mtime_ms: stats.mtimeMs };
+                const previous = cached.get(referenceKey(reference));
+                if (previous) {
+                    embeddings.push(previous);
+                    continue;
+                }
+
+                try {
+                    embeddings.push({ ...reference, embedding: await this.embedImage(imagePath) });
+                    embedded++;
+                } catch (error) {
+                    console.warn(`⚠️ Skipping reference image ${elephantId}/${image}: ${error.message}`);
+                }
+            }
+        }
+
+        if (embedded > 0 || embeddings.length !== cached.size) {
+            console.log(`Reference embeddings for ${folder}: ${embedded} new or changed, ${embeddings.length} in total`);
+            await fs.writeJson(cachePath, {
+                model_version: this.siamese.version,
+                created_at: new Date().toISOString(),
+                embeddings
+            });
+        }
+
+        return embeddings;
+    }
+
+    async processFile(filePath, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Offline processor not initialized');
+        }
+
+        try {
+            console.log(`Processing file offline: ${filePath}`);
+
+            // Verify input file exists
+            if (!await fs.pathExists(filePath)) {
+                throw new Error('Input file not found');
+            }
+
+            const processingType = resolveProcessingType(options);
+            this.requireModelsFor(processingType);
+
+            if (processingType === 'yolo') {
+                return await this.runYoloDetection(filePath, options);
+            } else if (processingType === 'siamese') {
+                return await this.runDatasetComparison(filePath, options);
+            } else if (processingType === 'combined') {
+                const yoloResult = await this.runYoloDetection(filePath, options);
+                return {
+                    yolo_result: yoloResult,
+                    siamese_result: await this.runDatasetComparison(filePath, options),
+                    ear_result: await this.runEarComparison(filePath, yoloResult, options)
+                };
+            }
+
+            throw new Error(`Unknown processing type: ${processingType}`);
+
+        } catch (error) {
+            console.error('File processing error:', error);
+            throw error;
+        }
+    }
+
+    async processBatch(filePaths, options = {}, progressCallback) {
+        if (!this.isInitialized) {
+            throw new Error('Offline processor not initialized');
+        }
+
+        try {
+            console.log(`Processing batch of ${filePaths.length} files offline`);
+
+            const processingType = resolveProcessingType(options);
+            this.requireModelsFor(processingType);
+            const startTime = Date.now();
+            const detailedResults = [];
+            const total = filePaths.length;
+
+            for (let i = 0; i < total; i++) {
+                const filePath = filePaths[i];
+                await options.control?.checkpoint();
+
+                if (progressCallback) {
+                    progressCallback({
+                        stage: 'Running on-device inference',
+                        progress: Math.round((i / total) * 100),
+                        current: i,
+                        total,
+                        currentFile: path.basename(filePath),
+                        eta_seconds: estimateEta(startTime, i, total)
+                    });
+                }
+
+                detailedResults.push(await this.analyzeImage(filePath, path.basename(filePath), processingType, options));
+            }
+
+            if (progressCallback) {
+                progressCallback({
+                    stage: 'Finalizing results',
+                    progress: 100,
+                    current: total,
+                    total,
+                    currentFile: 'Done'
+                });
+            }
+
+            return this.buildBatchResponse(detailedResults, processingType, options, startTime);
+
+        } catch (error) {
+            console.error('Batch processing error:', error);
+            throw error;
+        }
+    }
+
+    // Entries are extracted and analysed one at a time so a large archive never lands on disk in full
+    async processBatchZip(zipFilePath, options = {}, progressCallback) {
+        if (!this.isInitialized) {
+            throw new Error('Offline processor not initialized');
+        }
+
+        try {
+            console.log(`Processing ZIP file offline: ${zipFilePath}`);
+
+            if (!await fs.pathExists(zipFilePath)) {
+                throw new Error('ZIP file not found');
+            }
+
+            const processingType = resolveProcessingType(options);
+            this.requireModelsFor(processingType);
+            const startTime = Date.now();
+            const extractDir = path.join(this.tempDir, `zip_${Date.now()}`);
+            await fs.ensureDir(extractDir);
+
+            const detailedResults = [];
+
+            try {
+                await forEachZipImage(zipFilePath, async (entry, readStream, index, total) => {
+                    await options.control?.checkpoint();
+
+                    if (progressCallback) {
+                        progressCallback({
+                            stage: 'Running on-device inference',
+                            progress: Math.round((index / total) * 100),
+                            current: index,
+                            total,
+                            currentFile: entry.fileName,
+                            eta_seconds: estimateEta(startTime, index, total)
+                        });
+                    }
+
+                    const extractedPath = path.join(extractDir, `${index}${path.extname(entry.fileName)}`);
+                    await streamToFile(readStream, extractedPath);
+
+                    try {
+                        detailedResults.push(await this.analyzeImage(extractedPath, entry.fileName, processingType, options));
+                    } finally {
+                        await fs.remove(extractedPath);
+                    }
+                });
+            } finally {
+                await fs.remove(extractDir);
+            }
+
+            return this.buildBatchResponse(detailedResults, processingType, options, startTime);
+
+        } catch (error) {
+            console.error('ZIP processing error:', error);
+            throw error;
+        }
+    }
+
+    async processIndividualElephants(filePaths, zipFilePath, options = {}, progressCallback) {
+        const individualOptions = { ...options, processingType: 'individual_elephants' };
+
+        if (zipFilePath) {
+            return await this.processBatchZip(zipFilePath, individualOptions, progressCallback);
+        } else if (filePaths && filePaths.length > 0) {
+            return await this.processBatch(filePaths, individualOptions, progressCallback);
+        }
+
+        throw new Error('No valid files provided for individual elephant processing');
+    }
+
+    async processBatchZipIndividualElephants(zipFilePath, options = {}, progressCallback) {
+        return await this.processIndividualElephants(null, zipFilePath, options, progressCallback);
+    }
+
+    // Matching and individual ID need the Siamese model; failing up front lets the registry fall back
+    requireModelsFor(processingType) {
+        if (processingType !== 'yolo' && !this.siamese) {
+            throw new Error('No Siamese model installed - offline processing can only run YOLO detection');
+        }
+    }
+
+    // Produces one `detailed_results` entry in the same shape the backend returns
+    async analyzeImage(filePath, filename, processingType, options = {}) {
+        const startTime = Date.now();
+        const result = { filename, file_path: filePath };
+
+        try {
+            const metadata = await sharp(filePath).metadata();
+            const stats = await fs.stat(filePath);
+            result.original_size = `${metadata.width}x${metadata.height}`;
+            result.file_size_mb = Math.round((stats.size / (1024 * 1024)) * 100) / 100;
+
+            if (processingType === 'yolo' || processingType === 'combined' || processingType === 'individual_elephants') {
+                result.yolo_result = await this.runYoloDetection(filePath, options);
+            }
+
+            if (processingType === 'siamese' || processingType === 'combined') {
+                result.siamese_result = await this.runDatasetComparison(filePath, options);
+            }
+
+            if (processingType === 'combined') {
+                result.ear_result = await this.runEarComparison(filePath, result.yolo_result, options);
+            }
+
+            if (processingType === 'individual_elephants' && result.yolo_result.total_detections > 0) {
+                // Kept on the result only until clustering has run
+                result.embedding = await this.embedImage(filePath);
+            }
+
+            result.category = categorizeResult(result, processingType);
+        } catch (error) {
+            console.error(`Error processing ${filename}:`, error);
+            result.category = 'processing_error';
+            result.error_message = error.message;
+        }
+
+        result.processing_time = Math.round((Date.now() - startTime) / 10) / 100;
+        return result;
+    }
+
+    buildBatchResponse(detailedResults, processingType, options, startTime) {
+        let individualGroups = 0;
+
+        if (processingType === 'individual_elephants') {
+            individualGroups = clusterIndividuals(detailedResults, options.similarity_threshold || 0.85);
+        }
+
+        detailedResults.forEach(result => delete result.embedding);
+
+        return buildBatchResponse(detailedResults, {
+            processingMode: 'offline',
+            processingType,
+            options,
+            startTime,
+            individualGroups
+        });
+    }
+
+    async runYoloDetection(imagePath, options = {}) {
+        const confidenceThreshold = options.confidence_threshold ?? options.confidence ?? 0.5;
+        const iouThreshold = options.iou ?? this.yolo.iou;
+        const inputSize = this.yolo.inputSize;
+
+        const { tensor, scale, padX, padY, width, height } = await letterbox(imagePath, inputSize);
+
+        const inputName = this.yolo.session.inputNames[0];
+        const outputs = await this.yolo.session.run({ [inputName]: tensor });
+        const output = outputs[this.yolo.session.outputNames[0]];
+
+        const candidates = decodeYoloOutput(output, confidenceThreshold);
+        const kept = nonMaxSuppression(candidates, iouThreshold);
+
+        // Map boxes from letterboxed input space back to original image pixels
+        const detections = kept.map(candidate => {
+            const x1 = clamp((candidate.box[0] - padX) / scale, 0, width);
+            const y1 = clamp((candidate.box[1] - padY) / scale, 0, height);
+            const x2 = clamp((candidate.box[2] - padX) / scale, 0, width);
+            const y2 = clamp((candidate.box[3] - padY) / scale, 0, height);
+
+            return {
+                class: this.yolo.classes[candidate.classId] || `class_${candidate.classId}`,
+                class_id: candidate.classId,
+                confidence: round(candidate.score, 4),
+                bbox: [round(x1, 1), round(y1, 1), round(x2, 1), round(y2, 1)],
+                center: [round((x1 + x2) / 2, 1), round((y1 + y2) / 2, 1)]
+            };
+        });
+
+        const highestConfidence = detections.reduce((max, detection) => Math.max(max, detection.confidence), 0);
+
+        return {
+            success: true,
+            message: detections.length > 0
+                ? `Detected ${detections.length} object(s)`
+                : 'No objects detected above the confidence threshold',
+            total_detections: detections.length,
+            highest_confidence: highestConfidence,
+            detections,
+            image_size: [width, height],
+            confidence_threshold: confidenceThreshold,
+            model_version: this.yolo.version
+        };
+    }
+
+    async runDatasetComparison(imagePath, options = {}) {
+        const threshold = options.siamese_threshold ?? options.threshold ?? 0.85;
+        const topK = options.top_k || 10;
+
+        const embedding = await this.embedImage(imagePath);
+        const { matches, candidates, referenceCount } = rankGallery(embedding, this.referenceGallery, threshold, topK);
+
+        return {
+            success: true,
+            total_matches: matches.length,
+            matches,
+            best_match: matches[0] || null,
+            // Top scores before the threshold, for fusing with other evidence
+            candidates,
+            siamese_threshold: threshold,
+            reference_count: referenceCount,
+            model_version: this.siamese.version
+        };
+    }
+
+    // Compares the most confident right-ear detection against the ear reference crops
+    async runEarComparison(imagePath, yoloResult, options = {}) {
+        const threshold = options.siamese_threshold ?? options.threshold ?? 0.85;
+        const topK = options.top_k || 10;
+
+        const ears = ((yoloResult && yoloResult.detections) || [])
+            .map((detection, index) => ({ detection, index }))
+            .filter(({ detection }) => /ear/i.test(detection.class))
+            .sort((a, b) => b.detection.confidence - a.detection.confidence);
+
+        const result = {
+            success: true,
+            detection_index: null,
+            total_matches: 0,
+            matches: [],
+            best_match: null,
+            candidates: [],
+            siamese_threshold: threshold,
+            reference_count: new Set(this.earGallery.map(reference => reference.elephant_id)).size,
+            model_version: this.siamese.version
+        };
+
+        if (ears.length === 0) {
+            return { ...result, message: 'No right ear detected' };
+        }
+        if (this.earGallery.length === 0) {
+            return { ...result, message: 'No ear reference dataset' };
+        }
+
+        const { detection, index } = ears[0];
+        const embedding = await this.embedImage(imagePath, detection.bbox);
+        const { matches, candidates } = rankGallery(embedding, this.earGallery, threshold, topK);
+
+        return {
+            ...result,
+            message: `Compared ear ${index + 1} (${Math.round(detection.confidence * 100)}% confidence)`,
+            detection_index: index,
+            total_matches: matches.length,
+            matches,
+            best_match: matches[0] || null,
+            candidates
+        };
+    }
+
+    // bbox: [x1, y1, x2, y2] in upright image pixels, to embed just that region
+    async embedImage(imagePath, bbox = null) {
+        const { inputSize, mean, std, session } = this.siamese;
+
+        let image = sharp(imagePath).rotate();
+        if (bbox) {
+            // Crop from the upright image so boxes from runYoloDetection line up
+            const upright = await image.toBuffer({ resolveWithObject: true });
+            const left = Math.max(0, Math.floor(bbox[0]));
+            const top = Math.max(0, Math.floor(bbox[1]));
+            image = sharp(upright.data).extract({
+                left,
+                top,
+                width: Math.max(1, Math.min(upright.info.width, Math.ceil(bbox[2])) - left),
+                height: Math.max(1, Math.min(upright.info.height, Math.ceil(bbox[3])) - top)
+            });
+        }
+
+        const { data } = await image
+            .resize(inputSize, inputSize, { fit: 'fill' })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const tensor = new ort.Tensor('float32', toChwFloat(data, inputSize, inputSize, mean, std), [1, 3, inputSize, inputSize]);
+
+        const outputs = await session.run({ [session.inputNames[0]]: tensor });
+        return normalize(Array.from(outputs[session.outputNames[0]].data));
+    }
+
+    async getModelInfo() {
+        if (!this.isInitialized) {
+            throw new Error('Offline processor not initialized');
+        }
+
+        return {
+            ...this.modelConfig,
+            status: 'ready',
+            processing_mode: 'offline',
+            modelsPath: this.modelsDir,
+            models_loaded: {
+                yolo: !!this.yolo,
+                siamese: !!this.siamese,
+                individual_elephants: !!this.yolo && !!this.siamese
+            },
+            model_versions: {
+                yolo: this.yolo.version,
+                siamese: this.siamese ? this.siamese.version : null
+            },
+            reference_elephants: new Set(this.referenceGallery.map(reference => reference.elephant_id)).size,
+            reference_ear_elephants: new Set(this.earGallery.map(reference => reference.elephant_id)).size,
+            supportedFormats: BACKEND_CONFIG.SUPPORTED_FORMATS,
+            capabilities: [
+                'single-process',
+                'batch-process',
+                'zip-process',
+                ...(this.siamese ? ['individual-elephant-identification'] : [])
+            ],
+            processingTypes: this.siamese ? [
+                'yolo',
+                'siamese',
+                'combined',
+                'individual_elephants'
+            ] : ['yolo'],
+            features: {
+                yolo_detection: true,
+                siamese_comparison: !!this.siamese,
+                individual_identification: !!this.siamese,
+                batch_processing: true,
+                zip_support: true
+            }
+        };
+    }
+
+    cleanup() {
+        // Clean up temporary files
+        try {
+            fs.emptyDirSync(this.tempDir);
+            console.log('Offline processor cleanup completed');
+        } catch (error) {
+            console.error('Cleanup error:', error);
+        }
+
+        this.isInitialized = false;
+    }
+}
+
+// A reference photo is the same one while its path, size and modification time are
+function referenceKey(reference) {
+    return `${reference.elephant_id}/${reference.image}|${reference.size}|${reference.mtime_ms}`;
+}
+
+// Greedy single-pass clustering: each image joins the group whose centroid it is most similar to
+function clusterIndividuals(detailedResults, threshold) {
+    const groups = [];
+
+    for (const result of detailedResults) {
+        if (result.category === 'processing_error') {
+            result.category = '99_processing_errors';
+            continue;
+        }
+        if (!result.embedding) continue;
+
+        let bestGroup = null;
+        let bestSimilarity = -1;
+        for (const group of groups) {
+            const similarity = cosineSimilarity(result.embedding, group.centroid);
+            if (similarity > bestSimilarity) {
+                bestSimilarity = similarity;
+                bestGroup = group;
+            }
+        }
+
+        if (bestGroup && bestSimilarity >= threshold) {
+            bestGroup.members.push({ result, similarity: bestSimilarity });
+            bestGroup.centroid = normalize(bestGroup.centroid.map((value, i) =>
+                value * (bestGroup.members.length - 1) + result.embedding[i]));
+        } else {
+            groups.push({ centroid: result.embedding.slice(), members: [{ result, similarity: 1 }] });
+        }
+    }
+
+    groups.forEach((group, index) => {
+        const groupId = index + 1;
+        const category = `${String(groupId).padStart(2, '0')}_elephant_individual`;
+
+        for (const member of group.members) {
+            member.result.category = category;
+            member.result.individual_elephant_info = {
+                group_id: groupId,
+                similarity_score: round(member.similarity, 4),
+                group_size: group.members.length
+            };
+        }
+    });
+
+    return groups.length;
+}
+
+// Resize with preserved aspect ratio and grey padding, returning the transform to undo it
+async function letterbox(imagePath, inputSize) {
+    const image = sharp(imagePath).rotate();
+    const metadata = await image.metadata();
+
+    // EXIF orientations 5-8 swap width and height once rotated
+    const rotated = (metadata.orientation || 1) >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const scale = Math.min(inputSize / width, inputSize / height);
+    const resizedWidth = Math.round(width * scale);
+    const resizedHeight = Math.round(height * scale);
+    const padX = Math.floor((inputSize - resizedWidth) / 2);
+    const padY = Math.floor((inputSize - resizedHeight) / 2);
+
+    const { data } = await image
+        .resize(resizedWidth, resizedHeight, { fit: 'fill' })
+        .extend({
+            top: padY,
+            bottom: inputSize - resizedHeight - padY,
+            left: padX,
+            right: inputSize - resizedWidth - padX,
+            background: LETTERBOX_COLOR
+        })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const tensor = new ort.Tensor('float32', toChwFloat(data, inputSize, inputSize), [1, 3, inputSize, inputSize]);
+
+    return { tensor, scale, padX, padY, width, height };
+}
+
+// Interleaved RGB bytes -> planar float32, optionally normalised with per-channel mean/std
+function toChwFloat(data, width, height, mean = [0, 0, 0], std = [1, 1, 1]) {
+    const planeSize = width * height;
+    const chw = new Float32Array(3 * planeSize);
+
+    for (let i = 0; i < planeSize; i++) {
+        for (let c = 0; c < 3; c++) {
+            chw[c * planeSize + i] = (data[i * 3 + c] / 255 - mean[c]) / std[c];
+        }
+    }
+
+    return chw;
+}
+
+// YOLOv8 output is [1, 4 + classes, anchors] with cx, cy, w, h followed by per-class scores
+function decodeYoloOutput(output, confidenceThreshold) {
+    const [, channels, anchors] = output.dims;
+    const data = output.data;
+    const classCount = channels - 4;
+    const candidates = [];
+
+    for (let a = 0; a < anchors; a++) {
+        let bestScore = 0;
+        let bestClass = 0;
+        for (let c = 0; c < classCount; c++) {
+            const score = data[(4 + c) * anchors + a];
+            if (score > bestScore) {
+                bestScore = score;
+                bestClass = c;
+            }
+        }
+
+        if (bestScore < confidenceThreshold) continue;
+
+        const cx = data[a];
+        const cy = data[anchors + a];
+        const w = data[2 * anchors + a];
+        const h = data[3 * anchors + a];
+
+        candidates.push({
+            box: [cx - w / 2, cy - h / 2, cx + w / 2, cy + h / 2],
+            score: bestScore,
+            classId: bestClass
+        });
+    }
+
+    return candidates;
+}
+
+// Class-aware non-maximum suppression
+function nonMaxSuppression(candidates, iouThreshold) {
+    const sorted = candidates.slice().sort((a, b) => b.score - a.score);
+    const kept = [];
+
+    for (const candidate of sorted) {
+        const overlaps = kept.some(existing =>
+            existing.classId === candidate.classId && intersectionOverUnion(existing.box, candidate.box) > iouThreshold);
+        if (!overlaps) {
+            kept.push(candidate);
+        }
+    }
+
+    return kept;
+}
+
+function intersectionOverUnion(a, b) {
+    const x1 = Math.max(a[0], b[0]);
+    const y1 = Math.max(a[1], b[1]);
+    const x2 = Math.min(a[2], b[2]);
+    const y2 = Math.min(a[3], b[3]);
+
+    const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+    const union = (a[2] - a[0]) * (a[3] - a[1]) + (b[2] - b[0]) * (b[3] - b[1]) - intersection;
+
+    return union > 0 ? intersection / union : 0;
+}
+
+// Scores each elephant by its best-matching reference image. matches are those over the threshold;
+// candidates are the top scores regardless, which score fusion and reviewers of near misses need.
+function rankGallery(embedding, gallery, threshold, topK) {
+    const bestByElephant = new Map();
+    for (const reference of gallery) {
+        const similarity = cosineSimilarity(embedding, reference.embedding);
+        const current = bestByElephant.get(reference.elephant_id);
+        if (!current || similarity > current.similarity) {
+            bestByElephant.set(reference.elephant_id, { similarity, reference_image: reference.image });
+        }
+    }
+
+    const ranked = Array.from(bestByElephant.entries())
+        .map(([elephantId, match]) => ({
+            elephant_id: elephantId,
+            similarity: round(match.similarity, 4),
+            confidence: round(match.similarity, 4),
+            match_quality: matchQuality(match.similarity, threshold),
+            reference_image: match.reference_image
+        }))
+        .sort((a, b) => b.similarity - a.similarity);
+
+    return {
+        matches: ranked.filter(match => match.similarity >= threshold).slice(0, topK),
+        candidates: ranked.slice(0, topK).map(match => ({ ...match })),
+        referenceCount: bestByElephant.size
+    };
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+}
+
+// Inputs are already L2-normalised, so the dot product is the cosine similarity
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+    }
+    return dot;
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+module.exports = OfflineProcessor;
@@ -5,16 +5,112 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // File processing
     processFile: (filePath, options) => ipcRenderer.invoke('process-file', filePath, options),
     processBatch: (filePaths, options) => ipcRenderer.invoke('process-batch', filePaths, options),
+    processFolder: (folderPath, options) => ipcRenderer.invoke('process-folder', folderPath, options),
+    scanFolder: (folderPath, patterns) => ipcRenderer.invoke('scan-folder', folderPath, patterns),
+    screenImages: (filePaths) => ipcRenderer.invoke('screen-images', filePaths),
     processZip: (zipFilePath, options) => ipcRenderer.invoke('process-zip', zipFilePath, options),
+    fuseResults: (results, headWeight) => ipcRenderer.invoke('fuse-results', results, headWeight),
+    groupEncounters: (results, options) => ipcRenderer.invoke('group-encounters', results, options),
+
+    // Running batch control
+    pauseBatch: () => ipcRenderer.invoke('pause-batch'),
+    resumeBatch: () => ipcRenderer.invoke('resume-batch'),
+    cancelBatch: () => ipcRenderer.invoke('cancel-batch'),
 
     // Download-based export system
     prepareDownloadPackage: (downloadRequest) => ipcRenderer.invoke('prepare-download-package', downloadRequest),
     downloadFileToDownloads: (zipPath, filename) => ipcRenderer.invoke('download-file-to-downloads', zipPath, filename),
+    exportResults: (results, format) => ipcRenderer.invoke('export-results', results, format),
+    buildResultPackage: (results, options, sources) => ipcRenderer.invoke('build-result-package', results, options, sources),
+    generateFieldReport: (results, sources) => ipcRenderer.invoke('generate-field-report', results, sources),
 
     // Model and system info
     getModelInfo: () => ipcRenderer.invoke('get-model-info'),
     getSupportedFormats: () => ipcRenderer.invoke('get-supported-formats'),
 
+    // Processing engine selection
+    getProcessorStatus: () => ipcRenderer.invoke('get-processor-status'),
+    selectProcessor: (name) => ipcRenderer.invoke('select-processor', name),
+
+    // Elephant registry
+    listIndividuals: (query) => ipcRenderer.invoke('registry-list-individuals', query),
+    getIndividual: (id) => ipcRenderer.invoke('registry-get-individual', id),
+    createIndividual: (fields) => ipcRenderer.invoke('registry-create-individual', fields),
+    updateIndividual: (id, changes) => ipcRenderer.invoke('registry-update-individual', id, changes),
+    deleteIndividual: (id) => ipcRenderer.invoke('registry-delete-individual', id),
+    addIndividualPhoto: (id, type) => ipcRenderer.invoke('registry-add-photo', id, type),
+    removeIndividualPhoto: (id, photoId) => ipcRenderer.invoke('registry-remove-photo', id, photoId),
+
+    // Group review (clustered individuals -> registry)
+    createGroupReview: (results, filePaths) => ipcRenderer.invoke('group-review-create', results, filePaths),
+    listGroupReviews: () => ipcRenderer.invoke('group-review-list'),
+    getGroupReview: (id) => ipcRenderer.invoke('group-review-get', id),
+    mergeReviewGroup: (id, groupKey, individualId) => ipcRenderer.invoke('group-review-merge', id, groupKey, individualId),
+    registerReviewGroup: (id, groupKey, fields) => ipcRenderer.invoke('group-review-register', id, groupKey, fields),
+    clearReviewDecision: (id, groupKey) => ipcRenderer.invoke('group-review-clear', id, groupKey),
+    splitReviewGroup: (id, groupKey, resultIndexes) => ipcRenderer.invoke('group-review-split', id, groupKey, resultIndexes),
+    moveReviewImages: (id, fromKey, toKey, resultIndexes) => ipcRenderer.invoke('group-review-move', id, fromKey, toKey, resultIndexes),
+    applyGroupReview: (id, results) => ipcRenderer.invoke('group-review-apply', id, results),
+
+    // Result images
+    resolveResultImage: (result, sources) => ipcRenderer.invoke('resolve-result-image', result, sources),
+
+    // Match comparison
+    getMatchReferenceImages: (elephantId, referenceImage) => ipcRenderer.invoke('match-reference-images', elephantId, referenceImage),
+
+    // Verification queue
+    getVerificationSettings: () => ipcRenderer.invoke('verification-settings'),
+    updateVerificationSettings: (changes) => ipcRenderer.invoke('verification-update-settings', changes),
+    getVerificationQueue: (results) => ipcRenderer.invoke('verification-queue', results),
+    decideVerification: (item, decision, note, source) => ipcRenderer.invoke('verification-decide', item, decision, note, source),
+    exportVerificationAudit: () => ipcRenderer.invoke('verification-export-audit'),
+
+    // Session history
+    listSessions: (filters) => ipcRenderer.invoke('sessions-list', filters),
+    openSession: (id) => ipcRenderer.invoke('session-open', id),
+    updateSession: (id, changes) => ipcRenderer.invoke('session-update', id, changes),
+    deleteSession: (id) => ipcRenderer.invoke('session-delete', id),
+    compareSessions: (firstId, secondId) => ipcRenderer.invoke('session-compare', firstId, secondId),
+
+    // Annotation corrections
+    getAnnotation: (imagePath) => ipcRenderer.invoke('annotation-get', imagePath),
+    saveAnnotation: (imagePath, annotation) => ipcRenderer.invoke('annotation-save', imagePath, annotation),
+    deleteAnnotation: (key) => ipcRenderer.invoke('annotation-delete', key),
+    getAnnotationSummary: () => ipcRenderer.invoke('annotation-summary'),
+    exportAnnotations: (format, outputDir) => ipcRenderer.invoke('annotation-export', format, outputDir),
+
+    // Offline map
+    selectBasemap: () => ipcRenderer.invoke('select-basemap'),
+    getBasemap: () => ipcRenderer.invoke('map-basemap-status'),
+    setBasemap: (sourcePath) => ipcRenderer.invoke('map-set-basemap', sourcePath),
+    clearBasemap: () => ipcRenderer.invoke('map-clear-basemap'),
+
+    // Sighting history
+    listSightings: (filters) => ipcRenderer.invoke('sightings-list', filters),
+    getSightingTimeline: (individualId) => ipcRenderer.invoke('sightings-timeline', individualId),
+    deleteSighting: (id) => ipcRenderer.invoke('sightings-delete', id),
+
+    // Job queue
+    getJobQueue: () => ipcRenderer.invoke('job-queue-status'),
+    enqueueJob: (spec) => ipcRenderer.invoke('job-queue-enqueue', spec),
+    moveJob: (id, index) => ipcRenderer.invoke('job-queue-move', id, index),
+    removeJob: (id) => ipcRenderer.invoke('job-queue-remove', id),
+    retryJob: (id) => ipcRenderer.invoke('job-queue-retry', id),
+    pauseJob: (id) => ipcRenderer.invoke('job-queue-pause', id),
+    resumeJob: (id) => ipcRenderer.invoke('job-queue-resume', id),
+    cancelJob: (id) => ipcRenderer.invoke('job-queue-cancel', id),
+    startJobQueue: () => ipcRenderer.invoke('job-queue-start'),
+    stopJobQueue: () => ipcRenderer.invoke('job-queue-stop'),
+    getJobResults: (id) => ipcRenderer.invoke('job-queue-results', id),
+
+    // Watch folder
+    getWatchFolderStatus: () => ipcRenderer.invoke('watch-folder-status'),
+    startWatchFolder: (config) => ipcRenderer.invoke('watch-folder-start', config),
+    stopWatchFolder: () => ipcRenderer.invoke('watch-folder-stop'),
+    getWatchSession: () => ipcRenderer.invoke('watch-folder-session'),
+    newWatchSession: () => ipcRenderer.invoke('watch-folder-new-session'),
+    resetWatchFolder: () => ipcRenderer.invoke('watch-folder-reset'),
+
     // File dialogs
     selectFiles: () => ipcRenderer.invoke('select-files'),
     selectZip: () => ipcRenderer.invoke('select-zip'),
@@ -22,10 +118,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
     showOpenDialog: (options) => ipcRenderer.invoke('show-open-dialog', options),
     showSaveDialog: (options) => ipcRenderer.invoke('show-save-dialog', options),
 
-    // Event listeners
-    onAppReady: (callback) => ipcRenderer.on('app-ready', callback),
-    onBatchProgress: (callback) => ipcRenderer.on('batch-progress', callback),
-    onDownloadProgress: (callback) => ipcRenderer.on('download-progress', callback),
+    // Event listeners (the IPC event object is dropped so callbacks receive the payload)
+    onAppReady: (callback) => ipcRenderer.on('app-ready', (event, data) => callback(data)),
+    onBatchProgress: (callback) => ipcRenderer.on('batch-progress', (event, data) => callback(data)),
+    onBatchState: (callback) => ipcRenderer.on('batch-state', (event, data) => callback(data)),
+    onDownloadProgress: (callback) => ipcRenderer.on('download-progress', (event, data) => callback(data)),
+    onProcessorChanged: (callback) => ipcRenderer.on('processor-changed', (event, data) => callback(data)),
+    onJobQueueChanged: (callback) => ipcRenderer.on('job-queue-changed', (event, data) => callback(data)),
+    onJobQueueProgress: (callback) => ipcRenderer.on('job-queue-progress', (event, data) => callback(data)),
+    onWatchFolderChanged: (callback) => ipcRenderer.on('watch-folder-changed', (event, data) => callback(data)),
+    onWatchFolderProgress: (callback) => ipcRenderer.on('watch-folder-progress', (event, data) => callback(data)),
+    onWatchFolderResults: (callback) => ipcRenderer.on('watch-folder-results', (event, data) => callback(data)),
 
     // Remove listeners
     removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
@@ -0,0 +1,217 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yauzl = require('yauzl');
+const { BACKEND_CONFIG } = require('../config/backend-config');
+
+// Helpers shared by the processing engines so they all answer in the backend's response shape
+
+// Options a queued job or the watch folder keeps from the renderer, and their types; everything else is dropped
+const RUN_OPTION_TYPES = {
+    confidence_threshold: 'number',
+    siamese_threshold: 'number',
+    similarity_threshold: 'number',
+    max_workers: 'number',
+    quality_action: 'string',
+    fusion_head_weight: 'number',
+    encounter_gap_seconds: 'number',
+    encounter_method: 'string'
+};
+
+function resolveProcessingType(options) {
+    const processingType = options.type || options.processingType || 'yolo';
+
+    if (['yolo', 'yolo-detect', 'yolo-only'].includes(processingType)) return 'yolo';
+    if (['compare-dataset', 'siamese', 'siamese-only'].includes(processingType)) return 'siamese';
+    if (processingType === 'combined') return 'combined';
+    if (['individual-elephants', 'individual_elephants'].includes(processingType)) return 'individual_elephants';
+
+    throw new Error(`Unknown processing type: ${processingType}`);
+}
+
+function pickRunOptions(options = {}) {
+    const picked = {};
+    for (const [key, type] of Object.entries(RUN_OPTION_TYPES)) {
+        if (options && options[key] !== undefined && options[key] !== null) {
+            picked[key] = type === 'number' ? Number(options[key]) : String(options[key]);
+        }
+    }
+    return picked;
+}
+
+function isSupportedImage(filename) {
+    const ext = path.extname(filename).slice(1).toLowerCase();
+    return BACKEND_CONFIG.SUPPORTED_FORMATS.includes(ext);
+}
+
+function categorizeResult(result, processingType) {
+    const hasDetections = result.yolo_result && result.yolo_result.total_detections > 0;
+    const hasMatches = result.siamese_result && result.siamese_result.total_matches > 0;
+
+    switch (processingType) {
+        case 'yolo':
+            return hasDetections ? 'elephants_detected' : 'no_elephants';
+        case 'siamese':
+            return hasMatches ? 'matches_found' : 'no_matches';
+        case 'combined':
+            if (hasMatches) return 'matches_found';
+            return hasDetections ? 'elephants_detected' : 'no_elephants';
+        default:
+            // Individual categories are assigned later by the engine's clustering step
+            return hasDetections ? 'elephants_detected' : '00_no_elephants_detected';
+    }
+}
+
+function matchQuality(similarity, threshold) {
+    if (similarity >= 0.95) return 'excellent';
+    if (similarity >= 0.9) return 'good';
+    if (similarity >= threshold) return 'fair';
+    return 'poor';
+}
+
+function buildBatchResponse(detailedResults, { processingMode, processingType, options = {}, startTime, individualGroups = 0 }) {
+    const resultsSummary = {};
+    for (const result of detailedResults) {
+        resultsSummary[result.category] = (resultsSummary[result.category] || 0) + 1;
+    }
+
+    const failed = detailedResults.filter(result => result.category === 'processing_error' ||
+        result.category === '99_processing_errors').length;
+
+    const response = {
+        success: true,
+        processing_mode: processingMode,
+        processing_type: processingType,
+        total_images: detailedResults.length,
+        successfully_processed: detailedResults.length - failed,
+        failed_images: failed,
+        processing_time: `${Math.round((Date.now() - startTime) / 100) / 10}s`,
+        results_summary: resultsSummary,
+        detailed_results: detailedResults
+    };
+
+    if (processingType === 'individual_elephants') {
+        response.individual_elephant_groups = individualGroups;
+        response.similarity_threshold = options.similarity_threshold || 0.85;
+    }
+
+    return response;
+}
+
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function streamToFile(readStream, destination) {
+    return new Promise((resolve, reject) => {
+        const writer = fs.createWriteStream(destination);
+        readStream.on('error', reject);
+        writer.on('error', reject);
+        writer.on('finish', resolve);
+        readStream.pipe(writer);
+    });
+}
+
+function isZipImageEntry(entry) {
+    return !/\/$/.test(entry.fileName) &&
+        !entry.fileName.startsWith('__MACOSX/') &&
+        isSupportedImage(entry.fileName);
+}
+
+// Calls handler(entry, readStream, index, total) for each supported image in the archive, in order
+function forEachZipImage(zipFilePath, handler) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipFilePath, { lazyEntries: true, autoClose: false }, (error, zipFile) => {
+            if (error) return reject(error);
+
+            // The central directory is read up front so progress can report a total
+            const entries = [];
+            zipFile.on('entry', entry => {
+                if (isZipImageEntry(entry)) entries.push(entry);
+                zipFile.readEntry();
+            });
+            zipFile.on('error', reject);
+            zipFile.once('end', async () => {
+                try {
+                    for (let i = 0; i < entries.length; i++) {
+                        const readStream = await new Promise((res, rej) =>
+                            zipFile.openReadStream(entries[i], (streamError, stream) =>
+                                streamError ? rej(streamError) : res(stream)));
+                        await handler(entries[i], readStream, i, entries.length);
+                    }
+                    zipFile.close();
+                    resolve();
+                } catch (handlerError) {
+                    zipFile.close();
+                    reject(handlerError);
+                }
+            });
+
+            zipFile.readEntry();
+        });
+    });
+}
+
+// Opens the archive and indexes its images by entry path and by file name, from the central directory alone,
+// so single images can be read without going through the rest. Call close() when done.
+function openZipImageIndex(zipFilePath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipFilePath, { lazyEntries: true, autoClose: false }, (error, zipFile) => {
+            if (error) return reject(error);
+
+            const byPath = new Map();
+            const byName = new Map();
+            zipFile.on('entry', entry => {
+                if (isZipImageEntry(entry)) {
+                    byPath.set(entry.fileName, entry);
+                    // A repeated file name resolves to its first entry
+                    const name = path.basename(entry.fileName);
+                    if (!byName.has(name)) byName.set(name, entry);
+                }
+                zipFile.readEntry();
+            });
+            zipFile.once('error', (zipError) => {
+                zipFile.close();
+                reject(zipError);
+            });
+            zipFile.once('end', () => resolve({
+                size: byPath.size,
+                // Engines name ZIP results after the entry path or just its file name
+                find: filename => byPath.get(filename) || byName.get(path.basename(filename)) || null,
+                extract: (entry, destination) => new Promise((res, rej) =>
+                    zipFile.openReadStream(entry, (streamError, stream) =>
+                        streamError ? rej(streamError) : res(stream)))
+                    .then(stream => streamToFile(stream, destination)),
+                close: () => zipFile.close()
+            }));
+
+            zipFile.readEntry();
+        });
+    });
+}
+
+// Seconds left at the average rate since startTime, or null until there is a rate to go on
+function estimateEta(startTime, processed, total, startCount = 0) {
+    const done = processed - startCount;
+    const elapsed = (Date.now() - startTime) / 1000;
+
+    if (done <= 0 || elapsed <= 0 || total <= processed) {
+        return total > 0 && total <= processed ? 0 : null;
+    }
+
+    return Math.round((total - processed) * (elapsed / done));
+}
+
+module.exports = {
+    resolveProcessingType,
+    pickRunOptions,
+    isSupportedImage,
+    categorizeResult,
+    matchQuality,
+    buildBatchResponse,
+    forEachZipImage,
+    openZipImageIndex,
+    streamToFile,
+    estimateEta,
+    round
+};
@@ -0,0 +1,175 @@
+const EventEmitter = require('events');
+const { isCancellation } = require('./batch-control');
+
+// Every processing engine (backend, offline, mock) implements this contract
+const PROCESSOR_METHODS = [
+    'initialize',
+    'processFile',
+    'processBatch',
+    'processBatchZip',
+    'processIndividualElephants',
+    'getModelInfo',
+    'cleanup'
+];
+
+// Connection-level failures worth retrying on another engine; anything else is a real processing error
+const FALLBACK_ERROR_CODES = [
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'ERR_NETWORK'
+];
+
+class ProcessorRegistry extends EventEmitter {
+    constructor() {
+        super();
+        this.factories = new Map();
+        this.order = [];
+        this.active = null;
+        this.activeName = null;
+    }
+
+    register(name, factory) {
+        this.factories.set(name, factory);
+        return this;
+    }
+
+    // Engines are tried in this order on startup and when the active one fails
+    setOrder(names) {
+        const unknown = names.filter(name => !this.factories.has(name));
+        if (unknown.length > 0) {
+            console.warn(`⚠️ Ignoring unknown processor(s): ${unknown.join(', ')}`);
+        }
+
+        this.order = names.filter(name => this.factories.has(name));
+    }
+
+    async initialize(order = this.order) {
+        const errors = [];
+
+        for (const name of order) {
+            try {
+                await this.activate(name);
+                return this.activeName;
+            } catch (error) {
+                errors.push(`${name}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`No processing engine could be started.\n${errors.join('\n')}`);
+    }
+
+    async activate(name) {
+        const factory = this.factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown processor: ${name}`);
+        }
+
+        console.log(`🔌 Starting ${name} processor...`);
+
+        const processor = factory();
+        const missing = PROCESSOR_METHODS.filter(method => typeof processor[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`The ${name} processor is missing: ${missing.join(', ')}`);
+        }
+
+        await processor.initialize();
+
+        const previousName = this.activeName;
+        if (this.active) {
+            this.active.cleanup();
+        }
+
+        this.active = processor;
+        this.activeName = name;
+
+        console.log(`✅ Using ${name} processor`);
+        this.emit('change', { name, previous: previousName });
+
+        return processor;
+    }
+
+    isReady() {
+        return !!(this.active && this.active.isInitialized);
+    }
+
+    supports(method) {
+        return this.isReady() && typeof this.active[method] === 'function';
+    }
+
+    // Calls `method` on the active engine, moving down the fallback order on connection failures
+    async run(method, ...args) {
+        if (!this.isReady()) {
+            throw new Error('No processing engine available. Please restart the app.');
+        }
+
+        const attempted = new Set();
+
+        while (true) {
+            const name = this.activeName;
+            attempted.add(name);
+
+            if (typeof this.active[method] !== 'function') {
+                throw new Error(`The ${name} processor does not support ${method}`);
+            }
+
+            try {
+                return await this.active[method](...args);
+            } catch (error) {
+                if (!isFallbackError(error) || !await this.fallback(attempted, error)) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async fallback(attempted, cause) {
+        for (const name of this.order) {
+            if (attempted.has(name)) continue;
+            attempted.add(name);
+
+            try {
+                console.warn(`⚠️ ${this.activeName} processor failed (${cause.message}), falling back to ${name}`);
+                await this.activate(name);
+                this.emit('fallback', { name, reason: cause.message });
+                return true;
+            } catch (error) {
+                console.error(`Fallback to ${name} processor failed:`, error.message);
+            }
+        }
+
+        return false;
+    }
+
+    getStatus() {
+        return {
+            active: this.activeName,
+            ready: this.isReady(),
+            order: this.order.slice(),
+            available: Array.from(this.factories.keys())
+        };
+    }
+
+    cleanup() {
+        if (this.active) {
+            this.active.cleanup();
+        }
+        this.active = null;
+        this.activeName = null;
+    }
+}
+
+function isFallbackError(error) {
+    if (!error || isCancellation(error)) return false;
+    if (FALLBACK_ERROR_CODES.includes(error.code)) return true;
+
+    // axios: the request went out but no response ever came back
+    return !!(error.request && !error.response);
+}
+
+module.exports = { ProcessorRegistry, PROCESSOR_METHODS, isFallbackError };
@@ -0,0 +1,50 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { isSupportedImage } = require('./processing-utils');
+
+const MAX_REFERENCE_IMAGES = 12;
+
+// Photos to compare a Siamese match against: the dataset images for that elephant_id (the one the engine
+// matched best first), followed by reference photos of the registry individual it is linked to.
+async function findReferenceImages(referenceDir, registry, elephantId, bestImage = null) {
+    const images = [];
+    if (elephantId === undefined || elephantId === null) return images;
+
+    // Dataset folders are named after the elephant_id; basename keeps an odd id from leaving the dataset
+    const elephantDir = path.join(referenceDir, path.basename(String(elephantId)));
+    const stats = await fs.stat(elephantDir).catch(() => null);
+
+    if (stats && stats.isDirectory()) {
+        const files = (await fs.readdir(elephantDir))
+            .filter(isSupportedImage)
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+        const best = bestImage ? path.basename(bestImage) : null;
+        if (best && files.includes(best)) {
+            files.splice(files.indexOf(best), 1);
+            files.unshift(best);
+        }
+
+        images.push(...files.map(file => ({
+            path: path.join(elephantDir, file),
+            label: file === best ? `${file} (best match)` : file,
+            source: 'dataset'
+        })));
+    }
+
+    const individual = registry ? registry.findByReferenceId(elephantId) : null;
+    if (individual) {
+        const withPaths = registry.getIndividual(individual.id);
+        images.push(...withPaths.photos.map(photo => ({
+            path: photo.path,
+            label: `${withPaths.name} · ${photo.type === 'right_ear' ? 'right ear' : 'head'}`,
+            source: 'registry'
+        })));
+    }
+
+    return images.slice(0, MAX_REFERENCE_IMAGES);
+}
+
+module.exports = {
+    findReferenceImages
+};
@@ -0,0 +1,498 @@
+const archiver = require('archiver');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const EXPORT_FORMATS = {
+    csv: { name: 'CSV', extension: 'csv' },
+    jsonl: { name: 'JSON Lines', extension: 'jsonl' },
+    xlsx: { name: 'Excel Workbook', extension: 'xlsx' },
+    dwca: { name: 'Darwin Core Archive', extension: 'zip' }
+};
+
+// Flat columns shared by CSV and the workbook's Results sheet
+const COLUMNS = [
+    'filename', 'relative_path', 'category', 'error',
+    'total_detections', 'highest_confidence', 'detections',
+    'best_match', 'best_match_similarity', 'matches',
+    'ear_match', 'ear_similarity', 'fused_candidate', 'fused_score',
+    'identified_as', 'identified_name', 'identification_source', 'identification_score', 'review',
+    'group_id', 'group_size', 'encounter_id',
+    'captured_at', 'latitude', 'longitude', 'altitude',
+    'camera_make', 'camera_model', 'camera_serial', 'trigger',
+    'quality_flags'
+];
+
+const DWC_TERMS = [
+    'occurrenceID', 'basisOfRecord', 'occurrenceStatus', 'eventID', 'eventDate', 'samplingProtocol',
+    'decimalLatitude', 'decimalLongitude', 'geodeticDatum', 'minimumElevationInMeters', 'maximumElevationInMeters',
+    'scientificName', 'kingdom', 'phylum', 'class', 'order', 'family', 'genus', 'taxonRank',
+    'organismID', 'organismName', 'identifiedBy', 'dateIdentified', 'identificationVerificationStatus',
+    'identificationRemarks', 'associatedMedia', 'occurrenceRemarks'
+];
+
+const TAXON = {
+    scientificName: 'Elephas maximus',
+    kingdom: 'Animalia',
+    phylum: 'Chordata',
+    class: 'Mammalia',
+    order: 'Proboscidea',
+    family: 'Elephantidae',
+    genus: 'Elephas',
+    taxonRank: 'species'
+};
+
+// Writes a result set to filePath in one of EXPORT_FORMATS. details: { title } names the dataset in the
+// Darwin Core metadata.
+async function exportResults(format, results, filePath, details = {}) {
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const records = ((results && results.detailed_results) || []).filter(Boolean).map(describeResult);
+    const writers = { csv: writeCsv, jsonl: writeJsonl, xlsx: writeXlsx, dwca: writeDarwinCore };
+    const rows = await writers[format](records, results, filePath, details);
+
+    console.log(`📤 Exported ${rows} row(s) as ${EXPORT_FORMATS[format].name} to ${filePath}`);
+    return { format, path: filePath, rows };
+}
+
+// Everything an export says about one image, structured; the flat formats are built from this
+function describeResult(result) {
+    const yolo = result.yolo_result;
+    const siamese = result.siamese_result;
+    const ear = result.ear_result;
+    const fused = result.fused_result;
+    const group = result.individual_elephant_info;
+    const metadata = result.metadata || {};
+    const failed = result.category === 'processing_error' || result.category === '99_processing_errors';
+
+    return {
+        filename: result.filename || null,
+        relative_path: result.relative_path || null,
+        category: result.category || null,
+        error: failed ? (result.error || (yolo && yolo.error) || (siamese && siamese.error) || 'Processing failed') : null,
+        total_detections: yolo ? yolo.total_detections || 0 : null,
+        highest_confidence: yolo ? yolo.highest_confidence ?? null : null,
+        detections: yolo && Array.isArray(yolo.detections)
+            ? yolo.detections.map(detection => ({
+                class: detection.class,
+                confidence: detection.confidence,
+                bbox: detection.bbox,
+                review: detection.review ? detection.review.decision : null
+            }))
+            : [],
+        matches: siamese && Array.isArray(siamese.matches)
+            ? siamese.matches.map(match => ({
+                elephant_id: match.elephant_id,
+                similarity: match.similarity ?? match.confidence ?? null,
+                match_quality: match.match_quality || null,
+                registry_individual: match.registry_individual || null,
+                review: match.review ? match.review.decision : null
+            }))
+            : [],
+        ear_match: ear && ear.best_match
+            ? { elephant_id: ear.best_match.elephant_id, similarity: ear.best_match.similarity ?? null }
+            : null,
+        fused_candidates: fused && Array.isArray(fused.candidates)
+            ? fused.candidates.map(candidate => ({
+                elephant_id: candidate.elephant_id,
+                score: candidate.score,
+                head_score: candidate.head_score ?? null,
+                ear_score: candidate.ear_score ?? null
+            }))
+            : [],
+        identification: identify(result),
+        group: group
+            ? {
+                group_id: group.group_id,
+                group_size: group.group_size ?? null,
+                similarity_score: group.similarity_score ?? null,
+                registry_individual: group.registry_individual || null,
+                review: group.review ? group.review.decision : null
+            }
+            : null,
+        encounter_id: result.encounter_id || null,
+        captured_at: metadata.captured_at || null,
+        gps: metadata.gps || null,
+        camera: metadata.camera || null,
+        trigger: metadata.trigger || null,
+        quality_flags: result.quality ? result.quality.flags : []
+    };
+}
+
+// Who the image shows: a Siamese match a reviewer accepted, else the fused head/ear pick over the threshold,
+// else the best Siamese match, else a registry-linked individual group. Matches and groups a reviewer
+// rejected don't count.
+function identify(result) {
+    const siamese = result.siamese_result;
+    const group = result.individual_elephant_info;
+    const threshold = siamese ? siamese.siamese_threshold ?? 0.85 : 0.85;
+    const rejected = new Set(((siamese && siamese.matches) || [])
+        .filter(match => match.review && match.review.decision === 'rejected')
+        .map(match => match.elephant_id));
+    const reviewOf = elephantId => {
+        const match = ((siamese && siamese.matches) || []).find(candidate => candidate.elephant_id === elephantId);
+        return match && match.review ? match.review : null;
+    };
+
+    const accepted = ((siamese && siamese.matches) || [])
+        .find(match => match.review && match.review.decision === 'accepted');
+    if (accepted) {
+        return {
+            elephant_id: accepted.elephant_id,
+            registry_individual: accepted.registry_individual || null,
+            source: 'siamese',
+            score: accepted.similarity ?? accepted.confidence ?? null,
+            review: accepted.review
+        };
+    }
+
+    const fused = result.fused_result && result.fused_result.candidates
+        .find(candidate => candidate.score >= threshold && !rejected.has(candidate.elephant_id));
+    if (fused) {
+        return {
+            elephant_id: fused.elephant_id,
+            registry_individual: fused.registry_individual || null,
+            source: 'combined',
+            score: fused.score,
+            review: reviewOf(fused.elephant_id)
+        };
+    }
+
+    const match = ((siamese && siamese.matches) || [])
+        .filter(candidate => !rejected.has(candidate.elephant_id))
+        .sort((a, b) => (b.similarity ?? b.confidence ?? 0) - (a.similarity ?? a.confidence ?? 0))[0];
+    if (match) {
+        return {
+            elephant_id: match.elephant_id,
+            registry_individual: match.registry_individual || null,
+            source: 'siamese',
+            score: match.similarity ?? match.confidence ?? null,
+            review: match.review || null
+        };
+    }
+
+    if (group && group.registry_individual && !(group.review && group.review.decision === 'rejected')) {
+        return {
+            elephant_id: group.registry_individual.id,
+            registry_individual: group.registry_individual,
+            source: 'individual_id',
+            score: group.similarity_score ?? null,
+            review: group.review || null
+        };
+    }
+
+    return null;
+}
+
+function toRow(record) {
+    const identification = record.identification;
+    const bestMatch = record.matches[0];
+    const fused = record.fused_candidates[0];
+    const gps = record.gps || {};
+    const camera = record.camera || {};
+
+    return {
+        filename: record.filename,
+        relative_path: record.relative_path,
+        category: record.category,
+        error: record.error,
+        total_detections: record.total_detections,
+        highest_confidence: record.highest_confidence,
+        detections: record.detections
+            .map(detection => `${detection.class} ${detection.confidence} [${detection.bbox.join(', ')}]`)
+            .join('; '),
+        best_match: bestMatch ? bestMatch.elephant_id : null,
+        best_match_similarity: bestMatch ? bestMatch.similarity : null,
+        matches: record.matches.map(match => `${match.elephant_id} ${match.similarity}`).join('; '),
+        ear_match: record.ear_match ? record.ear_match.elephant_id : null,
+        ear_similarity: record.ear_match ? record.ear_match.similarity : null,
+        fused_candidate: fused ? fused.elephant_id : null,
+        fused_score: fused ? fused.score : null,
+        identified_as: identification
+            ? (identification.registry_individual ? identification.registry_individual.id : identification.elephant_id)
+            : null,
+        identified_name: identification && identification.registry_individual ? identification.registry_individual.name : null,
+        identification_source: identification ? identification.source : null,
+        identification_score: identification ? identification.score : null,
+        review: identification && identification.review ? identification.review.decision : null,
+        group_id: record.group ? record.group.group_id : null,
+        group_size: record.group ? record.group.group_size : null,
+        encounter_id: record.encounter_id,
+        captured_at: record.captured_at,
+        latitude: gps.latitude ?? null,
+        longitude: gps.longitude ?? null,
+        altitude: gps.altitude ?? null,
+        camera_make: camera.make || null,
+        camera_model: camera.model || null,
+        camera_serial: camera.serial || null,
+        trigger: record.trigger ? JSON.stringify(record.trigger) : null,
+        quality_flags: record.quality_flags.join('; ')
+    };
+}
+
+async function writeCsv(records, results, filePath) {
+    await fs.writeFile(filePath, formatCsv(records));
+    return records.length;
+}
+
+// The CSV export of a result set as text, for files written elsewhere (result packages)
+function resultsCsv(results) {
+    return formatCsv(((results && results.detailed_results) || []).filter(Boolean).map(describeResult));
+}
+
+function formatCsv(records) {
+    const lines = records.map(toRow).map(row => COLUMNS.map(column => csvField(row[column])).join(','));
+    // The byte order mark lets Excel open the file as UTF-8
+    return '\uFEFF' + [COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+async function writeJsonl(records, results, filePath) {
+    await fs.writeFile(filePath, records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : ''));
+    return records.length;
+}
+
+// Results, encounters and a run summary, each on its own sheet
+async function writeXlsx(records, results, filePath) {
+    const sheets = [{
+        name: 'Results',
+        rows: [COLUMNS, ...records.map(toRow).map(row => COLUMNS.map(column => row[column]))]
+    }];
+
+    if (Array.isArray(results.encounters) && results.encounters.length > 0) {
+        const detailed = results.detailed_results;
+        const header = ['encounter_id', 'camera', 'start', 'end', 'duration_seconds', 'frames', 'best_frame',
+            'identified_as', 'identified_name', 'score', 'votes', 'frames_identified', 'method', 'conflicting'];
+        sheets.push({
+            name: 'Encounters',
+            rows: [header, ...results.encounters.map(encounter => {
+                const identification = encounter.identification || {};
+                const individual = identification.registry_individual;
+                const bestFrame = detailed[encounter.best_frame];
+                return [
+                    encounter.id,
+                    encounter.camera,
+                    encounter.start,
+                    encounter.end,
+                    encounter.duration_seconds,
+                    encounter.size,
+                    bestFrame ? bestFrame.relative_path || bestFrame.filename : null,
+                    individual ? individual.id : identification.elephant_id,
+                    individual ? individual.name : null,
+                    identification.score,
+                    identification.votes,
+                    identification.frames_identified,
+                    identification.method,
+                    encounter.conflicting ? 'yes' : 'no'
+                ];
+            })]
+        });
+    }
+
+    sheets.push({
+        name: 'Summary',
+        rows: [
+            ['field', 'value'],
+            ['exported_at', new Date().toISOString()],
+            ['processing_type', results.processing_type],
+            ['processing_mode', results.processing_mode],
+            ['total_images', results.total_images],
+            ['successfully_processed', results.successfully_processed],
+            ['failed_images', results.failed_images],
+            ['processing_time', results.processing_time],
+            ...Object.entries(results.results_summary || {}).map(([category, count]) => [`category: ${category}`, count])
+        ]
+    });
+
+    const workbook = sheets.map((sheet, index) =>
+        `<sheet name="${xmlEscape(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('');
+    const relationships = sheets.map((sheet, index) =>
+        `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('');
+    const overrides = sheets.map((sheet, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+
+    await writeZip(filePath, [
+        ['[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${overrides}</Types>`],
+        ['_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+        ['xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${workbook}</sheets></workbook>`],
+        ['xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships}</Relationships>`],
+        ...sheets.map((sheet, index) => [`xl/worksheets/sheet${index + 1}.xml`, worksheetXml(sheet.rows)])
+    ]);
+
+    return records.length;
+}
+
+// Strings are written inline, so the workbook needs no shared-string table
+function worksheetXml(rows) {
+    const body = rows.map((row, rowIndex) => {
+        const cells = row.map((value, columnIndex) => {
+            if (value === null || value === undefined || value === '') return '';
+
+            const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${body}</sheetData></worksheet>`;
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// A GBIF-ready occurrence archive: one occurrence per image that shows an elephant, with the identified
+// individual as organismID. Empty frames and processing errors are left out.
+async function writeDarwinCore(records, results, filePath, details) {
+    const occurrences = records.filter(showsElephant).map(occurrence);
+    const table = [DWC_TERMS, ...occurrences.map(row => DWC_TERMS.map(term => row[term]))]
+        .map(row => row.map(tsvField).join('\t'))
+        .join('\n') + '\n';
+
+    const fields = DWC_TERMS.map((term, index) =>
+        `    <field index="${index}" term="http://rs.tdwg.org/dwc/terms/${term}"/>`).join('\n');
+    const meta = `<?xml version="1.0" encoding="UTF-8"?>
+<archive xmlns="http://rs.tdwg.org/dwc/text/" metadata="eml.xml">
+  <core encoding="UTF-8" fieldsTerminatedBy="\\t" linesTerminatedBy="\\n" fieldsEnclosedBy="" ignoreHeaderLines="1" rowType="http://rs.tdwg.org/dwc/terms/Occurrence">
+    <files>
+      <location>occurrence.txt</location>
+    </files>
+    <id index="0"/>
+${fields}
+  </core>
+</archive>
+`;
+
+    await writeZip(filePath, [
+        ['occurrence.txt', table],
+        ['meta.xml', meta],
+        ['eml.xml', emlXml(details.title || `Airavat elephant identifications ${new Date().toISOString().slice(0, 10)}`, occurrences.length)]
+    ]);
+
+    return occurrences.length;
+}
+
+function showsElephant(record) {
+    if (record.error) return false;
+    return record.total_detections > 0 || record.matches.length > 0 || !!record.identification || !!record.group;
+}
+
+function occurrence(record) {
+    const identification = record.identification;
+    const individual = identification && identification.registry_individual;
+    const review = identification && identification.review;
+    const gps = record.gps || {};
+    const image = record.relative_path || record.filename;
+    const hasCoordinates = Number.isFinite(gps.latitude) && Number.isFinite(gps.longitude);
+
+    return {
+        // Stable across exports of the same photo, so a re-published dataset updates records instead of duplicating them
+        occurrenceID: `airavat:${crypto.createHash('sha1').update(`${image}|${record.captured_at || ''}`).digest('hex').slice(0, 16)}`,
+        basisOfRecord: 'MachineObservation',
+        occurrenceStatus: 'present',
+        eventID: record.encounter_id,
+        eventDate: record.captured_at,
+        samplingProtocol: 'camera trap',
+        decimalLatitude: hasCoordinates ? gps.latitude : null,
+        decimalLongitude: hasCoordinates ? gps.longitude : null,
+        geodeticDatum: hasCoordinates ? 'WGS84' : null,
+        minimumElevationInMeters: hasCoordinates ? gps.altitude : null,
+        maximumElevationInMeters: hasCoordinates ? gps.altitude : null,
+        ...TAXON,
+        organismID: identification ? (individual ? individual.id : identification.elephant_id) : null,
+        organismName: individual ? individual.name : null,
+        identifiedBy: review && review.decision === 'accepted' ? review.reviewer : (identification ? 'Airavat' : null),
+        dateIdentified: review && review.decision === 'accepted' ? review.decided_at : null,
+        identificationVerificationStatus: identification
+            ? (review && review.decision === 'accepted' ? 'verified by reviewer' : 'unverified machine identification')
+            : null,
+        identificationRemarks: identification
+            ? `${identification.source} match${identification.score !== null ? `, score ${identification.score}` : ''}`
+            : null,
+        associatedMedia: image,
+        occurrenceRemarks: [
+            record.total_detections !== null ? `${record.total_detections} detection(s)` : null,
+            record.category
+        ].filter(Boolean).join('; ')
+    };
+}
+
+function emlXml(title, occurrenceCount) {
+    const today = new Date().toISOString().slice(0, 10);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<eml:eml xmlns:eml="eml://ecoinformatics.org/eml-2.1.1" packageId="airavat-${Date.now()}" system="airavat" scope="system" xml:lang="en">
+  <dataset>
+    <title>${xmlEscape(title)}</title>
+    <creator>
+      <organizationName>Airavat</organizationName>
+    </creator>
+    <pubDate>${today}</pubDate>
+    <language>en</language>
+    <abstract>
+      <para>${occurrenceCount} camera-trap occurrence(s) of Asian elephant (Elephas maximus), detected and identified to individual with Airavat.</para>
+    </abstract>
+    <contact>
+      <organizationName>Airavat</organizationName>
+    </contact>
+  </dataset>
+</eml:eml>
+`;
+}
+
+function writeZip(filePath, entries) {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(filePath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+
+        archive.pipe(output);
+        for (const [name, content] of entries) {
+            archive.append(content, { name });
+        }
+        archive.finalize();
+    });
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Darwin Core text files have no quoting, so tabs and line breaks inside a value become spaces
+function tsvField(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+function xmlEscape(value) {
+    return String(value)
+        // Control characters aren't allowed in XML 1.0 at all
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    exportResults,
+    resultsCsv,
+    identify,
+    EXPORT_FORMATS
+};
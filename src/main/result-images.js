@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { openZipImageIndex } = require('./processing-utils');
+
+// Finds the image behind a result so the renderer can show it. Engines only report file names, so the image
+// is looked up by its local path, among the files the batch was started with, or extracted from the ZIP it
+// came from. Lookups run in a session that opens the ZIP once and indexes it; closing the session deletes
+// what it extracted. Viewers share one session per archive, closed when they move on to another archive
+// and on quit; packages and reports open their own for the length of the operation.
+class ResultImageCache {
+    constructor(cacheDir) {
+        this.cacheDir = cacheDir;
+        this.viewer = null;
+    }
+
+    async initialize() {
+        // Left over from a run that didn't get to close its sessions
+        await fs.emptyDir(this.cacheDir);
+    }
+
+    // sources: { filePaths, zipFilePath }
+    openSession(sources = {}) {
+        const id = `${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+        return new ResultImageSession(path.join(this.cacheDir, id), sources);
+    }
+
+    // For viewers: result: { filename, file_path }; sources: { filePaths, zipFilePath }. Returns a local path or null.
+    async resolve(result, { filePaths = [], zipFilePath = null } = {}) {
+        if (zipFilePath && (!this.viewer || this.viewer.zipFilePath !== zipFilePath)) {
+            const previous = this.viewer;
+            this.viewer = this.openSession({ zipFilePath });
+            if (previous) await previous.close();
+        }
+
+        const session = zipFilePath ? this.viewer : new ResultImageSession(null, {});
+        return session.resolve(result, filePaths);
+    }
+
+    async close() {
+        if (this.viewer) {
+            await this.viewer.close();
+            this.viewer = null;
+        }
+    }
+}
+
+class ResultImageSession {
+    constructor(dir, { filePaths = [], zipFilePath = null } = {}) {
+        this.dir = dir;
+        this.filePaths = filePaths;
+        this.zipFilePath = zipFilePath;
+        this.index = null;
+        // Extractions by entry, so asking twice (or quickly stepping through a viewer) extracts once
+        this.extracted = new Map();
+    }
+
+    async resolve(result, filePaths = this.filePaths) {
+        if (result.file_path && await fs.pathExists(result.file_path)) {
+            return result.file_path;
+        }
+
+        const name = path.basename(result.filename || '');
+        const localPath = filePaths.find(filePath => path.basename(filePath) === name);
+        if (localPath && await fs.pathExists(localPath)) {
+            return localPath;
+        }
+
+        if (this.zipFilePath && result.filename) {
+            return this.extractFromZip(result.filename);
+        }
+
+        return null;
+    }
+
+    async extractFromZip(filename) {
+        if (!this.index) {
+            this.index = fs.pathExists(this.zipFilePath)
+                .then(exists => exists ? openZipImageIndex(this.zipFilePath) : null);
+            // A failed open is retried on the next lookup
+            this.index.catch(() => { this.index = null; });
+        }
+
+        const index = await this.index;
+        const entry = index && index.find(filename);
+        if (!entry) return null;
+
+        if (!this.extracted.has(entry.fileName)) {
+            const key = crypto.createHash('sha1').update(entry.fileName).digest('hex').slice(0, 16);
+            const destination = path.join(this.dir, `${key}${path.extname(entry.fileName)}`);
+            const extraction = fs.ensureDir(this.dir)
+                .then(() => index.extract(entry, destination))
+                .then(() => destination);
+            extraction.catch(() => this.extracted.delete(entry.fileName));
+            this.extracted.set(entry.fileName, extraction);
+        }
+        return this.extracted.get(entry.fileName);
+    }
+
+    // Deletes an extracted image once the caller is done with it; paths that aren't extractions are left alone.
+    // Returns whether the path was one.
+    async release(filePath) {
+        if (!this.dir || !filePath || path.dirname(filePath) !== this.dir) return false;
+
+        for (const [name, extraction] of this.extracted) {
+            if (await extraction.catch(() => null) === filePath) this.extracted.delete(name);
+        }
+        await fs.remove(filePath);
+        return true;
+    }
+
+    async close() {
+        // Extractions still writing are waited for, so nothing lands after the folder is gone
+        await Promise.all(Array.from(this.extracted.values()).map(extraction => extraction.catch(() => {})));
+        this.extracted.clear();
+
+        const index = this.index ? await this.index.catch(() => null) : null;
+        this.index = null;
+        if (index) index.close();
+        if (this.dir) await fs.remove(this.dir);
+    }
+}
+
+module.exports = ResultImageCache;
@@ -0,0 +1,320 @@
+const archiver = require('archiver');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderAnnotatedImage, renderContactSheet, CONTACT_SHEET_SIZE } = require('./annotated-image');
+const { resultsCsv, identify } = require('./result-export');
+
+const LAYOUTS = ['category', 'individual'];
+const TRANSFER_MODES = ['copy', 'hardlink', 'move'];
+
+// Hard links only work within one volume and not on every file system; those images are copied instead
+const LINK_FALLBACK_CODES = ['EXDEV', 'EPERM', 'ENOTSUP', 'EMLINK', 'EACCES'];
+
+// Builds the organized output of a result set straight from the local source images: one folder per category
+// or per identified individual, optional annotated copies and contact sheets, and summary.json / summary.csv
+// at the top. The package is a folder in options.destination (images copied, hard-linked or moved in) or a
+// ZIP there.
+// options: { destination, name, layout, transfer, archive, annotated, contact_sheets }
+// hooks: { resolveImage(result) -> local path or null, releaseImage(path) -> whether it was a temporary copy,
+// control, onProgress }. Images are released as soon as they are packaged, so a ZIP source is never extracted
+// in full; only a zipped package with contact sheets keeps them until the sheets are drawn.
+async function buildResultPackage(results, options = {}, hooks = {}) {
+    if (!options.destination || !await fs.pathExists(options.destination)) {
+        throw new Error('Choose an existing destination folder for the package');
+    }
+
+    const layout = LAYOUTS.includes(options.layout) ? options.layout : 'category';
+    const transfer = options.archive ? 'zip' : (TRANSFER_MODES.includes(options.transfer) ? options.transfer : 'copy');
+    const name = await uniqueName(options.destination, safeName(options.name || `airavat-package-${timestamp()}`), options.archive ? '.zip' : '');
+    const target = options.archive
+        ? new ZipTarget(path.join(options.destination, `${name}.zip`))
+        : new FolderTarget(path.join(options.destination, name), transfer);
+
+    const detailed = ((results && results.detailed_results) || []).filter(Boolean);
+    const used = new Set();
+    const folders = {};
+    const images = [];
+    const missing = [];
+    const contactSheets = [];
+    // Where each packaged image can still be read from afterwards, for contact sheets: the packaged copy
+    // itself in a folder, the source next to a ZIP
+    const readable = {};
+    const keepSources = options.archive && options.contact_sheets;
+    let annotated = 0;
+
+    try {
+        for (let i = 0; i < detailed.length; i++) {
+            if (hooks.control) await hooks.control.checkpoint();
+
+            const result = detailed[i];
+            const filename = path.basename(result.filename || `image_${i + 1}`);
+            if (hooks.onProgress) hooks.onProgress({ current: i, total: detailed.length, currentFile: filename });
+
+            const sourcePath = hooks.resolveImage ? await hooks.resolveImage(result) : null;
+            if (!sourcePath) {
+                missing.push(result.relative_path || filename);
+                continue;
+            }
+
+            const folder = safeName(folderFor(result, layout));
+            const entry = uniqueEntry(used, folder, filename);
+
+            // Drawn before a move takes the original away
+            let annotatedEntry = null;
+            if (options.annotated && isAnnotatable(result)) {
+                try {
+                    const rendered = await renderAnnotatedImage(sourcePath, result);
+                    annotatedEntry = uniqueEntry(used, `${folder}/annotated`, `${path.basename(filename, path.extname(filename))}.jpg`);
+                    await target.addBuffer(rendered, annotatedEntry);
+                    annotated++;
+                } catch (error) {
+                    console.warn(`⚠️ Could not annotate ${filename}: ${error.message}`);
+                }
+            }
+
+            await target.addFile(sourcePath, entry);
+            const temporary = !keepSources && hooks.releaseImage ? await hooks.releaseImage(sourcePath) : false;
+
+            folders[folder] = (folders[folder] || 0) + 1;
+            if (!readable[folder]) readable[folder] = [];
+            readable[folder].push({
+                path: options.archive ? sourcePath : path.join(target.path, entry),
+                caption: describeTile(result, filename)
+            });
+            images.push({
+                filename: result.filename || null,
+                relative_path: result.relative_path || null,
+                category: result.category || null,
+                folder,
+                package_path: entry,
+                annotated_path: annotatedEntry,
+                // Nothing to point at for an image that only existed extracted from its ZIP
+                source_path: temporary ? null : sourcePath
+            });
+        }
+
+        if (options.contact_sheets) {
+            for (const [folder, entries] of Object.entries(readable)) {
+                if (folder === 'processing_errors') continue;
+                if (hooks.control) await hooks.control.checkpoint();
+                if (hooks.onProgress) hooks.onProgress({ current: detailed.length, total: detailed.length, currentFile: `${folder} contact sheet` });
+
+                const pages = Math.ceil(entries.length / CONTACT_SHEET_SIZE);
+                for (let page = 0; page < pages; page++) {
+                    const title = `${folder} · ${entries.length} image(s)${pages > 1 ? ` · sheet ${page + 1} of ${pages}` : ''}`;
+                    const sheet = await renderContactSheet(title, entries.slice(page * CONTACT_SHEET_SIZE, (page + 1) * CONTACT_SHEET_SIZE));
+                    const entry = uniqueEntry(used, folder, pages > 1 ? `contact_sheet_${page + 1}.jpg` : 'contact_sheet.jpg');
+                    await target.addBuffer(sheet, entry);
+                    contactSheets.push(entry);
+                }
+            }
+        }
+
+        if (keepSources && hooks.releaseImage) {
+            for (const image of images) {
+                if (await hooks.releaseImage(image.source_path)) image.source_path = null;
+            }
+        }
+
+        if (hooks.onProgress) hooks.onProgress({ current: detailed.length, total: detailed.length, currentFile: 'summary' });
+
+        const summary = {
+            generated_at: new Date().toISOString(),
+            layout,
+            transfer,
+            processing_type: results.processing_type || null,
+            processing_mode: results.processing_mode || null,
+            total_images: results.total_images || 0,
+            successfully_processed: results.successfully_processed || 0,
+            failed_images: results.failed_images || 0,
+            processing_time: results.processing_time || null,
+            results_summary: results.results_summary || {},
+            folders,
+            images,
+            contact_sheets: contactSheets,
+            missing
+        };
+
+        await target.addBuffer(Buffer.from(JSON.stringify(summary, null, 2)), 'summary.json');
+        await target.addBuffer(Buffer.from(resultsCsv(results)), 'summary.csv');
+        await target.finalize();
+    } catch (error) {
+        // Moved images already live in the package, so only a copied, linked or zipped one is thrown away
+        if (transfer !== 'move') await target.discard();
+        throw error;
+    }
+
+    console.log(`📦 Built ${layout} package with ${images.length} image(s) (${transfer}) at ${target.path}`);
+    return {
+        path: target.path,
+        layout,
+        transfer,
+        images: images.length,
+        annotated,
+        contact_sheets: contactSheets.length,
+        folders,
+        missing,
+        copied_instead_of_linked: target.fallbacks || 0
+    };
+}
+
+// Images go straight into a folder on disk
+class FolderTarget {
+    constructor(dir, transfer) {
+        this.path = dir;
+        this.transfer = transfer;
+        this.fallbacks = 0;
+    }
+
+    async addFile(sourcePath, entry) {
+        const destination = path.join(this.path, entry);
+        await fs.ensureDir(path.dirname(destination));
+
+        if (this.transfer === 'move') {
+            await fs.move(sourcePath, destination);
+        } else if (this.transfer === 'hardlink') {
+            try {
+                await fs.link(sourcePath, destination);
+            } catch (error) {
+                if (!LINK_FALLBACK_CODES.includes(error.code)) throw error;
+                await fs.copy(sourcePath, destination, { preserveTimestamps: true });
+                this.fallbacks++;
+            }
+        } else {
+            await fs.copy(sourcePath, destination, { preserveTimestamps: true });
+        }
+    }
+
+    async addBuffer(buffer, entry) {
+        const destination = path.join(this.path, entry);
+        await fs.ensureDir(path.dirname(destination));
+        await fs.writeFile(destination, buffer);
+    }
+
+    async finalize() {
+        await fs.ensureDir(this.path);
+    }
+
+    async discard() {
+        await fs.remove(this.path);
+    }
+}
+
+// Everything is streamed into one ZIP; entries are added one at a time so progress follows the writing
+class ZipTarget {
+    constructor(filePath) {
+        this.path = filePath;
+        this.output = fs.createWriteStream(filePath);
+        this.archive = archiver('zip', { zlib: { level: 6 } });
+        this.closed = new Promise((resolve, reject) => {
+            this.output.on('close', resolve);
+            this.output.on('error', reject);
+            this.archive.on('error', reject);
+        });
+        // Surfaced by the next append or finalize
+        this.closed.catch(() => {});
+        this.archive.pipe(this.output);
+    }
+
+    // JPEGs don't get smaller, so images are stored rather than deflated
+    addFile(sourcePath, entry) {
+        return this.append(fs.createReadStream(sourcePath), { name: entry, store: true });
+    }
+
+    addBuffer(buffer, entry) {
+        return this.append(buffer, { name: entry });
+    }
+
+    append(source, data) {
+        // Resolves once archiver has written the entry, or fails with the archive
+        const written = Promise.race([
+            new Promise(resolve => this.archive.once('entry', () => resolve())),
+            this.closed.then(() => { throw new Error('Package archive closed early'); })
+        ]);
+        this.archive.append(source, data);
+        return written;
+    }
+
+    async finalize() {
+        await this.archive.finalize();
+        await this.closed;
+    }
+
+    async discard() {
+        this.archive.abort();
+        this.output.destroy();
+        await fs.remove(this.path);
+    }
+}
+
+// Anything with a box to draw or an identification to caption
+function isAnnotatable(result) {
+    if (result.category === 'processing_error' || result.category === '99_processing_errors') return false;
+    return (result.yolo_result && result.yolo_result.total_detections > 0) || !!result.individual_elephant_info || !!identify(result);
+}
+
+// Contact sheet caption: the file and, when identified, the score
+function describeTile(result, filename) {
+    const identification = identify(result);
+    return identification && typeof identification.score === 'number'
+        ? `${filename} · ${(identification.score * 100).toFixed(0)}%`
+        : filename;
+}
+
+function folderFor(result, layout) {
+    if (result.category === 'processing_error' || result.category === '99_processing_errors') return 'processing_errors';
+
+    if (layout === 'individual') {
+        const identification = identify(result);
+        if (identification) {
+            const individual = identification.registry_individual;
+            return individual ? [individual.id, individual.name].filter(Boolean).join(' ') : identification.elephant_id;
+        }
+        // Unregistered individual-ID groups keep their numbered group folder
+        if (result.individual_elephant_info) return result.category;
+        return 'unidentified';
+    }
+
+    return result.category || 'uncategorized';
+}
+
+// A name that is valid as a file or folder on every platform
+function safeName(name) {
+    const cleaned = String(name || '')
+        .replace(/[<>:"/\\|?*\u0000-\u001F]+/g, '_')
+        .replace(/^[\s.]+|[\s.]+$/g, '')
+        .slice(0, 100);
+    return cleaned || 'unnamed';
+}
+
+// Photos from different cameras often share names like IMG_0001.JPG, so later ones get a numbered suffix.
+// Checked case-insensitively for Windows and macOS file systems.
+function uniqueEntry(used, folder, filename) {
+    const extension = path.extname(filename);
+    const stem = path.basename(filename, extension);
+
+    let entry = `${folder}/${filename}`;
+    for (let n = 2; used.has(entry.toLowerCase()); n++) {
+        entry = `${folder}/${stem}_${n}${extension}`;
+    }
+    used.add(entry.toLowerCase());
+    return entry;
+}
+
+async function uniqueName(destination, name, extension) {
+    let candidate = name;
+    for (let n = 2; await fs.pathExists(path.join(destination, `${candidate}${extension}`)); n++) {
+        candidate = `${name}_${n}`;
+    }
+    return candidate;
+}
+
+function timestamp() {
+    return new Date().toISOString().slice(0, 16).replace('T', '_').replace(':', '');
+}
+
+module.exports = {
+    buildResultPackage,
+    LAYOUTS,
+    TRANSFER_MODES
+};
@@ -0,0 +1,112 @@
+const { matchQuality, round } = require('./processing-utils');
+
+const DEFAULT_HEAD_WEIGHT = 0.5;
+const MAX_CANDIDATES = 10;
+
+// Merges head (Siamese on the whole photo) and right-ear similarity into one ranked candidate list per image,
+// in place as result.fused_result. A model only has a say on images where it produced evidence: with no ear
+// detected the ranking is the head score alone, while an elephant a model did score but didn't rank counts
+// as zero support from it. headWeight is 0-1; the ear gets the rest.
+function fuseResults(results, headWeight = DEFAULT_HEAD_WEIGHT) {
+    if (!results) return results;
+
+    const weights = fusionWeights(headWeight);
+    const entries = Array.isArray(results.detailed_results) ? results.detailed_results : [results];
+    let fused = 0;
+
+    for (const result of entries) {
+        // Fusion needs both halves of a combined run
+        if (!result || !result.siamese_result || !result.yolo_result) continue;
+
+        result.fused_result = fuseResult(result, weights);
+        fused++;
+    }
+
+    if (fused > 0) {
+        results.fusion_weights = weights;
+    }
+    return results;
+}
+
+function fuseResult(result, weights) {
+    const evidence = {
+        head: modelScores(result.siamese_result),
+        // Ear scores only count when an ear was actually compared
+        ear: result.ear_result && result.ear_result.detection_index !== null && result.ear_result.detection_index !== undefined
+            ? modelScores(result.ear_result)
+            : null
+    };
+
+    const models = Object.keys(evidence).filter(model => evidence[model]);
+    const totalWeight = models.reduce((total, model) => total + weights[model], 0);
+    const threshold = result.siamese_result.siamese_threshold ?? 0.85;
+
+    const elephantIds = new Set(models.flatMap(model => Array.from(evidence[model].keys())));
+    const candidates = Array.from(elephantIds).map(elephantId => {
+        const scores = {};
+        const contributions = {};
+        let score = 0;
+
+        for (const model of Object.keys(evidence)) {
+            if (!evidence[model]) {
+                scores[model] = null;
+                contributions[model] = null;
+                continue;
+            }
+
+            scores[model] = evidence[model].get(elephantId) ?? 0;
+            // Points of the fused score this model is responsible for
+            contributions[model] = totalWeight > 0 ? weights[model] * scores[model] / totalWeight : 0;
+            score += contributions[model];
+        }
+
+        return {
+            elephant_id: elephantId,
+            score: round(score, 4),
+            match_quality: matchQuality(score, threshold),
+            head_score: scores.head,
+            ear_score: scores.ear,
+            contributions: {
+                head: contributions.head === null ? null : round(contributions.head, 4),
+                ear: contributions.ear === null ? null : round(contributions.ear, 4)
+            }
+        };
+    })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+
+    return {
+        models,
+        weights,
+        candidates,
+        best_candidate: candidates[0] || null
+    };
+}
+
+// elephant_id -> similarity from a comparison result; unthresholded candidates where the engine gives them
+function modelScores(modelResult) {
+    if (!modelResult || modelResult.error || modelResult.success === false) return null;
+
+    const list = Array.isArray(modelResult.candidates) && modelResult.candidates.length > 0
+        ? modelResult.candidates
+        : modelResult.matches || [];
+
+    const scores = new Map();
+    for (const entry of list) {
+        const similarity = entry.similarity ?? entry.confidence ?? 0;
+        if (!scores.has(entry.elephant_id) || similarity > scores.get(entry.elephant_id)) {
+            scores.set(entry.elephant_id, similarity);
+        }
+    }
+    return scores;
+}
+
+function fusionWeights(headWeight) {
+    const head = Number.isFinite(Number(headWeight)) ? Math.min(1, Math.max(0, Number(headWeight))) : DEFAULT_HEAD_WEIGHT;
+    return { head: round(head, 2), ear: round(1 - head, 2) };
+}
+
+module.exports = {
+    fuseResults,
+    DEFAULT_HEAD_WEIGHT
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const JsonStore = require('./json-store');
+const { identify } = require('./result-export');
+
+const MAX_TAGS = 20;
+
+// Every processing run kept on disk so it can be reopened later without reprocessing. The index holds one
+// summary per session for the history list; the full results of each live in their own file, read only when
+// that session is opened or compared.
+class SessionStore {
+    constructor(baseDir) {
+        this.resultsDir = path.join(baseDir, 'results');
+        this.store = new JsonStore(path.join(baseDir, 'sessions.json'), {
+            version: 1,
+            sessions: []
+        });
+    }
+
+    async initialize() {
+        try {
+            await fs.ensureDir(this.resultsDir);
+            await this.store.load();
+            console.log(`✅ Session history loaded (${this.store.data.sessions.length} sessions)`);
+        } catch (error) {
+            console.error('Failed to initialize session history:', error);
+            throw error;
+        }
+    }
+
+    // Newest first; query matches the name, tags, processing type and inputs, tag must match exactly
+    list({ query = '', tag = '' } = {}) {
+        const text = String(query || '').trim().toLowerCase();
+
+        return this.store.data.sessions
+            .filter(session => !tag || session.tags.includes(tag))
+            .filter(session => !text || [session.name, session.processing_type, session.inputs.label, ...session.tags]
+                .some(value => String(value || '').toLowerCase().includes(text)))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(session => ({ ...session, tags: session.tags.slice() }));
+    }
+
+    getTags() {
+        return Array.from(new Set(this.store.data.sessions.flatMap(session => session.tags))).sort();
+    }
+
+    // details: { id, name, origin, processing_type, options, inputs: { file_paths, zip_path, folder_path }, engine }.
+    // Saving an id that already exists replaces its results but keeps the name and tags the user gave it.
+    async save(results, details = {}) {
+        const id = details.id || `session_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+        const existing = this.findSession(id);
+        const inputs = details.inputs || {};
+        const now = new Date().toISOString();
+
+        const summary = {
+            id,
+            name: existing ? existing.name : (details.name || defaultName(inputs, now)),
+            tags: existing ? existing.tags : [],
+            origin: details.origin || 'manual',
+            created_at: existing ? existing.created_at : now,
+            updated_at: now,
+            processing_type: details.processing_type || results.processing_type || null,
+            options: details.options || {},
+            engine: details.engine || {},
+            inputs: describeInputs(inputs),
+            total_images: results.total_images || 0,
+            successfully_processed: results.successfully_processed || 0,
+            failed_images: results.failed_images || 0,
+            processing_time: results.processing_time || null,
+            results_summary: results.results_summary || {}
+        };
+
+        await JsonStore.writeAtomic(this.resultsPath(id), JSON.stringify({
+            inputs: {
+                file_paths: inputs.file_paths || [],
+                zip_path: inputs.zip_path || null,
+                folder_path: inputs.folder_path || null
+            },
+            results
+        }));
+
+        await this.store.update(data => {
+            data.sessions = data.sessions.filter(session => session.id !== id);
+            data.sessions.push(summary);
+        });
+
+        console.log(`🗄 ${existing ? 'Updated' : 'Saved'} session ${summary.name} (${summary.total_images} images)`);
+        return { ...summary };
+    }
+
+    // The summary with the full inputs and results
+    async get(id) {
+        const summary = this.requireSession(id);
+        const stored = await fs.readJson(this.resultsPath(id));
+        return { ...summary, inputs: { ...summary.inputs, ...stored.inputs }, results: stored.results };
+    }
+
+    // changes: { name, tags }
+    async update(id, changes = {}) {
+        this.requireSession(id);
+
+        const name = 'name' in changes ? String(changes.name || '').trim().slice(0, 200) : null;
+        if (name === '') {
+            throw new Error('A session needs a name');
+        }
+
+        const session = await this.store.update(data => {
+            const target = data.sessions.find(candidate => candidate.id === id);
+            if (name !== null) target.name = name;
+            if ('tags' in changes) target.tags = cleanTags(changes.tags);
+            target.updated_at = new Date().toISOString();
+            return target;
+        });
+
+        return { ...session, tags: session.tags.slice() };
+    }
+
+    async delete(id) {
+        const session = this.requireSession(id);
+
+        await this.store.update(data => {
+            data.sessions = data.sessions.filter(candidate => candidate.id !== id);
+        });
+        await fs.remove(this.resultsPath(id));
+
+        console.log(`🗑 Deleted session ${session.name}`);
+        return { id };
+    }
+
+    // Image-by-image differences between two sessions: category and identification changes, and images
+    // only one of them processed. prepare(results) brings each up to date first, e.g. with current reviews.
+    async compare(firstId, secondId, prepare = null) {
+        const [first, second] = await Promise.all([this.get(firstId), this.get(secondId)]);
+        if (prepare) {
+            prepare(first.results);
+            prepare(second.results);
+        }
+        const a = indexResults(first.results);
+        const b = indexResults(second.results);
+
+        const changes = [];
+        let unchanged = 0;
+        for (const [image, resultA] of a) {
+            const resultB = b.get(image);
+            if (!resultB) continue;
+
+            const before = describeOutcome(resultA);
+            const after = describeOutcome(resultB);
+            if (before.category === after.category && before.identification === after.identification) {
+                unchanged++;
+            } else {
+                changes.push({ image, a: before, b: after });
+            }
+        }
+
+        const onlyIn = (from, other) => Array.from(from.keys()).filter(image => !other.has(image));
+
+        return {
+            a: summarize(first),
+            b: summarize(second),
+            changes,
+            unchanged,
+            only_in_a: onlyIn(a, b),
+            only_in_b: onlyIn(b, a)
+        };
+    }
+
+    findSession(id) {
+        return this.store.data.sessions.find(session => session.id === id) || null;
+    }
+
+    requireSession(id) {
+        const session = this.findSession(id);
+        if (!session) {
+            throw new Error(`Session ${id} not found`);
+        }
+        return session;
+    }
+
+    resultsPath(id) {
+        // Ids are generated here, but basename keeps a tampered one inside the results folder
+        return path.join(this.resultsDir, `${path.basename(String(id))}.json`);
+    }
+}
+
+function describeInputs(inputs) {
+    const filePaths = inputs.file_paths || [];
+    if (inputs.folder_path) {
+        return { type: 'folder', label: inputs.folder_path, image_count: null };
+    }
+    if (inputs.zip_path) {
+        return { type: 'zip', label: inputs.zip_path, image_count: null };
+    }
+    return {
+        type: 'images',
+        label: filePaths.length > 0 ? path.dirname(filePaths[0]) : '',
+        image_count: filePaths.length
+    };
+}
+
+function defaultName(inputs, createdAt) {
+    const date = createdAt.slice(0, 16).replace('T', ' ');
+    const source = inputs.folder_path ? path.basename(inputs.folder_path)
+        : inputs.zip_path ? path.basename(inputs.zip_path)
+            : `${(inputs.file_paths || []).length} images`;
+    return `${source} · ${date}`;
+}
+
+function cleanTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return Array.from(new Set(list.map(tag => String(tag).trim().slice(0, 50)).filter(Boolean))).slice(0, MAX_TAGS);
+}
+
+function indexResults(results) {
+    const index = new Map();
+    for (const result of (results && results.detailed_results) || []) {
+        index.set(result.relative_path || result.filename, result);
+    }
+    return index;
+}
+
+// What a session concluded about one image; the identification is the one exports and reports give
+function describeOutcome(result) {
+    const identification = identify(result);
+
+    return {
+        category: result.category || null,
+        identification: identification ? identification.elephant_id : null,
+        detections: result.yolo_result ? result.yolo_result.total_detections || 0 : null
+    };
+}
+
+function summarize(session) {
+    return {
+        id: session.id,
+        name: session.name,
+        created_at: session.created_at,
+        processing_type: session.processing_type,
+        options: session.options,
+        total_images: session.total_images,
+        successfully_processed: session.successfully_processed,
+        failed_images: session.failed_images,
+        results_summary: session.results_summary
+    };
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const JsonStore = require('./json-store');
+
+const THUMBNAIL_SIZE = 240;
+
+// Every image matched to a registered individual, kept after the results themselves are cleared so
+// questions like "when did we last see this bull?" can be answered. Thumbnails are copied in because
+// the source images usually live on cards that get wiped.
+class SightingLog {
+    constructor(baseDir) {
+        this.thumbsDir = path.join(baseDir, 'sighting-thumbs');
+        this.store = new JsonStore(path.join(baseDir, 'sightings.json'), {
+            version: 1,
+            sightings: []
+        });
+        this.index = new Map();
+    }
+
+    async initialize() {
+        try {
+            await fs.ensureDir(this.thumbsDir);
+            await this.store.load();
+
+            this.index = new Map(this.store.data.sightings.map(sighting => [sighting.key, sighting]));
+            console.log(`✅ Sighting log loaded (${this.store.data.sightings.length} sightings)`);
+        } catch (error) {
+            console.error('Failed to initialize sighting log:', error);
+            throw error;
+        }
+    }
+
+    // Records every registry match in a results set; reprocessing the same image updates its sighting
+    // instead of adding another. Returns how many sightings were new.
+    async recordResults(results) {
+        const entries = results && Array.isArray(results.detailed_results) ? results.detailed_results : [];
+        const recorded = [];
+        let updated = 0;
+
+        for (const result of entries) {
+            const matches = findRegistryMatches(result);
+            if (matches.length === 0) continue;
+
+            // Engines may report temporary paths (e.g. ZIP entries extracted and deleted again)
+            const localPath = result.file_path && await fs.pathExists(result.file_path) ? result.file_path : null;
+
+            for (const match of matches) {
+                const key = `${match.individual.id}|${imageKey(result, localPath)}`;
+                const existing = this.index.get(key);
+
+                if (existing) {
+                    // A later run can only raise confidence or replace a weaker model's match
+                    if ((match.confidence ?? 0) >= (existing.confidence ?? 0)) {
+                        Object.assign(existing, describeMatch(match, result, results, localPath), { updated_at: new Date().toISOString() });
+                        existing.thumbnail = existing.thumbnail || await this.createThumbnail(localPath);
+                        updated++;
+                    }
+                    continue;
+                }
+
+                const sighting = {
+                    id: crypto.randomUUID(),
+                    key,
+                    individual_id: match.individual.id,
+                    ...describeMatch(match, result, results, localPath),
+                    thumbnail: await this.createThumbnail(localPath),
+                    recorded_at: new Date().toISOString(),
+                    updated_at: null
+                };
+
+                recorded.push(sighting);
+                this.index.set(key, sighting);
+            }
+        }
+
+        if (recorded.length > 0 || updated > 0) {
+            await this.store.update(data => {
+                data.sightings.push(...recorded);
+            });
+        }
+
+        if (recorded.length > 0) {
+            console.log(`📍 Recorded ${recorded.length} new sighting(s)`);
+        }
+        return recorded.length;
+    }
+
+    // Brings one photo's sightings in line with its identities after a reviewer's decision on it: an individual
+    // it no longer matches loses the sighting, one it now matches (e.g. an accepted near miss) gains it.
+    // result carries the current reviews and registry links. Returns { recorded, removed }.
+    async syncResult(result, results = {}) {
+        const localPath = result.file_path && await fs.pathExists(result.file_path) ? result.file_path : null;
+        const image = imageKey(result, localPath);
+        const current = new Set(findRegistryMatches(result).map(match => match.individual.id));
+
+        const stale = this.store.data.sightings
+            .filter(sighting => sighting.key === `${sighting.individual_id}|${image}` && !current.has(sighting.individual_id));
+        await this.removeSightings(stale);
+
+        const recorded = await this.recordResults({ ...results, detailed_results: [result] });
+        if (stale.length > 0) {
+            console.log(`📍 Removed ${stale.length} sighting(s) of ${result.relative_path || result.filename} after review`);
+        }
+        return { recorded, removed: stale.length };
+    }
+
+    // Filters: individual_id, camera (serial or model), from / to (capture dates, inclusive)
+    listSightings(filters = {}) {
+        const from = filters.from ? String(filters.from) : null;
+        // A bare end date includes that whole day
+        const to = filters.to ? `${String(filters.to)}\uffff` : null;
+        const camera = filters.camera ? String(filters.camera).toLowerCase() : null;
+
+        return this.store.data.sightings
+            .filter(sighting => !filters.individual_id || sighting.individual_id === filters.individual_id)
+            .filter(sighting => !from || (sighting.captured_at && sighting.captured_at >= from))
+            .filter(sighting => !to || (sighting.captured_at && sighting.captured_at <= to))
+            .filter(sighting => !camera || cameraLabel(sighting.camera).toLowerCase().includes(camera))
+            .sort(compareChronologically)
+            .map(sighting => this.withThumbnailPath(sighting));
+    }
+
+    // All sightings of one individual, oldest first, with first/last seen dates
+    getTimeline(individualId) {
+        const sightings = this.listSightings({ individual_id: individualId });
+        const dated = sightings.filter(sighting => sighting.captured_at);
+
+        return {
+            individual_id: individualId,
+            total: sightings.length,
+            first_seen: dated.length > 0 ? dated[0].captured_at : null,
+            last_seen: dated.length > 0 ? dated[dated.length - 1].captured_at : null,
+            cameras: Array.from(new Set(sightings.map(sighting => cameraLabel(sighting.camera)).filter(Boolean))),
+            sightings
+        };
+    }
+
+    // Count and last sighting per individual, for list views
+    summarize() {
+        const summary = {};
+
+        for (const sighting of this.store.data.sightings) {
+            const entry = summary[sighting.individual_id] || (summary[sighting.individual_id] = { total: 0, last_seen: null });
+            entry.total++;
+            if (sighting.captured_at && (!entry.last_seen || sighting.captured_at > entry.last_seen)) {
+                entry.last_seen = sighting.captured_at;
+            }
+        }
+
+        return summary;
+    }
+
+    async deleteSighting(id) {
+        const sighting = this.store.data.sightings.find(candidate => candidate.id === id);
+        if (!sighting) {
+            throw new Error(`Sighting ${id} not found`);
+        }
+
+        await this.removeSightings([sighting]);
+        return { id };
+    }
+
+    // Called when an individual leaves the registry
+    async removeIndividual(individualId) {
+        const sightings = this.store.data.sightings.filter(sighting => sighting.individual_id === individualId);
+        await this.removeSightings(sightings);
+        return { removed: sightings.length };
+    }
+
+    async removeSightings(sightings) {
+        if (sightings.length === 0) return;
+        const ids = new Set(sightings.map(sighting => sighting.id));
+
+        await this.store.update(data => {
+            data.sightings = data.sightings.filter(sighting => !ids.has(sighting.id));
+        });
+
+        for (const sighting of sightings) {
+            this.index.delete(sighting.key);
+            if (sighting.thumbnail) {
+                await fs.remove(path.join(this.thumbsDir, sighting.thumbnail));
+            }
+        }
+    }
+
+    async createThumbnail(filePath) {
+        if (!filePath || !await fs.pathExists(filePath)) return null;
+
+        const file = `${crypto.randomUUID()}.jpg`;
+        try {
+            await sharp(filePath)
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside' })
+                .jpeg({ quality: 80 })
+                .toFile(path.join(this.thumbsDir, file));
+            return file;
+        } catch (error) {
+            console.warn(`⚠️ Could not create thumbnail for ${path.basename(filePath)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    withThumbnailPath(sighting) {
+        return {
+            ...sighting,
+            thumbnail_path: sighting.thumbnail ? path.join(this.thumbsDir, sighting.thumbnail) : null
+        };
+    }
+}
+
+// Registry identities on a result: a reviewed individual-ID group and/or the linked Siamese match a reviewer
+// accepted, else the best one. Matches and groups a reviewer has rejected are not sightings.
+function findRegistryMatches(result) {
+    const matches = [];
+    const info = result.individual_elephant_info;
+    const isRejected = target => !!(target.review && target.review.decision === 'rejected');
+
+    if (info && info.registry_individual && !isRejected(info)) {
+        matches.push({
+            individual: info.registry_individual,
+            confidence: info.similarity_score ?? null,
+            model: 'individual_id'
+        });
+    }
+
+    const siameseMatches = ((result.siamese_result && result.siamese_result.matches) || [])
+        .filter(match => match.registry_individual && !isRejected(match));
+    const best = siameseMatches.find(match => match.review && match.review.decision === 'accepted') ||
+        siameseMatches.slice().sort((a, b) => (b.confidence ?? b.similarity ?? 0) - (a.confidence ?? a.similarity ?? 0))[0];
+
+    if (best && !matches.some(match => match.individual.id === best.registry_individual.id)) {
+        matches.push({
+            individual: best.registry_individual,
+            confidence: best.confidence ?? best.similarity ?? null,
+            model: 'siamese',
+            reference_id: best.elephant_id
+        });
+    }
+
+    return matches;
+}
+
+function describeMatch(match, result, results, localPath) {
+    const metadata = result.metadata || {};
+
+    return {
+        image: {
+            filename: result.filename || null,
+            relative_path: result.relative_path || null,
+            file_path: localPath
+        },
+        captured_at: metadata.captured_at || null,
+        gps: metadata.gps || null,
+        camera: metadata.camera || null,
+        confidence: match.confidence,
+        model: match.model,
+        reference_id: match.reference_id || null,
+        engine: results.processing_mode || null
+    };
+}
+
+// The same photo seen again: by path when there is one, otherwise by name and capture time
+function imageKey(result, localPath) {
+    if (localPath) return path.resolve(localPath);
+
+    const metadata = result.metadata || {};
+    return `${result.relative_path || result.filename}|${metadata.captured_at || ''}`;
+}
+
+function cameraLabel(camera) {
+    if (!camera) return '';
+    return [camera.make, camera.model, camera.serial].filter(Boolean).join(' ');
+}
+
+// Undated sightings sort last, by when they were recorded
+function compareChronologically(a, b) {
+    if (a.captured_at && b.captured_at) return a.captured_at.localeCompare(b.captured_at);
+    if (a.captured_at) return -1;
+    if (b.captured_at) return 1;
+    return a.recorded_at.localeCompare(b.recorded_at);
+}
+
+module.exports = SightingLog;
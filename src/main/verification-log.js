@@ -0,0 +1,337 @@
+const fs = require('fs-extra');
+const path = require('path');
+const JsonStore = require('./json-store');
+
+const DECISIONS = ['accepted', 'rejected'];
+const ITEM_KINDS = ['siamese_match', 'yolo_detection', 'singleton_group'];
+
+const DEFAULT_SETTINGS = {
+    reviewer: '',
+    // Siamese matches this close to siamese_threshold (either side) need a second look
+    siamese_band: 0.05,
+    // Detections below this confidence need a second look
+    yolo_confidence: 0.5
+};
+
+// Manual verification of automated results: which results are uncertain enough to need a person, and every
+// decision made about them with who made it, when, and what it replaced. Decisions belong to a photo rather
+// than to one run, so reprocessing the same images brings earlier verdicts back.
+class VerificationLog {
+    constructor(baseDir) {
+        this.store = new JsonStore(path.join(baseDir, 'verification.json'), {
+            version: 1,
+            settings: DEFAULT_SETTINGS,
+            decisions: {}
+        });
+    }
+
+    async initialize() {
+        try {
+            await this.store.load();
+            this.store.data.settings = { ...DEFAULT_SETTINGS, ...this.store.data.settings };
+            console.log(`✅ Verification log loaded (${Object.keys(this.store.data.decisions).length} decisions)`);
+        } catch (error) {
+            console.error('Failed to initialize verification log:', error);
+            throw error;
+        }
+    }
+
+    getSettings() {
+        return { ...this.store.data.settings };
+    }
+
+    async updateSettings(changes = {}) {
+        const settings = { ...this.store.data.settings };
+
+        if ('reviewer' in changes) {
+            settings.reviewer = String(changes.reviewer || '').trim().slice(0, 100);
+        }
+        if ('siamese_band' in changes) {
+            settings.siamese_band = clampNumber(changes.siamese_band, 0, 0.5, settings.siamese_band);
+        }
+        if ('yolo_confidence' in changes) {
+            settings.yolo_confidence = clampNumber(changes.yolo_confidence, 0, 1, settings.yolo_confidence);
+        }
+
+        await this.store.update(data => {
+            data.settings = settings;
+        });
+        return { ...settings };
+    }
+
+    // The results that need a person, in result order: Siamese scores near the threshold, low-confidence
+    // detections and individuals that ended up in a group of their own
+    buildQueue(results) {
+        const entries = results && Array.isArray(results.detailed_results) ? results.detailed_results : [];
+        const { siamese_band: band, yolo_confidence: minConfidence } = this.store.data.settings;
+        const items = [];
+
+        entries.forEach((result, resultIndex) => {
+            if (!result || result.category === 'processing_error' || result.category === '99_processing_errors') return;
+            const add = (kind, subject, fields) => items.push(this.describeItem(kind, result, resultIndex, subject, fields));
+
+            const siamese = result.siamese_result;
+            if (siamese) {
+                const threshold = siamese.siamese_threshold ?? 0.85;
+
+                for (const match of siameseCandidates(siamese)) {
+                    const score = match.similarity ?? match.confidence ?? 0;
+                    if (Math.abs(score - threshold) > band) continue;
+
+                    add('siamese_match', match.elephant_id, {
+                        score,
+                        threshold,
+                        below_threshold: score < threshold,
+                        match_quality: match.match_quality || null,
+                        registry_individual: match.registry_individual || null,
+                        reason: `Similarity ${percent(score)} is within ±${percent(band)} of the ${percent(threshold)} threshold` +
+                            (score < threshold ? ' - accepting it counts it as a match' : '')
+                    });
+                }
+            }
+
+            const yolo = result.yolo_result;
+            if (yolo && Array.isArray(yolo.detections)) {
+                yolo.detections.forEach((detection, detectionIndex) => {
+                    if ((detection.confidence ?? 1) >= minConfidence) return;
+
+                    add('yolo_detection', detectionIndex, {
+                        score: detection.confidence,
+                        class: detection.class,
+                        bbox: detection.bbox,
+                        image_size: yolo.image_size || null,
+                        reason: `${detection.class} detected with ${percent(detection.confidence)} confidence (below ${percent(minConfidence)})`
+                    });
+                });
+            }
+
+            const info = result.individual_elephant_info;
+            if (info && info.group_size === 1) {
+                add('singleton_group', 'group', {
+                    score: info.similarity_score ?? null,
+                    group_id: info.group_id ?? null,
+                    registry_individual: info.registry_individual || null,
+                    reason: 'Only image in its individual group - a new elephant, or one the clustering missed'
+                });
+            }
+        });
+
+        return items;
+    }
+
+    describeItem(kind, result, resultIndex, subject, fields) {
+        const key = itemKey(kind, result, subject);
+        const entry = this.store.data.decisions[key];
+
+        return {
+            key,
+            kind,
+            subject: String(subject),
+            result_index: resultIndex,
+            image: describeImage(result),
+            ...fields,
+            review: entry && entry.decision ? toReview(entry) : null,
+            history: entry ? entry.history.slice() : []
+        };
+    }
+
+    // item: { kind, subject, image: { filename, relative_path, captured_at }, score }.
+    // decision: 'accepted', 'rejected', or null to clear it. Returns the stored entry with its history.
+    async decide(item, decision, note = '') {
+        if (!item || !ITEM_KINDS.includes(item.kind) || item.subject === undefined || item.subject === null || !item.image) {
+            throw new Error('A decision needs the result it is about');
+        }
+        if (decision !== null && !DECISIONS.includes(decision)) {
+            throw new Error(`Unknown decision: ${decision}`);
+        }
+
+        const reviewer = this.store.data.settings.reviewer;
+        if (!reviewer) {
+            throw new Error('Enter a reviewer name in Advanced Settings before recording decisions');
+        }
+
+        const image = describeImage(item.image);
+        const key = itemKey(item.kind, item.image, item.subject);
+        const cleanNote = String(note || '').trim().slice(0, 1000);
+        const existing = this.store.data.decisions[key];
+        if (!existing && decision === null) {
+            return { key, review: null, history: [] };
+        }
+        if (existing && existing.decision === decision && (existing.note || '') === cleanNote) {
+            return toEntry(existing);
+        }
+
+        const now = new Date().toISOString();
+        const entry = await this.store.update(data => {
+            const current = data.decisions[key] || {
+                key,
+                kind: item.kind,
+                subject: String(item.subject),
+                image,
+                decision: null,
+                reviewer: null,
+                note: '',
+                decided_at: null,
+                history: []
+            };
+
+            current.history.push({
+                decision,
+                previous: current.decision,
+                reviewer,
+                note: cleanNote,
+                score: item.score ?? null,
+                decided_at: now
+            });
+            Object.assign(current, { decision, reviewer, note: cleanNote, decided_at: now });
+
+            data.decisions[key] = current;
+            return current;
+        });
+
+        console.log(`⚖️ ${item.kind} ${entry.subject} for ${image.relative_path || image.filename}: ${decision || 'cleared'} by ${reviewer}`);
+        return toEntry(entry);
+    }
+
+    // Puts earlier decisions on a results set, in place: match.review, detection.review and
+    // individual_elephant_info.review
+    applyToResults(results) {
+        const entries = results && Array.isArray(results.detailed_results) ? results.detailed_results : [results];
+
+        for (const result of entries) {
+            if (!result) continue;
+
+            if (result.siamese_result) {
+                this.applyMatchReviews(result);
+            }
+
+            const detections = result.yolo_result && result.yolo_result.detections;
+            if (Array.isArray(detections)) {
+                detections.forEach((detection, index) => this.applyReview(detection, itemKey('yolo_detection', result, index)));
+            }
+
+            if (result.individual_elephant_info) {
+                this.applyReview(result.individual_elephant_info, itemKey('singleton_group', result, 'group'));
+            }
+        }
+
+        return results;
+    }
+
+    // Candidates below the threshold a reviewer accepted become matches, so they count as identifications;
+    // clearing or reversing the decision takes them out again
+    applyMatchReviews(result) {
+        const siamese = result.siamese_result;
+        const reviewKey = elephantId => itemKey('siamese_match', result, elephantId);
+        const accepted = elephantId => {
+            const entry = this.store.data.decisions[reviewKey(elephantId)];
+            return !!entry && entry.decision === 'accepted';
+        };
+
+        const matches = (Array.isArray(siamese.matches) ? siamese.matches : [])
+            .filter(match => !match.accepted_below_threshold || accepted(match.elephant_id));
+        const candidates = Array.isArray(siamese.candidates) ? siamese.candidates : [];
+
+        for (const candidate of candidates) {
+            this.applyReview(candidate, reviewKey(candidate.elephant_id));
+            if (!accepted(candidate.elephant_id) || matches.some(match => match.elephant_id === candidate.elephant_id)) continue;
+
+            const similarity = candidate.similarity ?? candidate.confidence ?? null;
+            matches.push({ ...candidate, similarity, confidence: similarity, accepted_below_threshold: true });
+        }
+
+        matches.forEach(match => this.applyReview(match, reviewKey(match.elephant_id)));
+        matches.sort((a, b) => (b.similarity ?? b.confidence ?? 0) - (a.similarity ?? a.confidence ?? 0));
+
+        siamese.matches = matches;
+        siamese.total_matches = matches.length;
+        siamese.best_match = matches[0] || null;
+    }
+
+    applyReview(target, key) {
+        const entry = this.store.data.decisions[key];
+        if (entry && entry.decision) {
+            target.review = toReview(entry);
+        } else {
+            delete target.review;
+        }
+    }
+
+    // One row per decision ever made, oldest first, for publishing alongside the identifications
+    async exportAudit(filePath) {
+        const rows = Object.values(this.store.data.decisions)
+            .flatMap(entry => entry.history.map(change => ({ entry, change })))
+            .sort((a, b) => a.change.decided_at.localeCompare(b.change.decided_at));
+
+        const header = ['decided_at', 'reviewer', 'kind', 'image', 'captured_at', 'subject', 'score', 'decision', 'previous', 'note'];
+        const lines = rows.map(({ entry, change }) => [
+            change.decided_at,
+            change.reviewer,
+            entry.kind,
+            entry.image.relative_path || entry.image.filename,
+            entry.image.captured_at,
+            entry.subject,
+            change.score,
+            change.decision || 'cleared',
+            change.previous || '',
+            change.note
+        ].map(csvField).join(','));
+
+        await fs.writeFile(filePath, [header.join(','), ...lines].join('\n') + '\n');
+        console.log(`📝 Exported ${rows.length} verification decision(s) to ${filePath}`);
+        return { path: filePath, rows: rows.length };
+    }
+}
+
+// Every scored reference, above the threshold or not, with what is known about the ones that were matches.
+// Engines that only report matches have no near misses below the threshold to offer.
+function siameseCandidates(siamese) {
+    const matches = Array.isArray(siamese.matches) ? siamese.matches : [];
+    if (!Array.isArray(siamese.candidates) || siamese.candidates.length === 0) return matches;
+
+    const listed = siamese.candidates.map(candidate =>
+        matches.find(match => match.elephant_id === candidate.elephant_id) || candidate);
+    // Accepted near misses stay listed when the candidates don't reach that far
+    return listed.concat(matches.filter(match => !listed.includes(match)));
+}
+
+// ZIP entries are extracted to temporary paths, so a photo is known by its name and capture time
+function itemKey(kind, result, subject) {
+    const image = describeImage(result);
+    return `${kind}|${image.relative_path || image.filename}|${image.captured_at || ''}|${subject}`;
+}
+
+// Accepts a result or an item's image
+function describeImage(source) {
+    const metadata = source.metadata || {};
+    return {
+        filename: source.filename || null,
+        relative_path: source.relative_path || null,
+        captured_at: source.captured_at || metadata.captured_at || null
+    };
+}
+
+function toReview(entry) {
+    return { decision: entry.decision, reviewer: entry.reviewer, note: entry.note, decided_at: entry.decided_at };
+}
+
+function toEntry(entry) {
+    return { key: entry.key, review: entry.decision ? toReview(entry) : null, history: entry.history.slice() };
+}
+
+function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+function percent(value) {
+    return `${Math.round((value || 0) * 1000) / 10}%`;
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = VerificationLog;
@@ -0,0 +1,310 @@
+// Annotation Editor - correct the detection viewer's boxes and export the corrections as training data
+
+const MIN_BOX_SIZE = 4;
+
+let annotationDrag = null;
+
+function initializeAnnotationEditor() {
+    try {
+        if (!isElectron || !window.electronAPI || !window.electronAPI.saveAnnotation) return;
+
+        const toolbar = getElement('annotationToolbar');
+        if (toolbar) toolbar.style.display = 'flex';
+
+        getElement('editAnnotationsBtn')?.addEventListener('click', toggleAnnotationEditing);
+        getElement('saveAnnotationBtn')?.addEventListener('click', saveViewerAnnotation);
+        getElement('revertAnnotationBtn')?.addEventListener('click', revertViewerAnnotation);
+        getElement('deleteBoxBtn')?.addEventListener('click', deleteSelectedBox);
+        getElement('exportAnnotationsBtn')?.addEventListener('click', exportAnnotations);
+        getElement('annotationClass')?.addEventListener('change', (e) => relabelSelectedBox(e.target.value));
+
+        window.addEventListener('mousemove', moveAnnotationDrag);
+        window.addEventListener('mouseup', endAnnotationDrag);
+        document.addEventListener('keydown', handleAnnotationKey);
+
+        console.log('✅ Annotation editor initialized');
+    } catch (error) {
+        console.error('❌ Error initializing annotation editor:', error);
+    }
+}
+
+// Called by the viewer once it has found the image on disk
+async function loadViewerAnnotation(imagePath) {
+    try {
+        const result = await window.electronAPI.getAnnotation(imagePath);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Annotation not available');
+        }
+
+        viewer.annotation = result.data.annotation;
+        viewer.classes = result.data.classes;
+        fillAnnotationClasses();
+    } catch (error) {
+        console.error('❌ Error loading annotation:', error);
+        viewer.annotation = null;
+    }
+}
+
+// The class field offers known classes but takes any name, which is how new classes are added
+function fillAnnotationClasses() {
+    const input = getElement('annotationClass');
+    const options = getElement('annotationClassOptions');
+    if (!input || !options) return;
+
+    const selectedBox = viewer.boxes[viewer.selected];
+    const classes = [...viewer.classes];
+    viewer.boxes.forEach(box => {
+        if (!classes.includes(box.class)) classes.push(box.class);
+    });
+
+    options.innerHTML = classes.map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+    if (selectedBox) {
+        input.value = selectedBox.class;
+    } else if (!input.value) {
+        input.value = classes[0] || '';
+    }
+}
+
+function toggleAnnotationEditing() {
+    const discarding = viewer.editing && viewer.dirty;
+    if (discarding && !confirmAnnotationDiscard()) return;
+    if (discarding) resetViewerBoxes();
+
+    viewer.editing = !viewer.editing;
+    viewer.selected = -1;
+
+    const editBtn = getElement('editAnnotationsBtn');
+    if (editBtn) editBtn.textContent = viewer.editing ? 'Done' : '✏️ Edit Boxes';
+    document.querySelectorAll('.annotation-edit-only').forEach(element => {
+        element.style.display = viewer.editing ? 'inline-flex' : 'none';
+    });
+
+    fillAnnotationClasses();
+    renderViewerBoxes();
+}
+
+// Returns false when the user wants to keep working on unsaved changes
+function confirmAnnotationDiscard() {
+    if (!viewer.dirty) return true;
+    if (!confirm('Discard unsaved box changes for this image?')) return false;
+
+    viewer.dirty = false;
+    return true;
+}
+
+function markAnnotationChanged() {
+    viewer.dirty = true;
+    fillAnnotationClasses();
+    renderViewerBoxes();
+}
+
+// Converts a mouse event to pixels of the displayed image
+function toImagePoint(e) {
+    const rect = getElement('viewerStage').getBoundingClientRect();
+    return [
+        (e.clientX - rect.left - viewer.x) / viewer.scale,
+        (e.clientY - rect.top - viewer.y) / viewer.scale
+    ];
+}
+
+// Starts moving, resizing or drawing a box; returns true when the viewer shouldn't pan
+function beginAnnotationDrag(e) {
+    if (e.button !== 0 || !viewer.naturalSize) return false;
+
+    const point = toImagePoint(e);
+    const target = e.target.closest ? e.target.closest('[data-box]') : null;
+    const boxIndex = target ? Number(target.dataset.box) : -1;
+
+    if (boxIndex >= 0) {
+        viewer.selected = boxIndex;
+        annotationDrag = {
+            mode: target.dataset.handle ? 'resize' : 'move',
+            handle: target.dataset.handle,
+            index: boxIndex,
+            start: point,
+            original: [...viewer.boxes[boxIndex].bbox]
+        };
+        fillAnnotationClasses();
+        renderViewerBoxes();
+        return true;
+    }
+
+    const input = getElement('annotationClass');
+    const className = (input && input.value.trim()) || viewer.classes[0] || 'right_ear';
+    viewer.boxes.push({ class: className, source: 'manual', bbox: [point[0], point[1], point[0], point[1]] });
+    viewer.selected = viewer.boxes.length - 1;
+    annotationDrag = { mode: 'draw', index: viewer.selected, start: point };
+    renderViewerBoxes();
+    return true;
+}
+
+function moveAnnotationDrag(e) {
+    if (!annotationDrag) return;
+
+    const [x, y] = toImagePoint(e);
+    const [width, height] = viewer.naturalSize;
+    const clampX = value => Math.max(0, Math.min(width, value));
+    const clampY = value => Math.max(0, Math.min(height, value));
+    const box = viewer.boxes[annotationDrag.index];
+
+    if (annotationDrag.mode === 'draw') {
+        box.bbox = [annotationDrag.start[0], annotationDrag.start[1], clampX(x), clampY(y)];
+    } else if (annotationDrag.mode === 'move') {
+        const [x1, y1, x2, y2] = annotationDrag.original;
+        const dx = Math.max(-x1, Math.min(width - x2, x - annotationDrag.start[0]));
+        const dy = Math.max(-y1, Math.min(height - y2, y - annotationDrag.start[1]));
+        box.bbox = [x1 + dx, y1 + dy, x2 + dx, y2 + dy];
+    } else {
+        const bbox = [...annotationDrag.original];
+        if (annotationDrag.handle.includes('w')) bbox[0] = clampX(x);
+        if (annotationDrag.handle.includes('e')) bbox[2] = clampX(x);
+        if (annotationDrag.handle.includes('n')) bbox[1] = clampY(y);
+        if (annotationDrag.handle.includes('s')) bbox[3] = clampY(y);
+        box.bbox = bbox;
+    }
+
+    // A moved or resized model box becomes the annotator's own
+    box.source = 'manual';
+    delete box.confidence;
+    annotationDrag.changed = true;
+    renderViewerBoxes();
+}
+
+function endAnnotationDrag() {
+    if (!annotationDrag) return;
+
+    const drag = annotationDrag;
+    annotationDrag = null;
+    const box = viewer.boxes[drag.index];
+    const [x1, y1, x2, y2] = box.bbox;
+    box.bbox = [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+
+    // A click on empty image just deselects
+    if (drag.mode === 'draw' && (box.bbox[2] - box.bbox[0] < MIN_BOX_SIZE || box.bbox[3] - box.bbox[1] < MIN_BOX_SIZE)) {
+        viewer.boxes.splice(drag.index, 1);
+        viewer.selected = -1;
+        renderViewerBoxes();
+        return;
+    }
+
+    if (drag.changed) {
+        markAnnotationChanged();
+    }
+}
+
+function deleteSelectedBox() {
+    if (!viewer.editing || viewer.selected < 0) return;
+
+    viewer.boxes.splice(viewer.selected, 1);
+    viewer.selected = -1;
+    markAnnotationChanged();
+}
+
+function relabelSelectedBox(value) {
+    const className = String(value || '').trim();
+    if (!className) {
+        fillAnnotationClasses();
+        return;
+    }
+    if (!viewer.classes.includes(className)) viewer.classes.push(className);
+
+    const box = viewer.boxes[viewer.selected];
+    if (box && box.class !== className) {
+        box.class = className;
+        box.source = 'manual';
+        delete box.confidence;
+        markAnnotationChanged();
+    }
+}
+
+async function saveViewerAnnotation() {
+    const result = viewer.results[viewer.index];
+    if (!viewer.imagePath || !result) {
+        showError('The original image is not available, so corrections cannot be saved');
+        return;
+    }
+
+    try {
+        const response = await window.electronAPI.saveAnnotation(viewer.imagePath, {
+            filename: result.relative_path || result.filename,
+            boxes: viewer.boxes.map(box => ({ class: box.class, bbox: box.bbox, source: box.source }))
+        });
+        if (!response || !response.success) {
+            throw new Error(response && response.error ? response.error : 'Could not save');
+        }
+
+        viewer.annotation = response.data;
+        viewer.classes = Array.from(new Set([...viewer.classes, ...response.data.boxes.map(box => box.class)]));
+        resetViewerBoxes();
+        showNotification(`Saved ${response.data.boxes.length} box(es)`, 'success');
+    } catch (error) {
+        console.error('❌ Error saving annotation:', error);
+        showError('Could not save corrections: ' + error.message);
+    }
+}
+
+// Drops unsaved edits, or with nothing unsaved, removes the saved correction so the model's boxes show again
+async function revertViewerAnnotation() {
+    if (viewer.dirty) {
+        viewer.dirty = false;
+        resetViewerBoxes();
+        return;
+    }
+
+    if (!viewer.annotation) return;
+
+    try {
+        const response = await window.electronAPI.deleteAnnotation(viewer.annotation.key);
+        if (response && response.cancelled) return;
+        if (!response || !response.success) {
+            throw new Error(response && response.error ? response.error : 'Could not remove');
+        }
+        viewer.annotation = null;
+        resetViewerBoxes();
+    } catch (error) {
+        console.error('❌ Error removing annotation:', error);
+        showError('Could not remove the correction: ' + error.message);
+    }
+}
+
+async function exportAnnotations() {
+    try {
+        const formatSelect = getElement('annotationExportFormat');
+        const format = formatSelect ? formatSelect.value : 'yolo';
+
+        const summary = await window.electronAPI.getAnnotationSummary();
+        if (summary && summary.success && summary.data.images === 0) {
+            showNotification('No corrected images to export yet', 'info');
+            return;
+        }
+
+        const outputDir = await window.electronAPI.selectFolder();
+        if (!outputDir) return;
+
+        const result = await window.electronAPI.exportAnnotations(format, outputDir);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Export failed');
+        }
+        showNotification(`Exported ${result.data.images} image(s) and ${result.data.boxes} box(es) as ${format.toUpperCase()}`, 'success');
+    } catch (error) {
+        console.error('❌ Error exporting annotations:', error);
+        showError('Could not export annotations: ' + error.message);
+    }
+}
+
+function handleAnnotationKey(e) {
+    if (!isViewerOpen() || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+        e.preventDefault();
+        if (viewer.editing) saveViewerAnnotation();
+    } else if (e.key.toLowerCase() === 'e' && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        toggleAnnotationEditing();
+    } else if (viewer.editing && (e.key === 'Delete' || e.key === 'Backspace')) {
+        e.preventDefault();
+        deleteSelectedBox();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initializeAnnotationEditor);
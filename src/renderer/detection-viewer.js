@@ -0,0 +1,376 @@
+// Detection Viewer - a result's image with its YOLO boxes drawn on, zoom/pan, and keyboard stepping
+
+const VIEWER_BOX_COLORS = ['#f6e05e', '#68d391', '#63b3ed', '#f687b3', '#fc8181', '#b794f4'];
+const VIEWER_MAX_ZOOM = 20;
+
+const viewer = {
+    results: [],
+    index: 0,
+    imagePaths: new Map(),
+    naturalSize: null,
+    scale: 1,
+    fitScale: 1,
+    x: 0,
+    y: 0,
+    drag: null,
+    showBoxes: true,
+    imagePath: null,
+    // Boxes in the pixels of the displayed image: the saved correction if there is one, else the model's
+    boxes: [],
+    annotation: null,
+    classes: [],
+    editing: false,
+    selected: -1,
+    dirty: false
+};
+
+function initializeDetectionViewer() {
+    try {
+        const modal = getElement('detectionViewer');
+        const stage = getElement('viewerStage');
+        const image = getElement('viewerImage');
+        if (!modal || !stage || !image) return;
+
+        getElement('viewerPrevBtn')?.addEventListener('click', () => stepViewer(-1));
+        getElement('viewerNextBtn')?.addEventListener('click', () => stepViewer(1));
+        getElement('viewerFitBtn')?.addEventListener('click', fitViewerImage);
+        getElement('viewerCloseBtn')?.addEventListener('click', closeDetectionViewer);
+        getElement('viewerBoxesToggle')?.addEventListener('change', (e) => {
+            viewer.showBoxes = e.target.checked;
+            renderViewerBoxes();
+        });
+        getElement('viewerDetectionsOnly')?.addEventListener('change', () => stepViewer(0));
+
+        image.addEventListener('load', () => {
+            viewer.naturalSize = [image.naturalWidth, image.naturalHeight];
+            resetViewerBoxes();
+            fitViewerImage();
+        });
+
+        stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = stage.getBoundingClientRect();
+            zoomViewer(e.deltaY < 0 ? 1.2 : 1 / 1.2, e.clientX - rect.left, e.clientY - rect.top);
+        }, { passive: false });
+
+        stage.addEventListener('mousedown', (e) => {
+            // While editing, plain drags draw and adjust boxes; Shift+drag still pans
+            if (viewer.editing && !e.shiftKey && typeof beginAnnotationDrag === 'function' && beginAnnotationDrag(e)) return;
+
+            viewer.drag = { startX: e.clientX, startY: e.clientY, x: viewer.x, y: viewer.y };
+            stage.classList.add('dragging');
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (!viewer.drag) return;
+            viewer.x = viewer.drag.x + e.clientX - viewer.drag.startX;
+            viewer.y = viewer.drag.y + e.clientY - viewer.drag.startY;
+            applyViewerTransform();
+        });
+        window.addEventListener('mouseup', () => {
+            viewer.drag = null;
+            stage.classList.remove('dragging');
+        });
+        stage.addEventListener('dblclick', fitViewerImage);
+
+        document.addEventListener('keydown', handleViewerKey);
+        window.addEventListener('resize', () => {
+            if (isViewerOpen()) fitViewerImage();
+        });
+
+        console.log('✅ Detection viewer initialized');
+    } catch (error) {
+        console.error('❌ Error initializing detection viewer:', error);
+    }
+}
+
+function isViewerOpen() {
+    const modal = getElement('detectionViewer');
+    return !!modal && modal.style.display !== 'none';
+}
+
+// Opens the viewer on one of the displayed results
+function openDetectionViewer(index) {
+    const detailed = lastResults && Array.isArray(lastResults.detailed_results) ? lastResults.detailed_results : [];
+    if (detailed.length === 0) return;
+
+    if (viewer.results !== detailed) {
+        viewer.imagePaths.clear();
+    }
+    viewer.results = detailed;
+    viewer.index = Math.max(0, Math.min(index, detailed.length - 1));
+
+    const detectionsOnly = getElement('viewerDetectionsOnly');
+    if (detectionsOnly) detectionsOnly.checked = false;
+
+    getElement('detectionViewer').style.display = 'flex';
+    showViewerResult();
+}
+
+function closeDetectionViewer() {
+    if (typeof confirmAnnotationDiscard === 'function' && !confirmAnnotationDiscard()) return;
+
+    const modal = getElement('detectionViewer');
+    if (modal) modal.style.display = 'none';
+    viewer.drag = null;
+}
+
+function handleViewerKey(e) {
+    if (!isViewerOpen() || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+    const stage = getElement('viewerStage');
+    const centre = () => [stage.clientWidth / 2, stage.clientHeight / 2];
+    const actions = {
+        ArrowRight: () => stepViewer(1),
+        ArrowDown: () => stepViewer(1),
+        ' ': () => stepViewer(1),
+        ArrowLeft: () => stepViewer(-1),
+        ArrowUp: () => stepViewer(-1),
+        Home: () => jumpViewer(0),
+        End: () => jumpViewer(viewer.results.length - 1),
+        '+': () => zoomViewer(1.25, ...centre()),
+        '=': () => zoomViewer(1.25, ...centre()),
+        '-': () => zoomViewer(1 / 1.25, ...centre()),
+        '0': fitViewerImage,
+        b: () => toggleViewerBoxes(),
+        Escape: closeDetectionViewer
+    };
+
+    const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (action) {
+        e.preventDefault();
+        action();
+    }
+}
+
+function toggleViewerBoxes() {
+    viewer.showBoxes = !viewer.showBoxes;
+    const toggle = getElement('viewerBoxesToggle');
+    if (toggle) toggle.checked = viewer.showBoxes;
+    renderViewerBoxes();
+}
+
+// Moves by `direction`, skipping images without detections when that filter is on
+function stepViewer(direction) {
+    const detectionsOnly = getElement('viewerDetectionsOnly')?.checked;
+    let index = viewer.index + direction;
+
+    if (detectionsOnly) {
+        const step = direction < 0 ? -1 : 1;
+        while (index >= 0 && index < viewer.results.length && resultDetections(viewer.results[index]).length === 0) {
+            index += step;
+        }
+        if (index < 0 || index >= viewer.results.length) {
+            if (direction === 0) showNotification('No images with detections', 'info');
+            return;
+        }
+    }
+
+    jumpViewer(index);
+}
+
+function jumpViewer(index) {
+    if (index < 0 || index >= viewer.results.length) return;
+    if (index !== viewer.index && typeof confirmAnnotationDiscard === 'function' && !confirmAnnotationDiscard()) return;
+    viewer.index = index;
+    showViewerResult();
+}
+
+function resultDetections(result) {
+    const yolo = result && result.yolo_result;
+    return yolo && Array.isArray(yolo.detections) ? yolo.detections : [];
+}
+
+async function showViewerResult() {
+    const result = viewer.results[viewer.index];
+    const index = viewer.index;
+    const image = getElement('viewerImage');
+    const message = getElement('viewerMessage');
+
+    getElement('viewerTitle').textContent = result.relative_path || result.filename || `Result ${index + 1}`;
+    getElement('viewerPosition').textContent = `${index + 1} of ${viewer.results.length}`;
+
+    viewer.naturalSize = null;
+    viewer.imagePath = null;
+    viewer.annotation = null;
+    viewer.boxes = [];
+    viewer.selected = -1;
+    viewer.dirty = false;
+    renderViewerBoxes();
+
+    try {
+        let imagePath = viewer.imagePaths.get(index);
+        if (imagePath === undefined) {
+            const response = await window.electronAPI.resolveResultImage(
+                { filename: result.filename, file_path: result.file_path },
+                { filePaths: lastResultFilePaths, zipFilePath: lastResults && lastResults.source_zip }
+            );
+            if (!response || !response.success) {
+                throw new Error(response && response.error ? response.error : 'Image not available');
+            }
+            imagePath = response.data;
+            viewer.imagePaths.set(index, imagePath);
+        }
+
+        // The user may have stepped on while the image was being found
+        if (viewer.index !== index) return;
+
+        if (imagePath && typeof loadViewerAnnotation === 'function') {
+            await loadViewerAnnotation(imagePath);
+            if (viewer.index !== index) return;
+        }
+
+        viewer.imagePath = imagePath;
+        if (imagePath) {
+            message.style.display = 'none';
+            image.style.display = 'block';
+
+            // The same file again doesn't fire another load event
+            const url = toFileUrl(imagePath);
+            if (image.src === url && image.complete && image.naturalWidth > 0) {
+                viewer.naturalSize = [image.naturalWidth, image.naturalHeight];
+                resetViewerBoxes();
+                fitViewerImage();
+            } else {
+                image.src = url;
+            }
+        } else {
+            image.style.display = 'none';
+            image.removeAttribute('src');
+            message.style.display = 'block';
+            message.textContent = 'The original image is no longer available';
+        }
+    } catch (error) {
+        console.error('❌ Error loading viewer image:', error);
+        image.style.display = 'none';
+        message.style.display = 'block';
+        message.textContent = 'Could not load image: ' + error.message;
+    }
+}
+
+// Starts from the saved correction, or from the model's boxes rescaled if the engine saw a different size
+function resetViewerBoxes() {
+    const result = viewer.results[viewer.index];
+    viewer.selected = -1;
+    viewer.dirty = false;
+
+    if (viewer.annotation) {
+        viewer.boxes = viewer.annotation.boxes.map(box => ({ ...box, bbox: [...box.bbox] }));
+    } else if (viewer.naturalSize && result) {
+        const [width, height] = viewer.naturalSize;
+        const imageSize = result.yolo_result && result.yolo_result.image_size;
+        const scaleX = imageSize ? width / imageSize[0] : 1;
+        const scaleY = imageSize ? height / imageSize[1] : 1;
+
+        viewer.boxes = resultDetections(result).map(detection => ({
+            class: detection.class,
+            confidence: detection.confidence,
+            source: 'model',
+            bbox: [detection.bbox[0] * scaleX, detection.bbox[1] * scaleY, detection.bbox[2] * scaleX, detection.bbox[3] * scaleY]
+        }));
+    } else {
+        viewer.boxes = [];
+    }
+
+    renderViewerBoxes();
+}
+
+function boxColor(box, index) {
+    const classIndex = viewer.classes.indexOf(box.class);
+    return VIEWER_BOX_COLORS[(classIndex >= 0 ? classIndex : index) % VIEWER_BOX_COLORS.length];
+}
+
+function boxLabel(box) {
+    return typeof box.confidence === 'number' && box.source === 'model'
+        ? `${box.class} ${(box.confidence * 100).toFixed(1)}%`
+        : box.class;
+}
+
+function renderViewerBoxes() {
+    const overlay = getElement('viewerOverlay');
+    renderViewerDetails();
+    if (!overlay) return;
+
+    overlay.classList.toggle('editing', viewer.editing);
+    if (!viewer.naturalSize || (!viewer.showBoxes && !viewer.editing)) {
+        overlay.innerHTML = '';
+        return;
+    }
+
+    const [width, height] = viewer.naturalSize;
+    overlay.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    overlay.setAttribute('width', width);
+    overlay.setAttribute('height', height);
+    overlay.innerHTML = viewer.boxes.map((box, i) => {
+        const [x1, y1, x2, y2] = box.bbox;
+        const color = boxColor(box, i);
+        const selected = viewer.editing && i === viewer.selected;
+        // Corner handles for resizing, in the order the editor expects: nw, ne, sw, se
+        const handles = selected
+            ? [[x1, y1, 'nw'], [x2, y1, 'ne'], [x1, y2, 'sw'], [x2, y2, 'se']].map(([x, y, corner]) =>
+                `<rect class="viewer-handle" data-box="${i}" data-handle="${corner}" x="${x}" y="${y}" fill="${color}" />`).join('')
+            : '';
+
+        return `
+            <g class="${selected ? 'selected' : ''}">
+                <rect class="viewer-box" data-box="${i}" x="${x1}" y="${y1}" width="${x2 - x1}" height="${y2 - y1}" stroke="${color}" />
+                <text x="${x1}" y="${y1}" fill="${color}">${escapeHtml(boxLabel(box))}</text>
+                ${handles}
+            </g>
+        `;
+    }).join('');
+}
+
+function renderViewerDetails() {
+    const details = getElement('viewerDetails');
+    const result = viewer.results[viewer.index];
+    if (!details || !result) return;
+
+    const status = viewer.dirty
+        ? '<span class="viewer-badge unsaved">Unsaved changes</span>'
+        : viewer.annotation ? '<span class="viewer-badge">✏️ Corrected</span>' : '';
+
+    details.innerHTML = status + (viewer.boxes.length > 0
+        ? viewer.boxes.map((box, i) => `
+            <span class="viewer-detection ${viewer.editing && i === viewer.selected ? 'selected' : ''}">
+                <span class="viewer-swatch" style="background: ${boxColor(box, i)}"></span>
+                ${escapeHtml(boxLabel(box))}
+            </span>`).join('')
+        : `<span>${viewer.annotation ? 'Checked: nothing to annotate' : escapeHtml(formatCategory(result.category || 'no_elephants'))}</span>`);
+}
+
+function fitViewerImage() {
+    const stage = getElement('viewerStage');
+    if (!stage || !viewer.naturalSize) return;
+
+    const [width, height] = viewer.naturalSize;
+    viewer.fitScale = Math.min(stage.clientWidth / width, stage.clientHeight / height, 1);
+    viewer.scale = viewer.fitScale;
+    viewer.x = (stage.clientWidth - width * viewer.scale) / 2;
+    viewer.y = (stage.clientHeight - height * viewer.scale) / 2;
+    applyViewerTransform();
+}
+
+// Zooms about a point in stage coordinates, so the pixel under the cursor stays put
+function zoomViewer(factor, originX, originY) {
+    if (!viewer.naturalSize) return;
+
+    const scale = Math.max(viewer.fitScale / 2, Math.min(VIEWER_MAX_ZOOM, viewer.scale * factor));
+    viewer.x = originX - (originX - viewer.x) * (scale / viewer.scale);
+    viewer.y = originY - (originY - viewer.y) * (scale / viewer.scale);
+    viewer.scale = scale;
+    applyViewerTransform();
+}
+
+function applyViewerTransform() {
+    const canvas = getElement('viewerCanvas');
+    if (!canvas) return;
+
+    canvas.style.transform = `translate(${viewer.x}px, ${viewer.y}px) scale(${viewer.scale})`;
+    // Strokes and labels stay the same size on screen at any zoom
+    canvas.style.setProperty('--viewer-zoom', viewer.scale);
+
+    const zoomLabel = getElement('viewerZoom');
+    if (zoomLabel) zoomLabel.textContent = `${Math.round(viewer.scale * 100)}%`;
+}
+
+document.addEventListener('DOMContentLoaded', initializeDetectionViewer);
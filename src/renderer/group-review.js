@@ -0,0 +1,297 @@
+// Group Review - turn individual-elephant clusters into registry identities
+
+let currentReview = null;
+
+function initializeGroupReview() {
+    try {
+        if (!isElectron || !window.electronAPI || !window.electronAPI.createGroupReview) return;
+
+        const reviewGroupsBtn = getElement('reviewGroupsBtn');
+        const closeGroupReviewBtn = getElement('closeGroupReviewBtn');
+        const previousReviewsSelect = getElement('previousReviewsSelect');
+        const groupReviewModal = getElement('groupReviewModal');
+
+        if (reviewGroupsBtn) reviewGroupsBtn.addEventListener('click', openGroupReview);
+        if (closeGroupReviewBtn) closeGroupReviewBtn.addEventListener('click', closeGroupReview);
+        if (previousReviewsSelect) {
+            previousReviewsSelect.addEventListener('change', (e) => {
+                if (e.target.value) loadGroupReview(e.target.value);
+            });
+        }
+        if (groupReviewModal) {
+            groupReviewModal.addEventListener('click', (e) => {
+                if (e.target === groupReviewModal) closeGroupReview();
+            });
+        }
+
+        console.log('✅ Group review initialized');
+    } catch (error) {
+        console.error('❌ Error initializing group review:', error);
+    }
+}
+
+// Shown by displayResults whenever the results contain individual groups
+function updateReviewGroupsButton(results) {
+    const reviewGroupsBtn = getElement('reviewGroupsBtn');
+    if (!reviewGroupsBtn) return;
+
+    const hasGroups = !!(results && results.detailed_results &&
+        results.detailed_results.some(result => /_elephant_individual$/.test(result.category || '')));
+
+    reviewGroupsBtn.style.display = isElectron && hasGroups ? 'inline-block' : 'none';
+}
+
+async function openGroupReview() {
+    try {
+        if (!lastResults) {
+            showError('Process a batch with Individual Elephant ID first.');
+            return;
+        }
+
+        // Re-open the review already attached to these results rather than starting over
+        const result = lastResults.group_review_id
+            ? await window.electronAPI.getGroupReview(lastResults.group_review_id)
+            : await window.electronAPI.createGroupReview(lastResults, lastResultFilePaths);
+
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not start review');
+        }
+
+        lastResults.group_review_id = result.data.id;
+        await showGroupReview(result.data);
+    } catch (error) {
+        console.error('❌ Error opening group review:', error);
+        showError('Could not open group review: ' + error.message);
+    }
+}
+
+async function loadGroupReview(id) {
+    try {
+        const result = await window.electronAPI.getGroupReview(id);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Review not found');
+        }
+        await showGroupReview(result.data);
+    } catch (error) {
+        console.error('❌ Error loading group review:', error);
+        showError('Could not load review: ' + error.message);
+    }
+}
+
+async function showGroupReview(review) {
+    currentReview = review;
+
+    await populatePreviousReviews(review.id);
+    renderGroupReview();
+
+    const modal = getElement('groupReviewModal');
+    if (modal) modal.style.display = 'flex';
+}
+
+function closeGroupReview() {
+    const modal = getElement('groupReviewModal');
+    if (modal) modal.style.display = 'none';
+    currentReview = null;
+}
+
+async function populatePreviousReviews(selectedId) {
+    const select = getElement('previousReviewsSelect');
+    if (!select) return;
+
+    const result = await window.electronAPI.listGroupReviews();
+    const reviews = result && result.success ? result.data : [];
+
+    select.innerHTML = reviews.map(review => `
+        <option value="${review.id}" ${review.id === selectedId ? 'selected' : ''}>
+            ${escapeHtml(review.name)} · ${new Date(review.created_at).toLocaleString()} (${review.decided_groups}/${review.total_groups})
+        </option>
+    `).join('');
+}
+
+function renderGroupReview() {
+    const container = getElement('groupReviewGroups');
+    const summary = getElement('groupReviewSummary');
+    if (!container || !currentReview) return;
+
+    const decided = currentReview.groups.filter(group => group.decision).length;
+    if (summary) {
+        summary.textContent = `${decided} of ${currentReview.groups.length} groups identified · ${currentReview.total_images} images`;
+    }
+
+    const individualOptions = registryIndividuals.map(individual =>
+        `<option value="${individual.id}">${escapeHtml(individual.name)} (${individual.id})</option>`).join('');
+
+    container.innerHTML = currentReview.groups.map(group => {
+        const otherGroups = currentReview.groups
+            .filter(other => other.key !== group.key)
+            .map(other => `<option value="${other.key}">${formatGroupLabel(other)}</option>`)
+            .join('');
+
+        return `
+            <div class="review-group ${group.decision ? 'decided' : ''}" data-group="${group.key}">
+                <div class="review-group-header">
+                    <h4>${formatGroupLabel(group)}</h4>
+                    <span>${group.images.length} image(s)${group.split_from ? ` · split from ${formatCategory(group.split_from)}` : ''}</span>
+                    ${group.decision
+                        ? `<span class="decision-badge">${group.decision.action === 'register' ? '🆕 Registered as' : '🔗 Merged into'} ${escapeHtml(group.individual ? group.individual.name : group.decision.individual_name)}</span>`
+                        : '<span class="decision-badge pending">Undecided</span>'}
+                </div>
+                <div class="review-images">
+                    ${group.images.map(image => `
+                        <label class="review-image" title="${escapeHtml(image.filename)}">
+                            <input type="checkbox" value="${image.result_index}">
+                            ${image.file_path ? `<img src="${toFileUrl(image.file_path)}" alt="" loading="lazy">` : '<div class="review-image-placeholder">🖼</div>'}
+                            <small>${escapeHtml(image.filename)}${image.similarity_score !== null ? ` · ${Math.round(image.similarity_score * 100)}%` : ''}</small>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="review-actions">
+                    <div class="review-action">
+                        <select class="merge-target">
+                            <option value="">Existing individual...</option>
+                            ${individualOptions}
+                        </select>
+                        <button type="button" class="btn btn-outline" onclick="mergeReviewGroup('${group.key}')">Merge</button>
+                    </div>
+                    <div class="review-action">
+                        <input type="text" class="new-individual-name" placeholder="New individual's name">
+                        <button type="button" class="btn btn-outline" onclick="registerReviewGroup('${group.key}')">Register New</button>
+                    </div>
+                    <div class="review-action">
+                        <button type="button" class="btn btn-outline" onclick="splitReviewGroup('${group.key}')">Split Selected</button>
+                        ${otherGroups ? `
+                            <select class="move-target">${otherGroups}</select>
+                            <button type="button" class="btn btn-outline" onclick="moveReviewImages('${group.key}')">Move Selected</button>
+                        ` : ''}
+                        ${group.decision ? `<button type="button" class="btn btn-outline" onclick="clearReviewDecision('${group.key}')">Undo Decision</button>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function formatGroupLabel(group) {
+    const base = `Group ${String(group.number).padStart(2, '0')}`;
+    return group.individual ? `${base} – ${escapeHtml(group.individual.name)}` : base;
+}
+
+function getGroupElement(groupKey) {
+    return document.querySelector(`.review-group[data-group="${groupKey}"]`);
+}
+
+function getSelectedImages(groupKey) {
+    const groupElement = getGroupElement(groupKey);
+    if (!groupElement) return [];
+
+    return Array.from(groupElement.querySelectorAll('.review-image input:checked'))
+        .map(input => parseInt(input.value, 10));
+}
+
+// Every action is saved by the main process; the returned review replaces the local copy
+async function applyReviewAction(action, successMessage) {
+    try {
+        const result = await action();
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Action failed');
+        }
+
+        currentReview = result.data;
+        renderGroupReview();
+        showNotification(successMessage, 'success');
+
+        await syncReviewToResults();
+    } catch (error) {
+        console.error('❌ Group review action error:', error);
+        showError(error.message);
+    }
+}
+
+// Pushes the review's groups and identities back into the displayed results
+async function syncReviewToResults() {
+    if (!lastResults || lastResults.group_review_id !== currentReview.id) return;
+
+    const result = await window.electronAPI.applyGroupReview(currentReview.id, lastResults);
+    if (result && result.success) {
+        lastResults = result.data;
+        displayResults(lastResults);
+    }
+}
+
+async function mergeReviewGroup(groupKey) {
+    const groupElement = getGroupElement(groupKey);
+    const select = groupElement && groupElement.querySelector('.merge-target');
+    if (!select || !select.value) {
+        showNotification('Choose an individual to merge into', 'warning');
+        return;
+    }
+
+    await applyReviewAction(
+        () => window.electronAPI.mergeReviewGroup(currentReview.id, groupKey, select.value),
+        'Group merged into registered individual'
+    );
+}
+
+async function registerReviewGroup(groupKey) {
+    const groupElement = getGroupElement(groupKey);
+    const input = groupElement && groupElement.querySelector('.new-individual-name');
+    const name = input ? input.value.trim() : '';
+    if (!name) {
+        showNotification('Enter a name for the new individual', 'warning');
+        return;
+    }
+
+    await applyReviewAction(
+        () => window.electronAPI.registerReviewGroup(currentReview.id, groupKey, { name }),
+        `Registered ${name} as a new individual`
+    );
+
+    if (typeof refreshRegistry === 'function') {
+        await refreshRegistry();
+        renderGroupReview();
+    }
+}
+
+async function splitReviewGroup(groupKey) {
+    const selected = getSelectedImages(groupKey);
+    if (selected.length === 0) {
+        showNotification('Select the images to split off', 'warning');
+        return;
+    }
+
+    await applyReviewAction(
+        () => window.electronAPI.splitReviewGroup(currentReview.id, groupKey, selected),
+        `Split ${selected.length} image(s) into a new group`
+    );
+}
+
+async function moveReviewImages(groupKey) {
+    const groupElement = getGroupElement(groupKey);
+    const select = groupElement && groupElement.querySelector('.move-target');
+    const selected = getSelectedImages(groupKey);
+    if (!select || selected.length === 0) {
+        showNotification('Select the images to move', 'warning');
+        return;
+    }
+
+    await applyReviewAction(
+        () => window.electronAPI.moveReviewImages(currentReview.id, groupKey, select.value, selected),
+        `Moved ${selected.length} image(s)`
+    );
+}
+
+async function clearReviewDecision(groupKey) {
+    await applyReviewAction(
+        () => window.electronAPI.clearReviewDecision(currentReview.id, groupKey),
+        'Decision cleared'
+    );
+}
+
+// Make functions available globally for onclick handlers
+window.mergeReviewGroup = mergeReviewGroup;
+window.registerReviewGroup = registerReviewGroup;
+window.splitReviewGroup = splitReviewGroup;
+window.moveReviewImages = moveReviewImages;
+window.clearReviewDecision = clearReviewDecision;
+
+document.addEventListener('DOMContentLoaded', initializeGroupReview);
@@ -0,0 +1,322 @@
+// Session History - every processing run kept by the main process, to reopen, label, compare or delete
+
+const sessionHistory = {
+    sessions: [],
+    // Up to two session ids ticked for comparison, oldest tick first
+    selected: [],
+    editingId: null,
+    completedJobs: null,
+    searchTimer: null
+};
+
+const SESSION_ORIGINS = {
+    manual: '',
+    queue: 'Job queue',
+    watch: 'Watch folder'
+};
+
+function initializeSessionHistory() {
+    try {
+        if (!isElectron || !window.electronAPI || !window.electronAPI.listSessions) return;
+
+        const historySection = getElement('historySection');
+        const historySearch = getElement('historySearch');
+        const historyTag = getElement('historyTag');
+        const historyList = getElement('historyList');
+        const compareSessionsBtn = getElement('compareSessionsBtn');
+
+        if (historySection) historySection.style.display = 'block';
+        if (historySearch) {
+            historySearch.addEventListener('input', () => {
+                clearTimeout(sessionHistory.searchTimer);
+                sessionHistory.searchTimer = setTimeout(loadSessionHistory, 250);
+            });
+        }
+        if (historyTag) historyTag.addEventListener('change', loadSessionHistory);
+        if (historyList) {
+            historyList.addEventListener('click', handleSessionAction);
+            historyList.addEventListener('change', handleSessionSelection);
+            historyList.addEventListener('submit', saveSessionDetails);
+        }
+        if (compareSessionsBtn) compareSessionsBtn.addEventListener('click', compareSelectedSessions);
+
+        // Finished jobs and watched batches land in the history without the renderer asking for them
+        window.electronAPI.onWatchFolderResults(() => loadSessionHistory());
+        window.electronAPI.onJobQueueChanged((status) => {
+            const completed = status.jobs.filter(job => job.status === 'completed').length;
+            if (sessionHistory.completedJobs !== null && completed !== sessionHistory.completedJobs) loadSessionHistory();
+            sessionHistory.completedJobs = completed;
+        });
+
+        loadSessionHistory();
+        console.log('✅ Session history initialized');
+    } catch (error) {
+        console.error('❌ Error initializing session history:', error);
+    }
+}
+
+async function loadSessionHistory() {
+    try {
+        const historySearch = getElement('historySearch');
+        const historyTag = getElement('historyTag');
+
+        const result = await window.electronAPI.listSessions({
+            query: historySearch ? historySearch.value : '',
+            tag: historyTag ? historyTag.value : ''
+        });
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'History did not respond');
+        }
+
+        sessionHistory.sessions = result.data.sessions;
+        renderSessionTags(result.data.tags);
+        renderSessionHistory();
+    } catch (error) {
+        console.error('❌ Error loading session history:', error);
+    }
+}
+
+// Results for a run that isn't in the list yet (a batch that just finished) bring the list up to date
+function refreshSessionHistory(results) {
+    if (results && results.session_id && !sessionHistory.sessions.some(session => session.id === results.session_id)) {
+        loadSessionHistory();
+    }
+}
+
+function renderSessionTags(tags) {
+    const historyTag = getElement('historyTag');
+    if (!historyTag) return;
+
+    const current = historyTag.value;
+    historyTag.innerHTML = '<option value="">All tags</option>' +
+        tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('');
+    historyTag.value = tags.includes(current) ? current : '';
+}
+
+function renderSessionHistory() {
+    const historyList = getElement('historyList');
+    if (!historyList) return;
+
+    // Selections only survive for sessions still listed
+    sessionHistory.selected = sessionHistory.selected.filter(id => sessionHistory.sessions.some(session => session.id === id));
+    updateCompareButton();
+
+    if (sessionHistory.sessions.length === 0) {
+        historyList.innerHTML = `
+            <div class="empty-state">
+                <p>No saved sessions</p>
+                <small>Every processing run is saved here and can be reopened without reprocessing</small>
+            </div>
+        `;
+        return;
+    }
+
+    historyList.innerHTML = sessionHistory.sessions.map(session => `
+        <div class="history-session" data-session-id="${escapeHtml(session.id)}">
+            <input type="checkbox" data-role="select" title="Select to compare" ${sessionHistory.selected.includes(session.id) ? 'checked' : ''}>
+            <div class="history-session-info">
+                ${sessionHistory.editingId === session.id ? formatSessionForm(session) : `
+                    <div class="history-session-name" title="${escapeHtml(session.name)}">${escapeHtml(session.name)}</div>
+                    <div class="history-session-meta">${escapeHtml(describeSession(session))}</div>
+                    ${session.tags.length > 0 ? `<div class="history-tags">${session.tags.map(tag => `<span class="history-tag">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+                `}
+            </div>
+            <div class="queue-job-buttons">
+                <button class="btn btn-primary" data-action="open">Open</button>
+                <button class="btn btn-outline" data-action="edit">${sessionHistory.editingId === session.id ? 'Cancel' : 'Edit'}</button>
+                <button class="btn btn-outline" data-action="delete">Delete</button>
+            </div>
+        </div>
+    `).join('');
+
+    const nameInput = historyList.querySelector('.history-session-form input[name="name"]');
+    if (nameInput) nameInput.focus();
+}
+
+function formatSessionForm(session) {
+    return `
+        <form class="history-session-form">
+            <input type="text" name="name" value="${escapeHtml(session.name)}" placeholder="Session name" required>
+            <input type="text" name="tags" value="${escapeHtml(session.tags.join(', '))}" placeholder="Tags, comma separated">
+            <button type="submit" class="btn btn-primary">Save</button>
+        </form>
+    `;
+}
+
+function describeSession(session) {
+    const type = PROCESSING_TYPE_LABELS[session.processing_type] || session.processing_type || 'Unknown type';
+    const engine = session.engine && session.engine.processor ? `${session.engine.processor} engine` : '';
+
+    return [
+        new Date(session.created_at).toLocaleString(),
+        type,
+        `${session.successfully_processed} of ${session.total_images} images`,
+        session.failed_images > 0 ? `${session.failed_images} failed` : '',
+        session.processing_time,
+        engine,
+        SESSION_ORIGINS[session.origin],
+        session.inputs.label
+    ].filter(Boolean).join(' · ');
+}
+
+async function handleSessionAction(e) {
+    const button = e.target.closest('button[data-action]');
+    const row = e.target.closest('.history-session');
+    if (!button || !row) return;
+
+    const id = row.dataset.sessionId;
+    const action = button.dataset.action;
+
+    try {
+        switch (action) {
+            case 'open':
+                await openSession(id);
+                break;
+            case 'edit':
+                sessionHistory.editingId = sessionHistory.editingId === id ? null : id;
+                renderSessionHistory();
+                break;
+            case 'delete':
+                await deleteSession(id);
+                break;
+        }
+    } catch (error) {
+        console.error(`❌ Session ${action} error:`, error);
+        showError(`Could not ${action} session: ` + error.message);
+    }
+}
+
+async function openSession(id) {
+    const result = await window.electronAPI.openSession(id);
+    if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'Session not found');
+    }
+
+    const session = result.data;
+    lastResultFilePaths = session.inputs.file_paths || [];
+    lastResults = session.results;
+    displayResults(lastResults);
+
+    const resultsSection = getElement('resultsSection');
+    if (resultsSection) resultsSection.scrollIntoView({ behavior: 'smooth' });
+    showNotification(`Opened ${escapeHtml(session.name)}`, 'success');
+}
+
+async function saveSessionDetails(e) {
+    e.preventDefault();
+    const row = e.target.closest('.history-session');
+    if (!row) return;
+
+    try {
+        const form = new FormData(e.target);
+        const result = await window.electronAPI.updateSession(row.dataset.sessionId, {
+            name: form.get('name'),
+            tags: String(form.get('tags') || '').split(',')
+        });
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Session not saved');
+        }
+
+        sessionHistory.editingId = null;
+        await loadSessionHistory();
+    } catch (error) {
+        console.error('❌ Error saving session details:', error);
+        showError('Could not save session: ' + error.message);
+    }
+}
+
+async function deleteSession(id) {
+    const result = await window.electronAPI.deleteSession(id);
+    if (result && result.cancelled) return;
+    if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'Session not deleted');
+    }
+
+    if (sessionHistory.editingId === id) sessionHistory.editingId = null;
+    await loadSessionHistory();
+    showNotification('Session deleted', 'info');
+}
+
+function handleSessionSelection(e) {
+    if (e.target.dataset.role !== 'select') return;
+    const row = e.target.closest('.history-session');
+    if (!row) return;
+
+    const id = row.dataset.sessionId;
+    sessionHistory.selected = sessionHistory.selected.filter(selected => selected !== id);
+    if (e.target.checked) {
+        sessionHistory.selected.push(id);
+        // Comparing takes two; ticking a third replaces the oldest tick
+        if (sessionHistory.selected.length > 2) sessionHistory.selected.shift();
+    }
+
+    renderSessionHistory();
+}
+
+function updateCompareButton() {
+    const compareSessionsBtn = getElement('compareSessionsBtn');
+    if (compareSessionsBtn) compareSessionsBtn.disabled = sessionHistory.selected.length !== 2;
+}
+
+async function compareSelectedSessions() {
+    if (sessionHistory.selected.length !== 2) return;
+
+    try {
+        const result = await window.electronAPI.compareSessions(sessionHistory.selected[0], sessionHistory.selected[1]);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Sessions could not be compared');
+        }
+        renderSessionComparison(result.data);
+    } catch (error) {
+        console.error('❌ Error comparing sessions:', error);
+        showError('Could not compare sessions: ' + error.message);
+    }
+}
+
+function renderSessionComparison(comparison) {
+    const historyCompare = getElement('historyCompare');
+    if (!historyCompare) return;
+
+    const { a, b, changes } = comparison;
+    const option = (session, key) => session.options && session.options[key] !== undefined ? session.options[key] : '–';
+    const rows = [
+        ['Processed', a.created_at ? new Date(a.created_at).toLocaleString() : '–', b.created_at ? new Date(b.created_at).toLocaleString() : '–'],
+        ['Type', PROCESSING_TYPE_LABELS[a.processing_type] || a.processing_type, PROCESSING_TYPE_LABELS[b.processing_type] || b.processing_type],
+        ['Images', a.total_images, b.total_images],
+        ['Failed', a.failed_images, b.failed_images],
+        ['Confidence threshold', option(a, 'confidence_threshold'), option(b, 'confidence_threshold')],
+        ['Similarity threshold', option(a, 'siamese_threshold'), option(b, 'siamese_threshold')]
+    ];
+    const outcome = (entry) => [formatCategory(entry.category || 'unknown'), entry.identification].filter(Boolean).join(' · ');
+    const shown = changes.slice(0, 200);
+
+    historyCompare.innerHTML = `
+        <div class="section-header">
+            <h4>${escapeHtml(a.name)} ↔ ${escapeHtml(b.name)}</h4>
+            <button class="btn btn-outline" onclick="getElement('historyCompare').style.display = 'none'">Close</button>
+        </div>
+        <table class="history-compare-table">
+            <thead><tr><th></th><th>${escapeHtml(a.name)}</th><th>${escapeHtml(b.name)}</th></tr></thead>
+            <tbody>${rows.map(([label, first, second]) => `
+                <tr class="${String(first) !== String(second) ? 'changed' : ''}"><th>${label}</th><td>${escapeHtml(first)}</td><td>${escapeHtml(second)}</td></tr>
+            `).join('')}</tbody>
+        </table>
+        <p class="history-compare-summary">
+            ${comparison.unchanged} image(s) unchanged · ${changes.length} changed ·
+            ${comparison.only_in_a.length} only in the first · ${comparison.only_in_b.length} only in the second
+        </p>
+        ${shown.length > 0 ? `
+            <table class="history-compare-table">
+                <thead><tr><th>Image</th><th>First</th><th>Second</th></tr></thead>
+                <tbody>${shown.map(change => `
+                    <tr><td>${escapeHtml(change.image)}</td><td>${escapeHtml(outcome(change.a))}</td><td>${escapeHtml(outcome(change.b))}</td></tr>
+                `).join('')}</tbody>
+            </table>
+            ${changes.length > shown.length ? `<small>Showing the first ${shown.length} of ${changes.length} changes</small>` : ''}
+        ` : ''}
+    `;
+    historyCompare.style.display = 'block';
+    historyCompare.scrollIntoView({ behavior: 'smooth' });
+}
+
+document.addEventListener('DOMContentLoaded', initializeSessionHistory);
@@ -0,0 +1,268 @@
+// Job Queue - several datasets processed one after another, kept across restarts
+
+let queueStatus = { running: false, active_job_id: null, jobs: [] };
+
+async function initializeJobQueue() {
+    try {
+        if (!isElectron || !window.electronAPI || !window.electronAPI.getJobQueue) return;
+
+        const queueSection = getElement('queueSection');
+        const addToQueueBtn = getElement('addToQueueBtn');
+        const toggleQueueBtn = getElement('toggleQueueBtn');
+        const queueList = getElement('queueList');
+
+        if (queueSection) queueSection.style.display = 'block';
+        if (addToQueueBtn) addToQueueBtn.addEventListener('click', addSelectionToQueue);
+        if (toggleQueueBtn) toggleQueueBtn.addEventListener('click', toggleQueue);
+        if (queueList) queueList.addEventListener('click', handleQueueAction);
+
+        window.electronAPI.onJobQueueChanged(renderJobQueue);
+        window.electronAPI.onJobQueueProgress(updateQueuedJobProgress);
+
+        const result = await window.electronAPI.getJobQueue();
+        if (result && result.success) {
+            renderJobQueue(result.data);
+        }
+
+        console.log('✅ Job queue initialized');
+    } catch (error) {
+        console.error('❌ Error initializing job queue:', error);
+    }
+}
+
+// Queueing only needs files; the engine is checked when the job actually runs
+function updateAddToQueueButton() {
+    const addToQueueBtn = getElement('addToQueueBtn');
+    if (!addToQueueBtn) return;
+
+    addToQueueBtn.style.display = isElectron ? 'inline-block' : 'none';
+    addToQueueBtn.disabled = selectedFiles.length === 0;
+}
+
+async function addSelectionToQueue() {
+    try {
+        const folders = selectedFiles.filter(f => f && f.type === 'folder');
+        const zipFile = selectedFiles.find(f => f && f.type === 'zip');
+        const imageFiles = selectedImageFiles();
+        const { processingType, options } = readProcessingOptions();
+        noteUnscreenedZip(options);
+
+        // Same precedence as processWithElectron: folders, then ZIP, then loose images; each folder is its own job
+        const specs = folders.length > 0
+            ? folders.map(folder => ({ folderPath: folder.path }))
+            : [{ zipFilePath: zipFile ? zipFile.path : null, filePaths: zipFile ? [] : imageFiles.map(f => f.path) }];
+
+        const queued = [];
+        for (const spec of specs) {
+            const result = await window.electronAPI.enqueueJob({
+                folderPath: null,
+                includePatterns: options.include_patterns,
+                excludePatterns: options.exclude_patterns,
+                zipFilePath: null,
+                filePaths: [],
+                ...spec,
+                processingType,
+                options
+            });
+
+            if (!result || !result.success) {
+                throw new Error(result && result.error ? result.error : 'Could not queue job');
+            }
+            queued.push(result.data.name);
+        }
+
+        const hint = queueStatus.running ? '' : ` - click Start Queue to run ${queued.length > 1 ? 'them' : 'it'}`;
+        const label = queued.length > 1 ? `${queued.length} jobs` : `"${escapeHtml(queued[0])}"`;
+        showNotification(`Queued ${label}${hint}`, 'success');
+    } catch (error) {
+        console.error('❌ Error adding job to queue:', error);
+        showError('Could not add to queue: ' + error.message);
+    }
+}
+
+async function toggleQueue() {
+    try {
+        const result = queueStatus.running
+            ? await window.electronAPI.stopJobQueue()
+            : await window.electronAPI.startJobQueue();
+
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Queue did not respond');
+        }
+        renderJobQueue(result.data);
+    } catch (error) {
+        console.error('❌ Error toggling job queue:', error);
+        showError('Could not change the queue: ' + error.message);
+    }
+}
+
+function renderJobQueue(status) {
+    if (!status) return;
+    queueStatus = status;
+
+    const queueState = getElement('queueState');
+    const toggleQueueBtn = getElement('toggleQueueBtn');
+    const queueList = getElement('queueList');
+
+    const waiting = status.jobs.filter(job => job.status === 'queued').length;
+
+    if (queueState) {
+        queueState.textContent = status.running
+            ? `Running - ${waiting} waiting`
+            : `Stopped - ${waiting} waiting`;
+    }
+    if (toggleQueueBtn) {
+        toggleQueueBtn.textContent = status.running ? 'Stop After Current Job' : 'Start Queue';
+        toggleQueueBtn.className = status.running ? 'btn btn-outline' : 'btn btn-primary';
+    }
+    if (!queueList) return;
+
+    if (status.jobs.length === 0) {
+        queueList.innerHTML = `
+            <div class="empty-state">
+                <p>No queued jobs</p>
+                <small>Select files, pick the processing options and click Add to Queue</small>
+            </div>
+        `;
+        return;
+    }
+
+    // Only waiting jobs can move, and only past other waiting jobs' slots
+    const queuedIndexes = status.jobs
+        .map((job, index) => job.status === 'queued' ? index : -1)
+        .filter(index => index >= 0);
+
+    queueList.innerHTML = status.jobs.map((job, index) => {
+        const position = queuedIndexes.indexOf(index);
+        const previousSlot = position > 0 ? queuedIndexes[position - 1] : -1;
+        const nextSlot = position >= 0 && position < queuedIndexes.length - 1 ? queuedIndexes[position + 1] : -1;
+
+        return `
+            <div class="queue-job ${job.status}" data-job-id="${escapeHtml(job.id)}">
+                <span class="job-status ${job.status}">${escapeHtml(job.status)}</span>
+                <div class="queue-job-info">
+                    <div class="queue-job-name" title="${escapeHtml(job.name)}">${escapeHtml(job.name)}</div>
+                    <div class="queue-job-meta ${job.status === 'failed' ? 'error' : ''}" data-role="meta">${escapeHtml(describeQueuedJob(job))}</div>
+                    ${['running', 'paused'].includes(job.status) ? `
+                        <div class="progress-bar"><div class="progress-fill" data-role="progress" style="width: ${job.progress ? job.progress.progress || 0 : 0}%"></div></div>
+                    ` : ''}
+                </div>
+                <div class="queue-job-buttons">
+                    ${previousSlot >= 0 ? `<button class="btn btn-outline" data-action="move" data-index="${previousSlot}" title="Move up">▲</button>` : ''}
+                    ${nextSlot >= 0 ? `<button class="btn btn-outline" data-action="move" data-index="${nextSlot}" title="Move down">▼</button>` : ''}
+                    ${job.status === 'running' ? '<button class="btn btn-outline" data-action="pause">Pause</button>' : ''}
+                    ${job.status === 'paused' ? '<button class="btn btn-outline" data-action="resume">Resume</button>' : ''}
+                    ${['queued', 'running', 'paused'].includes(job.status) ? '<button class="btn btn-outline" data-action="cancel">Cancel</button>' : ''}
+                    ${job.status === 'completed' ? '<button class="btn btn-primary" data-action="results">View Results</button>' : ''}
+                    ${['failed', 'cancelled'].includes(job.status) ? '<button class="btn btn-outline" data-action="retry">Retry</button>' : ''}
+                    ${!['running', 'paused'].includes(job.status) ? '<button class="btn btn-outline" data-action="remove">Remove</button>' : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function describeQueuedJob(job) {
+    const type = PROCESSING_TYPE_LABELS[job.processing_type] || job.processing_type;
+    const sources = {
+        zip: 'ZIP archive',
+        folder: `Folder ${job.input.folder_path}`,
+        images: `${(job.input.file_paths || []).length} images`
+    };
+    const source = sources[job.input.type];
+
+    switch (job.status) {
+        case 'running':
+        case 'paused':
+            return job.progress
+                ? [job.progress.stage, formatEta(job.progress.eta_seconds)].filter(Boolean).join(' · ')
+                : `${type} · starting...`;
+        case 'completed':
+            return job.summary
+                ? `${type} · ${job.summary.successfully_processed} of ${job.summary.total_images} images processed`
+                : type;
+        case 'failed':
+            return `Failed: ${job.error || 'unknown error'}`;
+        default:
+            return [type, source, job.note].filter(Boolean).join(' · ');
+    }
+}
+
+// Progress arrives far more often than status changes, so only the running row is touched
+function updateQueuedJobProgress({ id, progress }) {
+    const job = queueStatus.jobs.find(candidate => candidate.id === id);
+    if (!job) return;
+    job.progress = progress;
+
+    const row = document.querySelector(`.queue-job[data-job-id="${CSS.escape(id)}"]`);
+    if (!row) return;
+
+    const fill = row.querySelector('[data-role="progress"]');
+    const meta = row.querySelector('[data-role="meta"]');
+    if (fill) fill.style.width = `${progress.progress || 0}%`;
+    if (meta) meta.textContent = describeQueuedJob(job);
+}
+
+async function handleQueueAction(e) {
+    const button = e.target.closest('button[data-action]');
+    const row = e.target.closest('.queue-job');
+    if (!button || !row) return;
+
+    const id = row.dataset.jobId;
+    const action = button.dataset.action;
+
+    try {
+        if (action === 'results') {
+            await showQueuedJobResults(id);
+            return;
+        }
+
+        let result;
+        switch (action) {
+            case 'move':
+                result = await window.electronAPI.moveJob(id, parseInt(button.dataset.index));
+                break;
+            case 'pause':
+                result = await window.electronAPI.pauseJob(id);
+                break;
+            case 'resume':
+                result = await window.electronAPI.resumeJob(id);
+                break;
+            case 'cancel':
+                result = await window.electronAPI.cancelJob(id);
+                break;
+            case 'retry':
+                result = await window.electronAPI.retryJob(id);
+                break;
+            case 'remove':
+                result = await window.electronAPI.removeJob(id);
+                break;
+            default:
+                return;
+        }
+
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Queue did not respond');
+        }
+    } catch (error) {
+        console.error(`❌ Job queue ${action} error:`, error);
+        showError(`Could not ${action} job: ` + error.message);
+    }
+}
+
+async function showQueuedJobResults(id) {
+    const result = await window.electronAPI.getJobResults(id);
+    if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'Results not found');
+    }
+
+    const job = queueStatus.jobs.find(candidate => candidate.id === id);
+    lastResultFilePaths = job && job.input.type === 'images' ? job.input.file_paths : [];
+    displayResults(result.data);
+    lastResults = result.data;
+
+    const resultsSection = getElement('resultsSection');
+    if (resultsSection) resultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+document.addEventListener('DOMContentLoaded', initializeJobQueue);
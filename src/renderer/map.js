@@ -0,0 +1,280 @@
+// Sightings Map - geotagged sightings and detections over an offline basemap, clustered where they overlap
+
+const MAP_COLORS = {
+    sighting: '#667eea',
+    detection: '#ed8936'
+};
+
+const NO_DETECTION_CATEGORIES = ['no_elephants', 'no_matches', 'processing_error', '00_no_elephants_detected', '99_processing_errors'];
+
+let sightingMap = null;
+let basemapLayer = null;
+let mapMarkers = null;
+let mapFilterTimer = null;
+let basemapInfo = null;
+
+async function initializeMapPanel() {
+    try {
+        // Leaflet is loaded from node_modules, and tiles come from the main process
+        if (!isElectron || !window.electronAPI || !window.electronAPI.getBasemap || typeof L === 'undefined') return;
+
+        const mapSection = getElement('mapSection');
+        if (mapSection) mapSection.style.display = 'block';
+
+        sightingMap = L.map('sightingMap', { minZoom: 1, maxZoom: 20, worldCopyJump: true }).setView([15, 80], 3);
+        L.control.scale().addTo(sightingMap);
+
+        mapMarkers = L.markerClusterGroup({ maxClusterRadius: 40, showCoverageOnHover: false });
+        sightingMap.addLayer(mapMarkers);
+
+        const chooseBasemapBtn = getElement('chooseBasemapBtn');
+        const chooseTileFolderBtn = getElement('chooseTileFolderBtn');
+        const clearBasemapBtn = getElement('clearBasemapBtn');
+
+        if (chooseBasemapBtn) chooseBasemapBtn.addEventListener('click', () => chooseBasemap(window.electronAPI.selectBasemap));
+        if (chooseTileFolderBtn) chooseTileFolderBtn.addEventListener('click', () => chooseBasemap(window.electronAPI.selectFolder));
+        if (clearBasemapBtn) clearBasemapBtn.addEventListener('click', clearBasemap);
+
+        ['mapIndividual', 'mapFrom', 'mapTo', 'mapShowSightings', 'mapShowDetections'].forEach(id => {
+            const input = getElement(id);
+            if (input) input.addEventListener('change', () => refreshMapLayers({ fit: true }));
+        });
+
+        const mapCamera = getElement('mapCamera');
+        if (mapCamera) {
+            mapCamera.addEventListener('input', () => {
+                clearTimeout(mapFilterTimer);
+                mapFilterTimer = setTimeout(() => refreshMapLayers({ fit: true }), 300);
+            });
+        }
+
+        const result = await window.electronAPI.getBasemap();
+        if (result && result.success) {
+            showBasemap(result.data);
+        }
+
+        await refreshMapLayers({ fit: true });
+        console.log('✅ Sightings map initialized');
+    } catch (error) {
+        console.error('❌ Error initializing map:', error);
+    }
+}
+
+async function chooseBasemap(select) {
+    try {
+        const sourcePath = await select();
+        if (!sourcePath) return;
+
+        const result = await window.electronAPI.setBasemap(sourcePath);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Basemap could not be loaded');
+        }
+
+        showBasemap(result.data);
+        fitMapToBasemap(result.data);
+        await refreshMapLayers();
+        showNotification(`Basemap set to ${escapeHtml(result.data.name)}`, 'success');
+    } catch (error) {
+        console.error('❌ Error choosing basemap:', error);
+        showError('Could not use that basemap: ' + error.message);
+    }
+}
+
+async function clearBasemap() {
+    try {
+        const result = await window.electronAPI.clearBasemap();
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Basemap could not be cleared');
+        }
+        showBasemap(result.data);
+        await refreshMapLayers();
+    } catch (error) {
+        console.error('❌ Error clearing basemap:', error);
+        showError('Could not clear the basemap: ' + error.message);
+    }
+}
+
+function showBasemap(info) {
+    basemapInfo = info;
+
+    if (basemapLayer) {
+        sightingMap.removeLayer(basemapLayer);
+        basemapLayer = null;
+    }
+
+    const bounds = info.bounds ? [[info.bounds[1], info.bounds[0]], [info.bounds[3], info.bounds[2]]] : null;
+
+    if (info.type === 'geotiff') {
+        // Stretched linearly between its corners, which is exact for Web Mercator and close enough for a reserve in WGS84
+        basemapLayer = L.imageOverlay(toFileUrl(info.image_path), bounds, { attribution: escapeHtml(info.name) });
+    } else if (info.type === 'mbtiles' || info.type === 'tiles') {
+        basemapLayer = L.tileLayer(`basemap://tiles/{z}/{x}/{y}?v=${info.revision}`, {
+            minNativeZoom: info.minzoom,
+            maxNativeZoom: info.maxzoom,
+            maxZoom: 20,
+            bounds: bounds || undefined,
+            attribution: escapeHtml(info.name)
+        });
+    }
+
+    if (basemapLayer) {
+        basemapLayer.addTo(sightingMap);
+        basemapLayer.bringToBack();
+    }
+}
+
+function describeBasemap(info) {
+    if (!info || info.type === 'none') return 'No basemap (choose an MBTiles file, GeoTIFF or tile folder)';
+    return `Basemap: ${info.name}${info.bundled ? ' (bundled)' : ''}`;
+}
+
+function fitMapToBasemap(info) {
+    if (!info.bounds) return;
+    sightingMap.fitBounds([[info.bounds[1], info.bounds[0]], [info.bounds[3], info.bounds[2]]]);
+}
+
+// Redraws the points for the current filters; `fit` zooms to whatever is left
+async function refreshMapLayers({ fit = false } = {}) {
+    if (!sightingMap) return;
+
+    try {
+        fillMapIndividuals();
+        const filters = readMapFilters();
+        const points = [];
+
+        if (getElement('mapShowSightings')?.checked !== false) {
+            const result = await window.electronAPI.listSightings({
+                individual_id: filters.individualId || undefined,
+                from: filters.from || undefined,
+                to: filters.to || undefined,
+                camera: filters.camera || undefined
+            });
+            if (!result || !result.success) {
+                throw new Error(result && result.error ? result.error : 'Sightings not available');
+            }
+
+            points.push(...result.data.filter(sighting => sighting.gps).map(sightingToPoint));
+        }
+
+        if (getElement('mapShowDetections')?.checked !== false) {
+            // Images already logged as sightings are shown once, as the sighting
+            const seen = new Set(points.map(point => point.key));
+            points.push(...collectDetectionPoints(filters).filter(point => !seen.has(point.key)));
+        }
+
+        mapMarkers.clearLayers();
+        mapMarkers.addLayers(points.map(point => L.circleMarker([point.latitude, point.longitude], {
+            radius: 7,
+            weight: 2,
+            color: 'white',
+            fillColor: MAP_COLORS[point.source],
+            fillOpacity: 0.9
+        }).bindPopup(formatMapPopup(point))));
+
+        const summary = getElement('mapSummary');
+        if (summary) {
+            const sightings = points.filter(point => point.source === 'sighting').length;
+            summary.textContent = `${describeBasemap(basemapInfo)} · ${sightings} sighting(s), ${points.length - sightings} detection(s) with GPS`;
+        }
+
+        if (fit && points.length > 0) {
+            sightingMap.fitBounds(points.map(point => [point.latitude, point.longitude]), { padding: [30, 30], maxZoom: 15 });
+        }
+    } catch (error) {
+        console.error('❌ Error refreshing map:', error);
+        showError('Could not update the map: ' + error.message);
+    }
+}
+
+function readMapFilters() {
+    const value = (id) => (getElement(id) ? getElement(id).value.trim() : '');
+    return {
+        individualId: value('mapIndividual'),
+        from: value('mapFrom'),
+        to: value('mapTo'),
+        camera: value('mapCamera').toLowerCase()
+    };
+}
+
+// The individual list follows the registry cache, keeping the current choice
+function fillMapIndividuals() {
+    const select = getElement('mapIndividual');
+    if (!select || typeof registryIndividuals === 'undefined') return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">All individuals</option>' + registryIndividuals.map(individual =>
+        `<option value="${escapeHtml(individual.id)}">${escapeHtml(individual.name)} (${escapeHtml(individual.id)})</option>`).join('');
+    select.value = registryIndividuals.some(individual => individual.id === selected) ? selected : '';
+}
+
+function sightingToPoint(sighting) {
+    const individual = typeof registryIndividuals !== 'undefined'
+        ? registryIndividuals.find(candidate => candidate.id === sighting.individual_id)
+        : null;
+
+    return {
+        source: 'sighting',
+        key: `${sighting.image.filename}|${sighting.captured_at || ''}`,
+        latitude: sighting.gps.latitude,
+        longitude: sighting.gps.longitude,
+        title: individual ? `${individual.name} (${individual.id})` : sighting.individual_id,
+        image: sighting.image.relative_path || sighting.image.filename,
+        captured_at: sighting.captured_at,
+        camera: sighting.camera,
+        thumbnail: sighting.thumbnail_path
+    };
+}
+
+// Detections in the results on screen, filtered the same way as the sighting log
+function collectDetectionPoints(filters) {
+    const detailed = lastResults && Array.isArray(lastResults.detailed_results) ? lastResults.detailed_results : [];
+    const to = filters.to ? `${filters.to}\uffff` : null;
+
+    return detailed
+        .filter(result => result.metadata && result.metadata.gps && !NO_DETECTION_CATEGORIES.includes(result.category))
+        .filter(result => !filters.individualId || resultIndividualIds(result).includes(filters.individualId))
+        .filter(result => !filters.from || (result.metadata.captured_at && result.metadata.captured_at >= filters.from))
+        .filter(result => !to || (result.metadata.captured_at && result.metadata.captured_at <= to))
+        .filter(result => !filters.camera || describeCamera(result.metadata.camera).toLowerCase().includes(filters.camera))
+        .map(result => ({
+            source: 'detection',
+            key: `${result.filename}|${result.metadata.captured_at || ''}`,
+            latitude: result.metadata.gps.latitude,
+            longitude: result.metadata.gps.longitude,
+            title: formatCategory(result.category),
+            image: result.relative_path || result.filename,
+            captured_at: result.metadata.captured_at,
+            camera: result.metadata.camera,
+            thumbnail: result.file_path || null
+        }));
+}
+
+function resultIndividualIds(result) {
+    const ids = [];
+    const info = result.individual_elephant_info;
+    if (info && info.registry_individual) ids.push(info.registry_individual.id);
+
+    const matches = (result.siamese_result && result.siamese_result.matches) || [];
+    matches.filter(match => match.registry_individual).forEach(match => ids.push(match.registry_individual.id));
+    return ids;
+}
+
+function describeCamera(camera) {
+    if (!camera) return '';
+    return [camera.make, camera.model, camera.serial].filter(Boolean).join(' ');
+}
+
+function formatMapPopup(point) {
+    return `
+        <div class="map-popup">
+            ${point.thumbnail ? `<img src="${toFileUrl(point.thumbnail)}" alt="">` : ''}
+            <strong>${escapeHtml(point.title)}</strong><br>
+            ${point.captured_at ? `${escapeHtml(point.captured_at.replace('T', ' '))}<br>` : ''}
+            ${point.camera && describeCamera(point.camera) ? `📷 ${escapeHtml(describeCamera(point.camera))}<br>` : ''}
+            <small>${escapeHtml(point.image || '')}</small><br>
+            <small>${point.latitude.toFixed(5)}, ${point.longitude.toFixed(5)}</small>
+        </div>
+    `;
+}
+
+document.addEventListener('DOMContentLoaded', initializeMapPanel);
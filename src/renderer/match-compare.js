@@ -0,0 +1,402 @@
+// Match Comparison - a result's image next to the reference photos of its top Siamese matches, zoomed and
+// panned together, with accept/reject decisions for each match
+
+const COMPARE_MAX_ZOOM = 20;
+
+const compare = {
+    results: [],
+    index: 0,
+    candidate: 0,
+    topK: 5,
+    // elephant_id -> [{ path, label, source }]
+    references: new Map(),
+    referenceIndex: 0,
+    zoom: 1,
+    x: 0,
+    y: 0,
+    drag: null,
+    // A decision was recorded since opening, so encounter identifications may have moved
+    changed: false
+};
+
+function initializeMatchComparison() {
+    try {
+        const modal = getElement('matchCompare');
+        if (!modal) return;
+
+        getElement('compareCloseBtn')?.addEventListener('click', closeMatchComparison);
+        getElement('compareFitBtn')?.addEventListener('click', fitComparison);
+        getElement('comparePrevResultBtn')?.addEventListener('click', () => stepComparisonResult(-1));
+        getElement('compareNextResultBtn')?.addEventListener('click', () => stepComparisonResult(1));
+        getElement('comparePrevReferenceBtn')?.addEventListener('click', () => stepReferencePhoto(-1));
+        getElement('compareNextReferenceBtn')?.addEventListener('click', () => stepReferencePhoto(1));
+        getElement('compareTopK')?.addEventListener('change', (e) => {
+            compare.topK = Number(e.target.value) || 5;
+            compare.candidate = Math.min(compare.candidate, comparisonCandidates().length - 1);
+            showComparisonCandidate();
+        });
+
+        getElement('compareCandidates')?.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-candidate]');
+            if (!card) return;
+
+            const decisionButton = e.target.closest('[data-decision]');
+            if (decisionButton) {
+                decideComparisonMatch(Number(card.dataset.candidate), decisionButton.dataset.decision);
+            } else {
+                selectComparisonCandidate(Number(card.dataset.candidate));
+            }
+        });
+
+        // Either pane zooms and pans both, so the same part of the ear stays side by side
+        document.querySelectorAll('.compare-stage').forEach(stage => {
+            stage.addEventListener('wheel', (e) => {
+                e.preventDefault();
+                const rect = stage.getBoundingClientRect();
+                zoomComparison(e.deltaY < 0 ? 1.2 : 1 / 1.2, e.clientX - rect.left, e.clientY - rect.top);
+            }, { passive: false });
+
+            stage.addEventListener('mousedown', (e) => {
+                if (e.button !== 0) return;
+                compare.drag = { startX: e.clientX, startY: e.clientY, x: compare.x, y: compare.y };
+                document.querySelectorAll('.compare-stage').forEach(element => element.classList.add('dragging'));
+            });
+            stage.addEventListener('dblclick', fitComparison);
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (!compare.drag) return;
+            compare.x = compare.drag.x + e.clientX - compare.drag.startX;
+            compare.y = compare.drag.y + e.clientY - compare.drag.startY;
+            applyComparisonTransform();
+        });
+        window.addEventListener('mouseup', () => {
+            compare.drag = null;
+            document.querySelectorAll('.compare-stage').forEach(element => element.classList.remove('dragging'));
+        });
+
+        document.addEventListener('keydown', handleComparisonKey);
+
+        console.log('✅ Match comparison initialized');
+    } catch (error) {
+        console.error('❌ Error initializing match comparison:', error);
+    }
+}
+
+function isComparisonOpen() {
+    const modal = getElement('matchCompare');
+    return !!modal && modal.style.display !== 'none';
+}
+
+// Every reference the engine scored, best first, with the ones under the threshold included so a near miss
+// can be compared too. Engines that only report matches offer those.
+function comparableMatches(result) {
+    const siamese = result && result.siamese_result;
+    if (!siamese) return [];
+
+    const matches = Array.isArray(siamese.matches) ? siamese.matches : [];
+    if (!Array.isArray(siamese.candidates) || siamese.candidates.length === 0) return matches;
+
+    const listed = siamese.candidates.map(candidate =>
+        matches.find(match => String(match.elephant_id) === String(candidate.elephant_id)) || candidate);
+    return listed.concat(matches.filter(match => !listed.includes(match)));
+}
+
+function comparisonCandidates() {
+    return comparableMatches(compare.results[compare.index]).slice(0, compare.topK);
+}
+
+function isBelowThreshold(result, match) {
+    const threshold = result.siamese_result.siamese_threshold;
+    return typeof threshold === 'number' && (match.similarity ?? match.confidence ?? 0) < threshold;
+}
+
+// Opens the comparison on one of the displayed results
+function openMatchComparison(index) {
+    const detailed = lastResults && Array.isArray(lastResults.detailed_results) ? lastResults.detailed_results : [];
+    if (comparableMatches(detailed[index]).length === 0) return;
+
+    if (compare.results !== detailed) {
+        compare.references.clear();
+    }
+    compare.results = detailed;
+    compare.changed = false;
+
+    getElement('matchCompare').style.display = 'flex';
+    showComparisonResult(index);
+}
+
+function closeMatchComparison() {
+    const modal = getElement('matchCompare');
+    if (modal) modal.style.display = 'none';
+    compare.drag = null;
+
+    if (typeof reloadVerificationQueue === 'function') reloadVerificationQueue();
+    // Accepting or un-accepting a near miss adds or removes a match, so the results are redrawn
+    if (compare.changed && lastResults) {
+        if (lastResults.encounters) {
+            regroupEncounters();
+        } else {
+            displayResults(lastResults);
+        }
+    }
+}
+
+function handleComparisonKey(e) {
+    if (!isComparisonOpen() || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+    const stage = getElement('compareQueryStage');
+    const centre = () => [stage.clientWidth / 2, stage.clientHeight / 2];
+    const actions = {
+        ArrowRight: () => selectComparisonCandidate(compare.candidate + 1),
+        ArrowDown: () => selectComparisonCandidate(compare.candidate + 1),
+        ArrowLeft: () => selectComparisonCandidate(compare.candidate - 1),
+        ArrowUp: () => selectComparisonCandidate(compare.candidate - 1),
+        PageDown: () => stepComparisonResult(1),
+        PageUp: () => stepComparisonResult(-1),
+        '[': () => stepReferencePhoto(-1),
+        ']': () => stepReferencePhoto(1),
+        a: () => decideComparisonMatch(compare.candidate, 'accepted'),
+        r: () => decideComparisonMatch(compare.candidate, 'rejected'),
+        '+': () => zoomComparison(1.25, ...centre()),
+        '=': () => zoomComparison(1.25, ...centre()),
+        '-': () => zoomComparison(1 / 1.25, ...centre()),
+        '0': fitComparison,
+        Escape: closeMatchComparison
+    };
+
+    const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (action && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault();
+        action();
+    }
+}
+
+// Moves to the next or previous result that has matches to compare
+function stepComparisonResult(direction) {
+    let index = compare.index + direction;
+    while (index >= 0 && index < compare.results.length && comparableMatches(compare.results[index]).length === 0) {
+        index += direction;
+    }
+    if (index < 0 || index >= compare.results.length) return;
+
+    showComparisonResult(index);
+}
+
+async function showComparisonResult(index) {
+    const result = compare.results[index];
+    compare.index = index;
+    compare.candidate = 0;
+    fitComparison();
+
+    getElement('compareTitle').textContent = result.relative_path || result.filename || `Result ${index + 1}`;
+    showComparisonCandidate();
+
+    const image = getElement('compareQueryImage');
+    try {
+        setComparisonImage(image, getElement('compareQueryMessage'), null, 'Loading…');
+
+        const response = await window.electronAPI.resolveResultImage(
+            { filename: result.filename, file_path: result.file_path },
+            { filePaths: lastResultFilePaths, zipFilePath: lastResults && lastResults.source_zip }
+        );
+        if (!response || !response.success) {
+            throw new Error(response && response.error ? response.error : 'Image not available');
+        }
+
+        // The user may have stepped on while the image was being found
+        if (compare.index !== index) return;
+        setComparisonImage(image, getElement('compareQueryMessage'), response.data, 'The original image is no longer available');
+    } catch (error) {
+        console.error('❌ Error loading query image:', error);
+        setComparisonImage(image, getElement('compareQueryMessage'), null, 'Could not load image: ' + error.message);
+    }
+}
+
+function selectComparisonCandidate(candidate) {
+    if (candidate < 0 || candidate >= comparisonCandidates().length) return;
+    compare.candidate = candidate;
+    showComparisonCandidate();
+}
+
+async function showComparisonCandidate() {
+    const candidates = comparisonCandidates();
+    const match = candidates[compare.candidate];
+    const index = compare.index;
+
+    const total = comparableMatches(compare.results[index]).length;
+    getElement('comparePosition').textContent = `Candidate ${compare.candidate + 1} of ${candidates.length}` +
+        (total > candidates.length ? ` (top ${candidates.length} of ${total})` : '');
+    renderComparisonCandidates();
+    if (!match) return;
+
+    compare.referenceIndex = 0;
+    getElement('compareReferencePosition').textContent = '';
+    getElement('compareReferenceLabel').textContent = comparisonMatchName(match);
+    setComparisonImage(getElement('compareReferenceImage'), getElement('compareReferenceMessage'), null, 'Loading…');
+
+    try {
+        let references = compare.references.get(match.elephant_id);
+        if (!references) {
+            const response = await window.electronAPI.getMatchReferenceImages(match.elephant_id, match.reference_image);
+            if (!response || !response.success) {
+                throw new Error(response && response.error ? response.error : 'Reference photos not available');
+            }
+            references = response.data;
+            compare.references.set(match.elephant_id, references);
+        }
+
+        if (compare.index !== index || comparisonCandidates()[compare.candidate] !== match) return;
+        showReferencePhoto();
+    } catch (error) {
+        console.error('❌ Error loading reference photos:', error);
+        setComparisonImage(getElement('compareReferenceImage'), getElement('compareReferenceMessage'), null, 'Could not load reference photos: ' + error.message);
+    }
+}
+
+// Steps through the photos of the selected match: dataset images first, then registry photos
+function stepReferencePhoto(direction) {
+    const match = comparisonCandidates()[compare.candidate];
+    const references = match ? compare.references.get(match.elephant_id) || [] : [];
+    const next = compare.referenceIndex + direction;
+    if (next < 0 || next >= references.length) return;
+
+    compare.referenceIndex = next;
+    showReferencePhoto();
+}
+
+function showReferencePhoto() {
+    const match = comparisonCandidates()[compare.candidate];
+    const references = compare.references.get(match.elephant_id) || [];
+    const reference = references[compare.referenceIndex];
+
+    getElement('compareReferencePosition').textContent = references.length > 0
+        ? `${compare.referenceIndex + 1} of ${references.length}`
+        : '';
+    getElement('compareReferenceLabel').textContent = reference
+        ? `${comparisonMatchName(match)} · ${reference.label}`
+        : comparisonMatchName(match);
+
+    setComparisonImage(
+        getElement('compareReferenceImage'),
+        getElement('compareReferenceMessage'),
+        reference ? reference.path : null,
+        'No reference photos for this elephant. Add the dataset images or registry photos to compare against.'
+    );
+}
+
+function setComparisonImage(image, message, imagePath, emptyText) {
+    if (imagePath) {
+        message.style.display = 'none';
+        image.style.display = 'block';
+        image.src = toFileUrl(imagePath);
+    } else {
+        image.style.display = 'none';
+        image.removeAttribute('src');
+        message.style.display = 'block';
+        message.textContent = emptyText;
+    }
+}
+
+function comparisonMatchName(match) {
+    const individual = match.registry_individual ||
+        (typeof findRegistryIndividual === 'function' ? findRegistryIndividual(match.elephant_id) : null);
+    return individual ? `${individual.name} (${match.elephant_id})` : String(match.elephant_id);
+}
+
+function renderComparisonCandidates() {
+    const container = getElement('compareCandidates');
+    const result = compare.results[compare.index];
+    if (!container || !result) return;
+
+    const threshold = result.siamese_result.siamese_threshold;
+    container.innerHTML = comparisonCandidates().map((match, i) => {
+        const decision = match.review ? match.review.decision : null;
+        const below = isBelowThreshold(result, match);
+        return `
+            <div class="compare-candidate ${i === compare.candidate ? 'selected' : ''} ${below ? 'below-threshold' : ''} ${decision || ''}" data-candidate="${i}">
+                <div class="compare-candidate-name">#${i + 1} ${escapeHtml(comparisonMatchName(match))}</div>
+                ${formatScoreBar(match.similarity ?? match.confidence ?? 0, threshold)}
+                <div class="compare-candidate-meta">
+                    <span>${below ? 'Below threshold' : escapeHtml(match.match_quality || 'N/A')}</span>
+                    ${formatReviewBadge(match.review)}
+                </div>
+                <div class="compare-decision">
+                    <button type="button" class="btn btn-outline ${decision === 'accepted' ? 'active' : ''}" data-decision="accepted" title="Accept (A)">✓ Accept</button>
+                    <button type="button" class="btn btn-outline ${decision === 'rejected' ? 'active' : ''}" data-decision="rejected" title="Reject (R)">✗ Reject</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Pressing the current decision again clears it
+async function decideComparisonMatch(candidate, decision) {
+    const result = compare.results[compare.index];
+    const match = comparisonCandidates()[candidate];
+    if (!result || !match) return;
+
+    const current = match.review ? match.review.decision : null;
+    const next = current === decision ? null : decision;
+
+    try {
+        const response = await window.electronAPI.decideVerification({
+            kind: 'siamese_match',
+            subject: match.elephant_id,
+            image: { filename: result.filename, relative_path: result.relative_path, captured_at: result.metadata ? result.metadata.captured_at : null },
+            score: match.similarity ?? match.confidence ?? null
+        }, next, '', { result, processing_mode: lastResults ? lastResults.processing_mode : null });
+        if (!response || !response.success) {
+            throw new Error(response && response.error ? response.error : 'Could not record the decision');
+        }
+
+        if (typeof applyMatchReview === 'function') {
+            applyMatchReview(result, match.elephant_id, response.data.review);
+        } else if (response.data.review) {
+            match.review = response.data.review;
+        } else {
+            delete match.review;
+        }
+
+        compare.changed = true;
+        renderComparisonCandidates();
+        updateMatchReviewBadge(compare.index, match);
+    } catch (error) {
+        console.error('❌ Error recording match decision:', error);
+        showError('Could not record the decision: ' + error.message);
+    }
+}
+
+// Keeps the results list in step without redrawing it
+function updateMatchReviewBadge(resultIndex, match) {
+    const item = document.querySelector(`.result-item[data-result-index="${resultIndex}"] .match-item[data-elephant-id="${CSS.escape(String(match.elephant_id))}"] .review-badge`);
+    if (item) item.outerHTML = formatReviewBadge(match.review);
+}
+
+function fitComparison() {
+    compare.zoom = 1;
+    compare.x = 0;
+    compare.y = 0;
+    applyComparisonTransform();
+}
+
+// Zooms about a point in stage coordinates; both stages are the same size, so one transform serves both
+function zoomComparison(factor, originX, originY) {
+    const zoom = Math.max(0.5, Math.min(COMPARE_MAX_ZOOM, compare.zoom * factor));
+    compare.x = originX - (originX - compare.x) * (zoom / compare.zoom);
+    compare.y = originY - (originY - compare.y) * (zoom / compare.zoom);
+    compare.zoom = zoom;
+    applyComparisonTransform();
+}
+
+function applyComparisonTransform() {
+    const transform = `translate(${compare.x}px, ${compare.y}px) scale(${compare.zoom})`;
+    document.querySelectorAll('.compare-image').forEach(image => {
+        image.style.transform = transform;
+    });
+
+    const zoomLabel = getElement('compareZoom');
+    if (zoomLabel) zoomLabel.textContent = `${Math.round(compare.zoom * 100)}%`;
+}
+
+document.addEventListener('DOMContentLoaded', initializeMatchComparison);
@@ -0,0 +1,121 @@
+// Quality Screening - flag blurry, badly exposed, night-IR, duplicate and tiny images before they are processed
+
+const QUALITY_FLAGS = {
+    blurry: { label: 'Blurry', icon: '🌫' },
+    underexposed: { label: 'Too dark', icon: '🌑' },
+    overexposed: { label: 'Too bright', icon: '☀️' },
+    night_ir: { label: 'Night / IR', icon: '🌙' },
+    duplicate: { label: 'Duplicate', icon: '⧉' },
+    tiny: { label: 'Too small', icon: '🔹' },
+    unreadable: { label: 'Unreadable', icon: '⚠️' }
+};
+
+// Guards the file list against an older screening finishing last
+let qualityRequestId = 0;
+
+function initializeQualityScreening() {
+    try {
+        const qualityAction = getElement('qualityAction');
+        if (!qualityAction) return;
+
+        qualityAction.addEventListener('change', () => {
+            if (qualityAction.value === 'off') {
+                updateFileList();
+            } else {
+                screenSelectedImages();
+            }
+        });
+
+        console.log('✅ Quality screening initialized');
+    } catch (error) {
+        console.error('❌ Error initializing quality screening:', error);
+    }
+}
+
+function qualityAction() {
+    const select = getElement('qualityAction');
+    return select ? select.value : 'tag';
+}
+
+// Screens every selected image (measurements are cached in the main process, so only new ones cost anything)
+async function screenSelectedImages() {
+    if (!isElectron || !window.electronAPI || !window.electronAPI.screenImages || qualityAction() === 'off') return;
+
+    const images = selectedFiles.filter(f => f && f.type === 'image' && f.path);
+    if (images.length === 0) return;
+
+    const requestId = ++qualityRequestId;
+    try {
+        const response = await window.electronAPI.screenImages(images.map(f => f.path));
+        if (!response.success) throw new Error(response.error);
+        if (requestId !== qualityRequestId) return;
+
+        const byPath = new Map(response.data.map(image => [image.path, image]));
+        for (const file of images) {
+            const screened = byPath.get(file.path);
+            if (screened) {
+                file.quality = { flags: screened.flags, metrics: screened.metrics, duplicate_of: screened.duplicate_of };
+            }
+        }
+
+        updateFileList();
+
+        const flagged = images.filter(f => f.quality && f.quality.flags.length > 0).length;
+        if (flagged > 0) {
+            showNotification(`${flagged} image(s) flagged by quality screening${qualityAction() === 'exclude' ? ' and will be skipped' : ''}`, 'warning');
+        }
+    } catch (error) {
+        console.error('❌ Error screening images:', error);
+        showError('Quality screening failed: ' + error.message);
+    }
+}
+
+// A file the user skipped, or a flagged one while flagged images are being excluded
+function isFileExcluded(file) {
+    if (file.excluded !== undefined) return file.excluded;
+    return qualityAction() === 'exclude' && !!file.quality && file.quality.flags.length > 0;
+}
+
+function toggleFileExcluded(index) {
+    const file = selectedFiles[index];
+    if (!file) return;
+
+    file.excluded = !isFileExcluded(file);
+    updateFileList();
+    updateProcessButton();
+}
+
+// Flag chips with the measurements behind them in the tooltip
+function formatQualityFlags(quality) {
+    if (!quality || !quality.flags || quality.flags.length === 0) return '';
+
+    const metrics = quality.metrics || {};
+    const details = {
+        blurry: `sharpness ${metrics.sharpness}`,
+        underexposed: `brightness ${metrics.brightness}, ${Math.round((metrics.dark_fraction || 0) * 100)}% near black`,
+        overexposed: `brightness ${metrics.brightness}, ${Math.round((metrics.bright_fraction || 0) * 100)}% near white`,
+        night_ir: `colourfulness ${metrics.colourfulness}`,
+        duplicate: quality.duplicate_of ? `same frame as ${quality.duplicate_of}` : '',
+        tiny: `${metrics.width}×${metrics.height}, ${typeof formatFileSize === 'function' ? formatFileSize(metrics.file_bytes) : metrics.file_bytes}`,
+        unreadable: 'could not be decoded'
+    };
+
+    return `<span class="quality-flags">${quality.flags.map(flag => {
+        const info = QUALITY_FLAGS[flag] || { label: flag, icon: '⚠️' };
+        return `<span class="quality-flag" title="${escapeHtml(details[flag] || '')}">${info.icon} ${info.label}</span>`;
+    }).join('')}</span>`;
+}
+
+// Images a folder or watched batch left out, listed under the results summary
+function formatQualityExclusions(excluded) {
+    if (!Array.isArray(excluded) || excluded.length === 0) return '';
+
+    return `
+        <details class="quality-excluded">
+            <summary>🔎 ${excluded.length} image(s) skipped by quality screening</summary>
+            ${excluded.map(image => `<div>${escapeHtml(image.filename)} ${formatQualityFlags(image)}</div>`).join('')}
+        </details>
+    `;
+}
+
+document.addEventListener('DOMContentLoaded', initializeQualityScreening);
@@ -0,0 +1,337 @@
+// Elephant Registry - known individuals persisted by the main process
+
+const SEX_LABELS = {
+    male: '♂ Male',
+    female: '♀ Female',
+    unknown: 'Unknown sex'
+};
+
+let registryIndividuals = [];
+let editingIndividualId = null;
+let registrySearchTimer = null;
+
+function initializeRegistryPanel() {
+    try {
+        const registrySection = getElement('registrySection');
+
+        // The registry lives in the main process, so it is only available in Electron
+        if (!isElectron || !window.electronAPI || !window.electronAPI.listIndividuals) {
+            if (registrySection) registrySection.style.display = 'none';
+            return;
+        }
+
+        const registrySearch = getElement('registrySearch');
+        const addIndividualBtn = getElement('addIndividualBtn');
+        const individualForm = getElement('individualForm');
+        const cancelIndividualBtn = getElement('cancelIndividualBtn');
+        const deleteIndividualBtn = getElement('deleteIndividualBtn');
+        const addHeadPhotoBtn = getElement('addHeadPhotoBtn');
+        const addEarPhotoBtn = getElement('addEarPhotoBtn');
+        const individualModal = getElement('individualModal');
+
+        if (registrySearch) {
+            registrySearch.addEventListener('input', (e) => {
+                clearTimeout(registrySearchTimer);
+                registrySearchTimer = setTimeout(() => loadRegistry(e.target.value), 250);
+            });
+        }
+        if (addIndividualBtn) addIndividualBtn.addEventListener('click', () => openIndividualModal(null));
+        if (individualForm) individualForm.addEventListener('submit', saveIndividual);
+        if (cancelIndividualBtn) cancelIndividualBtn.addEventListener('click', closeIndividualModal);
+        if (deleteIndividualBtn) deleteIndividualBtn.addEventListener('click', deleteCurrentIndividual);
+        if (addHeadPhotoBtn) addHeadPhotoBtn.addEventListener('click', () => addIndividualPhoto('head'));
+        if (addEarPhotoBtn) addEarPhotoBtn.addEventListener('click', () => addIndividualPhoto('right_ear'));
+        if (individualModal) {
+            individualModal.addEventListener('click', (e) => {
+                if (e.target === individualModal) closeIndividualModal();
+            });
+        }
+
+        loadRegistry();
+        console.log('✅ Registry panel initialized');
+    } catch (error) {
+        console.error('❌ Error initializing registry panel:', error);
+    }
+}
+
+async function loadRegistry(query = '') {
+    try {
+        const result = await window.electronAPI.listIndividuals(query);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not load registry');
+        }
+
+        // Keep the unfiltered list around for linking results to names
+        if (!query) {
+            registryIndividuals = result.data;
+            if (typeof fillMapIndividuals === 'function') fillMapIndividuals();
+        }
+
+        renderRegistryList(result.data, query);
+    } catch (error) {
+        console.error('❌ Error loading registry:', error);
+        showError('Could not load the elephant registry: ' + error.message);
+    }
+}
+
+function renderRegistryList(individuals, query) {
+    const registryList = getElement('registryList');
+    if (!registryList) return;
+
+    if (individuals.length === 0) {
+        registryList.innerHTML = `
+            <div class="empty-state">
+                <p>${query ? 'No individuals match your search' : 'No individuals registered yet'}</p>
+            </div>
+        `;
+        return;
+    }
+
+    registryList.innerHTML = individuals.map(individual => {
+        const headPhoto = individual.photos.find(photo => photo.type === 'head') || individual.photos[0];
+
+        return `
+            <div class="registry-card" onclick="openIndividualModal('${individual.id}')">
+                <div class="registry-thumb">
+                    ${headPhoto ? `<img src="${toFileUrl(headPhoto.path)}" alt="">` : '🐘'}
+                </div>
+                <div class="registry-card-details">
+                    <h4>${escapeHtml(individual.name)}</h4>
+                    <small>${individual.id}${individual.aliases.length ? ` · aka ${escapeHtml(individual.aliases.join(', '))}` : ''}</small>
+                    <p>${SEX_LABELS[individual.sex] || SEX_LABELS.unknown} · ${formatAge(individual)}</p>
+                    ${typeof formatSightingSummary === 'function' ? `<p>${formatSightingSummary(individual.sightings)}</p>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Age estimates are stored with the date they were made and advance from there
+function formatAge(individual) {
+    if (individual.approximate_age_years === null || individual.approximate_age_years === undefined) {
+        return 'Age unknown';
+    }
+
+    const recordedAt = individual.age_recorded_at ? new Date(individual.age_recorded_at) : new Date();
+    const elapsedYears = (Date.now() - recordedAt.getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+    return `~${Math.round(individual.approximate_age_years + Math.max(0, elapsedYears))} yrs`;
+}
+
+// Looks up a Siamese dataset id in the cached registry, mirroring ElephantRegistry.findByReferenceId
+function findRegistryIndividual(referenceId) {
+    if (referenceId === undefined || referenceId === null) return null;
+
+    const key = String(referenceId).toLowerCase();
+    return registryIndividuals.find(individual =>
+        individual.id.toLowerCase() === key ||
+        individual.reference_ids.some(reference => String(reference).toLowerCase() === key)) || null;
+}
+
+async function openIndividualModal(id, defaults = {}) {
+    try {
+        let individual = null;
+
+        if (id) {
+            const result = await window.electronAPI.getIndividual(id);
+            if (!result || !result.success) {
+                throw new Error(result && result.error ? result.error : 'Individual not found');
+            }
+            individual = result.data;
+        }
+
+        editingIndividualId = id;
+        fillIndividualForm(individual || defaults);
+
+        const title = getElement('individualModalTitle');
+        if (title) title.textContent = individual ? `🐘 ${individual.name} (${individual.id})` : '🐘 Register New Individual';
+
+        const deleteBtn = getElement('deleteIndividualBtn');
+        if (deleteBtn) deleteBtn.style.display = individual ? 'inline-block' : 'none';
+
+        renderIndividualPhotos(individual);
+        if (typeof renderIndividualTimeline === 'function') renderIndividualTimeline(individual ? individual.id : null);
+
+        const modal = getElement('individualModal');
+        if (modal) modal.style.display = 'flex';
+    } catch (error) {
+        console.error('❌ Error opening individual:', error);
+        showError('Could not open individual: ' + error.message);
+    }
+}
+
+// Pre-fills a new individual from an unlinked Siamese match
+function registerFromMatch(elephantId) {
+    openIndividualModal(null, { name: '', reference_ids: [elephantId] });
+}
+
+function closeIndividualModal() {
+    const modal = getElement('individualModal');
+    if (modal) modal.style.display = 'none';
+    editingIndividualId = null;
+}
+
+function fillIndividualForm(individual) {
+    const values = {
+        individualName: individual.name || '',
+        individualAliases: (individual.aliases || []).join(', '),
+        individualSex: individual.sex || 'unknown',
+        individualAge: individual.approximate_age_years ?? '',
+        individualReferenceIds: (individual.reference_ids || []).join(', '),
+        individualHomeRange: individual.home_range_notes || '',
+        individualNotes: individual.notes || ''
+    };
+
+    Object.entries(values).forEach(([id, value]) => {
+        const input = getElement(id);
+        if (input) input.value = value;
+    });
+}
+
+function readIndividualForm() {
+    const value = (id) => {
+        const input = getElement(id);
+        return input ? input.value : '';
+    };
+
+    return {
+        name: value('individualName'),
+        aliases: value('individualAliases'),
+        sex: value('individualSex'),
+        approximate_age_years: value('individualAge'),
+        reference_ids: value('individualReferenceIds'),
+        home_range_notes: value('individualHomeRange'),
+        notes: value('individualNotes')
+    };
+}
+
+function renderIndividualPhotos(individual) {
+    const photosContainer = getElement('individualPhotos');
+    const photoButtons = getElement('individualPhotoButtons');
+    if (!photosContainer) return;
+
+    // Photos can only be attached once the individual exists
+    if (photoButtons) photoButtons.style.display = individual ? 'flex' : 'none';
+
+    if (!individual) {
+        photosContainer.innerHTML = '<small>Save the individual to add reference photos.</small>';
+        return;
+    }
+
+    if (individual.photos.length === 0) {
+        photosContainer.innerHTML = '<small>No reference photos yet.</small>';
+        return;
+    }
+
+    photosContainer.innerHTML = individual.photos.map(photo => `
+        <figure class="registry-photo">
+            <img src="${toFileUrl(photo.path)}" alt="${escapeHtml(photo.original_name)}">
+            <figcaption>
+                ${photo.type === 'right_ear' ? '👂 Right ear' : '🐘 Head'}
+                <button type="button" class="btn-icon" onclick="removeIndividualPhoto('${photo.id}')" title="Remove photo">🗑</button>
+            </figcaption>
+        </figure>
+    `).join('');
+}
+
+async function saveIndividual(event) {
+    if (event) event.preventDefault();
+
+    try {
+        const fields = readIndividualForm();
+        const result = editingIndividualId
+            ? await window.electronAPI.updateIndividual(editingIndividualId, fields)
+            : await window.electronAPI.createIndividual(fields);
+
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not save individual');
+        }
+
+        showNotification(`Saved ${escapeHtml(result.data.name)} (${escapeHtml(result.data.id)})`, 'success');
+
+        // Newly created individuals stay open so photos can be attached straight away
+        const wasNew = !editingIndividualId;
+        await refreshRegistry();
+        if (wasNew) {
+            await openIndividualModal(result.data.id);
+        } else {
+            closeIndividualModal();
+        }
+    } catch (error) {
+        console.error('❌ Error saving individual:', error);
+        showError('Could not save individual: ' + error.message);
+    }
+}
+
+async function deleteCurrentIndividual() {
+    if (!editingIndividualId) return;
+
+    try {
+        const result = await window.electronAPI.deleteIndividual(editingIndividualId);
+        if (result && result.cancelled) return;
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not delete individual');
+        }
+
+        showNotification(`Removed ${result.data.id} from the registry`, 'info');
+        closeIndividualModal();
+        await refreshRegistry();
+    } catch (error) {
+        console.error('❌ Error deleting individual:', error);
+        showError('Could not delete individual: ' + error.message);
+    }
+}
+
+async function addIndividualPhoto(type) {
+    if (!editingIndividualId) return;
+
+    try {
+        const result = await window.electronAPI.addIndividualPhoto(editingIndividualId, type);
+        if (result && result.cancelled) return;
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not add photo');
+        }
+
+        renderIndividualPhotos(result.data);
+        await refreshRegistry();
+    } catch (error) {
+        console.error('❌ Error adding photo:', error);
+        showError('Could not add photo: ' + error.message);
+    }
+}
+
+async function removeIndividualPhoto(photoId) {
+    if (!editingIndividualId) return;
+
+    try {
+        const result = await window.electronAPI.removeIndividualPhoto(editingIndividualId, photoId);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not remove photo');
+        }
+
+        renderIndividualPhotos(result.data);
+        await refreshRegistry();
+    } catch (error) {
+        console.error('❌ Error removing photo:', error);
+        showError('Could not remove photo: ' + error.message);
+    }
+}
+
+// Reloads the list and re-renders any displayed results so new links show up
+async function refreshRegistry() {
+    const registrySearch = getElement('registrySearch');
+    await loadRegistry('');
+    if (registrySearch && registrySearch.value) {
+        await loadRegistry(registrySearch.value);
+    }
+
+    if (lastResults) {
+        displayResults(lastResults);
+    }
+}
+
+// Make functions available globally for onclick handlers
+window.openIndividualModal = openIndividualModal;
+window.registerFromMatch = registerFromMatch;
+window.removeIndividualPhoto = removeIndividualPhoto;
+
+document.addEventListener('DOMContentLoaded', initializeRegistryPanel);
@@ -0,0 +1,102 @@
+// Result Package - organized folders or a ZIP of the results on screen, built locally from the source images
+
+function initializeResultPackage() {
+    try {
+        if (!isElectron || !window.electronAPI || !window.electronAPI.buildResultPackage) return;
+
+        const buildPackageBtn = getElement('buildPackageBtn');
+        const packageForm = getElement('packageForm');
+        const packageModal = getElement('packageModal');
+
+        if (buildPackageBtn) {
+            buildPackageBtn.style.display = 'inline-block';
+            buildPackageBtn.addEventListener('click', openPackageModal);
+        }
+        if (packageForm) packageForm.addEventListener('submit', buildResultPackage);
+        getElement('choosePackageDestinationBtn')?.addEventListener('click', choosePackageDestination);
+        getElement('cancelPackageBtn')?.addEventListener('click', closePackageModal);
+        if (packageModal) {
+            packageModal.addEventListener('click', (e) => {
+                if (e.target === packageModal) closePackageModal();
+            });
+        }
+
+        console.log('✅ Result packages initialized');
+    } catch (error) {
+        console.error('❌ Error initializing result packages:', error);
+    }
+}
+
+function openPackageModal() {
+    if (!lastResults || !Array.isArray(lastResults.detailed_results) || lastResults.detailed_results.length === 0) {
+        showNotification('No results to package', 'info');
+        return;
+    }
+
+    const packageModal = getElement('packageModal');
+    if (packageModal) packageModal.style.display = 'flex';
+}
+
+function closePackageModal() {
+    const packageModal = getElement('packageModal');
+    if (packageModal) packageModal.style.display = 'none';
+}
+
+async function choosePackageDestination() {
+    try {
+        const folderPath = await window.electronAPI.selectFolder();
+        if (!folderPath) return;
+
+        const packageDestination = getElement('packageDestination');
+        const startPackageBtn = getElement('startPackageBtn');
+        if (packageDestination) packageDestination.value = folderPath;
+        if (startPackageBtn) startPackageBtn.disabled = false;
+    } catch (error) {
+        console.error('❌ Error choosing package destination:', error);
+        showError('Could not choose a destination: ' + error.message);
+    }
+}
+
+async function buildResultPackage(e) {
+    e.preventDefault();
+
+    const output = getElement('packageOutput').value;
+    const options = {
+        destination: getElement('packageDestination').value,
+        layout: getElement('packageLayout').value,
+        transfer: output === 'zip' ? 'copy' : output,
+        archive: output === 'zip',
+        annotated: getElement('packageAnnotated').checked,
+        contact_sheets: getElement('packageContactSheets').checked
+    };
+    if (!options.destination) return;
+
+    closePackageModal();
+    showProcessingModal();
+    updateProcessingProgress({ progress: 0, stage: 'Building package...', currentFile: 'Finding images...', totalCount: lastResults.detailed_results.length });
+
+    try {
+        const result = await window.electronAPI.buildResultPackage(lastResults, options, {
+            filePaths: lastResultFilePaths,
+            zipFilePath: lastResults.source_zip
+        });
+        hideProcessingModal();
+
+        if (result && result.cancelled) {
+            showNotification('Package not built', 'info');
+            return;
+        }
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Package failed');
+        }
+
+        const missing = result.data.missing.length;
+        showNotification(`Packaged ${result.data.images} image(s)${missing > 0 ? `, ${missing} not found` : ''}`, missing > 0 ? 'warning' : 'success');
+    } catch (error) {
+        hideProcessingModal();
+        console.error('❌ Error building result package:', error);
+        showError('Could not build the package: ' + error.message);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initializeResultPackage);
@@ -47,7 +47,9 @@ let appReady = false;
 let offlineMode = false;
 let supportedFormats = ['jpg', 'jpeg', 'png', 'bmp', 'gif', 'tiff', 'tif'];
 let lastResults = null;
+let lastResultFilePaths = [];
 let backendHealth = null;
+let processingMode = 'backend';
 let isElectron = false;
 
 // DOM Elements - Will be initialized after DOM is ready
@@ -96,9 +98,15 @@ function detectEnvironment() {
                 if (typeof window.electronAPI.onBatchProgress === 'function') {
                     window.electronAPI.onBatchProgress(handleBatchProgress);
                 }
+                if (typeof window.electronAPI.onBatchState === 'function') {
+                    window.electronAPI.onBatchState(handleBatchState);
+                }
                 if (typeof window.electronAPI.onDownloadProgress === 'function') {
                     window.electronAPI.onDownloadProgress(handleDownloadProgress);
                 }
+                if (typeof window.electronAPI.onProcessorChanged === 'function') {
+                    window.electronAPI.onProcessorChanged(handleProcessorChanged);
+                }
             } catch (error) {
                 console.warn('⚠️ Electron API setup warning:', error.message);
             }
@@ -144,6 +152,13 @@ if (document.readyState === 'loading') {
     setTimeout(initializeApp, 100);
 }
 
+// Status bar labels for each processing engine
+const PROCESSING_MODE_LABELS = {
+    backend: { status: 'Connected (Electron)', type: 'success', message: 'Electron app ready with AI models!' },
+    offline: { status: 'Offline (On-device models)', type: 'success', message: 'Running offline with on-device AI models' },
+    mock: { status: 'Mock Engine (Test Data)', type: 'warning', message: 'Running with the mock engine - results are not real' }
+};
+
 // Handle app ready event from Electron
 function handleAppReady(data) {
     try {
@@ -152,17 +167,20 @@ function handleAppReady(data) {
         appReady = data && data.modelsAvailable !== false;
         offlineMode = data && data.offlineMode || false;
         backendHealth = data && data.modelInfo || null;
+        processingMode = data && data.processingMode || 'backend';
 
         hideLoadingScreen();
 
         if (appReady) {
-            updateStatus('Connected (Electron)', 'success');
-            showNotification('Electron app ready with AI models!', 'success');
+            const label = PROCESSING_MODE_LABELS[processingMode] || PROCESSING_MODE_LABELS.backend;
+            updateStatus(label.status, label.type);
+            showNotification(label.message, label.type);
         } else {
             updateStatus('Offline Mode', 'warning');
             showNotification('Running in offline mode - limited functionality', 'warning');
         }
 
+        updateProcessorSelect();
         updateProcessButton();
     } catch (error) {
         console.error('❌ Error handling app ready:', error);
@@ -170,6 +188,62 @@ function handleAppReady(data) {
     }
 }
 
+// Handle the main process switching engines (manually or after a failure)
+function handleProcessorChanged(data) {
+    try {
+        if (!appReady || !data || !data.processingMode) return;
+
+        const previousMode = processingMode;
+        processingMode = data.processingMode;
+
+        const label = PROCESSING_MODE_LABELS[processingMode] || PROCESSING_MODE_LABELS.backend;
+        updateStatus(label.status, label.type);
+        updateProcessorSelect();
+
+        if (previousMode !== processingMode) {
+            showNotification(`Switched from ${previousMode} to ${processingMode} processing engine`, 'warning');
+        }
+    } catch (error) {
+        console.error('❌ Error handling processor change:', error);
+    }
+}
+
+function updateProcessorSelect() {
+    const processorSelect = getElement('processorSelect');
+    if (processorSelect) {
+        processorSelect.value = processingMode;
+        processorSelect.disabled = !isElectron || isProcessing;
+    }
+}
+
+async function switchProcessor(name) {
+    if (!isElectron || !window.electronAPI || !window.electronAPI.selectProcessor) return;
+
+    try {
+        showNotification(`Starting ${name} processing engine...`, 'info');
+
+        const result = await window.electronAPI.selectProcessor(name);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Unknown error');
+        }
+
+        appReady = true;
+        offlineMode = false;
+        processingMode = result.data.active;
+        backendHealth = result.data.modelInfo || null;
+
+        const label = PROCESSING_MODE_LABELS[processingMode] || PROCESSING_MODE_LABELS.backend;
+        updateStatus(label.status, label.type);
+        showNotification(label.message, label.type);
+    } catch (error) {
+        console.error('❌ Error switching processor:', error);
+        showError(`Could not start the ${name} processing engine: ${error.message}`);
+    }
+
+    updateProcessorSelect();
+    updateProcessButton();
+}
+
 // Handle batch progress from Electron with error handling
 function handleBatchProgress(progress) {
     try {
@@ -179,14 +253,72 @@ function handleBatchProgress(progress) {
             progress: progress && progress.progress || 0,
             currentFile: progress && progress.currentFile || 'Processing...',
             processedCount: progress && progress.current || 0,
-            totalCount: progress && progress.total || selectedFiles.length,
-            stage: progress && progress.stage || 'Processing files'
+            // Upload events count bytes (loaded/total), not files
+            totalCount: progress && progress.loaded === undefined && progress.total || selectedFiles.length,
+            stage: progress && progress.stage || 'Processing files',
+            etaSeconds: progress ? progress.eta_seconds : null
         });
     } catch (error) {
         console.error('❌ Error handling batch progress:', error);
     }
 }
 
+// Pause/resume/cancel state pushed from the main process
+function handleBatchState(data) {
+    try {
+        const state = data && data.state;
+        console.log('⏯ Batch state:', state);
+
+        updateBatchControls(state);
+
+        const progressText = getElement('batchProgressText');
+        if (progressText && state === 'paused') progressText.textContent = 'Paused';
+        if (progressText && state === 'cancelled') progressText.textContent = 'Cancelling...';
+    } catch (error) {
+        console.error('❌ Error handling batch state:', error);
+    }
+}
+
+function updateBatchControls(state) {
+    const pauseBatchBtn = getElement('pauseBatchBtn');
+    const cancelBatchBtn = getElement('cancelBatchBtn');
+
+    if (pauseBatchBtn) {
+        pauseBatchBtn.textContent = state === 'paused' ? 'Resume' : 'Pause';
+        pauseBatchBtn.dataset.state = state;
+        pauseBatchBtn.disabled = state === 'cancelled';
+    }
+    if (cancelBatchBtn) cancelBatchBtn.disabled = state === 'cancelled';
+}
+
+async function togglePauseBatch() {
+    try {
+        const pauseBatchBtn = getElement('pauseBatchBtn');
+        const paused = pauseBatchBtn && pauseBatchBtn.dataset.state === 'paused';
+
+        const result = paused
+            ? await window.electronAPI.resumeBatch()
+            : await window.electronAPI.pauseBatch();
+
+        if (!result || !result.success) {
+            showNotification('The batch can no longer be paused or resumed', 'warning');
+        }
+    } catch (error) {
+        console.error('❌ Error pausing/resuming batch:', error);
+        showError('Could not pause or resume: ' + error.message);
+    }
+}
+
+async function cancelBatch() {
+    try {
+        // The main process asks for confirmation before stopping anything
+        await window.electronAPI.cancelBatch();
+    } catch (error) {
+        console.error('❌ Error cancelling batch:', error);
+        showError('Could not cancel: ' + error.message);
+    }
+}
+
 // Handle download progress from Electron with error handling
 function handleDownloadProgress(progress) {
     try {
@@ -195,7 +327,9 @@ function handleDownloadProgress(progress) {
         updateProcessingProgress({
             progress: progress && progress.progress || 0,
             stage: progress && progress.stage || 'Preparing download...',
-            currentFile: 'Preparing results package...'
+            currentFile: progress && progress.currentFile || 'Preparing results package...',
+            processedCount: progress && progress.processedCount,
+            totalCount: progress && progress.totalCount
         });
     } catch (error) {
         console.error('❌ Error handling download progress:', error);
@@ -268,10 +402,21 @@ function setupEventListeners() {
         // File selection buttons
         const selectFilesBtn = getElement('selectFilesBtn');
         const selectZipBtn = getElement('selectZipBtn');
+        const selectFolderBtn = getElement('selectFolderBtn');
+        const includePatterns = getElement('includePatterns');
+        const excludePatterns = getElement('excludePatterns');
 
         if (selectFilesBtn) selectFilesBtn.addEventListener('click', selectFiles);
         if (selectZipBtn) selectZipBtn.addEventListener('click', selectZip);
 
+        // Folders are read in place, which needs real file system paths
+        if (selectFolderBtn && isElectron) {
+            selectFolderBtn.style.display = 'inline-block';
+            selectFolderBtn.addEventListener('click', selectFolder);
+        }
+        if (includePatterns) includePatterns.addEventListener('change', rescanSelectedFolders);
+        if (excludePatterns) excludePatterns.addEventListener('change', rescanSelectedFolders);
+
         // Upload area drag & drop
         if (uploadArea) {
             uploadArea.addEventListener('dragover', handleDragOver);
@@ -290,10 +435,31 @@ function setupEventListeners() {
         const clearFilesBtn = getElement('clearFilesBtn');
         const clearResultsBtn = getElement('clearResultsBtn');
         const downloadResultsBtn = getElement('downloadResultsBtn');
+        const exportResultsBtn = getElement('exportResultsBtn');
 
         if (clearFilesBtn) clearFilesBtn.addEventListener('click', clearFiles);
         if (clearResultsBtn) clearResultsBtn.addEventListener('click', clearResults);
         if (downloadResultsBtn) downloadResultsBtn.addEventListener('click', downloadResults);
+        if (exportResultsBtn) exportResultsBtn.addEventListener('click', exportResults);
+
+        // Exports are written by the main process, so the browser build has none
+        const resultsExport = getElement('resultsExport');
+        if (resultsExport && !(isElectron && window.electronAPI && window.electronAPI.exportResults)) {
+            resultsExport.style.display = 'none';
+        }
+
+        const fieldReportBtn = getElement('fieldReportBtn');
+        if (fieldReportBtn && isElectron && window.electronAPI && window.electronAPI.generateFieldReport) {
+            fieldReportBtn.style.display = 'inline-block';
+            fieldReportBtn.addEventListener('click', generateFieldReport);
+        }
+
+        // Running batch controls
+        const pauseBatchBtn = getElement('pauseBatchBtn');
+        const cancelBatchBtn = getElement('cancelBatchBtn');
+
+        if (pauseBatchBtn) pauseBatchBtn.addEventListener('click', togglePauseBatch);
+        if (cancelBatchBtn) cancelBatchBtn.addEventListener('click', cancelBatch);
 
         // Processing type change
         const processingTypeRadios = document.querySelectorAll('input[name="processingType"]');
@@ -301,6 +467,12 @@ function setupEventListeners() {
             radio.addEventListener('change', updateProcessingOptions);
         });
 
+        // Processing engine selection
+        const processorSelect = getElement('processorSelect');
+        if (processorSelect) {
+            processorSelect.addEventListener('change', (e) => switchProcessor(e.target.value));
+        }
+
         // Error modal
         const closeErrorBtn = getElement('closeErrorBtn');
         if (closeErrorBtn) closeErrorBtn.addEventListener('click', hideErrorModal);
@@ -338,6 +510,23 @@ function initializeAdvancedSettings() {
             });
         }
 
+        // Head / ear weighting slider; existing combined results are re-ranked when it is released
+        const fusionSlider = getElement('fusionHeadWeight');
+        const fusionValue = getElement('fusionWeightValue');
+
+        if (fusionSlider && fusionValue) {
+            fusionSlider.addEventListener('input', (e) => {
+                fusionValue.textContent = formatFusionWeights(parseFloat(e.target.value));
+            });
+            fusionSlider.addEventListener('change', (e) => refuseResults(parseFloat(e.target.value)));
+        }
+
+        // Encounter grouping applies to results already on screen straight away
+        ['encounterGap', 'encounterMethod'].forEach(id => {
+            const input = getElement(id);
+            if (input) input.addEventListener('change', () => regroupEncounters());
+        });
+
         // Similarity threshold slider
         const similaritySlider = getElement('similarityThreshold');
         const similarityValue = getElement('similarityValue');
@@ -478,6 +667,68 @@ async function selectZip() {
     }
 }
 
+async function selectFolder() {
+    if (!appReady) {
+        showError('Backend not connected. Please refresh the page.');
+        return;
+    }
+
+    try {
+        const folderPath = await window.electronAPI.selectFolder();
+        if (!folderPath || selectedFiles.find(f => f.path === folderPath)) return;
+
+        const scan = await scanSelectedFolder(folderPath);
+        selectedFiles.push({
+            name: folderPath,
+            type: 'folder',
+            path: folderPath,
+            size: `${scan.image_count} images`,
+            icon: '🗂',
+            imageCount: scan.image_count
+        });
+
+        updateFileList();
+        updateProcessButton();
+
+        if (scan.image_count === 0) {
+            showNotification('No supported images found in that folder', 'warning');
+        } else {
+            showNotification(`Added folder with ${scan.image_count} images`, 'success');
+        }
+    } catch (error) {
+        console.error('❌ Error selecting folder:', error);
+        showError('Error selecting folder: ' + error.message);
+    }
+}
+
+async function scanSelectedFolder(folderPath) {
+    const { options } = readProcessingOptions();
+    const result = await window.electronAPI.scanFolder(folderPath, {
+        include: options.include_patterns,
+        exclude: options.exclude_patterns
+    });
+
+    if (!result || !result.success) {
+        throw new Error(result && result.error ? result.error : 'Could not read folder');
+    }
+    return result.data;
+}
+
+// Pattern changes alter which images a folder contributes, so the counts are refreshed
+async function rescanSelectedFolders() {
+    try {
+        for (const file of selectedFiles.filter(f => f.type === 'folder')) {
+            const scan = await scanSelectedFolder(file.path);
+            file.imageCount = scan.image_count;
+            file.size = `${scan.image_count} images`;
+        }
+        updateFileList();
+    } catch (error) {
+        console.error('❌ Error rescanning folders:', error);
+        showError('Error reading folder: ' + error.message);
+    }
+}
+
 function handleDragOver(e) {
     try {
         e.preventDefault();
@@ -568,6 +819,7 @@ function addFiles(filePaths, type = 'images', fileObjects = []) {
 
         if (addedCount > 0) {
             showNotification(`Added ${addedCount} file(s)`, 'success');
+            if (typeof screenSelectedImages === 'function') screenSelectedImages();
         }
     } catch (error) {
         console.error('❌ Error adding files:', error);
@@ -628,7 +880,7 @@ function updateFileList() {
             fileList.innerHTML = `
                 <div class="empty-state">
                     <p>No files selected yet</p>
-                    <small>Select images or a ZIP archive to get started</small>
+                    <small>Select images, a folder or a ZIP archive to get started</small>
                 </div>
             `;
             return;
@@ -639,18 +891,22 @@ function updateFileList() {
             const fileType = (file.type || 'unknown').toUpperCase();
             const fileSize = file.size || '';
             const fileIcon = file.icon || '📄';
+            const flagged = typeof formatQualityFlags === 'function' && file.quality && file.quality.flags.length > 0;
+            const excluded = typeof isFileExcluded === 'function' && isFileExcluded(file);
 
             return `
-                <div class="file-item">
+                <div class="file-item ${excluded ? 'excluded' : ''}">
                     <div class="file-info">
                         <div class="file-icon">${fileIcon}</div>
                         <div class="file-details">
                             <h4>${fileName}</h4>
-                            <p>Type: ${fileType}</p>
+                            <p>Type: ${fileType}${excluded ? ' · Skipped' : ''}</p>
                             ${fileSize ? `<small class="file-size">${fileSize}</small>` : ''}
+                            ${flagged ? formatQualityFlags(file.quality) : ''}
                         </div>
                     </div>
                     <div class="file-actions">
+                        ${flagged || excluded ? `<button class="btn-icon" onclick="toggleFileExcluded(${index})" title="${excluded ? 'Process this image' : 'Skip this image'}">${excluded ? '↩' : '⊘'}</button>` : ''}
                         <button class="btn-icon" onclick="removeFile(${index})" title="Remove file">🗑</button>
                     </div>
                 </div>
@@ -680,6 +936,8 @@ function updateProcessButton() {
             processBtn.textContent = 'Process Files';
             processBtn.title = hasFiles ? '' : 'Please select files to process';
         }
+
+        updateAddToQueueButton();
     } catch (error) {
         console.error('❌ Error updating process button:', error);
     }
@@ -696,23 +954,27 @@ function updateProcessingOptions() {
         const confidenceGroup = document.querySelector('.setting-item:has(#confidenceThreshold)');
         const siameseGroup = document.querySelector('.setting-item:has(#siameseThreshold)');
         const similarityGroup = document.querySelector('.setting-item:has(#similarityThreshold)');
+        const fusionGroup = document.querySelector('.setting-item:has(#fusionHeadWeight)');
 
         if (confidenceGroup && siameseGroup && similarityGroup) {
             // Reset all visibility
             confidenceGroup.style.display = 'none';
             siameseGroup.style.display = 'none';
             similarityGroup.style.display = 'none';
+            if (fusionGroup) fusionGroup.style.display = 'none';
 
             switch(processingTypeValue) {
                 case 'yolo':
                     confidenceGroup.style.display = 'block';
                     break;
                 case 'siamese':
+                case 'compare-dataset':
                     siameseGroup.style.display = 'block';
                     break;
                 case 'combined':
                     confidenceGroup.style.display = 'block';
                     siameseGroup.style.display = 'block';
+                    if (fusionGroup) fusionGroup.style.display = 'block';
                     break;
                 case 'individual_elephants':
                     confidenceGroup.style.display = 'block';
@@ -733,21 +995,17 @@ async function processFiles() {
     updateProcessButton();
 
     try {
-        // Get processing options with fallbacks
-        const processingTypeElement = document.querySelector('input[name="processingType"]:checked');
-        const processingType = processingTypeElement ? processingTypeElement.value : 'yolo';
+        const { processingType, options } = readProcessingOptions();
 
-        const confidenceSlider = getElement('confidenceThreshold');
-        const siameseSlider = getElement('siameseThreshold');
-        const similaritySlider = getElement('similarityThreshold');
-        const maxWorkersInput = getElement('maxWorkers');
-
-        const confidence_threshold = confidenceSlider ? parseFloat(confidenceSlider.value) : BACKEND_CONFIG.DEFAULT_OPTIONS.confidence_threshold;
-        const siamese_threshold = siameseSlider ? parseFloat(siameseSlider.value) : BACKEND_CONFIG.DEFAULT_OPTIONS.siamese_threshold;
-        const similarity_threshold = similaritySlider ? parseFloat(similaritySlider.value) : BACKEND_CONFIG.DEFAULT_OPTIONS.similarity_threshold;
-        const max_workers = maxWorkersInput ? parseInt(maxWorkersInput.value) : BACKEND_CONFIG.DEFAULT_OPTIONS.max_workers;
+        // A run covers one folder; several go through the queue, which takes one job per folder
+        const folderCount = selectedFiles.filter(f => f && f.type === 'folder').length;
+        if (isElectron && folderCount > 1) {
+            showError(`${folderCount} folders are selected - process them one at a time, or use Add to Queue to run each as its own job`);
+            return;
+        }
 
         console.log('🚀 Starting processing with type:', processingType);
+        noteUnscreenedZip(options);
 
         // Show processing modal
         showProcessingModal();
@@ -756,34 +1014,27 @@ async function processFiles() {
 
         if (isElectron && window.electronAPI) {
             // Use Electron IPC for processing
-            result = await processWithElectron(processingType, {
-                confidence_threshold,
-                siamese_threshold,
-                similarity_threshold,
-                max_workers
-            });
+            result = await processWithElectron(processingType, options);
         } else {
             // Use web API for processing
-            result = await processWithWebAPI(processingType, {
-                confidence_threshold,
-                siamese_threshold,
-                similarity_threshold,
-                max_workers
-            });
+            result = await processWithWebAPI(processingType, options);
         }
 
         hideProcessingModal();
 
-        if (result && result.success) {
+        if (result && result.cancelled) {
+            showNotification('Processing cancelled', 'info');
+        } else if (result && result.success) {
             console.log('✅ Processing completed:', result.data);
+            lastResultFilePaths = selectedImageFiles().map(f => f.path);
             displayResults(result.data);
             lastResults = result.data;
 
             const successMsg = `Successfully processed ${result.data.successfully_processed || 0} out of ${result.data.total_images || 0} images`;
             showNotification(successMsg, 'success');
 
-            // Show download button if results are available
-            if (result.data.zip_file_path) {
+            // The desktop app builds packages locally, so only the browser downloads the backend's ZIP
+            if (result.data.zip_file_path && !isElectron) {
                 showDownloadButton(result.data.zip_file_path);
             }
         } else {
@@ -800,13 +1051,72 @@ async function processFiles() {
     }
 }
 
+// A ZIP goes to the engine as it is, so its images are never screened; says so when screening is switched on
+function noteUnscreenedZip(options) {
+    const runsZip = !selectedFiles.some(f => f && f.type === 'folder') && selectedFiles.some(f => f && f.type === 'zip');
+    if (runsZip && options.quality_action && options.quality_action !== 'off') {
+        showNotification('Images inside a ZIP archive are not screened for quality', 'info');
+    }
+}
+
+// Selected images minus any skipped after quality screening
+function selectedImageFiles() {
+    return selectedFiles.filter(f => f && f.type === 'image' && !(typeof isFileExcluded === 'function' && isFileExcluded(f)));
+}
+
+// Display names for the processingType radio values
+const PROCESSING_TYPE_LABELS = {
+    'yolo': 'YOLO Detection',
+    'compare-dataset': 'Dataset Comparison',
+    'combined': 'Combined Analysis',
+    'individual_elephants': 'Individual Elephant ID'
+};
+
+// Current processing type and thresholds from the options panel, with fallbacks
+function readProcessingOptions() {
+    const processingTypeElement = document.querySelector('input[name="processingType"]:checked');
+    const processingType = processingTypeElement ? processingTypeElement.value : 'yolo';
+
+    const confidenceSlider = getElement('confidenceThreshold');
+    const siameseSlider = getElement('siameseThreshold');
+    const similaritySlider = getElement('similarityThreshold');
+    const fusionSlider = getElement('fusionHeadWeight');
+    const encounterGapInput = getElement('encounterGap');
+    const encounterMethodSelect = getElement('encounterMethod');
+    const qualityActionSelect = getElement('qualityAction');
+    const maxWorkersInput = getElement('maxWorkers');
+
+    return {
+        processingType,
+        options: {
+            confidence_threshold: confidenceSlider ? parseFloat(confidenceSlider.value) : BACKEND_CONFIG.DEFAULT_OPTIONS.confidence_threshold,
+            siamese_threshold: siameseSlider ? parseFloat(siameseSlider.value) : BACKEND_CONFIG.DEFAULT_OPTIONS.siamese_threshold,
+            similarity_threshold: similaritySlider ? parseFloat(similaritySlider.value) : BACKEND_CONFIG.DEFAULT_OPTIONS.similarity_threshold,
+            fusion_head_weight: fusionSlider ? parseFloat(fusionSlider.value) : 0.5,
+            encounter_gap_seconds: encounterGapInput && encounterGapInput.value !== '' ? parseFloat(encounterGapInput.value) : 60,
+            encounter_method: encounterMethodSelect ? encounterMethodSelect.value : 'vote',
+            quality_action: qualityActionSelect ? qualityActionSelect.value : 'tag',
+            max_workers: maxWorkersInput ? parseInt(maxWorkersInput.value) : BACKEND_CONFIG.DEFAULT_OPTIONS.max_workers,
+            include_patterns: getElement('includePatterns') ? getElement('includePatterns').value : '',
+            exclude_patterns: getElement('excludePatterns') ? getElement('excludePatterns').value : ''
+        }
+    };
+}
+
 async function processWithElectron(processingType, options) {
     try {
         // Determine which Electron IPC method to use
         const zipFiles = selectedFiles.filter(f => f && f.type === 'zip');
-        const imageFiles = selectedFiles.filter(f => f && f.type === 'image');
+        const imageFiles = selectedImageFiles();
+        const folders = selectedFiles.filter(f => f && f.type === 'folder');
 
-        if (zipFiles.length > 0 && window.electronAPI.processZip) {
+        if (folders.length > 0 && window.electronAPI.processFolder) {
+            // Process a folder recursively, straight from disk
+            return await window.electronAPI.processFolder(folders[0].path, {
+                processingType,
+                ...options
+            });
+        } else if (zipFiles.length > 0 && window.electronAPI.processZip) {
             // Process ZIP file
             return await window.electronAPI.processZip(zipFiles[0].path, {
                 processingType,
@@ -860,7 +1170,7 @@ async function processWithWebAPI(processingType, options) {
 
         // Separate ZIP files and regular images
         const zipFiles = selectedFiles.filter(f => f && f.type === 'zip');
-        const imageFiles = selectedFiles.filter(f => f && f.type === 'image');
+        const imageFiles = selectedImageFiles();
 
         // Add files to FormData
         if (zipFiles.length > 0) {
@@ -923,6 +1233,14 @@ function showProcessingModal() {
             if (currentFileText) currentFileText.textContent = 'Preparing files...';
             if (processedCount) processedCount.textContent = '0';
             if (totalCount) totalCount.textContent = selectedFiles.length.toString();
+
+            const etaText = getElement('etaText');
+            if (etaText) etaText.textContent = '';
+
+            // Pause/cancel go through the main process, so they only exist in Electron
+            const batchControls = getElement('batchControls');
+            if (batchControls) batchControls.style.display = isElectron ? 'flex' : 'none';
+            updateBatchControls('running');
         }
     } catch (error) {
         console.error('❌ Error showing processing modal:', error);
@@ -946,17 +1264,30 @@ function updateProcessingProgress(progress) {
         const progressPercent = getElement('batchProgressPercent');
         const currentFileText = getElement('currentFileText');
         const processedCount = getElement('processedCount');
+        const totalCount = getElement('totalCount');
+        const etaText = getElement('etaText');
 
         if (progressFill) progressFill.style.width = `${progress.progress || 0}%`;
         if (progressText) progressText.textContent = progress.stage || 'Processing...';
         if (progressPercent) progressPercent.textContent = `${Math.round(progress.progress || 0)}%`;
         if (currentFileText) currentFileText.textContent = progress.currentFile || 'Processing...';
         if (processedCount) processedCount.textContent = (progress.processedCount || 0).toString();
+        if (totalCount && progress.totalCount) totalCount.textContent = progress.totalCount.toString();
+        if (etaText) etaText.textContent = formatEta(progress.etaSeconds);
     } catch (error) {
         console.error('❌ Error updating processing progress:', error);
     }
 }
 
+function formatEta(seconds) {
+    if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) return '';
+    if (seconds < 60) return `About ${Math.max(1, Math.round(seconds))}s remaining`;
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return hours > 0 ? `About ${hours}h ${minutes}m remaining` : `About ${minutes}m remaining`;
+}
+
 // Results Functions - Enhanced for all processing types
 function displayResults(results) {
     try {
@@ -969,6 +1300,9 @@ function displayResults(results) {
         }
 
         if (resultsSection) resultsSection.style.display = 'block';
+        if (typeof refreshSightingCounts === 'function') refreshSightingCounts(results);
+        if (typeof refreshMapLayers === 'function') refreshMapLayers();
+        if (typeof refreshSessionHistory === 'function') refreshSessionHistory(results);
 
         // Handle the batch response format from backend
         const detailedResults = results.detailed_results || [];
@@ -979,6 +1313,7 @@ function displayResults(results) {
                     <div class="empty-state">
                         <p>No detailed results to display</p>
                         <small>Processing completed but no detailed results were returned</small>
+                        ${typeof formatQualityExclusions === 'function' ? formatQualityExclusions(results.quality_excluded) : ''}
                     </div>
                 `;
             }
@@ -1011,41 +1346,121 @@ function displayResults(results) {
                         <strong>${results.individual_elephant_groups}</strong>
                         <span>Individual Elephants</span>
                     </div>` : ''}
+                    ${results.encounters ? `
+                    <div class="stat-item">
+                        <strong>${results.encounters.length}</strong>
+                        <span>Encounters</span>
+                    </div>` : ''}
                 </div>
                 ${results.results_summary ? formatResultsSummary(results.results_summary) : ''}
+                ${typeof formatQualityExclusions === 'function' ? formatQualityExclusions(results.quality_excluded) : ''}
             </div>
         `;
 
-        // Display individual results
-        const detailedHTML = detailedResults.map((result, index) => {
-            const fileName = result.filename || `Result ${index + 1}`;
-            const isSuccess = result.category !== 'processing_error';
-
-            return `
-                <div class="result-item ${isSuccess ? 'success' : 'error'}">
-                    <div class="result-header">
-                        <h4>📄 ${fileName}</h4>
-                        <span class="result-status ${isSuccess ? 'success' : 'error'}">
-                            ${isSuccess ? '✅ Success' : '❌ Failed'}
-                        </span>
-                        <span class="result-category">${formatCategory(result.category)}</span>
-                    </div>
-                    <div class="result-content">
-                        ${isSuccess ? formatDetailedResultData(result) : `<div class="error-message">Error: ${result.error_message || 'Unknown error'}</div>`}
-                    </div>
-                </div>
-            `;
-        }).join('');
+        // Display individual results, burst by burst when they have been grouped into encounters
+        const detailedHTML = results.encounters && results.encounters.length > 0
+            ? formatEncounters(results.encounters, detailedResults)
+            : detailedResults.map((result, index) => formatResultItem(result, index)).join('');
 
         if (resultsContainer) {
             resultsContainer.innerHTML = summaryHTML + detailedHTML;
         }
+
+        if (typeof updateReviewGroupsButton === 'function') {
+            updateReviewGroupsButton(results);
+        }
+
+        if (typeof updateVerificationButton === 'function') {
+            updateVerificationButton(results);
+        }
     } catch (error) {
         console.error('❌ Error displaying results:', error);
         showError('Error displaying results: ' + error.message);
     }
 }
 
+function formatResultItem(result, index, bestFrame = false) {
+    const fileName = result.relative_path || result.filename || `Result ${index + 1}`;
+    const isSuccess = result.category !== 'processing_error';
+
+    return `
+        <div class="result-item ${isSuccess ? 'success' : 'error'}" data-result-index="${index}">
+            <div class="result-header">
+                <h4>📄 ${fileName}</h4>
+                ${bestFrame ? '<span class="best-frame-badge">⭐ Best frame</span>' : ''}
+                ${typeof formatQualityFlags === 'function' ? formatQualityFlags(result.quality) : ''}
+                <span class="result-status ${isSuccess ? 'success' : 'error'}">
+                    ${isSuccess ? '✅ Success' : '❌ Failed'}
+                </span>
+                <span class="result-category">${formatCategory(result.category)}</span>
+                ${isElectron && typeof openDetectionViewer === 'function' ? `<button type="button" class="btn-link" onclick="openDetectionViewer(${index})">🔍 View</button>` : ''}
+                ${isElectron && typeof openMatchComparison === 'function' && comparableMatches(result).length > 0 ? `<button type="button" class="btn-link" onclick="openMatchComparison(${index})">⚖️ Compare</button>` : ''}
+            </div>
+            <div class="result-content">
+                ${isSuccess ? formatDetailedResultData(result) : `<div class="error-message">Error: ${result.error_message || 'Unknown error'}</div>`}
+            </div>
+        </div>
+    `;
+}
+
+// Each encounter as a collapsible block: its frames under one identification, with the frame behind it marked
+function formatEncounters(encounters, detailedResults) {
+    const grouped = new Set(encounters.flatMap(encounter => encounter.frames));
+
+    const blocks = encounters.map(encounter => {
+        const identification = encounter.identification;
+        const when = encounter.start
+            ? `${escapeHtml(encounter.start.replace('T', ' '))}${encounter.duration_seconds > 0 ? ` · ${encounter.duration_seconds}s` : ''}`
+            : 'No capture time';
+        const verdict = identification
+            ? `${formatRegistryLink(identification)} <span class="encounter-votes">${identification.method === 'vote'
+                ? `${identification.votes}/${encounter.size} frames`
+                : `best frame ${Math.round(identification.score * 100)}%`}</span>`
+            : '<span class="encounter-votes">Not identified</span>';
+        const conflict = encounter.conflicting
+            ? `<span class="encounter-conflict" title="${escapeHtml(encounter.candidates.map(candidate => `${candidate.elephant_id}: ${candidate.votes} frame(s), best ${Math.round(candidate.best_score * 100)}%`).join('\n'))}">⚠️ Frames disagree</span>`
+            : '';
+
+        return `
+            <details class="encounter" open>
+                <summary class="encounter-header">
+                    <strong>🎞️ ${encounter.id}</strong>
+                    <span>${escapeHtml(encounter.camera)} · ${when} · ${encounter.size} image${encounter.size === 1 ? '' : 's'}</span>
+                    <span class="encounter-identification">${verdict}</span>
+                    ${conflict}
+                </summary>
+                ${encounter.frames.map(index => formatResultItem(detailedResults[index], index, encounter.size > 1 && index === encounter.best_frame)).join('')}
+            </details>
+        `;
+    }).join('');
+
+    // Failed images belong to no encounter
+    const ungrouped = detailedResults
+        .map((result, index) => grouped.has(index) ? '' : formatResultItem(result, index))
+        .join('');
+
+    return blocks + ungrouped;
+}
+
+// Regroups the results on screen for the current encounter settings (and any new review decisions)
+async function regroupEncounters() {
+    if (!lastResults) return;
+
+    try {
+        if (isElectron && window.electronAPI.groupEncounters && Array.isArray(lastResults.detailed_results)) {
+            const { options } = readProcessingOptions();
+            const response = await window.electronAPI.groupEncounters(lastResults, options);
+            if (!response.success) throw new Error(response.error);
+
+            lastResults = response.data;
+        }
+        displayResults(lastResults);
+    } catch (error) {
+        console.error('❌ Error grouping encounters:', error);
+        showError(`Failed to group encounters: ${error.message}`);
+    }
+}
+
 function formatResultsSummary(summary) {
     try {
         if (!summary || typeof summary !== 'object') return '';
@@ -1097,6 +1512,7 @@ function formatDetailedResultData(data) {
                     <span><strong>File Size:</strong> ${data.file_size_mb || 0} MB</span>
                     <span><strong>Processing Time:</strong> ${data.processing_time || 0}s</span>
                 </div>
+                ${formatCaptureMetadata(data.metadata)}
             </div>
         `;
 
@@ -1110,6 +1526,7 @@ function formatDetailedResultData(data) {
                         <p><strong>Message:</strong> ${yolo.message || 'N/A'}</p>
                         <p><strong>Detections:</strong> ${yolo.total_detections || 0}</p>
                         <p><strong>Highest Confidence:</strong> ${Math.round((yolo.highest_confidence || 0) * 100)}%</p>
+                        ${formatDetectionList(yolo.detections)}
                     </div>
                 </div>
             `;
@@ -1128,10 +1545,11 @@ function formatDetailedResultData(data) {
                 html += '<div class="matches-list">';
                 siamese.matches.slice(0, 3).forEach(match => { // Show top 3 matches
                     html += `
-                        <div class="match-item">
-                            <span><strong>${match.elephant_id}</strong></span>
+                        <div class="match-item" data-elephant-id="${escapeHtml(match.elephant_id)}">
+                            <span>${formatRegistryLink(match)}</span>
                             <span>Confidence: ${Math.round((match.confidence || match.similarity || 0) * 100)}%</span>
                             <span>Quality: ${match.match_quality || 'N/A'}</span>
+                            ${formatReviewBadge(match.review)}
                         </div>
                     `;
                 });
@@ -1140,6 +1558,10 @@ function formatDetailedResultData(data) {
             html += '</div>';
         }
 
+        if (data.fused_result) {
+            html += formatFusionResult(data.fused_result, data.siamese_result && data.siamese_result.siamese_threshold);
+        }
+
         // Handle Individual Elephant results
         if (data.individual_elephant_info) {
             const individual = data.individual_elephant_info;
@@ -1148,8 +1570,9 @@ function formatDetailedResultData(data) {
                     <h5>🐘 Individual Elephant Information:</h5>
                     <div class="individual-info">
                         <p><strong>Group ID:</strong> ${individual.group_id || 'Unknown'}</p>
+                        ${individual.registry_individual ? `<p><strong>Identified as:</strong> <a href="#" class="registry-link" onclick="openIndividualModal('${individual.registry_individual.id}'); return false;">${escapeHtml(individual.registry_individual.name)}</a> (${individual.registry_individual.id})</p>` : ''}
                         <p><strong>Similarity Score:</strong> ${Math.round((individual.similarity_score || 0) * 100)}%</p>
-                        <p><strong>Group Size:</strong> ${individual.group_size || 1} images</p>
+                        <p><strong>Group Size:</strong> ${individual.group_size || 1} images ${formatReviewBadge(individual.review)}</p>
                     </div>
                 </div>
             `;
@@ -1162,6 +1585,134 @@ function formatDetailedResultData(data) {
     }
 }
 
+// When, where and on which camera the photo was taken, from its EXIF/XMP metadata
+function formatCaptureMetadata(metadata) {
+    if (!metadata) return '';
+
+    const camera = metadata.camera || {};
+    const cameraName = [camera.make, camera.model].filter(Boolean).join(' ');
+    const trigger = metadata.trigger
+        ? Object.entries(metadata.trigger).map(([key, value]) => `${key === 'comment' ? '' : `${key}: `}${value}`).join(', ')
+        : '';
+
+    const items = [
+        metadata.captured_at ? `<span><strong>Captured:</strong> ${escapeHtml(metadata.captured_at.replace('T', ' '))}</span>` : '',
+        metadata.gps ? `<span><strong>Location:</strong> ${metadata.gps.latitude.toFixed(5)}, ${metadata.gps.longitude.toFixed(5)}${metadata.gps.altitude !== null ? ` (${metadata.gps.altitude} m)` : ''}</span>` : '',
+        cameraName || camera.serial ? `<span><strong>Camera:</strong> ${escapeHtml(cameraName || 'Unknown')}${camera.serial ? ` · S/N ${escapeHtml(camera.serial)}` : ''}</span>` : '',
+        trigger ? `<span><strong>Trigger:</strong> ${escapeHtml(trigger)}</span>` : ''
+    ].filter(Boolean);
+
+    return items.length > 0 ? `<div class="file-info capture-info">${items.join('')}</div>` : '';
+}
+
+// One line per box: class, confidence and where it is in the image
+function formatDetectionList(detections) {
+    if (!Array.isArray(detections) || detections.length === 0) return '';
+
+    return `<div class="detection-list">${detections.map(detection => {
+        const [x1, y1, x2, y2] = detection.bbox.map(Math.round);
+        return `<div>${escapeHtml(detection.class)} · ${(detection.confidence * 100).toFixed(1)}% · (${x1}, ${y1}) – (${x2}, ${y2}) ${formatReviewBadge(detection.review)}</div>`;
+    }).join('')}</div>`;
+}
+
+// Names a Siamese match after its registry individual, or offers to register it
+function formatRegistryLink(match) {
+    const elephantId = escapeHtml(match.elephant_id);
+    const individual = match.registry_individual ||
+        (typeof findRegistryIndividual === 'function' ? findRegistryIndividual(match.elephant_id) : null);
+
+    if (individual) {
+        return `<a href="#" class="registry-link" onclick="openIndividualModal('${individual.id}'); return false;">` +
+            `<strong>${escapeHtml(individual.name)}</strong></a> <small>(${elephantId})</small>`;
+    }
+
+    if (isElectron && window.electronAPI && window.electronAPI.createIndividual) {
+        return `<strong>${elephantId}</strong> <button type="button" class="btn-link" ` +
+            `data-elephant-id="${elephantId}" onclick="registerFromMatch(this.dataset.elephantId)">+ Register</button>`;
+    }
+
+    return `<strong>${elephantId}</strong>`;
+}
+
+// A 0-100% bar for a similarity score, with the threshold it was judged against marked on it
+function formatScoreBar(score, threshold) {
+    const percent = Math.max(0, Math.min(100, (score || 0) * 100));
+    const marker = typeof threshold === 'number'
+        ? `<span class="score-threshold" style="left: ${threshold * 100}%" title="Threshold ${Math.round(threshold * 100)}%"></span>`
+        : '';
+
+    return `<div class="score-bar" title="Similarity ${percent.toFixed(1)}%">
+        <span class="score-fill" style="width: ${percent}%"></span>${marker}
+        <span class="score-label">${percent.toFixed(1)}%</span>
+    </div>`;
+}
+
+// Head and right-ear evidence merged into one ranking, with each model's share of every fused score
+function formatFusionResult(fused, threshold) {
+    if (!fused.candidates || fused.candidates.length === 0) return '';
+
+    const earMissing = !fused.models.includes('ear');
+    const candidates = fused.candidates.slice(0, 3).map(candidate => {
+        const head = candidate.contributions.head || 0;
+        const ear = candidate.contributions.ear || 0;
+        const scores = [
+            candidate.head_score !== null ? `head ${Math.round(candidate.head_score * 100)}%` : '',
+            candidate.ear_score !== null ? `ear ${Math.round(candidate.ear_score * 100)}%` : ''
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="fusion-candidate">
+                <span>${formatRegistryLink(candidate)}</span>
+                ${formatScoreBar(candidate.score, threshold)}
+                <div class="fusion-contribution" title="Head ${(head * 100).toFixed(1)} pts · Ear ${(ear * 100).toFixed(1)} pts">
+                    <span class="fusion-head" style="width: ${head * 100}%"></span><span class="fusion-ear" style="width: ${ear * 100}%"></span>
+                </div>
+                <small>${scores}</small>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <div class="fusion-results">
+            <h5>🧬 Combined Identification:</h5>
+            <p><strong>Weighting:</strong> ${earMissing ? 'Head only - no right ear detected' : formatFusionWeights(fused.weights.head)}</p>
+            <div class="fusion-legend"><span class="fusion-head"></span> Head <span class="fusion-ear"></span> Right ear</div>
+            ${candidates}
+        </div>
+    `;
+}
+
+function formatFusionWeights(headWeight) {
+    const head = Math.round(headWeight * 100);
+    return `${head}% head · ${100 - head}% ear`;
+}
+
+// Re-ranks the combined results on screen for a new head/ear weighting
+async function refuseResults(headWeight) {
+    if (!lastResults || !lastResults.fusion_weights || !isElectron || !window.electronAPI.fuseResults) return;
+
+    try {
+        const response = await window.electronAPI.fuseResults(lastResults, headWeight);
+        if (!response.success) throw new Error(response.error);
+
+        lastResults = response.data;
+        displayResults(lastResults);
+    } catch (error) {
+        console.error('❌ Error re-ranking combined results:', error);
+        showError(`Failed to re-rank results: ${error.message}`);
+    }
+}
+
+// A reviewer's accept/reject call; an empty placeholder keeps the slot for later updates
+function formatReviewBadge(review) {
+    if (!review || !review.decision) return '<span class="review-badge"></span>';
+
+    const accepted = review.decision === 'accepted';
+    const title = `${accepted ? 'Accepted' : 'Rejected'} by ${review.reviewer || 'unknown'} · ${new Date(review.decided_at).toLocaleString()}` +
+        (review.note ? ` · ${review.note}` : '');
+    return `<span class="review-badge ${review.decision}" title="${escapeHtml(title)}">${accepted ? '✓ Accepted' : '✗ Rejected'}</span>`;
+}
+
 function showDownloadButton(zipPath) {
     try {
         // Add download button to results section if not already present
@@ -1182,6 +1733,67 @@ function showDownloadButton(zipPath) {
     }
 }
 
+// Writes the results on screen to a local file in the chosen format
+async function exportResults() {
+    try {
+        if (!lastResults || !Array.isArray(lastResults.detailed_results) || lastResults.detailed_results.length === 0) {
+            showNotification('No results to export', 'info');
+            return;
+        }
+
+        const formatSelect = getElement('resultsExportFormat');
+        const format = formatSelect ? formatSelect.value : 'csv';
+        const label = formatSelect ? formatSelect.options[formatSelect.selectedIndex].text : format.toUpperCase();
+
+        const result = await window.electronAPI.exportResults(lastResults, format);
+        if (result && result.cancelled) return;
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Export failed');
+        }
+
+        const rows = format === 'dwca' ? `${result.data.rows} occurrence(s)` : `${result.data.rows} result(s)`;
+        showNotification(`Exported ${rows} as ${label} to ${escapeHtml(result.data.path)}`, 'success');
+    } catch (error) {
+        console.error('❌ Export error:', error);
+        showError('Could not export results: ' + error.message);
+    }
+}
+
+async function generateFieldReport() {
+    const fieldReportBtn = getElement('fieldReportBtn');
+
+    try {
+        if (!lastResults || !Array.isArray(lastResults.detailed_results) || lastResults.detailed_results.length === 0) {
+            showNotification('No results to report on', 'info');
+            return;
+        }
+
+        if (fieldReportBtn) {
+            fieldReportBtn.disabled = true;
+            fieldReportBtn.textContent = 'Generating...';
+        }
+
+        const result = await window.electronAPI.generateFieldReport(lastResults, {
+            filePaths: lastResultFilePaths,
+            zipFilePath: lastResults.source_zip
+        });
+        if (result && result.cancelled) return;
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Report failed');
+        }
+
+        showNotification(`Field report saved to ${escapeHtml(result.data.path)}`, 'success');
+    } catch (error) {
+        console.error('❌ Field report error:', error);
+        showError('Could not generate the field report: ' + error.message);
+    } finally {
+        if (fieldReportBtn) {
+            fieldReportBtn.disabled = false;
+            fieldReportBtn.textContent = 'Field Report';
+        }
+    }
+}
+
 async function downloadResults(zipPath) {
     try {
         console.log('📥 Downloading results from:', zipPath);
@@ -1221,6 +1833,14 @@ function clearResults() {
         if (resultsContainer) resultsContainer.innerHTML = '';
         if (resultsSection) resultsSection.style.display = 'none';
         lastResults = null;
+        lastResultFilePaths = [];
+        if (typeof updateReviewGroupsButton === 'function') {
+            updateReviewGroupsButton(null);
+        }
+
+        if (typeof updateVerificationButton === 'function') {
+            updateVerificationButton(null);
+        }
 
         // Remove download button
         const downloadBtn = getElement('downloadResultsBtn');
@@ -1254,6 +1874,11 @@ function showContextMenu(x, y) {
             <div class="menu-item" onclick="selectZip(); removeContextMenu();">
                 📦 Select ZIP Archive
             </div>
+            ${isElectron ? `
+            <div class="menu-item" onclick="selectFolder(); removeContextMenu();">
+                🗂 Select Folder
+            </div>
+            ` : ''}
         `;
 
         // Add styles if not exists
@@ -1343,6 +1968,23 @@ function hideErrorModal() {
 }
 
 // Utility Functions with enhanced error handling
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Local paths from the main process -> URLs usable in <img src>
+function toFileUrl(filePath) {
+    const normalized = String(filePath).replace(/\\/g, '/');
+    const prefix = normalized.startsWith('/') ? 'file://' : 'file:///';
+    const encoded = normalized.split('/').map(encodeURIComponent).join('/');
+    return prefix + encoded.replace(/^([A-Za-z])%3A/, '$1:');
+}
+
 function showNotification(message, type = 'info') {
     try {
         const notification = document.createElement('div');
@@ -1436,6 +2078,7 @@ function debugBackendConnection() {
     console.log('Base URL:', BACKEND_CONFIG.BASE_URL);
     console.log('App Ready:', appReady);
     console.log('Offline Mode:', offlineMode);
+    console.log('Processing Mode:', processingMode);
     console.log('Backend Health:', backendHealth);
     console.log('Selected Files:', selectedFiles);
     console.log('Available Endpoints:', Object.keys(BACKEND_CONFIG.ENDPOINTS));
@@ -1502,6 +2145,7 @@ window.removeFile = removeFile;
 window.removeContextMenu = removeContextMenu;
 window.selectFiles = selectFiles;
 window.selectZip = selectZip;
+window.selectFolder = selectFolder;
 window.debugBackendConnection = debugBackendConnection;
 window.performHealthCheck = performHealthCheck;
 
@@ -0,0 +1,118 @@
+// Sightings - when and where each registered individual has been matched, shown in its registry entry
+
+const SIGHTING_MODEL_LABELS = {
+    individual_id: 'Individual ID',
+    siamese: 'Siamese'
+};
+
+async function renderIndividualTimeline(individualId) {
+    const timeline = getElement('individualTimeline');
+    const summary = getElement('individualTimelineSummary');
+    if (!timeline) return;
+
+    if (!individualId || !window.electronAPI || !window.electronAPI.getSightingTimeline) {
+        timeline.innerHTML = '<small>Sightings are recorded once the individual is matched in results.</small>';
+        if (summary) summary.textContent = '';
+        return;
+    }
+
+    try {
+        const result = await window.electronAPI.getSightingTimeline(individualId);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Timeline not available');
+        }
+
+        // The modal may have moved on to another individual while this loaded
+        if (editingIndividualId !== individualId) return;
+
+        const data = result.data;
+        if (summary) summary.textContent = describeTimeline(data);
+
+        if (data.sightings.length === 0) {
+            timeline.innerHTML = '<small>No sightings yet.</small>';
+            return;
+        }
+
+        timeline.innerHTML = data.sightings.map(formatSighting).join('');
+    } catch (error) {
+        console.error('❌ Error loading sightings:', error);
+        timeline.innerHTML = `<small>Could not load sightings: ${escapeHtml(error.message)}</small>`;
+    }
+}
+
+function describeTimeline(timeline) {
+    if (timeline.total === 0) return '';
+
+    const parts = [`${timeline.total} sighting(s)`];
+    if (timeline.first_seen) parts.push(`first seen ${formatSightingDate(timeline.first_seen)}`);
+    if (timeline.last_seen) parts.push(`last seen ${formatSightingDate(timeline.last_seen)}`);
+    if (timeline.cameras.length > 0) parts.push(`${timeline.cameras.length} camera(s)`);
+    return parts.join(' · ');
+}
+
+function formatSighting(sighting) {
+    const camera = sighting.camera || {};
+    const cameraName = [camera.make, camera.model].filter(Boolean).join(' ') || camera.serial;
+    const image = sighting.image.relative_path || sighting.image.filename || 'Unknown image';
+    const confidence = typeof sighting.confidence === 'number' ? ` · ${(sighting.confidence * 100).toFixed(1)}%` : '';
+
+    return `
+        <div class="sighting-item">
+            <div class="sighting-thumb">
+                ${sighting.thumbnail_path ? `<img src="${toFileUrl(sighting.thumbnail_path)}" alt="">` : '📷'}
+            </div>
+            <div class="sighting-details">
+                <strong>${sighting.captured_at ? formatSightingDate(sighting.captured_at, true) : 'Capture time unknown'}</strong>
+                <small title="${escapeHtml(image)}">${escapeHtml(image)}</small>
+                <small>
+                    ${sighting.gps ? `📍 ${sighting.gps.latitude.toFixed(5)}, ${sighting.gps.longitude.toFixed(5)} · ` : ''}
+                    ${cameraName ? `📷 ${escapeHtml(cameraName)} · ` : ''}
+                    ${SIGHTING_MODEL_LABELS[sighting.model] || escapeHtml(sighting.model || '')}${confidence}
+                </small>
+            </div>
+            <button type="button" class="btn-icon" onclick="removeSighting('${sighting.id}')" title="Remove sighting">🗑</button>
+        </div>
+    `;
+}
+
+// Capture times are camera wall-clock values; they are shown as recorded rather than converted
+function formatSightingDate(capturedAt, withTime = false) {
+    const [date, time] = capturedAt.split('T');
+    return withTime && time ? `${date} ${time.slice(0, 5)}` : date;
+}
+
+// A line for registry cards, e.g. "Seen 4× · last 2024-03-02"
+function formatSightingSummary(sightings) {
+    if (!sightings || sightings.total === 0) return 'No sightings yet';
+    return `Seen ${sightings.total}×${sightings.last_seen ? ` · last ${formatSightingDate(sightings.last_seen)}` : ''}`;
+}
+
+async function removeSighting(id) {
+    if (!confirm('Remove this sighting from the history?')) return;
+
+    try {
+        const result = await window.electronAPI.deleteSighting(id);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not remove sighting');
+        }
+
+        renderIndividualTimeline(editingIndividualId);
+        await refreshRegistry();
+        if (typeof refreshMapLayers === 'function') refreshMapLayers();
+    } catch (error) {
+        console.error('❌ Error removing sighting:', error);
+        showError('Could not remove sighting: ' + error.message);
+    }
+}
+
+// Result sets whose new sightings the registry cards already reflect
+const countedSightingResults = new WeakSet();
+
+// Card counts go stale as soon as a run records new sightings
+function refreshSightingCounts(results) {
+    if (!results || !results.sightings_recorded || countedSightingResults.has(results)) return;
+    countedSightingResults.add(results);
+
+    const registrySearch = getElement('registrySearch');
+    loadRegistry(registrySearch ? registrySearch.value : '');
+}
@@ -0,0 +1,463 @@
+// Verification Queue - step through the uncertain results one by one and record a reviewer's decision on each
+
+const VERIFICATION_KINDS = {
+    siamese_match: { label: '🔍 Borderline match', accept: '✓ Correct match', reject: '✗ Wrong match' },
+    yolo_detection: { label: '🎯 Low-confidence detection', accept: '✓ Real detection', reject: '✗ False positive' },
+    singleton_group: { label: '🐘 Single-image group', accept: '✓ Distinct individual', reject: '✗ Misgrouped' }
+};
+
+const verification = {
+    items: [],
+    visible: [],
+    position: 0,
+    changed: false,
+    // Guards the results button against an older queue request finishing last
+    requestId: 0
+};
+
+function initializeVerification() {
+    try {
+        if (!isElectron || !window.electronAPI || !window.electronAPI.getVerificationQueue) return;
+
+        getElement('verifyResultsBtn')?.addEventListener('click', openVerificationQueue);
+        getElement('verificationCloseBtn')?.addEventListener('click', closeVerificationQueue);
+        getElement('verificationPrevBtn')?.addEventListener('click', () => stepVerification(-1));
+        getElement('verificationNextBtn')?.addEventListener('click', () => stepVerification(1));
+        getElement('verificationExportBtn')?.addEventListener('click', exportVerificationAudit);
+        getElement('verificationAcceptBtn')?.addEventListener('click', () => decideVerificationItem('accepted'));
+        getElement('verificationRejectBtn')?.addEventListener('click', () => decideVerificationItem('rejected'));
+        getElement('verificationClearBtn')?.addEventListener('click', () => decideVerificationItem(null));
+        getElement('verificationShowDecided')?.addEventListener('change', () => filterVerificationItems());
+        getElement('verificationImage')?.addEventListener('load', renderVerificationBox);
+
+        document.addEventListener('keydown', handleVerificationKey);
+        loadVerificationSettings();
+
+        console.log('✅ Verification queue initialized');
+    } catch (error) {
+        console.error('❌ Error initializing verification queue:', error);
+    }
+}
+
+// Reviewer name and what counts as uncertain live in Advanced Settings and are kept by the main process
+async function loadVerificationSettings() {
+    try {
+        const result = await window.electronAPI.getVerificationSettings();
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Settings not available');
+        }
+
+        const reviewerInput = getElement('reviewerName');
+        const bandSlider = getElement('verifySiameseBand');
+        const confidenceSlider = getElement('verifyYoloConfidence');
+
+        if (reviewerInput) {
+            reviewerInput.value = result.data.reviewer;
+            reviewerInput.addEventListener('change', () => saveVerificationSettings({ reviewer: reviewerInput.value }));
+        }
+        if (bandSlider) {
+            bandSlider.value = result.data.siamese_band;
+            getElement('verifySiameseBandValue').textContent = `±${bandSlider.value}`;
+            bandSlider.addEventListener('input', () => {
+                getElement('verifySiameseBandValue').textContent = `±${bandSlider.value}`;
+            });
+            bandSlider.addEventListener('change', () => saveVerificationSettings({ siamese_band: parseFloat(bandSlider.value) }));
+        }
+        if (confidenceSlider) {
+            confidenceSlider.value = result.data.yolo_confidence;
+            getElement('verifyYoloConfidenceValue').textContent = confidenceSlider.value;
+            confidenceSlider.addEventListener('input', () => {
+                getElement('verifyYoloConfidenceValue').textContent = confidenceSlider.value;
+            });
+            confidenceSlider.addEventListener('change', () => saveVerificationSettings({ yolo_confidence: parseFloat(confidenceSlider.value) }));
+        }
+    } catch (error) {
+        console.error('❌ Error loading verification settings:', error);
+    }
+}
+
+async function saveVerificationSettings(changes) {
+    try {
+        const result = await window.electronAPI.updateVerificationSettings(changes);
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not save settings');
+        }
+        updateVerificationButton(lastResults);
+    } catch (error) {
+        console.error('❌ Error saving verification settings:', error);
+        showError('Could not save verification settings: ' + error.message);
+    }
+}
+
+// Called by displayResults: the button shows how many uncertain results are still undecided
+async function updateVerificationButton(results) {
+    const button = getElement('verifyResultsBtn');
+    if (!button || !isElectron || !window.electronAPI || !window.electronAPI.getVerificationQueue) return;
+
+    const requestId = ++verification.requestId;
+    try {
+        const response = results ? await window.electronAPI.getVerificationQueue(results) : null;
+        if (requestId !== verification.requestId) return;
+
+        const items = response && response.success ? response.data : [];
+        const undecided = items.filter(item => !item.review).length;
+        button.style.display = items.length > 0 ? 'inline-block' : 'none';
+        button.textContent = undecided > 0 ? `Verify (${undecided})` : 'Verify ✓';
+    } catch (error) {
+        console.error('❌ Error counting results to verify:', error);
+        button.style.display = 'none';
+    }
+}
+
+function isVerificationOpen() {
+    const modal = getElement('verificationModal');
+    return !!modal && modal.style.display !== 'none';
+}
+
+async function openVerificationQueue() {
+    try {
+        if (!lastResults) return;
+
+        const showDecided = getElement('verificationShowDecided');
+        if (showDecided) showDecided.checked = false;
+
+        verification.changed = false;
+        await loadVerificationQueue();
+
+        if (verification.items.length === 0) {
+            showNotification('Nothing in these results needs verifying', 'info');
+            return;
+        }
+
+        getElement('verificationModal').style.display = 'flex';
+        if (verification.visible.length === 0) {
+            showNotification('Every item has been decided; showing them all', 'info');
+            getElement('verificationShowDecided').checked = true;
+            filterVerificationItems();
+        }
+    } catch (error) {
+        console.error('❌ Error opening verification queue:', error);
+        showError('Could not open the verification queue: ' + error.message);
+    }
+}
+
+// Fetches the queue again, staying on the same item where it is still listed
+async function loadVerificationQueue() {
+    const currentKey = verification.visible[verification.position] ? verification.visible[verification.position].key : null;
+
+    const response = await window.electronAPI.getVerificationQueue(lastResults);
+    if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'Queue not available');
+    }
+
+    verification.items = response.data;
+    filterVerificationItems(currentKey);
+}
+
+// Called by the match comparison when it closes, since decisions may have been made there
+async function reloadVerificationQueue() {
+    if (!isVerificationOpen()) return;
+
+    try {
+        verification.changed = true;
+        await loadVerificationQueue();
+    } catch (error) {
+        console.error('❌ Error reloading verification queue:', error);
+    }
+}
+
+function filterVerificationItems(keepKey = null) {
+    const showDecided = getElement('verificationShowDecided')?.checked;
+    verification.visible = showDecided ? verification.items : verification.items.filter(item => !item.review);
+
+    const kept = keepKey ? verification.visible.findIndex(item => item.key === keepKey) : -1;
+    verification.position = kept >= 0 ? kept : 0;
+    showVerificationItem();
+}
+
+function closeVerificationQueue() {
+    const modal = getElement('verificationModal');
+    if (modal) modal.style.display = 'none';
+
+    // Redraw the results so their badges, encounters and the Verify count catch up
+    if (verification.changed && lastResults) {
+        regroupEncounters();
+    }
+}
+
+function handleVerificationKey(e) {
+    if (!isVerificationOpen() || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    if (typeof isComparisonOpen === 'function' && isComparisonOpen()) return;
+    if (e.ctrlKey || e.metaKey) return;
+
+    const actions = {
+        ArrowRight: () => stepVerification(1),
+        ArrowLeft: () => stepVerification(-1),
+        a: () => decideVerificationItem('accepted'),
+        r: () => decideVerificationItem('rejected'),
+        c: () => compareVerificationItem(),
+        Escape: closeVerificationQueue
+    };
+
+    const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (action) {
+        e.preventDefault();
+        action();
+    }
+}
+
+function stepVerification(direction) {
+    const position = verification.position + direction;
+    if (position < 0 || position >= verification.visible.length) return;
+
+    verification.position = position;
+    showVerificationItem();
+}
+
+async function showVerificationItem() {
+    const item = verification.visible[verification.position];
+    const image = getElement('verificationImage');
+    const message = getElement('verificationMessage');
+    const decided = verification.items.filter(candidate => candidate.review).length;
+
+    getElement('verificationPosition').textContent = verification.visible.length > 0
+        ? `${verification.position + 1} of ${verification.visible.length} · ${decided} of ${verification.items.length} decided`
+        : `All ${verification.items.length} decided`;
+
+    renderVerificationDetails();
+    getElement('verificationOverlay').innerHTML = '';
+
+    if (!item) {
+        image.style.display = 'none';
+        image.removeAttribute('src');
+        message.style.display = 'block';
+        message.textContent = 'Nothing left to verify. Tick "Include decided" to revisit earlier decisions.';
+        return;
+    }
+
+    const result = lastResults.detailed_results[item.result_index];
+    try {
+        const response = await window.electronAPI.resolveResultImage(
+            { filename: result.filename, file_path: result.file_path },
+            { filePaths: lastResultFilePaths, zipFilePath: lastResults && lastResults.source_zip }
+        );
+        if (!response || !response.success) {
+            throw new Error(response && response.error ? response.error : 'Image not available');
+        }
+
+        // The user may have stepped on while the image was being found
+        if (verification.visible[verification.position] !== item) return;
+
+        if (response.data) {
+            message.style.display = 'none';
+            image.style.display = 'block';
+            const url = toFileUrl(response.data);
+            if (image.src === url && image.complete) {
+                renderVerificationBox();
+            } else {
+                image.src = url;
+            }
+        } else {
+            image.style.display = 'none';
+            image.removeAttribute('src');
+            message.style.display = 'block';
+            message.textContent = 'The original image is no longer available';
+        }
+    } catch (error) {
+        console.error('❌ Error loading verification image:', error);
+        image.style.display = 'none';
+        message.style.display = 'block';
+        message.textContent = 'Could not load image: ' + error.message;
+    }
+}
+
+// Outlines the detection being verified; the overlay is laid out like the image (object-fit: contain)
+function renderVerificationBox() {
+    const overlay = getElement('verificationOverlay');
+    const image = getElement('verificationImage');
+    const item = verification.visible[verification.position];
+    if (!overlay || !image.naturalWidth || !item || item.kind !== 'yolo_detection') {
+        if (overlay) overlay.innerHTML = '';
+        return;
+    }
+
+    const width = image.naturalWidth;
+    const height = image.naturalHeight;
+    const scaleX = item.image_size ? width / item.image_size[0] : 1;
+    const scaleY = item.image_size ? height / item.image_size[1] : 1;
+    const [x1, y1, x2, y2] = item.bbox;
+
+    overlay.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    overlay.innerHTML = `<rect x="${x1 * scaleX}" y="${y1 * scaleY}" width="${(x2 - x1) * scaleX}" height="${(y2 - y1) * scaleY}" />`;
+}
+
+function renderVerificationDetails() {
+    const container = getElement('verificationItem');
+    const history = getElement('verificationHistory');
+    const item = verification.visible[verification.position];
+    const kind = item ? VERIFICATION_KINDS[item.kind] : null;
+
+    getElement('verificationDecision').style.display = item ? 'flex' : 'none';
+    if (!item) {
+        container.innerHTML = '';
+        history.innerHTML = '';
+        return;
+    }
+
+    const result = lastResults.detailed_results[item.result_index];
+    const detail = {
+        siamese_match: () => `
+            <p><strong>Match:</strong> ${item.registry_individual ? `${escapeHtml(item.registry_individual.name)} (${escapeHtml(item.subject)})` : escapeHtml(item.subject)}</p>
+            ${formatScoreBar(item.score, item.threshold)}
+            <p><strong>Quality:</strong> ${escapeHtml(item.match_quality || 'N/A')}</p>
+            ${typeof openMatchComparison === 'function' ? '<button type="button" class="btn btn-outline" onclick="compareVerificationItem()">⚖️ Compare side by side (C)</button>' : ''}
+        `,
+        yolo_detection: () => `
+            <p><strong>Class:</strong> ${escapeHtml(item.class)}</p>
+            ${formatScoreBar(item.score)}
+        `,
+        singleton_group: () => `
+            <p><strong>Group:</strong> ${escapeHtml(formatCategory(result.category || String(item.group_id)))}</p>
+            ${item.registry_individual ? `<p><strong>Identified as:</strong> ${escapeHtml(item.registry_individual.name)}</p>` : ''}
+        `
+    }[item.kind];
+
+    container.innerHTML = `
+        <div class="verification-kind">${kind.label}</div>
+        <h4>${escapeHtml(item.image.relative_path || item.image.filename)}</h4>
+        ${item.image.captured_at ? `<small>Captured ${escapeHtml(item.image.captured_at.replace('T', ' '))}</small>` : ''}
+        <p class="verification-reason">${escapeHtml(item.reason)}</p>
+        ${detail()}
+        ${item.review ? `<p>${formatReviewBadge(item.review)} by ${escapeHtml(item.review.reviewer)}</p>` : ''}
+    `;
+
+    getElement('verificationAcceptBtn').textContent = kind.accept;
+    getElement('verificationRejectBtn').textContent = kind.reject;
+    getElement('verificationClearBtn').style.display = item.review ? 'inline-block' : 'none';
+    getElement('verificationNote').value = item.review ? item.review.note || '' : '';
+
+    history.innerHTML = item.history.length > 0
+        ? item.history.slice().reverse().map(change => `
+            <li>
+                <strong>${escapeHtml(change.decision || 'cleared')}</strong>
+                ${change.previous ? `(was ${escapeHtml(change.previous)})` : ''}
+                by ${escapeHtml(change.reviewer)} · ${escapeHtml(new Date(change.decided_at).toLocaleString())}
+                ${change.note ? `<div class="verification-note">${escapeHtml(change.note)}</div>` : ''}
+            </li>`).join('')
+        : '<li class="empty">No decisions yet</li>';
+}
+
+async function decideVerificationItem(decision) {
+    const item = verification.visible[verification.position];
+    if (!item) return;
+
+    try {
+        const note = getElement('verificationNote').value;
+        const response = await window.electronAPI.decideVerification(
+            { kind: item.kind, subject: item.subject, image: item.image, score: item.score },
+            decision,
+            note,
+            lastResults ? { result: lastResults.detailed_results[item.result_index], processing_mode: lastResults.processing_mode } : null
+        );
+        if (!response || !response.success) {
+            throw new Error(response && response.error ? response.error : 'Could not record the decision');
+        }
+
+        item.review = response.data.review;
+        item.history = response.data.history;
+        applyVerificationToResult(item);
+        verification.changed = true;
+
+        // Move on to the next undecided item once this one has a decision
+        const next = verification.visible.findIndex((candidate, index) => index > verification.position && !candidate.review);
+        if (decision && next >= 0) {
+            verification.position = next;
+        }
+        showVerificationItem();
+    } catch (error) {
+        console.error('❌ Error recording verification decision:', error);
+        showError('Could not record the decision: ' + error.message);
+    }
+}
+
+// Mirrors a decision onto the displayed results, as the main process does for newly processed ones
+function applyVerificationToResult(item) {
+    const result = lastResults && lastResults.detailed_results[item.result_index];
+    if (!result) return;
+
+    if (item.kind === 'siamese_match') {
+        applyMatchReview(result, item.subject, item.review);
+        return;
+    }
+
+    const target = {
+        yolo_detection: () => ((result.yolo_result && result.yolo_result.detections) || [])[Number(item.subject)],
+        singleton_group: () => result.individual_elephant_info
+    }[item.kind]();
+
+    if (!target) return;
+    if (item.review) {
+        target.review = item.review;
+    } else {
+        delete target.review;
+    }
+}
+
+// A Siamese decision goes on the match and on its candidate entry. Accepting a candidate below the threshold
+// makes it a match, and clearing or rejecting it takes it out again, as the main process does.
+function applyMatchReview(result, elephantId, review) {
+    const siamese = result && result.siamese_result;
+    if (!siamese) return;
+
+    const id = String(elephantId);
+    const accepted = !!review && review.decision === 'accepted';
+    const candidate = (siamese.candidates || []).find(entry => String(entry.elephant_id) === id);
+    let matches = Array.isArray(siamese.matches) ? siamese.matches : [];
+
+    if (accepted && candidate && !matches.some(match => String(match.elephant_id) === id)) {
+        const similarity = candidate.similarity ?? candidate.confidence ?? null;
+        matches.push({ ...candidate, similarity, confidence: similarity, accepted_below_threshold: true });
+        matches.sort((a, b) => (b.similarity ?? b.confidence ?? 0) - (a.similarity ?? a.confidence ?? 0));
+    } else if (!accepted) {
+        matches = matches.filter(match => !(match.accepted_below_threshold && String(match.elephant_id) === id));
+    }
+
+    for (const target of [candidate, matches.find(match => String(match.elephant_id) === id)]) {
+        if (!target) continue;
+        if (review) {
+            target.review = review;
+        } else {
+            delete target.review;
+        }
+    }
+
+    siamese.matches = matches;
+    siamese.total_matches = matches.length;
+    siamese.best_match = matches[0] || null;
+}
+
+function compareVerificationItem() {
+    const item = verification.visible[verification.position];
+    if (item && item.kind === 'siamese_match' && typeof openMatchComparison === 'function') {
+        openMatchComparison(item.result_index);
+    }
+}
+
+async function exportVerificationAudit() {
+    try {
+        const result = await window.electronAPI.exportVerificationAudit();
+        if (result && result.cancelled) return;
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Export failed');
+        }
+        showNotification(`Exported ${result.data.rows} decision(s) to ${escapeHtml(result.data.path)}`, 'success');
+    } catch (error) {
+        console.error('❌ Error exporting verification audit:', error);
+        showError('Could not export the audit trail: ' + error.message);
+    }
+}
+
+// Make functions available globally for onclick handlers
+window.compareVerificationItem = compareVerificationItem;
+
+document.addEventListener('DOMContentLoaded', initializeVerification);
@@ -0,0 +1,220 @@
+// Watch Folder - new camera-trap images are processed as they land in a drop directory
+
+let watchStatus = null;
+let watchFolderPath = null;
+let watchProgress = null;
+
+async function initializeWatchFolder() {
+    try {
+        if (!isElectron || !window.electronAPI || !window.electronAPI.getWatchFolderStatus) return;
+
+        const watchSection = getElement('watchSection');
+        const chooseWatchFolderBtn = getElement('chooseWatchFolderBtn');
+        const toggleWatchBtn = getElement('toggleWatchBtn');
+        const viewWatchSessionBtn = getElement('viewWatchSessionBtn');
+        const newWatchSessionBtn = getElement('newWatchSessionBtn');
+        const resetWatchFolderBtn = getElement('resetWatchFolderBtn');
+
+        if (watchSection) watchSection.style.display = 'block';
+        if (chooseWatchFolderBtn) chooseWatchFolderBtn.addEventListener('click', chooseWatchFolder);
+        if (toggleWatchBtn) toggleWatchBtn.addEventListener('click', toggleWatching);
+        if (viewWatchSessionBtn) viewWatchSessionBtn.addEventListener('click', showWatchSession);
+        if (newWatchSessionBtn) newWatchSessionBtn.addEventListener('click', startNewWatchSession);
+        if (resetWatchFolderBtn) resetWatchFolderBtn.addEventListener('click', reprocessWatchFolder);
+
+        window.electronAPI.onWatchFolderChanged(renderWatchStatus);
+        window.electronAPI.onWatchFolderProgress((progress) => {
+            watchProgress = progress;
+            renderWatchStatus(watchStatus);
+        });
+        window.electronAPI.onWatchFolderResults(handleWatchResults);
+
+        const result = await window.electronAPI.getWatchFolderStatus();
+        if (result && result.success) {
+            renderWatchStatus(result.data);
+        }
+
+        console.log('✅ Watch folder initialized');
+    } catch (error) {
+        console.error('❌ Error initializing watch folder:', error);
+    }
+}
+
+async function chooseWatchFolder() {
+    try {
+        const folderPath = await window.electronAPI.selectFolder();
+        if (!folderPath) return;
+
+        watchFolderPath = folderPath;
+        renderWatchStatus(watchStatus);
+    } catch (error) {
+        console.error('❌ Error choosing watch folder:', error);
+        showError('Error choosing folder: ' + error.message);
+    }
+}
+
+async function toggleWatching() {
+    try {
+        let result;
+
+        if (watchStatus && watchStatus.watching) {
+            result = await window.electronAPI.stopWatchFolder();
+        } else {
+            // Watching uses whatever the options panel is set to right now
+            const { processingType, options } = readProcessingOptions();
+            result = await window.electronAPI.startWatchFolder({
+                folderPath: watchFolderPath,
+                processingType,
+                options,
+                includePatterns: options.include_patterns,
+                excludePatterns: options.exclude_patterns
+            });
+        }
+
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Watcher did not respond');
+        }
+        renderWatchStatus(result.data);
+    } catch (error) {
+        console.error('❌ Error toggling watch folder:', error);
+        showError('Could not change watching: ' + error.message);
+    }
+}
+
+function renderWatchStatus(status) {
+    if (status) watchStatus = status;
+    const config = watchStatus && watchStatus.config;
+    const watching = !!(watchStatus && watchStatus.watching);
+
+    // The saved folder wins while watching; otherwise a freshly chosen one
+    if (!watchFolderPath || watching) {
+        watchFolderPath = config ? config.folder_path : watchFolderPath;
+    }
+
+    const folderLabel = getElement('watchFolderPath');
+    const summary = getElement('watchSummary');
+    const errorLabel = getElement('watchError');
+    const toggleWatchBtn = getElement('toggleWatchBtn');
+    const chooseWatchFolderBtn = getElement('chooseWatchFolderBtn');
+
+    if (folderLabel) folderLabel.textContent = watchFolderPath || 'No folder chosen';
+
+    if (toggleWatchBtn) {
+        toggleWatchBtn.textContent = watching ? 'Stop Watching' : 'Start Watching';
+        toggleWatchBtn.className = watching ? 'btn btn-outline' : 'btn btn-primary';
+        toggleWatchBtn.disabled = !watching && !watchFolderPath;
+    }
+    if (chooseWatchFolderBtn) chooseWatchFolderBtn.disabled = watching;
+
+    if (summary && watchStatus) {
+        summary.classList.toggle('active', watching);
+        summary.textContent = describeWatchStatus(watchStatus);
+    }
+
+    if (errorLabel) {
+        const error = watchStatus && watchStatus.last_error;
+        const message = error ? `Last scan failed: ${error}` : describeFailedFiles(watchStatus && watchStatus.failed);
+        errorLabel.style.display = message ? 'block' : 'none';
+        errorLabel.textContent = message;
+    }
+}
+
+// The most recent failed file, and whether it will be retried
+function describeFailedFiles(failed) {
+    if (!failed || failed.length === 0) return '';
+
+    const latest = failed[0];
+    const name = latest.path.split(/[\\/]/).pop();
+    const next = latest.gave_up
+        ? `gave up after ${latest.attempts} attempt(s)`
+        : `retrying at ${new Date(latest.retry_at).toLocaleTimeString()}`;
+    return `${failed.length} file(s) failed · ${name}: ${latest.last_error} (${next})`;
+}
+
+function describeWatchStatus(status) {
+    const session = status.session || {};
+    const parts = [];
+
+    if (status.watching && status.config) {
+        const type = PROCESSING_TYPE_LABELS[status.config.processing_type] || status.config.processing_type;
+        parts.push(status.busy && watchProgress
+            ? `Processing new images · ${watchProgress.current || 0} of ${watchProgress.total || 0}`
+            : `Watching · ${type}`);
+    } else {
+        parts.push('Not watching');
+    }
+
+    if (status.pending > 0) parts.push(`${status.pending} file(s) still being copied`);
+    parts.push(`${session.total_images || 0} image(s) in this session`);
+    parts.push(`${status.processed_count} processed in total`);
+    if (status.failed_count > 0) parts.push(`${status.failed_count} failed`);
+
+    if (status.last_scan_at) {
+        parts.push(`last checked ${new Date(status.last_scan_at).toLocaleTimeString()}`);
+    }
+
+    return parts.join(' · ');
+}
+
+// Keeps the results view live while it is showing the watch session
+async function handleWatchResults(summary) {
+    watchProgress = null;
+
+    if (lastResults && lastResults.watch_session) {
+        await showWatchSession({ quiet: true });
+    } else if (summary.new_images > 0) {
+        showNotification(`Watch folder: processed ${summary.new_images} new image(s)`, 'info');
+    }
+}
+
+async function showWatchSession({ quiet = false } = {}) {
+    try {
+        const result = await window.electronAPI.getWatchSession();
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Session not available');
+        }
+
+        if (result.data.total_images === 0) {
+            if (!quiet) showNotification('No images have been processed in this session yet', 'info');
+            return;
+        }
+
+        lastResultFilePaths = [];
+        displayResults(result.data);
+        lastResults = result.data;
+
+        const resultsSection = getElement('resultsSection');
+        if (!quiet && resultsSection) resultsSection.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        console.error('❌ Error showing watch session:', error);
+        showError('Could not show the watch session: ' + error.message);
+    }
+}
+
+async function startNewWatchSession() {
+    try {
+        const result = await window.electronAPI.newWatchSession();
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not start a new session');
+        }
+        showNotification('Started a new watch session', 'success');
+    } catch (error) {
+        console.error('❌ Error starting watch session:', error);
+        showError('Could not start a new session: ' + error.message);
+    }
+}
+
+async function reprocessWatchFolder() {
+    try {
+        const result = await window.electronAPI.resetWatchFolder();
+        if (!result || !result.success) {
+            throw new Error(result && result.error ? result.error : 'Could not reset');
+        }
+        showNotification('Every image in the folder will be processed again', 'info');
+    } catch (error) {
+        console.error('❌ Error resetting watch folder:', error);
+        showError('Could not reset the watch folder: ' + error.message);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initializeWatchFolder);
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SightingLog = require('../src/main/sighting-log');
+const VerificationLog = require('../src/main/verification-log');
+
+const GANESH = { id: 'ind_ganesh', name: 'Ganesh', sex: 'male' };
+const KALI = { id: 'ind_kali', name: 'Kali', sex: 'female' };
+
+// E7 is a match over the threshold, E9 a near miss below it
+function processedResult() {
+    const e7 = { elephant_id: 'E7', similarity: 0.91, confidence: 0.91, registry_individual: GANESH };
+    const e9 = { elephant_id: 'E9', similarity: 0.82, confidence: 0.82, registry_individual: KALI };
+    return {
+        filename: 'IMG_0001.JPG',
+        relative_path: 'CAM_01/IMG_0001.JPG',
+        category: 'elephant_matched',
+        metadata: { captured_at: '2025-03-01T06:15:00' },
+        siamese_result: {
+            siamese_threshold: 0.85,
+            matches: [{ ...e7 }],
+            candidates: [{ ...e7 }, { ...e9 }]
+        }
+    };
+}
+
+// What the main process does after a decision: reviews reapplied to a copy of the result, then synced
+async function decideAndSync(verification, sightings, result, subject, decision) {
+    await verification.decide({
+        kind: 'siamese_match',
+        subject,
+        image: { filename: result.filename, relative_path: result.relative_path, captured_at: result.metadata.captured_at }
+    }, decision);
+
+    const results = { processing_mode: 'offline', detailed_results: [JSON.parse(JSON.stringify(result))] };
+    verification.applyToResults(results);
+    return sightings.syncResult(results.detailed_results[0], results);
+}
+
+async function setup() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'airavat-sightings-'));
+    const verification = new VerificationLog(dir);
+    const sightings = new SightingLog(dir);
+    await verification.initialize();
+    await verification.updateSettings({ reviewer: 'Field team' });
+    await sightings.initialize();
+    return { dir, verification, sightings };
+}
+
+test('rejecting a recorded match removes its sighting', async () => {
+    const { dir, verification, sightings } = await setup();
+    try {
+        const result = processedResult();
+        await sightings.recordResults({ processing_mode: 'offline', detailed_results: [result] });
+        assert.strictEqual(sightings.getTimeline(GANESH.id).total, 1);
+
+        const change = await decideAndSync(verification, sightings, result, 'E7', 'rejected');
+        assert.deepStrictEqual(change, { recorded: 0, removed: 1 });
+        assert.strictEqual(sightings.getTimeline(GANESH.id).total, 0);
+
+        // Clearing the rejection makes it a sighting again
+        await decideAndSync(verification, sightings, result, 'E7', null);
+        assert.strictEqual(sightings.getTimeline(GANESH.id).total, 1);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('accepting a near miss records a sighting, and clearing it takes it away', async () => {
+    const { dir, verification, sightings } = await setup();
+    try {
+        const result = processedResult();
+        await sightings.recordResults({ processing_mode: 'offline', detailed_results: [result] });
+        assert.strictEqual(sightings.getTimeline(KALI.id).total, 0);
+
+        const accepted = await decideAndSync(verification, sightings, result, 'E9', 'accepted');
+        assert.strictEqual(accepted.recorded, 1);
+        assert.strictEqual(sightings.getTimeline(KALI.id).total, 1);
+        assert.strictEqual(sightings.getTimeline(KALI.id).sightings[0].reference_id, 'E9');
+
+        await decideAndSync(verification, sightings, result, 'E9', null);
+        assert.strictEqual(sightings.getTimeline(KALI.id).total, 0);
+        assert.strictEqual(sightings.getTimeline(GANESH.id).total, 1);
+    } finally {
+        await fs.remove(dir);
+    }
+});